@@ -1,4 +1,17 @@
-import { CSVDB, CSVDBQuery } from "../dist/csvdb";
+import {
+  CSVDB,
+  CSVDBQuery,
+  CSVParseError,
+  SQLSyntaxError,
+  cube,
+  exists,
+  groupingSets,
+  isIn,
+  parseDate,
+  rollup,
+  scalar,
+  sniffDialect,
+} from "../dist/csvdb";
 
 describe("CSVDB", () => {
   describe("rowCount", () => {
@@ -36,447 +49,3158 @@ describe("CSVDB", () => {
     });
   });
 
-  describe("query()", () => {
-    it("produces a CSVDBQuery object", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+  describe("parsing", () => {
+    it("handles quoted commas", () => {
+      const db = new CSVDB('a,b\n"1,5",2');
 
-      expect(db.query() instanceof CSVDBQuery).toBe(true);
+      expect([...db]).toEqual([{ a: "1,5", b: "2" }]);
     });
-  });
 
-  describe("except", () => {
-    it("produces expected rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
-      const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
+    it("handles escaped quotes", () => {
+      const db = new CSVDB('a,b\n"say ""hi""",2');
 
-      const results = CSVDB.except(db, db2);
+      expect([...db]).toEqual([{ a: 'say "hi"', b: "2" }]);
+    });
 
-      expect([...results]).toEqual([{ a: "4", b: "5", c: "6" }]);
+    it("handles CRLF line endings", () => {
+      const db = new CSVDB("a,b\r\n1,2\r\n3,4\r\n");
+
+      expect([...db]).toEqual([
+        { a: "1", b: "2" },
+        { a: "3", b: "4" },
+      ]);
+    });
+
+    it("handles newlines in quoted fields", () => {
+      const db = new CSVDB('a,b\n"line 1\r\nline 2",2\n3,4');
+
+      expect(db.rowCount).toBe(2);
+      expect([...db]).toEqual([
+        { a: "line 1\r\nline 2", b: "2" },
+        { a: "3", b: "4" },
+      ]);
+    });
+
+    it("preserves empty fields", () => {
+      const db = new CSVDB('a,b,c\n,"",\n');
+
+      expect([...db]).toEqual([{ a: "", b: "", c: "" }]);
+    });
+
+    it("skips blank lines", () => {
+      const db = new CSVDB("a,b\n\n1,2\n\n");
+
+      expect(db.rowCount).toBe(1);
+    });
+
+    it("reports unterminated quotes", () => {
+      expect(() => new CSVDB('a,b\n1,2\n3,"4\n5,6')).toThrow(
+        new CSVParseError("Unterminated quote", 3, 3)
+      );
+    });
+
+    it("reports stray quotes", () => {
+      expect(() => new CSVDB('a,b\n1,2"')).toThrow(CSVParseError);
+      expect(() => new CSVDB('a,b\n"1"x,2')).toThrow(
+        "Unexpected character after closing quote at line 2, column 4"
+      );
     });
   });
 
-  describe("intersect", () => {
-    it("produces expected rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
-      const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
+  describe("options", () => {
+    it("uses a custom delimiter", () => {
+      const db = new CSVDB("a;b\n1,5;2", { delimiter: ";" });
 
-      const results = CSVDB.intersect(db, db2);
+      expect([...db]).toEqual([{ a: "1,5", b: "2" }]);
+    });
 
-      expect([...results]).toEqual([{ a: "1", b: "2", c: "3" }]);
+    it("parses TSV", () => {
+      const db = new CSVDB("a\tb\n1\t2", { delimiter: "\t" });
+
+      expect([...db]).toEqual([{ a: "1", b: "2" }]);
+    });
+
+    it("uses a custom quote and escape", () => {
+      const db = new CSVDB("a|b\n'it\\'s|x'|2", {
+        delimiter: "|",
+        quote: "'",
+        escape: "\\",
+      });
+
+      expect([...db]).toEqual([{ a: "it's|x", b: "2" }]);
+    });
+
+    it("generates column names without a header", () => {
+      const db = new CSVDB("1,2,3\n4,5", { header: false });
+
+      expect(db.headers).toEqual(["column1", "column2", "column3"]);
+      expect(db.rowCount).toBe(2);
+    });
+
+    it("uses supplied column names", () => {
+      const db = new CSVDB("x,y\n1,2", { columns: ["a", "b"] });
+
+      expect([...db]).toEqual([{ a: "1", b: "2" }]);
+    });
+
+    it("skips comments and preamble", () => {
+      const db = new CSVDB("Bank export\nGenerated today\na,b\n# note\n1,2", {
+        skipLines: 2,
+        comment: "#",
+      });
+
+      expect(db.headers).toEqual(["a", "b"]);
+      expect([...db]).toEqual([{ a: "1", b: "2" }]);
+    });
+
+    it("sniffs the dialect", () => {
+      const db = new CSVDB("a;b;c\n1;2,5;3\n4;5;6", { sniff: true });
+
+      expect(db.dialect.delimiter).toBe(";");
+      expect(db.headers).toEqual(["a", "b", "c"]);
+    });
+
+    it("sniffs the dialect after the preamble and comments", () => {
+      const csv = "Exported, 1 Jan 2023, by x, y, z\n# a, b, c, d\na;b\n1;2";
+      const db = new CSVDB(csv, { sniff: true, skipLines: 1, comment: "#" });
+
+      expect(db.dialect.delimiter).toBe(";");
+      expect([...db]).toEqual([{ a: "1", b: "2" }]);
+      expect(sniffDialect(csv).delimiter).toBe(",");
+    });
+
+    it("sniffs a missing header", () => {
+      expect(sniffDialect("1|2|3\n4|5|6")).toMatchObject({
+        delimiter: "|",
+        header: false,
+      });
     });
   });
 
-  describe("union", () => {
-    it("produces expected rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
-      const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
+  describe("schema", () => {
+    it("defaults to strings", () => {
+      const db = new CSVDB("a,b\n1,2");
 
-      const results = CSVDB.union(db, db2);
+      expect(db.schema).toEqual({ a: "string", b: "string" });
+      expect([...db]).toEqual([{ a: "1", b: "2" }]);
+    });
 
-      expect([...results]).toEqual([
-        { a: "1", b: "2", c: "3" },
-        { a: "4", b: "5", c: "6" },
-        { a: "1", b: "3", c: "5" },
+    it("converts values", () => {
+      const db = new CSVDB(
+        "n,i,b,d,s,x\n2.5,3,yes,15-Jun-2023 15:51:11,4,a\n,,,,,b",
+        {
+          schema: {
+            n: "number",
+            i: "integer",
+            b: "boolean",
+            d: "date",
+            x: (v) => v.toUpperCase(),
+          },
+        }
+      );
+
+      expect([...db]).toEqual([
+        {
+          n: 2.5,
+          i: 3,
+          b: true,
+          d: new Date(2023, 5, 15, 15, 51, 11),
+          s: "4",
+          x: "A",
+        },
+        { n: null, i: null, b: null, d: null, s: "", x: "B" },
       ]);
     });
-  });
 
-  describe("unionAll", () => {
-    it("produces expected rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
-      const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
+    it("reports bad values", () => {
+      const db = new CSVDB("a\n1\nx", { schema: { a: "number" } });
 
-      const results = CSVDB.unionAll(db, db2);
+      expect(() => [...db]).toThrow('Bad number value "x" in column a');
+    });
 
-      expect([...results]).toEqual([
-        { a: "1", b: "2", c: "3" },
-        { a: "4", b: "5", c: "6" },
-        { a: "1", b: "2", c: "3" },
-        { a: "1", b: "3", c: "5" },
+    it("reports values which aren't a recognised date format", () => {
+      const db = new CSVDB("d\n2023-06-15\n1", { schema: { d: "date" } });
+
+      expect(() => [...db]).toThrow('Bad date value "1" in column d');
+    });
+
+    it("infers types", () => {
+      const db = new CSVDB(
+        "a,b,c,d,e\n1,2.5,true,2023-06-15,x\n-4,,FALSE,15-Jun-2023 15:51:11,5",
+        { inferTypes: true }
+      );
+
+      expect(db.schema).toEqual({
+        a: "integer",
+        b: "number",
+        c: "boolean",
+        d: "date",
+        e: "string",
+      });
+      expect(db.query().select(["a", "b", "c"]).toArray()).toEqual([
+        { a: 1, b: 2.5, c: true },
+        { a: -4, b: null, c: false },
       ]);
     });
-  });
-});
 
-describe("CSVDBQuery", () => {
-  describe("join", () => {
-    test("computed rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
-      const query = db
-        .query()
-        .join(
-          (row) =>
-            row &&
-            Array.from({ length: +row.a }).map((_, i) => ({ ...row, d: i }))
-        );
+    it("keeps values after the sample which don't fit as strings", () => {
+      const db = new CSVDB("a,b\n1,2\n2,3\nx,4", { inferTypes: 2 });
 
-      expect(query.toArray()).toEqual([
-        { a: "1", b: "2", c: "3", d: 0 },
-        { a: "4", b: "5", c: "6", d: 0 },
-        { a: "4", b: "5", c: "6", d: 1 },
-        { a: "4", b: "5", c: "6", d: 2 },
-        { a: "4", b: "5", c: "6", d: 3 },
+      expect(db.schema).toEqual({ a: "integer", b: "integer" });
+      expect([...db]).toEqual([
+        { a: 1, b: 2 },
+        { a: 2, b: 3 },
+        { a: "x", b: 4 },
       ]);
     });
 
-    test("inner join", () => {
-      const db = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird");
-      const db2 = new CSVDB(
-        "animal,family\ncat,feline\ndog,canine\nhorse,equine"
-      );
+    it("prefers an explicit schema over inference", () => {
+      const db = new CSVDB("a,b\n1,2", {
+        inferTypes: true,
+        schema: { a: "string" },
+      });
 
-      const query = db.query().join((rowA) => {
-        // RIGHT
-        if (!rowA) return [];
-        // INNER
-        return db2
+      expect(db.schema).toEqual({ a: "string", b: "integer" });
+    });
+
+    it("allows typed values to be queried", () => {
+      const db = new CSVDB("a\n5\n10\n2", { schema: { a: "integer" } });
+
+      expect(db.query().select(["MAX(a)"]).getNextValue()).toBe(10);
+      expect(
+        db
           .query()
-          .where((rowB) => rowB.animal === rowA.animal)
+          .where((r) => r.a > 4)
           .toArray()
-          .map((rowB) => ({ ...rowA, ...rowB }));
-      });
+      ).toEqual([{ a: 5 }, { a: 10 }]);
+    });
+  });
 
-      expect(query.toArray()).toEqual([
-        { owner: "tom", animal: "cat", family: "feline" },
-        { owner: "dick", animal: "dog", family: "canine" },
+  describe("insert", () => {
+    it("appends rows", () => {
+      const db = new CSVDB("a,b\n1,2", { schema: { a: "number" } });
+
+      expect(db.insert([{ a: "3", b: "4" }, { a: 5 }])).toBe(2);
+      expect(db.insert({ b: "x" })).toBe(1);
+      expect(db.rowCount).toBe(4);
+      expect([...db]).toEqual([
+        { a: 1, b: "2" },
+        { a: 3, b: "4" },
+        { a: 5, b: null },
+        { a: null, b: "x" },
       ]);
     });
 
-    test("left join", () => {
-      const db = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird");
-      const db2 = new CSVDB(
-        "animal,family\ncat,feline\ndog,canine\nhorse,equine"
+    it("rejects unknown columns", () => {
+      const db = new CSVDB("a,b\n1,2");
+
+      expect(() => db.insert([{ a: "3" }, { c: "4" }])).toThrow(
+        "Unknown Column: c"
       );
+      expect(db.rowCount).toBe(1);
+    });
 
-      const nullRow = (/** @type {CSVDB} */ db) =>
-        Object.fromEntries(db.headers.map((header) => [header, null]));
+    it("rejects bad values", () => {
+      const db = new CSVDB("a\n1", { schema: { a: "number" } });
 
-      const query = db.query().join((rowA) => {
-        // RIGHT
-        if (!rowA) return [];
+      expect(() => db.insert({ a: "x" })).toThrow();
+    });
 
-        // INNER
-        const rows = db2
-          .query()
-          .where((rowB) => rowB.animal === rowA.animal)
-          .toArray();
+    it("is seen by existing queries", () => {
+      const db = new CSVDB("a\n1\n2");
+      const query = db.query().where((row) => row.a > "1");
 
-        if (rows.length > 0) {
-          return rows.map((rowB) => ({ ...rowA, ...rowB }));
-        }
+      expect(query.toArray()).toEqual([{ a: "2" }]);
 
-        // LEFT
-        return [{ ...nullRow(db2), ...rowA }];
-      });
+      db.insert({ a: "3" });
 
-      expect(query.toArray()).toEqual([
-        { owner: "tom", animal: "cat", family: "feline" },
-        { owner: "dick", animal: "dog", family: "canine" },
-        { animal: "bird", family: null, owner: "harry" },
+      expect(query.toArray()).toEqual([{ a: "2" }, { a: "3" }]);
+    });
+  });
+
+  describe("update", () => {
+    it("changes matching rows", () => {
+      const db = new CSVDB("a,b\n1,2\n3,4\n5,6", { schema: { b: "number" } });
+
+      expect(db.update((row) => row.a !== "1", { b: "10" })).toBe(2);
+      expect([...db]).toEqual([
+        { a: "1", b: 2 },
+        { a: "3", b: 10 },
+        { a: "5", b: 10 },
       ]);
     });
 
-    test("right join", () => {
-      const db = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird");
-      const db2 = new CSVDB(
-        "animal,family\ncat,feline\ndog,canine\nhorse,equine"
+    it("accepts a function", () => {
+      const db = new CSVDB("a,b\n1,2\n3,4", { schema: { b: "number" } });
+
+      expect(
+        db.update(
+          (row, i) => i === 1,
+          (row) => ({ b: row.b * 2 })
+        )
+      ).toBe(1);
+      expect([...db]).toEqual([
+        { a: "1", b: 2 },
+        { a: "3", b: 8 },
+      ]);
+    });
+
+    it("keeps row identity", () => {
+      const db = new CSVDB("a\n1");
+      const row = db.query().getNextRow();
+
+      db.update(() => true, { a: "2" });
+
+      expect(row).toEqual({ a: "2" });
+    });
+
+    it("rejects unknown columns", () => {
+      const db = new CSVDB("a\n1");
+
+      expect(() => db.update(() => true, { b: "2" })).toThrow(
+        "Unknown Column: b"
       );
-      const nullRow = (db) =>
-        Object.fromEntries(db.headers.map((header) => [header, null]));
-      const set = new Set();
-      const query = db.query().join((rowA) => {
-        // RIGHT
-        if (!rowA) {
-          const innerSet = [...set];
+    });
+  });
 
-          return db2
-            .query()
-            .where((rowB) => !innerSet.includes(rowB.animal))
-            .toArray()
-            .map((rowB) => ({ ...nullRow(db), ...rowB }));
-        }
+  describe("delete", () => {
+    it("removes matching rows", () => {
+      const db = new CSVDB("a\n1\n2\n3\n4");
+      const query = db.query().select({ sum: "SUM(a)" });
 
-        // Save the processed animals for later when we come to the right part
-        // of the join
-        set.add(rowA.animal);
+      expect(db.delete((row) => row.a % 2 === 0)).toBe(2);
+      expect(db.rowCount).toBe(2);
+      expect([...db]).toEqual([{ a: "1" }, { a: "3" }]);
+      expect(query.getNextValue()).toBe(4);
+      expect(db.delete(() => false)).toBe(0);
+    });
+  });
 
-        // INNER
-        const rows = db2
-          .query()
-          .where((rowB) => rowB.animal === rowA.animal)
-          .toArray();
+  describe("createIndex", () => {
+    it("rejects unknown columns", () => {
+      const db = new CSVDB("a\n1");
 
-        if (rows.length > 0) {
-          return rows.map((rowB) => ({ ...rowA, ...rowB }));
-        }
+      expect(() => db.createIndex("b")).toThrow("Unknown Column: b");
+    });
 
-        // LEFT
-        return [];
+    it("enforces unique keys", () => {
+      const db = new CSVDB("id,a\n1,x\n2,y\n,z\n,w", {
+        schema: { id: "integer" },
       });
 
-      expect(query.toArray()).toEqual([
-        { owner: "tom", animal: "cat", family: "feline" },
-        { owner: "dick", animal: "dog", family: "canine" },
-        { owner: null, animal: "horse", family: "equine" },
+      db.createIndex("id", { unique: true });
+
+      expect(() => db.insert([{ id: 3 }, { id: "2" }])).toThrow(
+        "Duplicate Key: id = 2"
+      );
+      expect(db.rowCount).toBe(4);
+
+      expect(() => db.update((row) => row.id === 1, { id: 2 })).toThrow(
+        "Duplicate Key: id = 2"
+      );
+      expect(db.query().whereEq("id", 1).toArray()).toEqual([
+        { id: 1, a: "x" },
       ]);
-    });
 
-    test("full join", () => {
-      const db = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird");
-      const db2 = new CSVDB(
-        "animal,family\ncat,feline\ndog,canine\nhorse,equine"
+      // Swapping keys is fine
+      db.update(
+        () => true,
+        (row) => ({ id: row.id && 3 - row.id })
       );
-      const nullRow = (db) =>
-        Object.fromEntries(db.headers.map((header) => [header, null]));
-      const set = new Set();
-      const query = db.query().join((rowA) => {
-        // RIGHT
-        if (!rowA) {
-          const innerSet = [...set];
-          return db2
-            .query()
-            .where((rowB) => !innerSet.includes(rowB.animal))
-            .toArray()
-            .map((rowB) => ({ ...nullRow(db), ...rowB }));
-        }
+      expect(db.query().whereEq("id", 1).toArray()).toEqual([
+        { id: 1, a: "y" },
+      ]);
 
-        // Save the processed animals for later when we come to the right part
-        // of the join
-        set.add(rowA.animal);
+      expect(() =>
+        new CSVDB("id\n1\n1").createIndex("id", { unique: true })
+      ).toThrow("Duplicate Key: id = 1");
+    });
 
-        // INNER
-        const rows = db2
-          .query()
-          .where((rowB) => rowB.animal === rowA.animal)
-          .toArray();
+    it("is kept up to date", () => {
+      const db = new CSVDB("id,n\n1,10\n2,20\n3,30", {
+        schema: { n: "number" },
+      });
+
+      db.createIndex("id").createIndex("n");
+      db.query().whereBetween("n", 0, 100).toArray();
+
+      db.insert({ id: "2", n: 5 });
+      db.update((row) => row.id === "1", { id: "2", n: 25 });
+      db.delete((row) => row.id === "3");
+
+      expect(db.query().whereEq("id", "2").toArray()).toEqual([
+        { id: "2", n: 25 },
+        { id: "2", n: 20 },
+        { id: "2", n: 5 },
+      ]);
+      expect(db.query().whereBetween("n", 20, 30).toArray()).toEqual([
+        { id: "2", n: 25 },
+        { id: "2", n: 20 },
+      ]);
+      expect(db.query().whereEq("id", "3").toArray()).toEqual([]);
+    });
+
+    it("can be dropped", () => {
+      const db = new CSVDB("a\n1").createIndex("a");
+
+      expect(db.dropIndex("a")).toBe(true);
+      expect(db.dropIndex("a")).toBe(false);
+      expect(db.query().whereEq("a", "1").toArray()).toEqual([{ a: "1" }]);
+    });
+  });
+
+  describe("toCSV", () => {
+    it("round trips", () => {
+      const csv = 'a,b,c\r\n1,"x,y","say ""hi"""\r\n2,"line\nbreak",\r\n';
+      const db = new CSVDB(csv);
+
+      expect(db.toCSV()).toBe(csv);
+      expect([...new CSVDB(db.toCSV())]).toEqual([...db]);
+    });
+
+    it("round trips typed values", () => {
+      const db = new CSVDB("d,n,s\n2023-06-15T14:51:11.000Z,1.5,\n,,x", {
+        schema: { d: "date", n: "number" },
+      });
+      const csv = db.toCSV();
+
+      expect(csv).toBe("d,n,s\r\n2023-06-15T14:51:11.000Z,1.5,\r\n,,x\r\n");
+      expect([...new CSVDB(csv, { schema: db.schema })]).toEqual([...db]);
+    });
+
+    it("quotes empty single column rows", () => {
+      const db = new CSVDB('a\n""\n1');
+
+      expect(db.toCSV()).toBe('a\r\n""\r\n1\r\n');
+      expect(new CSVDB(db.toCSV()).rowCount).toBe(2);
+    });
+
+    it("accepts options", () => {
+      const db = new CSVDB("a,b,c\n1,x;y,3", { schema: { c: "number" } });
+
+      expect(
+        db.toCSV({ delimiter: ";", quote: "'", lineTerminator: "\n" })
+      ).toBe("a;b;c\n1;'x;y';3\n");
+      expect(db.toCSV({ quoting: "all", header: false })).toBe(
+        '"1","x;y","3"\r\n'
+      );
+      expect(db.toCSV({ quoting: "nonnumeric" })).toBe(
+        '"a","b","c"\r\n"1","x;y",3\r\n'
+      );
+      expect(db.toCSV({ columns: ["c", "a"] })).toBe("c,a\r\n3,1\r\n");
+    });
+
+    it("writes a header for an empty db", () => {
+      expect(new CSVDB("a,b").toCSV()).toBe("a,b\r\n");
+    });
+
+    it("rejects bad options", () => {
+      const db = new CSVDB("a\n1");
+
+      expect(() => db.toCSV({ quoting: "some" })).toThrow("Bad Quoting: some");
+      expect(() => db.toCSV({ delimiter: "::" })).toThrow();
+    });
+
+    it("yields chunks", () => {
+      const db = new CSVDB("a,b\n1,2\n3,4");
+
+      expect([...db.toCSVChunks({ lineTerminator: "\n" })]).toEqual([
+        "a,b\n",
+        "1,2\n",
+        "3,4\n",
+      ]);
+    });
+  });
+
+  describe("fromJSON", () => {
+    it("reads an array of objects", () => {
+      const db = CSVDB.fromJSON('[{"a":1,"b":"x"},{"a":2,"c":true}]');
+
+      expect(db.headers).toEqual(["a", "b", "c"]);
+      expect(db.schema).toEqual({ a: "number", b: "string", c: "boolean" });
+      expect([...db]).toEqual([
+        { a: 1, b: "x", c: null },
+        { a: 2, b: null, c: true },
+      ]);
+    });
+
+    it("accepts options", () => {
+      const db = CSVDB.fromJSON(
+        [
+          { d: "2023-01-01", x: 1, y: 2 },
+          { d: "2023-06-15", x: 3, y: 4 },
+        ],
+        { columns: ["x", "d"], schema: { d: "date" }, name: "events" }
+      );
+
+      expect(db.headers).toEqual(["x", "d"]);
+      expect(db.query().getNextRow()).toEqual({
+        x: 1,
+        d: new Date(2023, 0, 1),
+      });
+      expect(db.sql("SELECT SUM(x) AS total FROM events").toArray()).toEqual([
+        { total: 4 },
+      ]);
+    });
+
+    it("rejects other JSON", () => {
+      expect(() => CSVDB.fromJSON('{"a":1}')).toThrow(
+        "Bad JSON: expected an array of objects"
+      );
+      expect(() => CSVDB.fromJSON("[1]")).toThrow();
+    });
+  });
+
+  describe("fromJSONLines", () => {
+    it("reads one object per line", () => {
+      const db = CSVDB.fromJSONLines(
+        '{"level":"info","ms":5}\r\n\n{"level":"error","ms":12}\n'
+      );
+
+      expect(db.rowCount).toBe(2);
+      expect(
+        db
+          .query()
+          .where((r) => r.ms > 10)
+          .toArray()
+      ).toEqual([{ level: "error", ms: 12 }]);
+    });
+
+    it("reports the bad line", () => {
+      expect(() => CSVDB.fromJSONLines('{"a":1}\n{"a":')).toThrow(
+        /^Bad JSON at line 2/
+      );
+      expect(() => CSVDB.fromJSONLines('{"a":1}\n[]')).toThrow(
+        "Bad JSON at line 2: expected an object"
+      );
+    });
+  });
+
+  describe("fromStream", () => {
+    async function* chunks(...values) {
+      yield* values;
+    }
+
+    async function toArray(iterable) {
+      const results = [];
+      for await (const row of iterable) {
+        results.push(row);
+      }
+      return results;
+    }
+
+    it("reads records split across chunks", async () => {
+      const stream = await CSVDB.fromStream(
+        chunks("a,b", ",c\n1,2,", '3\n"4\n', '4",5,6')
+      );
+
+      expect(stream.headers).toEqual(["a", "b", "c"]);
+      expect(await toArray(stream)).toEqual([
+        { a: "1", b: "2", c: "3" },
+        { a: "4\n4", b: "5", c: "6" },
+      ]);
+    });
+
+    it("decodes bytes", async () => {
+      const encoder = new TextEncoder();
+      const bytes = encoder.encode("a,b\n\u00e9,\u20ac");
+
+      const stream = await CSVDB.fromStream(
+        chunks(bytes.slice(0, 5), bytes.slice(5))
+      );
+
+      expect(await toArray(stream)).toEqual([{ a: "\u00e9", b: "\u20ac" }]);
+    });
+
+    it("reads a ReadableStream", async () => {
+      const source = new ReadableStream({
+        start(controller) {
+          controller.enqueue("a,b\n1,2\n");
+          controller.enqueue("3,4");
+          controller.close();
+        },
+      });
+
+      const stream = await CSVDB.fromStream(source);
+
+      expect(await toArray(stream)).toEqual([
+        { a: "1", b: "2" },
+        { a: "3", b: "4" },
+      ]);
+    });
+
+    it("accepts options", async () => {
+      const stream = await CSVDB.fromStream(chunks("a;b\n1;x\n2;y"), {
+        sniff: true,
+        inferTypes: true,
+      });
+
+      expect(stream.dialect.delimiter).toBe(";");
+      expect(stream.schema).toEqual({ a: "integer", b: "string" });
+      expect(await toArray(stream)).toEqual([
+        { a: 1, b: "x" },
+        { a: 2, b: "y" },
+      ]);
+    });
+
+    it("keeps values which don't fit the inferred types", async () => {
+      const stream = await CSVDB.fromStream(chunks("a\n1\nx"), {
+        inferTypes: 1,
+      });
+
+      expect(await toArray(stream)).toEqual([{ a: 1 }, { a: "x" }]);
+    });
+
+    it("stops reading early", async () => {
+      let pulled = 0;
+      async function* lines() {
+        yield "a\n";
+        for (let i = 0; i < 1000; i++) {
+          pulled++;
+          yield `${i}\n`;
+        }
+      }
+
+      const stream = await CSVDB.fromStream(lines(), {
+        schema: { a: "number" },
+      });
+      const query = stream
+        .query()
+        .where((r) => r.a % 2 === 1)
+        .select({ b: (r) => r.a * 10 })
+        .fetchFirst(2);
+
+      expect(await toArray(query)).toEqual([{ b: 10 }, { b: 30 }]);
+      expect(pulled).toBeLessThan(10);
+    });
+
+    it("sorts and groups", async () => {
+      const stream = await CSVDB.fromStream(chunks("a,b\n1,2\n2,3\n1,4"));
+      const query = stream
+        .query()
+        .groupBy("a")
+        .select(["a", "SUM(b)"])
+        .orderBy("-a");
+
+      expect(await toArray(query)).toEqual([
+        { a: "2", "SUM(b)": 3 },
+        { a: "1", "SUM(b)": 6 },
+      ]);
+    });
+
+    it("can only be iterated once", async () => {
+      const stream = await CSVDB.fromStream(chunks("a\n1"));
+
+      await toArray(stream);
+
+      await expect(toArray(stream)).rejects.toThrow();
+    });
+
+    it("cannot be iterated synchronously", async () => {
+      const stream = await CSVDB.fromStream(chunks("a\n1"));
+
+      expect(() => stream.query().toArray()).toThrow();
+    });
+  });
+
+  describe("with", () => {
+    const db = new CSVDB("Type,Amount\na,1\na,3\nb,5", {
+      schema: { Amount: "number" },
+    });
+    const totals = db
+      .query()
+      .groupBy("Type")
+      .select({ Type: "Type", total: "SUM(Amount)" });
+
+    test("names a query for SQL", () => {
+      const query = db
+        .with("totals", totals)
+        .sql(
+          "SELECT Type FROM totals WHERE total = (SELECT MAX(total) FROM totals)"
+        );
+
+      expect(query.toArray()).toEqual([{ Type: "b" }]);
+      expect(query.toArray()).toEqual([{ Type: "b" }]);
+    });
+
+    test("can be chained", () => {
+      const query = db
+        .with("totals", totals, { materialise: true })
+        .with("big", [{ Type: "b" }])
+        .sql(
+          "SELECT t.total FROM totals AS t JOIN big AS b ON b.Type = t.Type"
+        );
+
+      expect(query.toArray()).toEqual([{ total: 5 }]);
+    });
+
+    test("only for its own statements", () => {
+      db.with("totals", totals);
+      expect(() => db.sql("SELECT * FROM totals")).toThrow(
+        "Unknown Table: totals"
+      );
+    });
+  });
+
+  describe("query()", () => {
+    it("produces a CSVDBQuery object", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+
+      expect(db.query() instanceof CSVDBQuery).toBe(true);
+    });
+  });
+
+  describe("except", () => {
+    it("produces expected rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+      const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
+
+      const results = CSVDB.except(db, db2);
+
+      expect([...results]).toEqual([{ a: "4", b: "5", c: "6" }]);
+    });
+
+    it("removes duplicates", () => {
+      const db = new CSVDB("a\n1\n2\n2\n3");
+      const db2 = new CSVDB("a\n1");
+
+      expect(CSVDB.except(db, db2).toArray()).toEqual([{ a: "2" }, { a: "3" }]);
+    });
+  });
+
+  describe("exceptAll", () => {
+    it("subtracts one row for each equal row", () => {
+      const db = new CSVDB("a\n1\n1\n1\n2\n3");
+      const db2 = new CSVDB("a\n1\n2\n2");
+
+      expect(CSVDB.exceptAll(db, db2).toArray()).toEqual([
+        { a: "1" },
+        { a: "1" },
+        { a: "3" },
+      ]);
+    });
+  });
+
+  describe("intersect", () => {
+    it("produces expected rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+      const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
+
+      const results = CSVDB.intersect(db, db2);
+
+      expect([...results]).toEqual([{ a: "1", b: "2", c: "3" }]);
+    });
+
+    it("removes duplicates", () => {
+      const db = new CSVDB("a\n1\n2\n1\n3");
+      const db2 = new CSVDB("a\n1\n1\n3");
+
+      expect(CSVDB.intersect(db, db2).toArray()).toEqual([
+        { a: "1" },
+        { a: "3" },
+      ]);
+    });
+  });
+
+  describe("intersectAll", () => {
+    it("keeps as many rows as are in both", () => {
+      const db = new CSVDB("a\n1\n1\n1\n2\n3");
+      const db2 = new CSVDB("a\n3\n1\n1");
+
+      expect(CSVDB.intersectAll(db, db2).toArray()).toEqual([
+        { a: "1" },
+        { a: "1" },
+        { a: "3" },
+      ]);
+    });
+  });
+
+  describe("union", () => {
+    it("produces expected rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+      const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
+
+      const results = CSVDB.union(db, db2);
+
+      expect([...results]).toEqual([
+        { a: "1", b: "2", c: "3" },
+        { a: "4", b: "5", c: "6" },
+        { a: "1", b: "3", c: "5" },
+      ]);
+    });
+
+    it("can be iterated again", () => {
+      const db = new CSVDB("a\n1\n2");
+      const db2 = new CSVDB("a\n2\n3");
+
+      for (const op of ["except", "intersectAll", "union", "unionAll"]) {
+        const results = CSVDB[op](db, db2);
+        expect(results.toArray()).toEqual(results.toArray());
+        expect(results.toArray()).not.toEqual([]);
+      }
+    });
+
+    it("handles large inputs", () => {
+      const rows = (offset) =>
+        Array.from({ length: 50000 }, (_, i) => ({ id: i + offset, x: "a" }));
+
+      const results = CSVDB.union(rows(0), rows(25000)).toArray();
+
+      expect(results).toHaveLength(75000);
+      expect(results[74999]).toEqual({ id: 74999, x: "a" });
+    });
+  });
+
+  describe("unionAll", () => {
+    it("produces expected rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+      const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
+
+      const results = CSVDB.unionAll(db, db2);
+
+      expect([...results]).toEqual([
+        { a: "1", b: "2", c: "3" },
+        { a: "4", b: "5", c: "6" },
+        { a: "1", b: "2", c: "3" },
+        { a: "1", b: "3", c: "5" },
+      ]);
+    });
+  });
+});
+
+describe("CSVDBQuery", () => {
+  describe("join", () => {
+    test("computed rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+      const query = db
+        .query()
+        .join(
+          (row) =>
+            row &&
+            Array.from({ length: +row.a }).map((_, i) => ({ ...row, d: i }))
+        );
+
+      expect(query.toArray()).toEqual([
+        { a: "1", b: "2", c: "3", d: 0 },
+        { a: "4", b: "5", c: "6", d: 0 },
+        { a: "4", b: "5", c: "6", d: 1 },
+        { a: "4", b: "5", c: "6", d: 2 },
+        { a: "4", b: "5", c: "6", d: 3 },
+      ]);
+    });
+
+    test("inner join", () => {
+      const db = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird");
+      const db2 = new CSVDB(
+        "animal,family\ncat,feline\ndog,canine\nhorse,equine"
+      );
+
+      const query = db.query().join((rowA) => {
+        // RIGHT
+        if (!rowA) return [];
+        // INNER
+        return db2
+          .query()
+          .where((rowB) => rowB.animal === rowA.animal)
+          .toArray()
+          .map((rowB) => ({ ...rowA, ...rowB }));
+      });
+
+      expect(query.toArray()).toEqual([
+        { owner: "tom", animal: "cat", family: "feline" },
+        { owner: "dick", animal: "dog", family: "canine" },
+      ]);
+    });
+
+    test("left join", () => {
+      const db = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird");
+      const db2 = new CSVDB(
+        "animal,family\ncat,feline\ndog,canine\nhorse,equine"
+      );
+
+      const nullRow = (/** @type {CSVDB} */ db) =>
+        Object.fromEntries(db.headers.map((header) => [header, null]));
+
+      const query = db.query().join((rowA) => {
+        // RIGHT
+        if (!rowA) return [];
+
+        // INNER
+        const rows = db2
+          .query()
+          .where((rowB) => rowB.animal === rowA.animal)
+          .toArray();
+
+        if (rows.length > 0) {
+          return rows.map((rowB) => ({ ...rowA, ...rowB }));
+        }
+
+        // LEFT
+        return [{ ...nullRow(db2), ...rowA }];
+      });
+
+      expect(query.toArray()).toEqual([
+        { owner: "tom", animal: "cat", family: "feline" },
+        { owner: "dick", animal: "dog", family: "canine" },
+        { animal: "bird", family: null, owner: "harry" },
+      ]);
+    });
+
+    test("right join", () => {
+      const db = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird");
+      const db2 = new CSVDB(
+        "animal,family\ncat,feline\ndog,canine\nhorse,equine"
+      );
+      const nullRow = (db) =>
+        Object.fromEntries(db.headers.map((header) => [header, null]));
+      const set = new Set();
+      const query = db.query().join((rowA) => {
+        // RIGHT
+        if (!rowA) {
+          const innerSet = [...set];
+
+          return db2
+            .query()
+            .where((rowB) => !innerSet.includes(rowB.animal))
+            .toArray()
+            .map((rowB) => ({ ...nullRow(db), ...rowB }));
+        }
+
+        // Save the processed animals for later when we come to the right part
+        // of the join
+        set.add(rowA.animal);
+
+        // INNER
+        const rows = db2
+          .query()
+          .where((rowB) => rowB.animal === rowA.animal)
+          .toArray();
+
+        if (rows.length > 0) {
+          return rows.map((rowB) => ({ ...rowA, ...rowB }));
+        }
+
+        // LEFT
+        return [];
+      });
+
+      expect(query.toArray()).toEqual([
+        { owner: "tom", animal: "cat", family: "feline" },
+        { owner: "dick", animal: "dog", family: "canine" },
+        { owner: null, animal: "horse", family: "equine" },
+      ]);
+    });
+
+    test("full join", () => {
+      const db = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird");
+      const db2 = new CSVDB(
+        "animal,family\ncat,feline\ndog,canine\nhorse,equine"
+      );
+      const nullRow = (db) =>
+        Object.fromEntries(db.headers.map((header) => [header, null]));
+      const set = new Set();
+      const query = db.query().join((rowA) => {
+        // RIGHT
+        if (!rowA) {
+          const innerSet = [...set];
+          return db2
+            .query()
+            .where((rowB) => !innerSet.includes(rowB.animal))
+            .toArray()
+            .map((rowB) => ({ ...nullRow(db), ...rowB }));
+        }
+
+        // Save the processed animals for later when we come to the right part
+        // of the join
+        set.add(rowA.animal);
+
+        // INNER
+        const rows = db2
+          .query()
+          .where((rowB) => rowB.animal === rowA.animal)
+          .toArray();
+
+        if (rows.length > 0) {
+          return rows.map((rowB) => ({ ...rowA, ...rowB }));
+        }
+
+        // LEFT
+        return [{ ...nullRow(db2), ...rowA }];
+      });
+
+      expect(query.toArray()).toEqual([
+        { owner: "tom", animal: "cat", family: "feline" },
+        { owner: "dick", animal: "dog", family: "canine" },
+        { animal: "bird", family: null, owner: "harry" },
+        { owner: null, animal: "horse", family: "equine" },
+      ]);
+    });
+  });
+
+  describe("joinOn", () => {
+    test("string array", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+      const db2 = new CSVDB("i,j,k\n2,4,6\n3,6,9");
+      const results = db
+        .query()
+        .joinOn(
+          db2,
+          (rowA, rowB) =>
+            rowA.b === rowB.i || rowA.c === rowB.i || rowA.a === rowB.j
+        );
+
+      expect(results.toArray()).toEqual([
+        { a: "1", b: "2", c: "3", i: "2", j: "4", k: "6" },
+        { a: "1", b: "2", c: "3", i: "3", j: "6", k: "9" },
+        { a: "4", b: "5", c: "6", i: "2", j: "4", k: "6" },
+      ]);
+    });
+
+    test("reads the other table on each run", () => {
+      const db = new CSVDB("a\n1\n2");
+      const db2 = new CSVDB("a,b\n2,x");
+      const results = db
+        .query()
+        .joinOn(db2, { left: "a", right: "a" }, { type: "full" });
+
+      expect(results.toArray()).toEqual([
+        { a: "1", b: null },
+        { a: "2", b: "x" },
+      ]);
+
+      db2.insert({ a: "1", b: "y" });
+
+      expect(results.toArray()).toEqual([
+        { a: "1", b: "y" },
+        { a: "2", b: "x" },
+      ]);
+    });
+
+    describe("keys", () => {
+      const owners = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird");
+      const animals = new CSVDB(
+        "species,family\ncat,feline\ndog,canine\nhorse,equine\ncat,felis"
+      );
+      const keys = { left: "animal", right: "species" };
+
+      test("inner", () => {
+        const results = owners.query().joinOn(animals, keys);
+
+        expect(results.toArray()).toEqual([
+          { owner: "tom", animal: "cat", species: "cat", family: "feline" },
+          { owner: "tom", animal: "cat", species: "cat", family: "felis" },
+          { owner: "dick", animal: "dog", species: "dog", family: "canine" },
+        ]);
+      });
+
+      test("left", () => {
+        const results = owners
+          .query()
+          .joinOn(animals, keys, { type: "left" })
+          .select(["owner", "family"]);
+
+        expect(results.toArray()).toEqual([
+          { owner: "tom", family: "feline" },
+          { owner: "tom", family: "felis" },
+          { owner: "dick", family: "canine" },
+          { owner: "harry", family: null },
+        ]);
+      });
+
+      test("right", () => {
+        const results = owners
+          .query()
+          .joinOn(animals, keys, { type: "right" })
+          .select(["owner", "family"]);
+
+        expect(results.toArray()).toEqual([
+          { owner: "tom", family: "feline" },
+          { owner: "tom", family: "felis" },
+          { owner: "dick", family: "canine" },
+          { owner: null, family: "equine" },
+        ]);
+      });
+
+      test("full", () => {
+        const results = owners
+          .query()
+          .joinOn(animals, keys, { type: "full" })
+          .select(["owner", "family"]);
+
+        const expected = [
+          { owner: "tom", family: "feline" },
+          { owner: "tom", family: "felis" },
+          { owner: "dick", family: "canine" },
+          { owner: "harry", family: null },
+          { owner: null, family: "equine" },
+        ];
+
+        expect(results.toArray()).toEqual(expected);
+        // Can be iterated more than once
+        expect(results.toArray()).toEqual(expected);
+      });
+
+      test("semi", () => {
+        const results = owners.query().joinOn(animals, keys, { type: "semi" });
+
+        expect(results.toArray()).toEqual([
+          { owner: "tom", animal: "cat" },
+          { owner: "dick", animal: "dog" },
+        ]);
+      });
+
+      test("anti", () => {
+        const results = owners.query().joinOn(animals, keys, { type: "anti" });
+
+        expect(results.toArray()).toEqual([{ owner: "harry", animal: "bird" }]);
+      });
+
+      test("multiple columns", () => {
+        const db = new CSVDB("a,b,x\n1,1,p\n1,2,q\n2,1,r");
+        const db2 = new CSVDB("c,d,y\n1,2,s\n2,1,t\n,1,u");
+        const results = db
+          .query()
+          .joinOn(db2, { left: ["a", "b"], right: ["c", "d"] })
+          .select(["x", "y"]);
+
+        expect(results.toArray()).toEqual([
+          { x: "q", y: "s" },
+          { x: "r", y: "t" },
+        ]);
+      });
+
+      test("functions", () => {
+        const db = new CSVDB("a\n1\n2", { schema: { a: "number" } });
+        const db2 = new CSVDB("b\n01\n3");
+        const results = db
+          .query()
+          .joinOn(db2, { left: "a", right: (row) => +row.b });
+
+        expect(results.toArray()).toEqual([{ a: 1, b: "01" }]);
+      });
+
+      test("null keys don't match", () => {
+        const db = new CSVDB("a\n\n1", { schema: { a: "integer" } });
+        const db2 = new CSVDB("b\n\n1", { schema: { b: "integer" } });
+        const results = db.query().joinOn(db2, { left: "a", right: "b" });
+
+        expect(results.toArray()).toEqual([{ a: 1, b: 1 }]);
+      });
+
+      test("index of the other db", () => {
+        const species = new CSVDB(
+          "species,family\ncat,feline\ndog,canine\ncat,felis"
+        ).createIndex("species");
+        const results = owners.query().joinOn(species, keys, { type: "full" });
+
+        expect(results.toArray()).toEqual([
+          { owner: "tom", animal: "cat", species: "cat", family: "feline" },
+          { owner: "tom", animal: "cat", species: "cat", family: "felis" },
+          { owner: "dick", animal: "dog", species: "dog", family: "canine" },
+          { owner: "harry", animal: "bird", species: null, family: null },
+        ]);
+      });
+    });
+
+    test("callback with join type", () => {
+      const db = new CSVDB("a\n1\n2");
+      const db2 = new CSVDB("b\n1\n3");
+      const results = db
+        .query()
+        .joinOn(db2, (rowA, rowB) => rowA.a === rowB.b, { type: "full" });
+
+      expect(results.toArray()).toEqual([
+        { a: "1", b: "1" },
+        { a: "2", b: null },
+        { a: null, b: "3" },
+      ]);
+    });
+
+    test("unmatched rows have the same columns in the same order", () => {
+      const db = new CSVDB("id,x\n1,p\n2,q");
+      const db2 = new CSVDB("aid,y\n2,r\n3,s");
+      const query = db
+        .query()
+        .joinOn(db2, { left: "id", right: "aid" }, { type: "full" });
+
+      expect(query.toArray().map((row) => Object.keys(row))).toEqual([
+        ["id", "x", "aid", "y"],
+        ["id", "x", "aid", "y"],
+        ["id", "x", "aid", "y"],
+      ]);
+      expect(query.toCSV().split("\r\n")[0]).toBe("id,x,aid,y");
+
+      const empty = new CSVDB("id,x");
+      expect(
+        empty
+          .query()
+          .joinOn(db2, { left: "id", right: "aid" }, { type: "right" })
+          .toArray()
+      ).toEqual([
+        { id: null, x: null, aid: "2", y: "r" },
+        { id: null, x: null, aid: "3", y: "s" },
+      ]);
+    });
+
+    test("aliases", () => {
+      const db = new CSVDB("id,name\n1,Current\n2,Savings");
+      const results = db
+        .query()
+        .joinOn(
+          db,
+          { left: "id", right: "id" },
+          { type: "left", leftAlias: "a", alias: "b" }
+        );
+
+      expect(results.toArray()).toEqual([
+        { "a.id": "1", "a.name": "Current", "b.id": "1", "b.name": "Current" },
+        { "a.id": "2", "a.name": "Savings", "b.id": "2", "b.name": "Savings" },
+      ]);
+    });
+
+    test("alias in null row", () => {
+      const db = new CSVDB("id\n1\n2");
+      const db2 = new CSVDB("id\n1");
+      const results = db
+        .query()
+        .joinOn(db2, { left: "id", right: "id" }, { type: "left", alias: "b" });
+
+      expect(results.toArray()).toEqual([
+        { id: "1", "b.id": "1" },
+        { id: "2", "b.id": null },
+      ]);
+    });
+
+    test("bad join type", () => {
+      const db = new CSVDB("a\n1");
+
+      expect(() => db.query().joinOn(db, undefined, { type: "outer" })).toThrow(
+        "Bad Join Type: outer"
+      );
+    });
+  });
+
+  describe("where", () => {
+    test("filters rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+      const query = db.query().where((r) => r.a === "1");
+
+      expect(query.toArray()).toEqual([{ a: "1", b: "2", c: "3" }]);
+    });
+  });
+
+  describe("whereEq", () => {
+    const rows = [
+      { id: 1, type: "a", date: new Date(2023, 0, 1) },
+      { id: 2, type: "b", date: new Date(2023, 0, 2) },
+      { id: 3, type: "a", date: null },
+    ];
+
+    test.each([false, true])("with index: %s", (indexed) => {
+      const db = CSVDB.fromJSON(rows);
+      if (indexed) {
+        db.createIndex("type").createIndex(["type", "id"]);
+        db.createIndex("date");
+      }
+
+      expect(db.query().whereEq("type", "a").toArray()).toEqual([
+        rows[0],
+        rows[2],
+      ]);
+      expect(db.query().whereEq(["type", "id"], ["a", 3]).toArray()).toEqual([
+        rows[2],
+      ]);
+      expect(
+        db.query().whereEq("date", new Date(2023, 0, 2)).toArray()
+      ).toEqual([rows[1]]);
+      expect(db.query().whereEq("date", null).toArray()).toEqual([]);
+      expect(db.query().whereEq("type", "c").toArray()).toEqual([]);
+    });
+
+    test("uses the index", () => {
+      const db = CSVDB.fromJSON([{ id: 1 }, { id: 2 }]).createIndex("id");
+
+      // Changing a row directly doesn't update the index
+      db.query().whereEq("id", 1).getNextRow().id = 3;
+
+      expect(db.query().whereEq("id", 3).toArray()).toEqual([]);
+      expect(
+        db
+          .query()
+          .where(() => true)
+          .whereEq("id", 3)
+          .toArray()
+      ).toEqual([{ id: 3 }]);
+    });
+
+    test("converts strings by the schema", () => {
+      const db = new CSVDB("id\n1\n2", { schema: { id: "integer" } });
+
+      expect(db.query().whereEq("id", "2").toArray()).toEqual([{ id: 2 }]);
+    });
+
+    test("checks the number of values", () => {
+      const db = new CSVDB("a,b\n1,2");
+
+      expect(() => db.query().whereEq(["a", "b"], ["1"])).toThrow(
+        "Bad Key: expected 2 values"
+      );
+    });
+  });
+
+  describe("whereBetween", () => {
+    test.each([false, true])("with index: %s", (indexed) => {
+      const db = new CSVDB(
+        "d,n\n2023-01-05,5\n2023-02-01,10\n,7\n2023-01-20,2",
+        {
+          schema: { d: "date", n: "number" },
+        }
+      );
+      if (indexed) {
+        db.createIndex("d").createIndex("n");
+      }
+
+      expect(
+        db
+          .query()
+          .whereBetween("d", "2023-01-01", "2023-01-31")
+          .select(["n"])
+          .toArray()
+      ).toEqual([{ n: 5 }, { n: 2 }]);
+      expect(
+        db.query().whereBetween("n", 5, 7).select(["n"]).toArray()
+      ).toEqual([{ n: 5 }, { n: 7 }]);
+      expect(db.query().whereBetween("n", null, 7).toArray()).toEqual([]);
+    });
+  });
+
+  describe("groupBy", () => {
+    test("groups rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6\n1,3,5");
+      const query = db
+        .query()
+        .groupBy((row) => row.a)
+        .select(["a", "COUNT(*)"]);
+
+      expect(query.toArray()).toEqual([
+        { a: "1", "COUNT(*)": 2 },
+        { a: "4", "COUNT(*)": 1 },
+      ]);
+    });
+
+    test("groups rows by multiple keys", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6\n1,3,5\n1,2,4");
+      const query = db
+        .query()
+        .groupBy(["a", (row) => row.b])
+        .select(["a", "b", "COUNT(*)"]);
+
+      expect(query.toArray()).toEqual([
+        { a: "1", b: "2", "COUNT(*)": 2 },
+        { a: "4", b: "5", "COUNT(*)": 1 },
+        { a: "1", b: "3", "COUNT(*)": 1 },
+      ]);
+    });
+
+    test("groups all rows with an empty key list", () => {
+      const db = new CSVDB("a,b,c");
+      const query = db
+        .query()
+        .groupBy([])
+        .select({ count: (row, i, group) => group.length });
+
+      expect(query.toArray()).toEqual([{ count: 0 }]);
+    });
+
+    const sales = new CSVDB(
+      "Year,Type,Amount\n2022,a,1\n2022,b,2\n2023,a,4\n2023,,8",
+      { schema: { Amount: "number" }, nullValues: [""] }
+    );
+
+    test("rollup", () => {
+      const query = sales
+        .query()
+        .groupBy(rollup(["Year", "Type"]))
+        .select({
+          Year: "Year",
+          Type: "Type",
+          total: "SUM(Amount)",
+          g: "GROUPING(Year, Type)",
+        });
+
+      expect(query.toArray()).toEqual([
+        { Year: "2022", Type: "a", total: 1, g: 0 },
+        { Year: "2022", Type: "b", total: 2, g: 0 },
+        { Year: "2023", Type: "a", total: 4, g: 0 },
+        { Year: "2023", Type: null, total: 8, g: 0 },
+        { Year: "2022", Type: null, total: 3, g: 1 },
+        { Year: "2023", Type: null, total: 12, g: 1 },
+        { Year: null, Type: null, total: 15, g: 3 },
+      ]);
+    });
+
+    test("cube", () => {
+      const query = sales
+        .query()
+        .groupBy(cube(["Year", "Type"]))
+        .select({ Year: "Year", Type: "Type", n: "COUNT(*)" })
+        .having("GROUPING(Year) = 1");
+
+      expect(query.toArray()).toEqual([
+        { Year: null, Type: "a", n: 2 },
+        { Year: null, Type: "b", n: 1 },
+        { Year: null, Type: null, n: 1 },
+        { Year: null, Type: null, n: 4 },
+      ]);
+    });
+
+    test("grouping sets combined with other keys", () => {
+      const query = sales
+        .query()
+        .groupBy(["Year", groupingSets(["Type", []])])
+        .select({ Year: "Year", Type: "Type", n: "COUNT(*)" })
+        .having("GROUPING(Type) = 1");
+
+      expect(query.toArray()).toEqual([
+        { Year: "2022", Type: null, n: 2 },
+        { Year: "2023", Type: null, n: 2 },
+      ]);
+    });
+
+    test("rolls up expressions and functions", () => {
+      const query = sales
+        .query()
+        .groupBy(rollup(["Year % 2", (row) => row.Type]))
+        .select({
+          odd: "Year % 2",
+          next: "Year % 2 + 1",
+          n: "COUNT(*)",
+        });
+
+      expect(query.toArray().slice(-3)).toEqual([
+        { odd: 0, next: 1, n: 2 },
+        { odd: 1, next: 2, n: 2 },
+        { odd: null, next: null, n: 4 },
+      ]);
+    });
+
+    test("explains grouping sets", () => {
+      const query = sales.query().groupBy(rollup(["Year", "Type"]));
+
+      expect(query.explain().stages[1].detail).toBe(
+        "GROUPING SETS ((Year, Type), (Year), ())"
+      );
+    });
+  });
+
+  describe("having", () => {
+    const db = new CSVDB("a,b\n1,2\n1,3\n2,4\n3,5\n3,1", {
+      schema: { b: "number" },
+    });
+
+    test("aggregate expression", () => {
+      const query = db
+        .query()
+        .groupBy("a")
+        .select({ a: "a", total: "SUM(b)" })
+        .having("COUNT(*) > 1");
+
+      expect(query.toArray()).toEqual([
+        { a: "1", total: 5 },
+        { a: "3", total: 6 },
+      ]);
+    });
+
+    test("output column in expression", () => {
+      const query = db
+        .query()
+        .groupBy("a")
+        .select({ a: "a", total: "SUM(b)" })
+        .having("total < 6");
+
+      expect(query.toArray()).toEqual([
+        { a: "1", total: 5 },
+        { a: "2", total: 4 },
+      ]);
+    });
+
+    test("callback", () => {
+      const query = db
+        .query()
+        .groupBy("a")
+        .select({ a: "a", total: "SUM(b)" })
+        .having((row, group) => row.total > 4 && group.length === 2)
+        .having((row) => row.a !== "3");
+
+      expect(query.toArray()).toEqual([{ a: "1", total: 5 }]);
+    });
+
+    test("applied before offset and fetch first", () => {
+      const query = db
+        .query()
+        .groupBy("a")
+        .select(["a"])
+        .having("MAX(b) > 2")
+        .offset(1)
+        .fetchFirst(1);
+
+      expect(query.toArray()).toEqual([{ a: "2" }]);
+    });
+
+    test("without groupBy", () => {
+      const query = db.query().select(["COUNT(*)"]).having("SUM(b) > 100");
+
+      expect(query.toArray()).toEqual([]);
+
+      const query2 = db.query().having("SUM(b) > 10");
+
+      expect(query2.toArray()).toEqual([{ a: "1", b: 2 }]);
+    });
+  });
+
+  describe("select", () => {
+    test("string array", () => {
+      const db = new CSVDB("a,b,c\n1,2,3");
+      const query = db.query().select(["c", "a"]);
+
+      expect(query.toArray()).toEqual([{ c: "3", a: "1" }]);
+    });
+
+    test("object", () => {
+      const db = new CSVDB("a,b,c\n1,2,3");
+      const query = db.query().select({ col1: "a", col2: (r) => +r.b + +r.c });
+
+      expect(query.toArray()).toEqual([{ col1: "1", col2: 5 }]);
+    });
+
+    test("over clause with window spec object", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n2,4,6\n1,3,5");
+      const query = db
+        .query()
+        .select({
+          col1: "a",
+          col2: ["COUNT(*)", { partitionBy: "a" }],
+        })
+        .fetchFirst(2);
+
+      expect(query.toArray()).toEqual([
+        { col1: "1", col2: 2 },
+        { col1: "2", col2: 1 },
+      ]);
+    });
+
+    test("over clause with named window", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n2,4,6\n1,3,5");
+      const query = db
+        .query()
+        .window("win1", { partitionBy: "a" })
+        .select({
+          col1: "a",
+          col2: ["COUNT(*)", "win1"],
+        })
+        .fetchFirst(2);
+
+      expect(query.toArray()).toEqual([
+        { col1: "1", col2: 2 },
+        { col1: "2", col2: 1 },
+      ]);
+    });
+  });
+
+  describe("orderBy", () => {
+    test("sorts rows by custom function", () => {
+      const query = new CSVDB("n\n1\n2\n10").query();
+
+      query.orderBy((a, b) => (+a.n % 2) - (+b.n % 2));
+
+      expect(query.toArray()).toEqual([{ n: "2" }, { n: "10" }, { n: "1" }]);
+    });
+
+    test("sorts rows by field name alphabetically", () => {
+      const query = new CSVDB("n\n1\n2\n10").query();
+
+      query.orderBy("n");
+
+      expect(query.toArray()).toEqual([{ n: "1" }, { n: "10" }, { n: "2" }]);
+    });
+
+    test("sorts rows by field name numerically ascending", () => {
+      const query = new CSVDB("n\n1\n2\n10").query();
+
+      query.orderBy("+n");
+
+      expect(query.toArray()).toEqual([{ n: "1" }, { n: "2" }, { n: "10" }]);
+    });
+
+    test("sorts rows by field name numerically descending", () => {
+      const query = new CSVDB("n\n1\n2\n10").query();
+
+      query.orderBy("-n");
+
+      expect(query.toArray()).toEqual([{ n: "10" }, { n: "2" }, { n: "1" }]);
+    });
+
+    test("sorts rows by multiple keys", () => {
+      const query = new CSVDB("t,n\nb,1\na,2\na,10\nb,3").query();
+
+      query.orderBy(["t", { key: "n", direction: "desc", compare: "numeric" }]);
+
+      expect(query.toArray()).toEqual([
+        { t: "a", n: "10" },
+        { t: "a", n: "2" },
+        { t: "b", n: "3" },
+        { t: "b", n: "1" },
+      ]);
+    });
+
+    test("places nulls", () => {
+      const db = new CSVDB("n,i\n2,a\n,b\n1,c\nx,d");
+
+      expect(
+        db
+          .query()
+          .orderBy({ key: "n", compare: "numeric" })
+          .toArray()
+          .map((r) => r.n)
+      ).toEqual(["1", "2", "", "x"]);
+
+      expect(
+        db
+          .query()
+          .orderBy({ key: "n", compare: "numeric", direction: "desc" })
+          .toArray()
+          .map((r) => r.n)
+      ).toEqual(["2", "1", "", "x"]);
+
+      expect(
+        db
+          .query()
+          .orderBy({ key: "n", compare: "numeric", nulls: "first" })
+          .toArray()
+          .map((r) => r.n)
+      ).toEqual(["", "x", "1", "2"]);
+    });
+
+    test("compares typed values by default", () => {
+      const db = new CSVDB("n,d\n10,2023-06-15\n,2023-01-01\n9,", {
+        schema: { n: "number", d: "date" },
+      });
+
+      expect(
+        db
+          .query()
+          .orderBy({ key: "n" })
+          .toArray()
+          .map((r) => r.n)
+      ).toEqual([9, 10, null]);
+
+      expect(
+        db
+          .query()
+          .orderBy({ key: "d", direction: "desc" })
+          .toArray()
+          .map((r) => r.n)
+      ).toEqual([10, null, 9]);
+    });
+
+    test("compares dates", () => {
+      const query = new CSVDB("d\n15-Jun-2023\n2023-01-01\n1-Jan-2022").query();
+
+      query.orderBy({ key: "d", compare: "date" });
+
+      expect(query.toArray()).toEqual([
+        { d: "1-Jan-2022" },
+        { d: "2023-01-01" },
+        { d: "15-Jun-2023" },
+      ]);
+    });
+
+    test("compares naturally", () => {
+      const query = new CSVDB("f\nfile10\nfile2\nFile1").query();
+
+      query.orderBy({
+        key: "f",
+        compare: "natural",
+        locale: "en",
+        collation: { sensitivity: "base" },
+      });
+
+      expect(query.toArray()).toEqual([
+        { f: "File1" },
+        { f: "file2" },
+        { f: "file10" },
+      ]);
+    });
+
+    test("uses a key function", () => {
+      const query = new CSVDB("n\n-3\n1\n-2").query();
+
+      query.orderBy({ key: (row) => Math.abs(row.n), compare: "numeric" });
+
+      expect(query.toArray()).toEqual([{ n: "1" }, { n: "-2" }, { n: "-3" }]);
+    });
+
+    test("is stable", () => {
+      const query = new CSVDB("k,i\n1,a\n0,b\n1,c\n0,d\n1,e").query();
+
+      query.orderBy({ key: "k", compare: "numeric", direction: "desc" });
+
+      expect(query.toArray().map((r) => r.i)).toEqual([
+        "a",
+        "c",
+        "e",
+        "b",
+        "d",
+      ]);
+    });
+
+    test("sorts by alias", () => {
+      const query = new CSVDB("n\n1\n2\n3").query();
+
+      query.select({ m: (row) => -row.n }).orderBy("+m");
+
+      expect(query.toArray()).toEqual([{ m: -3 }, { m: -2 }, { m: -1 }]);
+    });
+
+    test("sorts by column which isn't selected", () => {
+      const query = new CSVDB("n,m\n1,b\n2,a\n3,c").query();
+
+      query.select(["n"]).orderBy("m");
+
+      expect(query.toArray()).toEqual([{ n: "2" }, { n: "1" }, { n: "3" }]);
+    });
+
+    test("sorts by aggregate", () => {
+      const query = new CSVDB("a,b\n1,2\n2,5\n1,4\n3,1").query();
+
+      query
+        .groupBy("a")
+        .select({ a: "a", total: "SUM(b)" })
+        .orderBy({ key: "total", direction: "desc" })
+        .offset(1)
+        .fetchFirst(1);
+
+      expect(query.toArray()).toEqual([{ a: "2", total: 5 }]);
+    });
+
+    test("sorts before distinct", () => {
+      const query = new CSVDB("a,b\n1,2\n2,5\n1,4\n3,1").query();
+
+      query.select(["a"]).distinct().orderBy("-a").fetchFirst(2);
+
+      expect(query.toArray()).toEqual([{ a: "3" }, { a: "2" }]);
+    });
+
+    test("sorts input", () => {
+      const query = new CSVDB("a,b\n1,2\n2,5\n1,4\n1,3").query();
+
+      query
+        .groupBy("a")
+        .select({ a: "a", list: "LISTAGG(b)" })
+        .orderBy("-b", { input: true })
+        .orderBy("a");
+
+      expect(query.toArray()).toEqual([
+        { a: "1", list: "4,3,2" },
+        { a: "2", list: "5" },
+      ]);
+    });
+
+    test("bad compare", () => {
+      const query = new CSVDB("n\n1").query();
+
+      expect(() => query.orderBy({ key: "n", compare: "binary" })).toThrow(
+        "Bad Compare: binary"
+      );
+    });
+  });
+
+  describe("offset", () => {
+    test("skip rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+      const query = db.query().offset(1);
+
+      expect(query.toArray()).toEqual([{ a: "4", b: "5", c: "6" }]);
+    });
+  });
+
+  describe("fetch first", () => {
+    test("limits rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6\n7,8,9");
+      const query = db.query().fetchFirst(2);
+
+      expect(query.toArray()).toEqual([
+        { a: "1", b: "2", c: "3" },
+        { a: "4", b: "5", c: "6" },
+      ]);
+    });
+  });
+
+  describe("window", () => {
+    test("defines windows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n2,4,6\n1,3,5");
+      const query = db
+        .query()
+        .window("win1", { partitionBy: "a" })
+        .window("win2", { partitionBy: "b" })
+        .select({
+          a: "a",
+          count: "COUNT(*) OVER win1",
+        });
+
+      expect(query.toArray()).toEqual([
+        { a: "1", count: 2 },
+        { a: "2", count: 1 },
+        { a: "1", count: 2 },
+      ]);
+    });
+
+    test("follows filters", () => {
+      const db = new CSVDB("a,b\n1,2\n1,4\n2,3");
+      const query = db
+        .query()
+        .where("b > 2")
+        .select({ a: "a", n: "ROW_NUMBER() OVER ()" });
+
+      expect(query.toArray()).toEqual([
+        { a: "1", n: 1 },
+        { a: "2", n: 2 },
+      ]);
+    });
+
+    test("defines windows inline", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n2,4,6\n1,3,5", { name: "data" });
+      const query = db.query().select({
+        a: "a",
+        s: "SUM(b) OVER (PARTITION BY a)",
+        n: "ROW_NUMBER() OVER (PARTITION BY a ORDER BY c DESC)",
+      });
+
+      expect(query.toArray()).toEqual([
+        { a: "1", s: 5, n: 2 },
+        { a: "2", s: 4, n: 1 },
+        { a: "1", s: 5, n: 1 },
+      ]);
+      expect(query.toArray()).toEqual(
+        db
+          .sql(
+            "SELECT a, SUM(b) OVER (PARTITION BY a) AS s, ROW_NUMBER() OVER (PARTITION BY a ORDER BY c DESC) AS n FROM data"
+          )
+          .toArray()
+      );
+
+      expect(() =>
+        db.query().select({ s: "SUM(b) OVER (PARTITION BY a) * 2" })
+      ).toThrow("Unsupported: window function inside an expression");
+    });
+  });
+
+  describe("distinct", () => {
+    test("ensures results are a true set", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n1,2,4\n1,2,3");
+      const query = db.query().distinct();
+
+      expect(query.toArray()).toEqual([
+        { a: "1", b: "2", c: "3" },
+        { a: "1", b: "2", c: "4" },
+      ]);
+    });
+
+    test("compares values as they're stored", () => {
+      const query = new CSVDBQuery([
+        { a: 1, b: null },
+        { b: null, a: 1 },
+        { a: "1", b: null },
+        { a: 1 },
+        { a: new Date(2023, 0, 1), b: null },
+        { a: new Date(2023, 0, 1), b: null },
+      ]).distinct();
+
+      expect(query.toArray()).toEqual([
+        { a: 1, b: null },
+        { a: "1", b: null },
+        { a: 1 },
+        { a: new Date(2023, 0, 1), b: null },
+      ]);
+    });
+
+    test("can be turned off", () => {
+      const db = new CSVDB("a\n1\n1");
+
+      expect(db.query().distinctOn("a").distinct(false).toArray()).toHaveLength(
+        2
+      );
+    });
+  });
+
+  describe("distinctOn", () => {
+    const db = new CSVDB("name,team,score\nann,x,3\nbob,y,5\nann,x,7\nbob,x,4");
+
+    test("keeps the first row of each key", () => {
+      const query = db.query().orderBy("-score").distinctOn("name");
+
+      expect(query.toArray()).toEqual([
+        { name: "ann", team: "x", score: "7" },
+        { name: "bob", team: "y", score: "5" },
+      ]);
+    });
+
+    test("compares several columns", () => {
+      const query = db
+        .query()
+        .select(["name", "team"])
+        .distinctOn(["name", "team"]);
+
+      expect(query.toArray()).toEqual([
+        { name: "ann", team: "x" },
+        { name: "bob", team: "y" },
+        { name: "bob", team: "x" },
+      ]);
+    });
+  });
+
+  describe("pivot", () => {
+    const db = new CSVDB(
+      "Year,Month,Type,Amount\n2022,1,a,5\n2022,1,b,2\n2023,1,a,3\n2022,2,a,1",
+      { schema: { Amount: "number" } }
+    );
+
+    test("aggregates values into a column for each value", () => {
+      const query = db.query().pivot({
+        rows: "Year",
+        columns: "Type",
+        values: "Amount",
+        aggregate: "SUM",
+      });
+
+      expect(query.toArray()).toEqual([
+        { Year: "2022", a: 6, b: 2 },
+        { Year: "2023", a: 3, b: null },
+      ]);
+    });
+
+    test("counts rows without values", () => {
+      const query = db
+        .query()
+        .pivot({ rows: ["Year", "Month"], columns: "Type" });
+
+      expect(query.toArray()).toEqual([
+        { Year: "2022", Month: "1", a: 1, b: 1 },
+        { Year: "2023", Month: "1", a: 1, b: 0 },
+        { Year: "2022", Month: "2", a: 1, b: 0 },
+      ]);
+    });
+
+    test("columns follow the order of this query", () => {
+      const query = db
+        .query()
+        .orderBy("-Amount")
+        .pivot({ columns: "Year", values: "Amount", aggregate: "max" });
+
+      const rows = query.toArray();
+      expect(rows).toEqual([{ 2022: 5, 2023: 3 }]);
+      expect(Object.keys(rows[0])).toEqual(["2022", "2023"]);
+    });
+
+    test("can be queried further", () => {
+      const query = db
+        .query()
+        .where("Month = 1")
+        .pivot({ rows: "Year", columns: "Type", values: "Amount" })
+        .where((row) => row.b === null);
+
+      expect(query.toArray()).toEqual([{ Year: "2023", a: 3, b: null }]);
+    });
+
+    test("checks the aggregate", () => {
+      expect(() =>
+        db.query().pivot({ columns: "Type", values: "Amount", aggregate: "NO" })
+      ).toThrow("Bad Func: NO");
+      expect(() =>
+        db.query().pivot({ columns: "Type", aggregate: "AVG" })
+      ).toThrow("Bad Pivot: AVG needs values");
+    });
+  });
+
+  describe("unpivot", () => {
+    const db = new CSVDB("Year,a,b\n2022,6,2\n2023,3,", {
+      schema: { a: "number", b: "number" },
+    });
+
+    test("turns columns into rows", () => {
+      const query = db.query().unpivot({
+        columns: ["a", "b"],
+        nameColumn: "Type",
+        valueColumn: "Amount",
+      });
+
+      expect(query.toArray()).toEqual([
+        { Year: "2022", Type: "a", Amount: 6 },
+        { Year: "2022", Type: "b", Amount: 2 },
+        { Year: "2023", Type: "a", Amount: 3 },
+      ]);
+    });
+
+    test("includes nulls", () => {
+      const query = db
+        .query()
+        .unpivot({ columns: ["a", "b"], includeNulls: true });
+
+      expect(query.toArray()).toHaveLength(4);
+      expect(query.toArray()[3]).toEqual({
+        Year: "2023",
+        name: "b",
+        value: null,
+      });
+    });
+
+    test("reverses pivot", () => {
+      const query = db
+        .query()
+        .unpivot({ columns: ["a", "b"] })
+        .pivot({ rows: "Year", columns: "name", values: "value" });
+
+      expect(query.toArray()).toEqual([
+        { Year: "2022", a: 6, b: 2 },
+        { Year: "2023", a: 3, b: null },
+      ]);
+    });
+  });
+
+  describe("subqueries", () => {
+    const db = new CSVDB("Type,Amount\na,1\na,3\nb,5\nc,2", {
+      schema: { Amount: "number" },
+    });
+    const types = new CSVDB("Type,Name\na,Apple\nb,Banana");
+
+    test("scalar", () => {
+      const query = db.query().select({
+        Amount: "Amount",
+        max: scalar((outer) =>
+          db
+            .query()
+            .where((r) => r.Type === outer.Type)
+            .select(["MAX(Amount)"])
+        ),
+        name: scalar((outer) =>
+          types
+            .query()
+            .where((r) => r.Type === outer.Type)
+            .select(["Name"])
+        ),
+      });
+
+      expect(query.toArray()).toEqual([
+        { Amount: 1, max: 3, name: "Apple" },
+        { Amount: 3, max: 3, name: "Apple" },
+        { Amount: 5, max: 5, name: "Banana" },
+        { Amount: 2, max: 2, name: null },
+      ]);
+    });
+
+    test("scalar needs one column and row", () => {
+      expect(() =>
+        db
+          .query()
+          .select({ x: scalar(types) })
+          .toArray()
+      ).toThrow("Bad Subquery: 2 columns instead of 1");
+      expect(() =>
+        db
+          .query()
+          .select({ x: scalar(types.query().select(["Name"])) })
+          .toArray()
+      ).toThrow("Bad Subquery: more than one row");
+    });
+
+    test("exists", () => {
+      const query = db
+        .query()
+        .where(
+          exists((outer) => types.query().where((r) => r.Type === outer.Type))
+        )
+        .select(["Amount"]);
+
+      expect(query.toArray()).toEqual([
+        { Amount: 1 },
+        { Amount: 3 },
+        { Amount: 5 },
+      ]);
+    });
+
+    test("isIn", () => {
+      const query = db
+        .query()
+        .where(isIn("Type", types.query().select(["Type"])))
+        .select(["Amount"]);
+
+      expect(query.toArray()).toEqual([
+        { Amount: 1 },
+        { Amount: 3 },
+        { Amount: 5 },
+      ]);
+
+      expect(
+        db
+          .query()
+          .where(isIn((row) => row.Amount - 1, [{ n: "2" }, { n: null }]))
+          .toArray()
+      ).toEqual([{ Type: "a", Amount: 3 }]);
+    });
+  });
+
+  describe("explain", () => {
+    const db = new CSVDB("a,b\n1,2\n1,4\n2,3\n3,5");
+
+    test("lists the stages in order", () => {
+      const plan = db
+        .query()
+        .where("b > 2")
+        .groupBy("a")
+        .select({ a: "a", total: "SUM(b)" })
+        .orderBy("-total")
+        .fetchFirst(1)
+        .explain();
+
+      expect(plan.stages).toEqual([
+        { type: "source", detail: "CSVDB, 4 rows", materialises: false },
+        { type: "filter", detail: "b > 2", materialises: false },
+        { type: "group", detail: "a", materialises: true },
+        { type: "projection", detail: "a, total", materialises: false },
+        { type: "sort", detail: "-total", materialises: true },
+        { type: "limit", detail: "1", materialises: false },
+      ]);
+    });
+
+    test("draws a tree", () => {
+      const plan = db
+        .query()
+        .orderBy("b", { input: true })
+        .select({ a: "a", n: "ROW_NUMBER() OVER ()" })
+        .query()
+        .distinct()
+        .explain();
+
+      expect(String(plan)).toBe(
+        [
+          "Distinct (streams)",
+          "└─ Projection: * (streams)",
+          "   └─ Source: query (streams)",
+          "      └─ Projection: a, n (streams)",
+          "         └─ Window: n (materialises)",
+          "            └─ Sort: b (materialises)",
+          "               └─ Source: CSVDB, 4 rows (streams)",
+        ].join("\n")
+      );
+    });
+
+    test("shows joins and indexes", () => {
+      const other = new CSVDB("a,c\n1,x\n2,y").createIndex("a");
+      const plan = new CSVDB("a,b\n1,2")
+        .createIndex("b")
+        .query()
+        .whereEq("b", "2")
+        .joinOn(other, { left: "a", right: "a" }, { type: "left" })
+        .explain();
+
+      expect(plan.stages.slice(0, 3)).toEqual([
+        { type: "source", detail: "CSVDB, 1 rows", materialises: false },
+        {
+          type: "join",
+          detail: "left, a = a, index of other",
+          materialises: false,
+        },
+        { type: "filter", detail: 'b = "2"', materialises: false },
+      ]);
+
+      const indexed = db.query().whereBetween("a", "1", "2");
+      db.createIndex("a");
+
+      expect(indexed.explain().stages[0].detail).toBe("CSVDB, index on a");
+      expect(indexed.explain().stages[1].detail).toBe('a BETWEEN "1" AND "2"');
+
+      db.dropIndex("a");
+    });
+
+    test("analyze counts rows", () => {
+      const plan = db
+        .query()
+        .where("b > 2")
+        .select({ a: "a" })
+        .distinct()
+        .fetchFirst(1)
+        .explain({ analyze: true });
+
+      // The limit stops the query after the first row
+      expect(plan.stages.map((stage) => [stage.type, stage.rows])).toEqual([
+        ["source", 2],
+        ["filter", 1],
+        ["projection", 1],
+        ["distinct", 1],
+        ["limit", 1],
+      ]);
+
+      for (const stage of plan.stages) {
+        expect(stage.time).toBeGreaterThanOrEqual(0);
+      }
+
+      expect(String(plan)).toMatch(
+        /^Limit: 1 \(streams, rows=1, time=\d+\.\d{3}ms\)\n/
+      );
+    });
+
+    test("analyze counts the rows of queries it reads from", () => {
+      const inner = db.query().groupBy("a").select({ a: "a", n: "COUNT(*)" });
+      const plan = inner.query().where("n > 1").explain({ analyze: true });
+
+      expect(plan.stages[0].rows).toBe(3);
+      expect(plan.stages[0].input.stages.map((stage) => stage.rows)).toEqual([
+        4, 3, 3,
+      ]);
+      expect(plan.stages[1].rows).toBe(1);
+
+      // Running the query again doesn't record anything
+      inner.toArray();
+      expect(plan.stages[0].input.stages[0].rows).toBe(4);
+    });
+
+    test("analyze only records its own run", () => {
+      const inner = new CSVDB("a\n1\n2\n3").query();
+      // Each row runs the inner query again, separately
+      const query = inner.query().where(() => inner.toArray().length > 0);
+      const plan = query.explain({ analyze: true });
+
+      expect(plan.stages[0].rows).toBe(3);
+      expect(plan.stages[0].input.stages[0].rows).toBe(3);
+      expect(query.toArray()).toHaveLength(3);
+    });
+
+    test("can't analyze an async source", () => {
+      const query = new CSVDBQuery(
+        (async function* () {
+          yield { a: 1 };
+        })()
+      );
+
+      expect(query.explain().stages[0].detail).toBe("async iterable");
+      expect(() => query.explain({ analyze: true })).toThrow("Bad Explain");
+    });
+  });
+
+  describe("getNextRow", () => {
+    test("gets rows one by one", () => {
+      const query = new CSVDB("a,b,c\n1,2,3\n4,5,6\n7,8,9").query();
+
+      expect(query.getNextRow()).toEqual({ a: "1", b: "2", c: "3" });
+      expect(query.getNextRow()).toEqual({ a: "4", b: "5", c: "6" });
+    });
+
+    test("doesn't affect iterating", () => {
+      const query = new CSVDB("a\n1\n2").query();
+
+      expect(query.getNextRow()).toEqual({ a: "1" });
+      expect(query.toArray()).toEqual([{ a: "1" }, { a: "2" }]);
+      expect(query.getNextRow()).toEqual({ a: "2" });
+      expect(query.getNextRow()).toBeUndefined();
+    });
+  });
+
+  describe("getNextValue", () => {
+    test("gets a value from rows one by one", () => {
+      const query = new CSVDB("a,b,c\n1,2,3\n4,5,6\n7,8,9").query();
+
+      expect(query.getNextValue("c")).toEqual("3");
+      expect(query.getNextValue(1)).toEqual("5");
+      expect(query.getNextValue()).toEqual("7");
+    });
+  });
+
+  describe("cursor", () => {
+    const db = new CSVDB("a,b\n1,2\n3,4");
+
+    test("reads rows one by one", () => {
+      const cursor = db.query().cursor();
+
+      expect(cursor.getNextRow()).toEqual({ a: "1", b: "2" });
+      expect(cursor.getNextValue("b")).toEqual("4");
+      expect(cursor.getNextRow()).toBeUndefined();
+      expect(cursor.getNextValue()).toBeUndefined();
+    });
+
+    test("cursors are independent", () => {
+      const query = db.query().select(["b"]);
+      const cursorA = query.cursor();
+      const cursorB = query.cursor();
+
+      expect(cursorA.getNextValue()).toEqual("2");
+      expect(cursorA.getNextValue()).toEqual("4");
+      expect(cursorB.getNextValue()).toEqual("2");
+    });
+
+    test("reset", () => {
+      const cursor = db.query().orderBy("-a").cursor();
+
+      expect(cursor.getNextValue()).toEqual("3");
+      expect(cursor.reset().getNextValue()).toEqual("3");
+      expect(cursor.getNextValue()).toEqual("1");
+    });
+
+    test("close", () => {
+      let finished = false;
+      const rows = {
+        *[Symbol.iterator]() {
+          try {
+            yield { a: 1 };
+            yield { a: 2 };
+          } finally {
+            finished = true;
+          }
+        },
+      };
+      const cursor = new CSVDBQuery(rows).cursor();
+
+      expect(cursor.getNextRow()).toEqual({ a: 1 });
+      cursor.close();
+      expect(finished).toBe(true);
+      expect(cursor.getNextRow()).toBeUndefined();
+      expect(cursor.reset().getNextRow()).toEqual({ a: 1 });
+    });
+  });
+
+  describe("clone", () => {
+    const db = new CSVDB("a,b\n1,2\n3,4\n5,6");
+
+    test("changing the copy doesn't change the original", () => {
+      const base = db.query().where("b > 2").orderBy("-a");
+      const small = base.clone().where("a < 4");
+      const top = base.clone().fetchFirst(1).select(["a"]);
+
+      expect(base.toArray()).toEqual([
+        { a: "5", b: "6" },
+        { a: "3", b: "4" },
+      ]);
+      expect(small.toArray()).toEqual([{ a: "3", b: "4" }]);
+      expect(top.toArray()).toEqual([{ a: "5" }]);
+    });
+
+    test("copies joins and grouping", () => {
+      const other = new CSVDB("a,c\n1,x\n3,y");
+      const base = db
+        .query()
+        .joinOn(other, { left: "a", right: "a" })
+        .groupBy("c")
+        .select({ c: "c", total: "SUM(b)" });
+      const copy = base.clone().having("total > 3");
+
+      expect(copy.toArray()).toEqual([{ c: "y", total: 4 }]);
+      expect(base.toArray()).toHaveLength(2);
+      expect(copy.explain().stages.map((s) => s.type)).toEqual([
+        "source",
+        "join",
+        "group",
+        "projection",
+        "having",
+      ]);
+    });
+  });
+
+  describe("iterator", () => {
+    it("returns rows", () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+
+      const results = [...db.query()];
+
+      expect(results).toEqual([
+        { a: "1", b: "2", c: "3" },
+        { a: "4", b: "5", c: "6" },
+      ]);
+    });
+  });
+
+  describe("toCSV", () => {
+    test("serialises results", () => {
+      const db = new CSVDB("a,b\n1,2\n3,4\n1,5", { schema: { b: "number" } });
+      const query = db
+        .query()
+        .groupBy("a")
+        .select({ a: "a", "sum, b": "SUM(b)" });
+
+      expect(query.toCSV({ lineTerminator: "\n" })).toBe(
+        'a,"sum, b"\n1,7\n3,4\n'
+      );
+    });
+
+    test("reads rows lazily", () => {
+      let count = 0;
+      const db = new CSVDB("a\n1\n2\n3");
+      const chunks = db
+        .query()
+        .where(() => ++count > 0)
+        .toCSVChunks();
+
+      expect(chunks.next().value).toBe("a\r\n");
+      expect(count).toBe(1);
+    });
+
+    test("empty results", () => {
+      const db = new CSVDB("a\n1");
+
+      expect(
+        db
+          .query()
+          .where(() => false)
+          .toCSV()
+      ).toBe("");
+      expect(
+        db
+          .query()
+          .where(() => false)
+          .toCSV({ columns: ["a"] })
+      ).toBe("a\r\n");
+    });
+  });
+
+  describe("formats", () => {
+    const db = new CSVDB(
+      "name,count,seen\ncat,1,2023-06-15T00:00Z\nho|r<s>e,10,",
+      {
+        schema: { count: "number", seen: "date" },
+      }
+    );
+
+    test("JSON Lines", () => {
+      expect(db.query().toJSONLines()).toBe(
+        '{"name":"cat","count":1,"seen":"2023-06-15T00:00:00.000Z"}\n' +
+          '{"name":"ho|r<s>e","count":10,"seen":null}\n'
+      );
+      expect(db.query().toJSONLines({ columns: ["count", "missing"] })).toBe(
+        '{"count":1,"missing":null}\n{"count":10,"missing":null}\n'
+      );
+    });
+
+    test("TSV", () => {
+      const tsv = db.query().toTSV();
+
+      expect(tsv).toBe(
+        "name\tcount\tseen\ncat\t1\t2023-06-15T00:00:00.000Z\nho|r<s>e\t10\t\n"
+      );
+      expect(new CSVDB(tsv, { delimiter: "\t" }).rowCount).toBe(2);
+    });
+
+    test("Markdown", () => {
+      expect(
+        db.query().toMarkdown({
+          columns: ["name", "count"],
+          numberFormat: { minimumFractionDigits: 1 },
+          locale: "en",
+        })
+      ).toBe(
+        "| name | count |\n" +
+          "| --- | ---: |\n" +
+          "| cat | 1.0 |\n" +
+          "| ho\\|r<s>e | 10.0 |\n"
+      );
+    });
+
+    test("HTML", () => {
+      expect(
+        db.query().toHTML({
+          dateFormat: (date) => date.toISOString().substring(0, 10),
+          nullValue: "-",
+        })
+      ).toBe(
+        "<table><thead><tr><th>name</th>" +
+          '<th style="text-align: right">count</th><th>seen</th></tr></thead>' +
+          '<tbody><tr><td>cat</td><td style="text-align: right">1</td>' +
+          "<td>2023-06-15</td></tr>" +
+          '<tr><td>ho|r&lt;s&gt;e</td><td style="text-align: right">10</td>' +
+          "<td>-</td></tr></tbody></table>"
+      );
+    });
+
+    test("Text", () => {
+      expect(db.query().toText({ columns: ["name", "count"] })).toBe(
+        "name     | count\n" +
+          "---------+------\n" +
+          "cat      |     1\n" +
+          "ho|r<s>e |    10\n"
+      );
+    });
 
-        if (rows.length > 0) {
-          return rows.map((rowB) => ({ ...rowA, ...rowB }));
-        }
+    test("empty results", () => {
+      const query = db.query().where(() => false);
 
-        // LEFT
-        return [{ ...nullRow(db2), ...rowA }];
-      });
+      expect(query.toHTML()).toBe("");
+      expect(query.toText({ columns: ["a"] })).toBe("a\n-\n");
+    });
+  });
+
+  describe("expressions", () => {
+    const db = new CSVDB("a,b,c\n1,2,x\n4,5,y\n1,8,\n2,,x", {
+      schema: { a: "number", b: "number" },
+    });
+
+    test("aggregate of an expression", () => {
+      const query = db
+        .query()
+        .groupBy("a")
+        .select({ a: "a", total: "SUM(b * 20)" });
 
       expect(query.toArray()).toEqual([
-        { owner: "tom", animal: "cat", family: "feline" },
-        { owner: "dick", animal: "dog", family: "canine" },
-        { animal: "bird", family: null, owner: "harry" },
-        { owner: null, animal: "horse", family: "equine" },
+        { a: 1, total: 200 },
+        { a: 4, total: 100 },
+        { a: 2, total: null },
       ]);
     });
-  });
 
-  describe("joinOn", () => {
-    test("string array", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
-      const db2 = new CSVDB("i,j,k\n2,4,6\n3,6,9");
-      const results = db
+    test("function calls with spaces around the arguments", () => {
+      const query = db
         .query()
-        .joinOn(
-          db2,
-          (rowA, rowB) =>
-            rowA.b === rowB.i || rowA.c === rowB.i || rowA.a === rowB.j
-        );
+        .groupBy("a")
+        .select({ a: "a", total: "SUM( b )", n: "COUNT( * )" });
 
-      expect(results.toArray()).toEqual([
-        { a: "1", b: "2", c: "3", i: "2", j: "4", k: "6" },
-        { a: "1", b: "2", c: "3", i: "3", j: "6", k: "9" },
-        { a: "4", b: "5", c: "6", i: "2", j: "4", k: "6" },
+      expect(query.toArray()).toEqual([
+        { a: 1, total: 10, n: 2 },
+        { a: 4, total: 5, n: 1 },
+        { a: 2, total: null, n: 1 },
       ]);
     });
-  });
 
-  describe("where", () => {
-    test("filters rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
-      const query = db.query().where((r) => r.a === "1");
+    test("CASE WHEN", () => {
+      const query = db.query().select({
+        a: "a",
+        size: "CASE WHEN b > 4 THEN 'big' WHEN b IS NULL THEN 'none' ELSE 'small' END",
+      });
 
-      expect(query.toArray()).toEqual([{ a: "1", b: "2", c: "3" }]);
+      expect(query.toArray().map((r) => r.size)).toEqual([
+        "small",
+        "big",
+        "big",
+        "none",
+      ]);
     });
-  });
 
-  describe("groupBy", () => {
-    test("groups rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6\n1,3,5");
-      const query = db
-        .query()
-        .groupBy((row) => row.a)
-        .select(["a", "COUNT(*)"]);
+    test("COALESCE, NULLIF and CAST", () => {
+      const query = db.query().select({
+        b: "COALESCE(b, -1)",
+        c: "NULLIF(c, '')",
+        text: "CAST(a AS VARCHAR)",
+      });
 
       expect(query.toArray()).toEqual([
-        { a: "1", "COUNT(*)": 2 },
-        { a: "4", "COUNT(*)": 1 },
+        { b: 2, c: "x", text: "1" },
+        { b: 5, c: "y", text: "4" },
+        { b: 8, c: null, text: "1" },
+        { b: -1, c: "x", text: "2" },
       ]);
     });
-  });
 
-  describe("select", () => {
-    test("string array", () => {
-      const db = new CSVDB("a,b,c\n1,2,3");
-      const query = db.query().select(["c", "a"]);
+    test("nested aggregate", () => {
+      const query = db
+        .query()
+        .where("c = 'z'")
+        .select({ count: "COALESCE(NULLIF(COUNT(*), 0), -1)" });
 
-      expect(query.toArray()).toEqual([{ c: "3", a: "1" }]);
+      expect(query.toArray()).toEqual([{ count: -1 }]);
     });
 
-    test("object", () => {
-      const db = new CSVDB("a,b,c\n1,2,3");
-      const query = db.query().select({ col1: "a", col2: (r) => +r.b + +r.c });
+    test("where", () => {
+      const query = db.query().where("a >= 1 AND c = 'x'").select(["b"]);
 
-      expect(query.toArray()).toEqual([{ col1: "1", col2: 5 }]);
+      expect(query.toArray()).toEqual([{ b: 2 }, { b: null }]);
     });
 
-    test("over clause with window spec object", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n2,4,6\n1,3,5");
-      const query = db
-        .query()
-        .select({
-          col1: "a",
-          col2: ["COUNT(*)", { partitionBy: "a" }],
-        })
-        .fetchFirst(2);
+    test("orderBy", () => {
+      const query = db.query().orderBy("a DESC, b").select(["a", "b"]);
 
       expect(query.toArray()).toEqual([
-        { col1: "1", col2: 2 },
-        { col1: "2", col2: 1 },
+        { a: 4, b: 5 },
+        { a: 2, b: null },
+        { a: 1, b: 2 },
+        { a: 1, b: 8 },
       ]);
     });
 
-    test("over clause with named window", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n2,4,6\n1,3,5");
+    test("groupBy", () => {
       const query = db
         .query()
-        .window("win1", { partitionBy: "a" })
-        .select({
-          col1: "a",
-          col2: ["COUNT(*)", "win1"],
-        })
-        .fetchFirst(2);
+        .groupBy("a % 2")
+        .select({ odd: "a % 2", count: "COUNT(*)" });
 
       expect(query.toArray()).toEqual([
-        { col1: "1", col2: 2 },
-        { col1: "2", col2: 1 },
+        { odd: 1, count: 2 },
+        { odd: 0, count: 2 },
       ]);
     });
-  });
 
-  describe("orderBy", () => {
-    test("sorts rows by custom function", () => {
-      const query = new CSVDB("n\n1\n2\n10").query();
+    test("field names are still preferred", () => {
+      const db = new CSVDB("a b,c\n1,2");
 
-      query.orderBy((a, b) => (+a.n % 2) - (+b.n % 2));
+      expect(db.query().select(["a b"]).toArray()).toEqual([{ "a b": "1" }]);
+    });
 
-      expect(query.toArray()).toEqual([{ n: "2" }, { n: "10" }, { n: "1" }]);
+    test("syntax errors", () => {
+      expect(() => db.query().where("a >").toArray()).toThrow(SQLSyntaxError);
     });
+  });
 
-    test("sorts rows by field name alphabetically", () => {
-      const query = new CSVDB("n\n1\n2\n10").query();
+  describe("async iterator", () => {
+    it("returns rows", async () => {
+      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
 
-      query.orderBy("n");
+      const results = [];
+      for await (const row of db.query().where((r) => r.a === "4")) {
+        results.push(row);
+      }
 
-      expect(query.toArray()).toEqual([{ n: "1" }, { n: "10" }, { n: "2" }]);
+      expect(results).toEqual([{ a: "4", b: "5", c: "6" }]);
     });
+  });
+});
 
-    test("sorts rows by field name numerically ascending", () => {
-      const query = new CSVDB("n\n1\n2\n10").query();
+describe("SQL", () => {
+  const db = new CSVDB("a,b,c\n1,2,3\n4,5,6\n1,3,5");
 
-      query.orderBy("+n");
+  const owners = new CSVDB("owner,animal\ntom,cat\ndick,dog\nharry,bird", {
+    name: "owners",
+  });
+  owners.register(
+    "families",
+    new CSVDB("animal,family\ncat,feline\ndog,canine\nhorse,equine")
+  );
+
+  test("select columns and aliases", () => {
+    expect(db.sql("SELECT c, a AS first FROM data").toArray()).toEqual([
+      { c: "3", first: "1" },
+      { c: "6", first: "4" },
+      { c: "5", first: "1" },
+    ]);
+  });
 
-      expect(query.toArray()).toEqual([{ n: "1" }, { n: "2" }, { n: "10" }]);
+  test("matches the fluent API", () => {
+    const fluent = db
+      .query()
+      .where((r) => r.a === "1")
+      .select(["a", "b"]);
+
+    expect(db.sql("SELECT a, b FROM data WHERE a = '1'").toArray()).toEqual(
+      fluent.toArray()
+    );
+  });
+
+  test("where expressions", () => {
+    const results = db.sql(
+      "SELECT * FROM data WHERE (b > 2 AND NOT c = 6) OR a IN (4)"
+    );
+
+    expect(results.toArray()).toEqual([
+      { a: "4", b: "5", c: "6" },
+      { a: "1", b: "3", c: "5" },
+    ]);
+  });
+
+  test("computed columns", () => {
+    const results = db.sql(`
+      SELECT
+        b * 2 + 1,
+        CASE WHEN a = 1 THEN 'one' ELSE 'other' END AS word,
+        a || '-' || b AS joined
+      FROM data
+      FETCH FIRST 1 ROW ONLY
+    `);
+
+    expect(results.toArray()).toEqual([
+      { "b * 2 + 1": 5, word: "one", joined: "1-2" },
+    ]);
+  });
+
+  test("group by with aggregates", () => {
+    const results = db.sql(
+      "SELECT a, COUNT(*), SUM(c) AS total FROM data GROUP BY a"
+    );
+
+    expect(results.toArray()).toEqual([
+      { a: "1", "COUNT(*)": 2, total: 8 },
+      { a: "4", "COUNT(*)": 1, total: 6 },
+    ]);
+  });
+
+  test("aggregates without group by", () => {
+    expect(
+      db.sql("SELECT COUNT(*) AS n FROM data WHERE a = 9").toArray()
+    ).toEqual([{ n: 0 }]);
+  });
+
+  test("having", () => {
+    const results = db.sql("SELECT a FROM data GROUP BY a HAVING COUNT(*) > 1");
+
+    expect(results.toArray()).toEqual([{ a: "1" }]);
+  });
+
+  test("order by alias, aggregate and direction", () => {
+    expect(
+      db
+        .sql(
+          "SELECT a, SUM(c) AS total FROM data GROUP BY a ORDER BY total DESC"
+        )
+        .toArray()
+    ).toEqual([
+      { a: "1", total: 8 },
+      { a: "4", total: 6 },
+    ]);
+
+    expect(db.sql("SELECT a FROM data ORDER BY b DESC, 1").toArray()).toEqual([
+      { a: "4" },
+      { a: "1" },
+      { a: "1" },
+    ]);
+  });
+
+  describe("grouping sets", () => {
+    const sales = new CSVDB("Year,Type,Amount\n2022,a,1\n2022,b,2\n2023,a,4", {
+      schema: { Amount: "number" },
     });
 
-    test("sorts rows by field name numerically descending", () => {
-      const query = new CSVDB("n\n1\n2\n10").query();
+    test("rollup", () => {
+      expect(
+        sales
+          .sql(
+            "SELECT Year, Type, SUM(Amount) AS total, GROUPING(Year, Type) AS g FROM data GROUP BY ROLLUP(Year, Type) ORDER BY g, Year"
+          )
+          .toArray()
+      ).toEqual([
+        { Year: "2022", Type: "a", total: 1, g: 0 },
+        { Year: "2022", Type: "b", total: 2, g: 0 },
+        { Year: "2023", Type: "a", total: 4, g: 0 },
+        { Year: "2022", Type: null, total: 3, g: 1 },
+        { Year: "2023", Type: null, total: 4, g: 1 },
+        { Year: null, Type: null, total: 7, g: 3 },
+      ]);
+    });
 
-      query.orderBy("-n");
+    test("cube", () => {
+      expect(
+        sales
+          .sql(
+            "SELECT Type, COUNT(*) AS n FROM data GROUP BY CUBE(Year, Type) HAVING GROUPING(Year) = 1"
+          )
+          .toArray()
+      ).toEqual([
+        { Type: "a", n: 2 },
+        { Type: "b", n: 1 },
+        { Type: null, n: 3 },
+      ]);
+    });
 
-      expect(query.toArray()).toEqual([{ n: "10" }, { n: "2" }, { n: "1" }]);
+    test("grouping sets", () => {
+      expect(
+        sales
+          .sql(
+            "SELECT UPPER(Type) AS t, Year, COUNT(*) AS n FROM data GROUP BY GROUPING SETS ((t), (Year), ())"
+          )
+          .toArray()
+      ).toEqual([
+        { t: "A", Year: null, n: 2 },
+        { t: "B", Year: null, n: 1 },
+        { t: null, Year: "2022", n: 2 },
+        { t: null, Year: "2023", n: 1 },
+        { t: null, Year: null, n: 3 },
+      ]);
+
+      expect(
+        sales
+          .sql(
+            "SELECT Year, COUNT(*) AS n FROM data GROUP BY Year, ROLLUP(Type)"
+          )
+          .toArray()
+      ).toHaveLength(5);
     });
-  });
 
-  describe("offset", () => {
-    test("skip rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
-      const query = db.query().offset(1);
+    test("plain GROUP BY", () => {
+      expect(
+        sales
+          .sql("SELECT Year, GROUPING(Year) AS g FROM data GROUP BY (Year)")
+          .toArray()
+      ).toEqual([
+        { Year: "2022", g: 0 },
+        { Year: "2023", g: 0 },
+      ]);
 
-      expect(query.toArray()).toEqual([{ a: "4", b: "5", c: "6" }]);
+      expect(
+        sales.sql("SELECT COUNT(*) AS n FROM data GROUP BY ()").toArray()
+      ).toEqual([{ n: 3 }]);
     });
   });
 
-  describe("fetch first", () => {
-    test("limits rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6\n7,8,9");
-      const query = db.query().fetchFirst(2);
+  describe("subqueries and CTEs", () => {
+    const sales = new CSVDB("Type,Amount\na,1\na,3\nb,5\nb,7\nc,2", {
+      schema: { Amount: "number" },
+    });
 
-      expect(query.toArray()).toEqual([
-        { a: "1", b: "2", c: "3" },
-        { a: "4", b: "5", c: "6" },
+    test("WITH", () => {
+      expect(
+        sales
+          .sql(
+            "WITH t AS (SELECT Type, SUM(Amount) AS total FROM data GROUP BY Type) SELECT * FROM t WHERE total > 4"
+          )
+          .toArray()
+      ).toEqual([{ Type: "b", total: 12 }]);
+    });
+
+    test("WITH column names", () => {
+      expect(
+        sales
+          .sql(
+            "WITH t (kind, n) AS NOT MATERIALIZED (SELECT Type, COUNT(*) FROM data GROUP BY Type) SELECT kind FROM t WHERE n = 2"
+          )
+          .toArray()
+      ).toEqual([{ kind: "a" }, { kind: "b" }]);
+    });
+
+    test("a CTE can refer to the ones before it", () => {
+      expect(
+        sales
+          .sql(
+            "WITH a AS (SELECT * FROM data WHERE Type = 'a'), b AS MATERIALIZED (SELECT Amount FROM a) SELECT SUM(Amount) AS total FROM b"
+          )
+          .toArray()
+      ).toEqual([{ total: 4 }]);
+    });
+
+    test("WITH RECURSIVE", () => {
+      expect(
+        sales
+          .sql(
+            "WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n WHERE x < 4) SELECT x FROM n"
+          )
+          .toArray()
+      ).toEqual([{ x: 1 }, { x: 2 }, { x: 3 }, { x: 4 }]);
+
+      // Stopped by LIMIT
+      expect(
+        sales
+          .sql(
+            "WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT x FROM n LIMIT 3"
+          )
+          .toArray()
+      ).toEqual([{ x: 1 }, { x: 2 }, { x: 3 }]);
+    });
+
+    test("WITH RECURSIVE hierarchy", () => {
+      const tree = new CSVDB("id,parent\n1,\n2,1\n3,1\n4,2");
+
+      expect(
+        tree
+          .sql(
+            `WITH RECURSIVE t(id, depth) AS (
+              SELECT id, 0 FROM data WHERE parent IS NULL
+              UNION ALL
+              SELECT data.id, t.depth + 1 FROM data JOIN t ON data.parent = t.id
+            )
+            SELECT * FROM t`
+          )
+          .toArray()
+      ).toEqual([
+        { id: "1", depth: 0 },
+        { id: "2", depth: 1 },
+        { id: "3", depth: 1 },
+        { id: "4", depth: 2 },
       ]);
     });
-  });
 
-  describe("window", () => {
-    test("defines windows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n2,4,6\n1,3,5");
-      const query = db
-        .query()
-        .window("win1", { partitionBy: "a" })
-        .window("win2", { partitionBy: "b" })
-        .select({
-          a: "a",
-          count: "COUNT(*) OVER win1",
-        });
+    test("WITH RECURSIVE must be a UNION", () => {
+      expect(() =>
+        sales
+          .sql("WITH RECURSIVE n AS (SELECT Amount FROM n) SELECT * FROM n")
+          .toArray()
+      ).toThrow("Bad Recursive: n must be a UNION");
+    });
 
-      expect(query.toArray()).toEqual([
-        { a: "1", count: 2 },
-        { a: "2", count: 1 },
-        { a: "1", count: 2 },
+    test("FROM subquery", () => {
+      expect(
+        sales
+          .sql(
+            "SELECT t.Type FROM (SELECT Type, SUM(Amount) AS total FROM data GROUP BY Type) AS t ORDER BY t.total DESC"
+          )
+          .toArray()
+      ).toEqual([{ Type: "b" }, { Type: "a" }, { Type: "c" }]);
+    });
+
+    test("scalar subquery", () => {
+      expect(
+        sales
+          .sql(
+            "SELECT Type, Amount FROM data WHERE Amount > (SELECT AVG(Amount) FROM data)"
+          )
+          .toArray()
+      ).toEqual([
+        { Type: "b", Amount: 5 },
+        { Type: "b", Amount: 7 },
       ]);
     });
-  });
 
-  describe("distinct", () => {
-    test("ensures results are a true set", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n1,2,4\n1,2,3");
-      const query = db.query().distinct();
+    test("correlated subquery", () => {
+      expect(
+        sales
+          .sql(
+            "SELECT Type, Amount FROM data WHERE Amount > (SELECT AVG(Amount) FROM data AS d WHERE d.Type = data.Type)"
+          )
+          .toArray()
+      ).toEqual([
+        { Type: "a", Amount: 3 },
+        { Type: "b", Amount: 7 },
+      ]);
+    });
+
+    test("IN and EXISTS", () => {
+      expect(
+        sales
+          .sql(
+            "SELECT Amount FROM data WHERE Type IN (SELECT Type FROM data WHERE Amount > 6)"
+          )
+          .toArray()
+      ).toEqual([{ Amount: 5 }, { Amount: 7 }]);
+
+      expect(
+        sales
+          .sql(
+            "SELECT Amount FROM data WHERE NOT EXISTS (SELECT 1 FROM data AS d WHERE d.Type = data.Type AND d.Amount > 2)"
+          )
+          .toArray()
+      ).toEqual([{ Amount: 2 }]);
+    });
+
+    test("scalar subqueries have one column and row", () => {
+      expect(() =>
+        sales.sql("SELECT (SELECT Type, Amount FROM data) AS x").toArray()
+      ).toThrow("Bad Subquery: 2 columns instead of 1");
+      expect(() =>
+        sales.sql("SELECT (SELECT Amount FROM data) AS x").toArray()
+      ).toThrow("Bad Subquery: more than one row");
+      expect(
+        sales
+          .sql("SELECT (SELECT Amount FROM data WHERE Type = 'z') AS x")
+          .toArray()
+      ).toEqual([{ x: null }]);
+    });
 
+    test("joins read the other table on each run", () => {
+      const db = new CSVDB("a\n1\n2", { name: "a" });
+      const other = new CSVDB("a\n2");
+      db.register("b", other);
+
+      const query = db.sql(
+        "SELECT x.a, y.a AS b FROM a x LEFT JOIN b y ON x.a = y.a"
+      );
       expect(query.toArray()).toEqual([
-        { a: "1", b: "2", c: "3" },
-        { a: "1", b: "2", c: "4" },
+        { a: "1", b: null },
+        { a: "2", b: "2" },
+      ]);
+
+      other.insert({ a: "1" });
+      expect(query.toArray()).toEqual([
+        { a: "1", b: "1" },
+        { a: "2", b: "2" },
       ]);
     });
-  });
 
-  describe("getNextRow", () => {
-    test("gets rows one by one", () => {
-      const query = new CSVDB("a,b,c\n1,2,3\n4,5,6\n7,8,9").query();
+    test("can be run again", () => {
+      const query = sales.sql(
+        "WITH t AS (SELECT * FROM data) SELECT COUNT(*) AS n FROM t WHERE Amount > (SELECT AVG(Amount) FROM t)"
+      );
 
-      expect(query.getNextRow()).toEqual({ a: "1", b: "2", c: "3" });
-      expect(query.getNextRow()).toEqual({ a: "4", b: "5", c: "6" });
+      expect(query.toArray()).toEqual([{ n: 2 }]);
+      expect(query.toArray()).toEqual([{ n: 2 }]);
     });
   });
 
-  describe("getNextValue", () => {
-    test("gets a value from rows one by one", () => {
-      const query = new CSVDB("a,b,c\n1,2,3\n4,5,6\n7,8,9").query();
+  test("offset and fetch first", () => {
+    expect(
+      db
+        .sql(
+          "SELECT c FROM data ORDER BY c OFFSET 1 ROWS FETCH FIRST 1 ROWS ONLY"
+        )
+        .toArray()
+    ).toEqual([{ c: "5" }]);
+
+    expect(db.sql("SELECT c FROM data LIMIT 1 OFFSET 2").toArray()).toEqual([
+      { c: "5" },
+    ]);
+  });
 
-      expect(query.getNextValue("c")).toEqual("3");
-      expect(query.getNextValue(1)).toEqual("5");
-      expect(query.getNextValue()).toEqual("7");
-    });
+  test("distinct", () => {
+    expect(db.sql("SELECT DISTINCT a FROM data").toArray()).toEqual([
+      { a: "1" },
+      { a: "4" },
+    ]);
   });
 
-  describe("iterator", () => {
-    it("returns rows", () => {
-      const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+  test("window functions", () => {
+    const results = db.sql(`
+      SELECT
+        a,
+        ROW_NUMBER() OVER (PARTITION BY a ORDER BY c DESC) AS rn,
+        SUM(c) OVER w AS running
+      FROM data
+      WINDOW w AS (ORDER BY c ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW)
+    `);
+
+    expect(results.toArray()).toEqual([
+      { a: "1", rn: 2, running: 3 },
+      { a: "4", rn: 1, running: 14 },
+      { a: "1", rn: 1, running: 8 },
+    ]);
+  });
 
-      const results = [...db.query()];
+  test("set operations", () => {
+    expect(
+      db.sql("SELECT a FROM data UNION SELECT b FROM data ORDER BY a").toArray()
+    ).toEqual([{ a: "1" }, { a: "2" }, { a: "3" }, { a: "4" }, { a: "5" }]);
+
+    expect(
+      db.sql("SELECT a FROM data UNION ALL SELECT a FROM data").toArray()
+    ).toHaveLength(6);
+
+    expect(
+      db.sql("SELECT a FROM data INTERSECT SELECT b FROM data").toArray()
+    ).toEqual([]);
+
+    expect(
+      db
+        .sql("SELECT a FROM data EXCEPT SELECT a FROM data WHERE c = 3")
+        .toArray()
+    ).toEqual([{ a: "4" }]);
+
+    expect(
+      db
+        .sql("SELECT a FROM data INTERSECT ALL SELECT a FROM data WHERE c > 3")
+        .toArray()
+    ).toEqual([{ a: "1" }, { a: "4" }]);
+
+    expect(
+      db
+        .sql("SELECT a FROM data EXCEPT ALL SELECT a FROM data WHERE c = 3")
+        .toArray()
+    ).toEqual([{ a: "4" }, { a: "1" }]);
+  });
 
-      expect(results).toEqual([
-        { a: "1", b: "2", c: "3" },
-        { a: "4", b: "5", c: "6" },
-      ]);
+  test("intersect is applied before union and except", () => {
+    expect(
+      db.sql("SELECT 1 AS x UNION SELECT 2 INTERSECT SELECT 3").toArray()
+    ).toEqual([{ x: 1 }]);
+
+    expect(
+      db.sql("SELECT 1 AS x EXCEPT SELECT 1 INTERSECT SELECT 2").toArray()
+    ).toEqual([{ x: 1 }]);
+
+    expect(
+      db
+        .sql("SELECT 1 AS x INTERSECT SELECT 1 UNION SELECT 2 ORDER BY x")
+        .toArray()
+    ).toEqual([{ x: 1 }, { x: 2 }]);
+  });
+
+  test("inner join", () => {
+    const results = owners.sql(
+      "SELECT * FROM owners AS o JOIN families AS f ON f.animal = o.animal"
+    );
+
+    expect(results.toArray()).toEqual([
+      { owner: "tom", animal: "cat", family: "feline" },
+      { owner: "dick", animal: "dog", family: "canine" },
+    ]);
+  });
+
+  test("full join", () => {
+    const results = owners.sql(`
+      SELECT o.owner, o.animal, f.animal AS other, f.family
+      FROM owners o
+      FULL OUTER JOIN families f ON f.animal = o.animal
+    `);
+
+    expect(results.toArray()).toEqual([
+      { owner: "tom", animal: "cat", other: "cat", family: "feline" },
+      { owner: "dick", animal: "dog", other: "dog", family: "canine" },
+      { owner: "harry", animal: "bird", other: null, family: null },
+      { owner: null, animal: null, other: "horse", family: "equine" },
+    ]);
+  });
+
+  test("unmatched rows have the same columns in the same order", () => {
+    const results = owners.sql(
+      "SELECT * FROM owners o LEFT JOIN families f ON f.animal = o.animal"
+    );
+
+    expect(results.toArray().map((row) => Object.keys(row))).toEqual([
+      ["owner", "animal", "family"],
+      ["owner", "animal", "family"],
+      ["owner", "animal", "family"],
+    ]);
+  });
+
+  test("joins on equal values", () => {
+    const options = { nullValues: [""] };
+    const db = new CSVDB("id,name\n1,a\n2.0,b\n,c\n3,d", {
+      ...options,
+      name: "a",
     });
+    db.register("b", new CSVDB("id,n\n1,10\n2,20\n2,21\n,30\n1,11", options));
+
+    expect(
+      db
+        .sql(
+          "SELECT x.name, y.n FROM a x LEFT JOIN b y ON y.id = x.id AND y.n <> '11'"
+        )
+        .toArray()
+    ).toEqual([
+      { name: "a", n: "10" },
+      { name: "b", n: "20" },
+      { name: "b", n: "21" },
+      { name: "c", n: null },
+      { name: "d", n: null },
+    ]);
+
+    expect(
+      db
+        .sql("SELECT x.name, y.n FROM a x FULL JOIN b y ON x.id + 1 = y.id + 2")
+        .toArray()
+    ).toEqual([
+      { name: "a", n: null },
+      { name: "b", n: "10" },
+      { name: "b", n: "11" },
+      { name: "c", n: null },
+      { name: "d", n: "20" },
+      { name: "d", n: "21" },
+      { name: null, n: "30" },
+    ]);
+
+    expect(
+      db
+        .sql(
+          "SELECT x.name, y.n FROM a x JOIN b y ON (x.id = '1') = (y.n > 20)"
+        )
+        .toArray()
+    ).toEqual([
+      { name: "a", n: "21" },
+      { name: "a", n: "30" },
+      { name: "b", n: "10" },
+      { name: "b", n: "20" },
+      { name: "b", n: "11" },
+      { name: "d", n: "10" },
+      { name: "d", n: "20" },
+      { name: "d", n: "11" },
+    ]);
+  });
+
+  test("unknown tables", () => {
+    expect(() => db.sql("SELECT * FROM nope")).toThrow("Unknown Table: nope");
+  });
+
+  test("syntax errors", () => {
+    expect(() => db.sql("SELECT a FROM data WHERE")).toThrow(SQLSyntaxError);
+    expect(() => db.sql("SELECT a FROM data ORDER a")).toThrow(
+      "Unexpected 'a', expected BY at position 25"
+    );
   });
 });
 
@@ -541,12 +3265,12 @@ describe("SQL Functions", () => {
         expect(query.getNextValue()).toBe(-7);
       });
 
-      it("the minimum of 0 rows is infinity", () => {
+      it("the minimum of 0 rows is null", () => {
         const db = new CSVDB("a,b,c");
 
         const query = db.query().select(["MIN(a)"]);
 
-        expect(query.getNextValue()).toBe(Infinity);
+        expect(query.getNextValue()).toBe(null);
       });
     });
 
@@ -575,12 +3299,12 @@ describe("SQL Functions", () => {
         expect(query.getNextValue()).toBe(4);
       });
 
-      it("the maximum of 0 rows is negative infinity", () => {
+      it("the maximum of 0 rows is null", () => {
         const db = new CSVDB("a,b,c");
 
         const query = db.query().select(["MAX(a)"]);
 
-        expect(query.getNextValue()).toBe(-Infinity);
+        expect(query.getNextValue()).toBe(null);
       });
     });
 
@@ -735,6 +3459,457 @@ describe("SQL Functions", () => {
     });
   });
 
+  describe("Nulls", () => {
+    const db = new CSVDB("a,b,c\n1,,x\n2,NULL,\n3,0,y\n4,5,N/A", {
+      nullValues: ["", "NULL", "N/A"],
+    });
+
+    it("reads null values", () => {
+      expect(db.query().select(["b", "c"]).toArray()).toEqual([
+        { b: null, c: "x" },
+        { b: null, c: null },
+        { b: "0", c: "y" },
+        { b: "5", c: null },
+      ]);
+    });
+
+    it("ignores null values when inferring types", () => {
+      const db = new CSVDB("a,b\n1,NA\nNA,true", {
+        nullValues: ["NA"],
+        inferTypes: true,
+      });
+
+      expect(db.schema).toEqual({ a: "integer", b: "boolean" });
+      expect([...db]).toEqual([
+        { a: 1, b: null },
+        { a: null, b: true },
+      ]);
+    });
+
+    it("ignores empty values without nullValues", () => {
+      const db = new CSVDB("a,b\n1,\n2,4\n3,10");
+      const query = db
+        .query()
+        .select(["COUNT(*)", "COUNT(b)", "AVG(b)", "MIN(b)", "MAX(b)"]);
+
+      expect(query.toArray()).toEqual([
+        {
+          "COUNT(*)": 3,
+          "COUNT(b)": 2,
+          "AVG(b)": 7,
+          "MIN(b)": 4,
+          "MAX(b)": 10,
+        },
+      ]);
+
+      expect(
+        db
+          .query()
+          .select({
+            b: "b",
+            n: ["COUNT(b)", { orderBy: "a", framing: ["ROWS", -1, 0] }],
+          })
+          .toArray()
+      ).toEqual([
+        { b: "", n: 0 },
+        { b: "4", n: 1 },
+        { b: "10", n: 2 },
+      ]);
+    });
+
+    it("compares empty values as null", () => {
+      const db = new CSVDB("a,b\n1,\n2,4\n3,10", { name: "data" });
+
+      expect(db.query().where("b < 5").toArray()).toEqual([{ a: "2", b: "4" }]);
+      expect(db.query().where("NOT b > 5").toArray()).toEqual([
+        { a: "2", b: "4" },
+      ]);
+      expect(db.sql("SELECT a FROM data WHERE b < 1").toArray()).toEqual([]);
+      expect(db.sql("SELECT a FROM data WHERE b = ''").toArray()).toEqual([]);
+      expect(db.sql("SELECT a FROM data WHERE b IS NULL").toArray()).toEqual([
+        { a: "1" },
+      ]);
+    });
+
+    it("counts rows or values", () => {
+      const query = db
+        .query()
+        .select(["COUNT(*)", "COUNT(b)", "COUNT(c)", "COUNT(DISTINCT c)"]);
+
+      expect(query.toArray()).toEqual([
+        {
+          "COUNT(*)": 4,
+          "COUNT(b)": 2,
+          "COUNT(c)": 2,
+          "COUNT(DISTINCT c)": 2,
+        },
+      ]);
+    });
+
+    it("skips nulls in aggregates", () => {
+      const query = db.query().select({
+        sum: "SUM(b)",
+        avg: "AVG(b)",
+        min: "MIN(b)",
+        list: "LISTAGG(c)",
+        any: "ANY(b)",
+        array: "ARRAY(b)",
+      });
+
+      expect(query.toArray()).toEqual([
+        {
+          sum: 5,
+          avg: 2.5,
+          min: 0,
+          list: "x,y",
+          any: "0",
+          array: [null, null, "0", "5"],
+        },
+      ]);
+    });
+
+    it("aggregates distinct values", () => {
+      const db = new CSVDB(
+        "a,d\n2,2023-06-15\n3,2023-06-15\n2,2021-01-01\n,2021-01-01\n3,",
+        { schema: { d: "date" } }
+      );
+
+      expect(
+        db
+          .query()
+          .select({
+            count: "COUNT(DISTINCT a)",
+            sum: "SUM(DISTINCT a)",
+            dates: "COUNT(DISTINCT d)",
+          })
+          .toArray()
+      ).toEqual([{ count: 2, sum: 5, dates: 2 }]);
+    });
+
+    it("aggregates of only nulls are null", () => {
+      const query = db
+        .query()
+        .where((row) => row.b === null)
+        .select({
+          sum: "SUM(b)",
+          avg: "AVG(b)",
+          max: "MAX(b)",
+          count: "COUNT(b)",
+        });
+
+      expect(query.toArray()).toEqual([
+        { sum: null, avg: null, max: null, count: 0 },
+      ]);
+    });
+
+    it("finds the MIN and MAX of strings and dates", () => {
+      const db = new CSVDB("s,d\npear,2023-06-15\napple,\nfig,2021-01-01", {
+        schema: { d: "date" },
+      });
+
+      const [row] = db
+        .query()
+        .select({
+          min: "MIN(s)",
+          max: "MAX(s)",
+          first: "MIN(d)",
+          last: "MAX(d)",
+        })
+        .toArray();
+
+      expect(row).toEqual({
+        min: "apple",
+        max: "pear",
+        first: new Date(2021, 0, 1),
+        last: new Date(2023, 5, 15),
+      });
+    });
+
+    it("doesn't turn falsy values into nulls", () => {
+      const db = new CSVDB("a,b\n1,0\n2,\n3,0", { schema: { b: "number" } });
+      const query = db
+        .query()
+        .window("w", {
+          orderBy: "a",
+          framing: ["ROWS", "UNBOUNDED PRECEDING", "UNBOUNDED FOLLOWING"],
+        })
+        .select({
+          any: ["ANY(b)", "w"],
+          lag: "LAG(b) OVER w",
+          lead: "LEAD(b, 2) OVER w",
+          nth: "NTH_VALUE(b, 3) OVER w",
+        });
+
+      expect(query.toArray()).toEqual([
+        { any: 0, lag: null, lead: 0, nth: 0 },
+        { any: 0, lag: 0, lead: null, nth: 0 },
+        { any: 0, lag: null, lead: null, nth: 0 },
+      ]);
+    });
+
+    it("uses the default value of LEAD and LAG", () => {
+      const db = new CSVDB("a\n1\n2\n3");
+      const query = db
+        .query()
+        .window("w", {
+          orderBy: "a",
+          framing: ["ROWS", "UNBOUNDED PRECEDING", "UNBOUNDED FOLLOWING"],
+        })
+        .select({
+          lag: "LAG(a, 1, 0) OVER w",
+          lead: "LEAD(a, 2, 'none') OVER w",
+        });
+
+      expect(query.toArray()).toEqual([
+        { lag: 0, lead: "3" },
+        { lag: "1", lead: "none" },
+        { lag: "2", lead: "none" },
+      ]);
+
+      expect(
+        db
+          .sql(
+            "SELECT LAG(a, 1, 'it''s the first') OVER (ORDER BY a) AS prev FROM data"
+          )
+          .getNextValue()
+      ).toBe("it's the first");
+    });
+  });
+
+  describe("Scalar Functions", () => {
+    const value = (db, spec) => db.query().select([spec]).getNextValue();
+
+    describe("String Functions", () => {
+      const db = new CSVDB("s,t\n  Hello World ,a-b-c\n,");
+
+      test.each([
+        ["UPPER(s)", "  HELLO WORLD "],
+        ["LOWER(s)", "  hello world "],
+        ["TRIM(s)", "Hello World"],
+        ["LTRIM(s)", "Hello World "],
+        ["RTRIM(s)", "  Hello World"],
+        ["LENGTH(s)", 14],
+        ["SUBSTR(TRIM(s), 7)", "World"],
+        ["SUBSTR(TRIM(s), 1, 5)", "Hello"],
+        ["REPLACE(t, '-', '+')", "a+b+c"],
+        ["CONCAT(t, '/', NULL, 1)", "a-b-c/1"],
+        ["SPLIT_PART(t, '-', 2)", "b"],
+        ["SPLIT_PART(t, '-', -1)", "c"],
+        ["SPLIT_PART(t, '-', 4)", ""],
+        ["REGEXP_LIKE(s, 'world')", false],
+        ["REGEXP_LIKE(s, 'world', 'i')", true],
+        ["REGEXP_EXTRACT(s, '[A-Z]\\w+')", "Hello"],
+        ["REGEXP_EXTRACT(s, '(\\w+) (\\w+)', 2)", "World"],
+        ["REGEXP_EXTRACT(t, '\\d')", null],
+      ])("%s", (spec, expected) => {
+        expect(value(db, spec)).toBe(expected);
+      });
+
+      it("returns null for null arguments", () => {
+        const query = db.query().select({ x: "UPPER(NULLIF(s, ''))" });
+
+        expect(query.toArray()[1]).toEqual({ x: null });
+      });
+
+      it("can be used in where", () => {
+        const query = db.query().where("UPPER(t) = 'A-B-C'").select(["t"]);
+
+        expect(query.toArray()).toEqual([{ t: "a-b-c" }]);
+      });
+    });
+
+    describe("Math Functions", () => {
+      const db = new CSVDB("a,b\n-2.567,3");
+
+      test.each([
+        ["ROUND(a)", -3],
+        ["ROUND(a, 2)", -2.57],
+        ["FLOOR(a)", -3],
+        ["CEIL(a)", -2],
+        ["ABS(a)", 2.567],
+        ["MOD(b, 2)", 1],
+        ["POWER(b, 2)", 9],
+        ["ROUND(ABS(a) * b, 1)", 7.7],
+      ])("%s", (spec, expected) => {
+        expect(value(db, spec)).toBe(expected);
+      });
+    });
+
+    describe("Date Functions", () => {
+      const db = new CSVDB("d\n15-Jun-2023 15:51:11");
+      const format = (spec) =>
+        value(db, `FORMAT(${spec}, 'YYYY-MM-DD HH:mm:ss')`);
+
+      test.each([
+        ["EXTRACT(YEAR FROM d)", 2023],
+        ["EXTRACT(month FROM d)", 6],
+        ["EXTRACT('day', d)", 15],
+        ["EXTRACT(HOUR FROM d)", 15],
+        ["EXTRACT(QUARTER FROM d)", 2],
+        ["EXTRACT(WEEK FROM d)", 24],
+        ["EXTRACT(DOW FROM d)", 4],
+        ["DATE_DIFF('day', d, '2023-07-01')", 16],
+        ["DATE_DIFF('month', d, '2024-01-01')", 7],
+        ["DATE_DIFF('hour', d, '2023-06-15 17:00')", 2],
+        ["FORMAT(d, 'D MMM YY h:mm a')", "15 Jun 23 3:51 pm"],
+        ["FORMAT(d, 'DDDD [the] D')", "Thursday the 15"],
+        ["FORMAT(2.5, 2)", "2.50"],
+        ["EXTRACT(YEAR FROM 'not a date')", null],
+      ])("%s", (spec, expected) => {
+        expect(value(db, spec)).toBe(expected);
+      });
+
+      test.each([
+        ["DATE_TRUNC('year', d)", "2023-01-01 00:00:00"],
+        ["DATE_TRUNC('quarter', d)", "2023-04-01 00:00:00"],
+        ["DATE_TRUNC('month', d)", "2023-06-01 00:00:00"],
+        ["DATE_TRUNC('week', d)", "2023-06-12 00:00:00"],
+        ["DATE_TRUNC('day', d)", "2023-06-15 00:00:00"],
+        ["DATE_TRUNC('hour', d)", "2023-06-15 15:00:00"],
+        ["DATE_ADD('day', 20, d)", "2023-07-05 15:51:11"],
+        ["DATE_ADD('month', -4, d)", "2023-02-15 15:51:11"],
+        ["DATE_ADD('month', 1, '2024-01-31')", "2024-02-29 00:00:00"],
+        ["DATE_ADD('minute', 10, d)", "2023-06-15 16:01:11"],
+      ])("%s", (spec, expected) => {
+        expect(format(spec)).toBe(expected);
+      });
+
+      it("reads dates without a time as local midnight", () => {
+        const db = new CSVDB("d\n2023-06-15");
+
+        // Whatever the machine's timezone
+        expect(parseDate("2023-06-15")).toEqual(new Date(2023, 5, 15));
+        expect(parseDate("2023-02-30")).toBeNull();
+        expect(value(db, "EXTRACT(DAY FROM d)")).toBe(15);
+        expect(value(db, "FORMAT(d, 'YYYY-MM-DD HH:mm')")).toBe(
+          "2023-06-15 00:00"
+        );
+      });
+
+      it("rejects unknown units", () => {
+        expect(() => value(db, "DATE_TRUNC('fortnight', d)")).toThrow(
+          "Bad Date Unit: fortnight"
+        );
+      });
+
+      it("can be used in SQL", () => {
+        const query = db.sql(
+          "SELECT EXTRACT(YEAR FROM d) AS year, COUNT(*) AS count FROM data GROUP BY EXTRACT(YEAR FROM d)"
+        );
+
+        expect(query.toArray()).toEqual([{ year: 2023, count: 1 }]);
+      });
+    });
+  });
+
+  describe("User Defined Functions", () => {
+    const db = new CSVDB("a,b\n1,2\n1,3\n2,4");
+
+    CSVDB.registerAggregate("test_product", {
+      init: () => 1,
+      step: (product, value) => product * value,
+    });
+    CSVDB.registerAggregate("TEST_STATS", {
+      init: () => ({ n: 0, total: 0 }),
+      step: (state, value) => ({ n: state.n + 1, total: state.total + +value }),
+      finalize: ({ n, total }) => `${n}:${total}`,
+    });
+    CSVDB.registerScalar("TEST_DOUBLE", (x) => (x === null ? null : x * 2));
+    CSVDB.registerWindowFunction("TEST_FRAME", (row, rows, [column]) =>
+      rows.map((r) => r[column]).join("|")
+    );
+
+    test("aggregate in a column spec", () => {
+      const query = db
+        .query()
+        .groupBy("a")
+        .select(["a", "TEST_PRODUCT(b)", "TEST_STATS(b)"]);
+
+      expect(query.toArray()).toEqual([
+        { a: "1", "TEST_PRODUCT(b)": 6, "TEST_STATS(b)": "2:5" },
+        { a: "2", "TEST_PRODUCT(b)": 4, "TEST_STATS(b)": "1:4" },
+      ]);
+    });
+
+    test("aggregate in an expression", () => {
+      const query = db.query().select({ x: "TEST_PRODUCT(b + 1) - 1" });
+
+      expect(query.getNextValue()).toBe(59);
+    });
+
+    test("aggregate over a framed window", () => {
+      const query = db
+        .query()
+        .window("w", { orderBy: "b", framing: ["ROWS", -1, 0] })
+        .select({ b: "b", p: "TEST_PRODUCT(b) OVER w" });
+
+      expect(query.toArray()).toEqual([
+        { b: "2", p: 2 },
+        { b: "3", p: 6 },
+        { b: "4", p: 12 },
+      ]);
+    });
+
+    test("scalar", () => {
+      const query = db.query().where("TEST_DOUBLE(b) > 5").select(["b"]);
+
+      expect(query.toArray()).toEqual([{ b: "3" }, { b: "4" }]);
+    });
+
+    test("window function", () => {
+      const query = db
+        .query()
+        .window("w", { orderBy: "-b" })
+        .select({ b: "b", frame: "TEST_FRAME(b) OVER w" });
+
+      expect(query.toArray()).toEqual([
+        { b: "2", frame: "4|3|2" },
+        { b: "3", frame: "4|3" },
+        { b: "4", frame: "4" },
+      ]);
+    });
+
+    test("in SQL", () => {
+      const query = db.sql(
+        "SELECT a, test_product(b) AS p, test_double(a) AS d FROM data GROUP BY a"
+      );
+
+      expect(query.toArray()).toEqual([
+        { a: "1", p: 6, d: 2 },
+        { a: "2", p: 4, d: 4 },
+      ]);
+
+      expect(
+        db
+          .sql("SELECT TEST_FRAME(b) OVER (ORDER BY b) AS f FROM data")
+          .toArray()
+      ).toEqual([{ f: "2" }, { f: "2|3" }, { f: "2|3|4" }]);
+    });
+
+    test("names", () => {
+      expect(() => CSVDB.registerScalar("SUM", () => 0)).toThrow(
+        "Builtin Func: SUM"
+      );
+      expect(() => CSVDB.registerScalar("not valid", () => 0)).toThrow(
+        "Bad Func Name: not valid"
+      );
+    });
+
+    test("re-registering replaces the function", () => {
+      CSVDB.registerAggregate("TEST_REPLACED", {
+        init: () => 0,
+        step: (n) => n + 1,
+      });
+      CSVDB.registerScalar("TEST_REPLACED", () => "scalar");
+
+      expect(db.query().select({ x: "TEST_REPLACED()" }).toArray()).toEqual([
+        { x: "scalar" },
+        { x: "scalar" },
+        { x: "scalar" },
+      ]);
+    });
+  });
+
   describe("Ranking Functions", () => {
     it("ROW_NUMBER()", () => {
       const db = new CSVDB("a,b,c\n1,2,3\n2,4,8\n1,4,7\n4,5,6");
@@ -1147,6 +4322,23 @@ describe("Windows", () => {
       expect(results.getNextValue()).toBe("4,1");
       expect(results.getNextValue()).toBe("4");
     });
+
+    it("multiple keys", () => {
+      const db = new CSVDB("a,b,c\n1,20,3\n2,4,8\n1,4,7\n4,5,6");
+      const results = db
+        .query()
+        .window("win1", {
+          orderBy: ["+b", { key: "a", direction: "desc" }],
+        })
+        .select({
+          a: "LISTAGG(a) OVER win1",
+        });
+
+      expect(results.getNextValue()).toBe("2,1,4,1");
+      expect(results.getNextValue()).toBe("2");
+      expect(results.getNextValue()).toBe("2,1");
+      expect(results.getNextValue()).toBe("2,1,4");
+    });
   });
 
   describe("Framing", () => {
@@ -1221,6 +4413,148 @@ describe("Windows", () => {
     });
   });
 
+  describe("RANGE and GROUPS", () => {
+    const db = new CSVDB("a,b\n1,2\n2,4\n3,4\n4,5\n5,9");
+    const frame = (framing, orderBy = "+b") =>
+      db
+        .query()
+        .window("win1", { orderBy, framing })
+        .select({ a: "LISTAGG(a) OVER win1" })
+        .toArray()
+        .map((row) => row.a);
+
+    it("RANGE with value offsets", () => {
+      expect(frame(["RANGE", -2, 0])).toEqual([
+        "1",
+        "1,2,3",
+        "1,2,3",
+        "2,3,4",
+        "5",
+      ]);
+      expect(frame(["RANGE", "1 PRECEDING", "1 FOLLOWING"])).toEqual([
+        "1",
+        "2,3,4",
+        "2,3,4",
+        "2,3,4",
+        "5",
+      ]);
+    });
+
+    it("RANGE with a descending key", () => {
+      expect(frame(["RANGE", -1, 0], "-b")).toEqual([
+        "1",
+        "4,2,3",
+        "4,2,3",
+        "4",
+        "5",
+      ]);
+    });
+
+    it("RANGE CURRENT ROW includes peers", () => {
+      expect(frame(["RANGE", "UNBOUNDED PRECEDING", "CURRENT ROW"])).toEqual([
+        "1",
+        "1,2,3",
+        "1,2,3",
+        "1,2,3,4",
+        "1,2,3,4,5",
+      ]);
+    });
+
+    it("RANGE over dates", () => {
+      const db = new CSVDB(
+        "Date,Amount\n01-Jun-2023 09:00:00,1\n03-Jun-2023 12:00:00,2\n08-Jun-2023 10:00:00,4\n10-Jun-2023 09:00:00,8\n20-Jun-2023 09:00:00,16",
+        { schema: { Amount: "number" } }
+      );
+
+      const results = db
+        .query()
+        .window("week", {
+          orderBy: { key: "Date", compare: "date" },
+          framing: ["RANGE", "7 DAYS PRECEDING", "CURRENT ROW"],
+        })
+        .select({ total: "SUM(Amount) OVER week" });
+
+      expect(results.toArray().map((row) => row.total)).toEqual([
+        1, 3, 6, 14, 16,
+      ]);
+    });
+
+    it("RANGE offsets need a single key", () => {
+      expect(() => frame(["RANGE", -1, 0], ["+b", "+a"])).toThrow(
+        "RANGE offsets need a single orderBy key"
+      );
+    });
+
+    it("GROUPS", () => {
+      expect(frame(["GROUPS", -1, 0])).toEqual([
+        "1",
+        "1,2,3",
+        "1,2,3",
+        "2,3,4",
+        "4,5",
+      ]);
+      expect(frame(["GROUPS", "CURRENT ROW", 1])).toEqual([
+        "1,2,3",
+        "2,3,4",
+        "2,3,4",
+        "4,5",
+        "5",
+      ]);
+    });
+
+    it("EXCLUDE", () => {
+      const all = ["UNBOUNDED PRECEDING", "UNBOUNDED FOLLOWING"];
+
+      expect(frame(["ROWS", ...all, "CURRENT ROW"])[1]).toBe("1,3,4,5");
+      expect(frame(["ROWS", ...all, "GROUP"])[1]).toBe("1,4,5");
+      expect(frame(["ROWS", ...all, "TIES"])[1]).toBe("1,2,4,5");
+      expect(frame(["ROWS", ...all, "NO OTHERS"])[1]).toBe("1,2,3,4,5");
+    });
+
+    it("rejects bad frame bounds", () => {
+      expect(() => frame(["ROWS", "2 DAYS PRECEDING", 0])).toThrow(
+        "Bad Frame Bound: 2 DAYS PRECEDING"
+      );
+    });
+
+    it("in SQL", () => {
+      const results = db.sql(`
+        SELECT
+          LISTAGG(a) OVER (ORDER BY b RANGE BETWEEN 1 PRECEDING AND CURRENT ROW) AS r,
+          LISTAGG(a) OVER (ORDER BY b GROUPS 1 PRECEDING EXCLUDE TIES) AS g
+        FROM data
+      `);
+
+      expect(results.toArray()).toEqual([
+        { r: "1", g: "1" },
+        { r: "2,3", g: "1,2" },
+        { r: "2,3", g: "1,3" },
+        { r: "2,3,4", g: "2,3,4" },
+        { r: "5", g: "4,5" },
+      ]);
+    });
+
+    it("INTERVAL in SQL", () => {
+      const db = new CSVDB("d,n\n2023-01-01,1\n2023-01-05,2\n2023-01-20,4", {
+        schema: { d: "date", n: "number" },
+      });
+
+      const results = db.sql(`
+        SELECT SUM(n) OVER (
+          ORDER BY d DESC
+          RANGE BETWEEN INTERVAL '1 week' PRECEDING AND CURRENT ROW
+        ) AS total
+        FROM data
+      `);
+
+      expect(results.toArray()).toEqual([
+        { total: 3 },
+        { total: 2 },
+        { total: 4 },
+      ]);
+    });
+  });
+
   describe("Partition", () => {
     it("field", () => {
       const db = new CSVDB("a,b,c\n1,2,3\n2,4,8\n1,4,7\n4,5,6");
@@ -1258,4 +4592,105 @@ describe("Windows", () => {
       expect(results.getNextValue()).toBe("2,4");
     });
   });
+
+  describe("Large inputs", () => {
+    it("sorts each partition once", () => {
+      const rows = Array.from({ length: 50000 }, (_, i) => ({
+        g: i % 4,
+        v: (i * 7919) % 1000,
+      }));
+      const results = CSVDB.fromJSON(rows)
+        .query()
+        .window("win1", { partitionBy: "g", orderBy: "+v" })
+        .window("win2", { orderBy: "+v", framing: ["ROWS", -5, 5] })
+        .select({
+          rank: "RANK() OVER win1",
+          lag: "LAG(v) OVER win1",
+          sum: "SUM(v) OVER win1",
+          avg: "AVG(v) OVER win2",
+        })
+        .toArray();
+
+      expect(results).toHaveLength(50000);
+      expect(results[0]).toEqual({ rank: 1, lag: null, sum: 0, avg: 0 });
+    });
+
+    it("updates sliding frames with inverse", () => {
+      let steps = 0;
+      // Registered functions are global, so the name is kept to this test
+      CSVDB.registerAggregate("LARGE_INPUTS_SLIDING_SUM", {
+        init: () => 0,
+        step: (total, value) => (steps++, total + +value),
+        // Floats are added up again rather than taken away
+        inverse: (total, value) =>
+          Number.isInteger(+value) ? total - +value : undefined,
+      });
+
+      const select = (csv) =>
+        new CSVDB(csv)
+          .query()
+          .window("win1", { orderBy: "+a", framing: ["ROWS", -1, 1] })
+          .select({ s: "LARGE_INPUTS_SLIDING_SUM(a) OVER win1" })
+          .toArray()
+          .map(({ s }) => s);
+
+      expect(select("a\n1\n2\n3\n4\n5\n6")).toEqual([3, 6, 9, 12, 15, 11]);
+      expect(steps).toBe(6);
+
+      steps = 0;
+      expect(select("a\n0.1\n0.2\n0.3\n0.4")).toEqual([
+        0.1 + 0.2,
+        0.1 + 0.2 + 0.3,
+        0.2 + 0.3 + 0.4,
+        0.3 + 0.4,
+      ]);
+      expect(steps).toBe(9);
+    });
+
+    it("keeps sliding sums of floats the same as adding up each frame", () => {
+      const db = new CSVDB("i,v\n1,0.1\n2,0.2\n3,0.3\n4,1e20\n5,1\n6,1\n7,1");
+      const results = db
+        .query()
+        .window("win1", { orderBy: "+i", framing: ["ROWS", -1, 0] })
+        .select({ sum: "SUM(v) OVER win1", avg: "AVG(v) OVER win1" })
+        .toArray();
+
+      expect(results.map(({ sum }) => sum)).toEqual([
+        0.1,
+        0.1 + 0.2,
+        0.2 + 0.3,
+        0.3 + 1e20,
+        1e20 + 1,
+        2,
+        2,
+      ]);
+      expect(results.map(({ avg }) => avg)).toEqual([
+        0.1,
+        (0.1 + 0.2) / 2,
+        (0.2 + 0.3) / 2,
+        (0.3 + 1e20) / 2,
+        (1e20 + 1) / 2,
+        1,
+        1,
+      ]);
+    });
+
+    it("rebuilds sliding frames without inverse", () => {
+      const db = new CSVDB("a\n3\n1\n4\n1\n5\n9");
+      const results = db
+        .query()
+        .window("win1", { orderBy: "+a", framing: ["ROWS", -1, 1] })
+        .select({ min: "MIN(a) OVER win1", max: "MAX(a) OVER win1" })
+        .toArray();
+
+      expect(results).toEqual([
+        { min: 1, max: 4 },
+        { min: 1, max: 1 },
+        { min: 3, max: 5 },
+        { min: 1, max: 3 },
+        { min: 4, max: 9 },
+        { min: 5, max: 9 },
+      ]);
+    });
+  });
 });
@@ -1,20 +1,136 @@
 import {
+  AggregateFunction,
   ColumnSpec,
+  ColumnType,
+  CSVOptions,
+  CSVWriteOptions,
+  Discriminator,
+  ExplainOptions,
+  FormatOptions,
+  IndexOptions,
+  JSONOptions,
+  JoinKey,
+  JoinKeys,
+  JoinOptions,
+  JoinType,
+  OrderBy,
+  OrderKey,
+  PivotOptions,
   RowObject,
+  Schema,
   SelectFunction,
   SelectObject,
   StringRowObject,
+  UnpivotOptions,
+  WindowFunction,
+  WithOptions,
   WindowSpec,
 } from "./types";
+import {
+  CSVParseError,
+  Dialect,
+  parseCSV,
+  resolveDialect,
+  sniffDialect,
+} from "./parse.js";
+import { getConverter, isStrict, parseDate, resolveSchema } from "./schema.js";
+import {
+  AGGREGATE_FUNCTIONS,
+  POSITION_FUNCTIONS,
+  STAT_FUNCTIONS,
+  USER_WINDOW_FUNCTIONS,
+  WINDOW_FUNCTIONS,
+  getOrderBy,
+  registerAggregate,
+  registerScalar,
+  registerWindowFunction,
+} from "./functions.js";
+import {
+  Expression,
+  SQLSyntaxError,
+  containsAggregate,
+  containsWindow,
+  evaluate,
+  isTrue,
+  parseExpression,
+  parseSpec,
+} from "./expression.js";
+import { CommonTables, compileSQL, compileWindowFunction } from "./sql.js";
+import { Subquery, exists, isIn, scalar } from "./subquery.js";
+import { CSVDBStream, CSVSource, openCSVStream } from "./stream.js";
+import { writeCSV } from "./write.js";
+import { applyWindow, evaluateWindowFunction } from "./window.js";
+import {
+  INDEXES,
+  IndexLookup,
+  TableIndexes,
+  getCanonicalKey,
+  getLookupPredicate,
+  getRowKey,
+  hashRows,
+  normaliseKey,
+} from "./indexes.js";
+import {
+  PlanStage,
+  Profile,
+  Profiler,
+  QueryPlan,
+  describeOrderBy,
+} from "./explain.js";
+import { Cursor } from "./cursor.js";
+import {
+  GroupingSets,
+  crossSets,
+  cube,
+  getRolledUp,
+  groupBySets,
+  groupingSets,
+  rollup,
+} from "./grouping.js";
+import {
+  formatHTML,
+  formatJSONLines,
+  formatMarkdown,
+  formatTSV,
+  formatText,
+  getColumns,
+  getSchemaFromValues,
+  parseJSONLines,
+  parseJSONRows,
+} from "./formats.js";
 export { RowObject, SelectFunction, SelectObject, WindowSpec, ColumnSpec };
+export { CSVOptions, CSVParseError, CSVWriteOptions, Dialect, sniffDialect };
+export { ColumnType, Schema, parseDate };
+export { SQLSyntaxError };
+export { CSVDBStream, CSVSource };
+export { JoinKey, JoinKeys, JoinOptions, JoinType };
+export { OrderBy, OrderKey };
+export { FormatOptions, JSONOptions };
+export { IndexOptions };
+export { ExplainOptions, PlanStage, QueryPlan };
+export { Discriminator, GroupingSets, cube, groupingSets, rollup };
+export { PivotOptions, UnpivotOptions };
+export { CommonTables, Subquery, WithOptions, exists, isIn, scalar };
+export { Cursor };
+export { AggregateFunction, WindowFunction };
 
 export class CSVDB {
   #headers: string[];
-  #rawLines: string[];
-  #parsedRows: RowObject[] = [];
+  #dialect: Dialect;
+  #schema: Schema;
+  #converters: ((value: string) => any)[];
+  /**
+   * Raw records are replaced by their RowObjects the first time they're read
+   */
+  #rows: (string[] | RowObject)[];
+  #tables: Map<string, Iterable<RowObject>> = new Map();
+  #indexes = new TableIndexes((column, value) =>
+    this.#convertValue(column, value)
+  );
 
   /**
-   * Returns the number of rows in the csv file
+   * Returns the number of rows (logical records, not physical lines) in the
+   * csv file
    * @example
    * ```js
    * console.log(db.rowCount)
@@ -25,7 +141,7 @@ export class CSVDB {
    * ```
    */
   get rowCount() {
-    return this.#rawLines.length;
+    return this.#rows.length;
   }
 
   /**
@@ -43,21 +159,108 @@ export class CSVDB {
     return this.#headers;
   }
 
+  /**
+   * Returns the type of each column. Columns are strings unless a `schema`
+   * was provided or `inferTypes` was set.
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b,c\n1,2.5,x", { inferTypes: true });
+   * console.log(db.schema)
+   * ```
+   * Output:
+   * ```
+   * { a: 'integer', b: 'number', c: 'string' }
+   * ```
+   */
+  get schema() {
+    return this.#schema;
+  }
+
+  /**
+   * Returns the dialect used to parse the csv file. Useful to find out what
+   * was chosen when the `sniff` option is used.
+   * @example
+   * ```js
+   * const db = new CSVDB("a;b;c\n1;2;3", { sniff: true });
+   * console.log(db.dialect)
+   * ```
+   * Output:
+   * ```
+   * { delimiter: ';', quote: '"', escape: '"', skipLines: 0 }
+   * ```
+   */
+  get dialect() {
+    return this.#dialect;
+  }
+
   /**
    * Create a CSVDB by providing a CSV string to the constructor.
    * @example Create a database object
    * ```js
    * const db = new CSVDB("a,b,c\n,1,2,3\n4,5,6")
    * ```
-   * @param csv A raw string containing CSV data. The headers should be the
-   * first row. Rows should be separated by a single `\n` character.
+   * @example Semicolon separated file with no header row
+   * ```js
+   * const db = new CSVDB("1;2;3\n4;5;6", {
+   *  delimiter: ";",
+   *  header: false,
+   *  columns: ["a", "b", "c"],
+   * })
+   * ```
+   * @param csv A raw string containing CSV data in RFC 4180 format. The
+   * headers should be the first row. Rows may be separated by `\r\n` or `\n`
+   * and quoted fields may contain commas, escaped quotes (`""`) and line
+   * breaks. Blank lines are skipped.
+   * @example Typed columns
+   * ```js
+   * const db = new CSVDB("Date,Amount\n15-Jun-2023 15:51:11,3.66", {
+   *  schema: { Date: "date", Amount: "number" },
+   * })
+   * const [row] = db
+   * // Dates without a timezone are in local time
+   * console.log(row.Date.toDateString(), row.Date.getHours(), row.Amount)
+   * ```
+   * Output:
+   * ```
+   * Thu Jun 15 2023 15 3.66
+   * ```
+   * @param options Describes the dialect of the csv file if it differs from
+   * RFC 4180, and optionally the types of the columns. See
+   * {@link CSVOptions}.
+   * @throws {@link CSVParseError} if the input is malformed, e.g. it contains
+   * an unterminated quote.
    */
-  constructor(csv: string) {
-    const [headerLine, ...restLines] = csv.trim().split("\n");
+  constructor(csv: string, options: CSVOptions = {}) {
+    const { dialect, header: hasHeader } = resolveDialect(options, csv);
+    this.#dialect = dialect;
+
+    const records = parseCSV(csv, this.#dialect);
 
-    this.#headers = parseCSVLine(headerLine);
+    const headerRecord = (hasHeader && records.shift()) || [];
 
-    this.#rawLines = restLines;
+    if (options.columns) {
+      this.#headers = options.columns;
+    } else if (hasHeader) {
+      this.#headers = headerRecord;
+    } else {
+      const width = records.reduce((max, r) => Math.max(max, r.length), 0);
+      this.#headers = Array.from({ length: width }, (_, i) => `column${i + 1}`);
+    }
+
+    this.#rows = records;
+
+    this.#schema = resolveSchema(this.#headers, options, records);
+
+    this.#converters = this.#headers.map((header) =>
+      getConverter(
+        header,
+        this.#schema[header],
+        options.nullValues,
+        isStrict(header, options)
+      )
+    );
+
+    this.register(options.name ?? "data", this);
   }
 
   /**
@@ -79,19 +282,233 @@ export class CSVDB {
   }
 
   *#iter(): Generator<RowObject> {
+    for (let i = 0; i < this.#rows.length; i++) {
+      yield this.#getRow(i);
+    }
+  }
+
+  #getRow(i: number) {
+    const record = this.#rows[i];
+
+    if (!Array.isArray(record)) {
+      return record;
+    }
+
     // It's important to keep object identity over multiple calls to #iter()
+    const row = zip(
+      this.#headers,
+      this.#converters.map((convert, j) => convert(record[j]))
+    );
+    this.#rows[i] = row;
+    return row;
+  }
+
+  /**
+   * Add rows to the end of the db.
+   *
+   * Every property of each row must be one of the db's `headers`. Missing
+   * columns are set to `null`. String values are converted according to the
+   * `schema` just like values read from the csv file.
+   * @param rows A single {@link RowObject} or an array of them
+   * @returns The number of rows inserted
+   * @throws If a row has a property which isn't a column, or would duplicate
+   * the key of a unique index. No rows are inserted in that case.
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b\n1,2", { schema: { a: "number" } });
+   * db.insert([{ a: "3", b: "4" }, { a: 5 }]);
+   * console.log([...db]);
+   * ```
+   * Output:
+   * ```
+   * [ { a: 1, b: '2' }, { a: 3, b: '4' }, { a: 5, b: null } ]
+   * ```
+   */
+  insert(rows: RowObject | RowObject[]) {
+    const newRows = (Array.isArray(rows) ? rows : [rows]).map((values) =>
+      Object.assign(
+        zip(
+          this.#headers,
+          this.#headers.map(() => null)
+        ),
+        this.#convert(values)
+      )
+    );
+
+    this.#indexes.check(newRows.map((values) => ({ values })));
+
+    for (const row of newRows) {
+      this.#rows.push(row);
+    }
+    this.#indexes.add(newRows);
+
+    return newRows.length;
+  }
+
+  /**
+   * Modify the rows matching a predicate. Rows are modified in place so
+   * existing references to them see the change.
+   * @param predicate Provided with a `row` and an `index` like
+   * {@link CSVDBQuery#where|where()}
+   * @param changes Either an object of new values, or a function which is
+   * given each matching row and returns an object of new values. Values are
+   * validated and converted as for {@link CSVDB#insert|insert()}.
+   * @returns The number of rows updated
+   * @throws If the changes have a property which isn't a column, or would
+   * duplicate the key of a unique index. No rows are updated in that case.
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b\n1,2\n3,4");
+   * db.update((row) => row.a === "3", (row) => ({ b: row.b + "0" }));
+   * console.log([...db]);
+   * ```
+   * Output:
+   * ```
+   * [ { a: '1', b: '2' }, { a: '3', b: '40' } ]
+   * ```
+   */
+  update(
+    predicate: (row: RowObject, index: number) => boolean,
+    changes: RowObject | ((row: RowObject) => RowObject)
+  ) {
+    const updates: { row: RowObject; values: RowObject }[] = [];
+
+    for (let i = 0; i < this.#rows.length; i++) {
+      const row = this.#getRow(i);
+
+      if (predicate(row, i)) {
+        const values = typeof changes === "function" ? changes(row) : changes;
+        updates.push({ row, values: { ...row, ...this.#convert(values) } });
+      }
+    }
+
+    // Nothing is changed unless every row can be
+    this.#indexes.check(updates);
+
+    for (const { row, values } of updates) {
+      this.#indexes.remove([row]);
+      Object.assign(row, values);
+      this.#indexes.add([row]);
+    }
+
+    return updates.length;
+  }
+
+  /**
+   * Remove the rows matching a predicate.
+   * @param predicate Provided with a `row` and an `index` like
+   * {@link CSVDBQuery#where|where()}
+   * @returns The number of rows deleted
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b\n1,2\n3,4");
+   * db.delete((row) => row.a === "1");
+   * console.log(db.rowCount);
+   * ```
+   * Output:
+   * ```
+   * 1
+   * ```
+   */
+  delete(predicate: (row: RowObject, index: number) => boolean) {
+    const deleted: RowObject[] = [];
+
+    this.#rows = this.#rows.filter((_, i) => {
+      const row = this.#getRow(i);
+      if (predicate(row, i)) {
+        deleted.push(row);
+        return false;
+      }
+      return true;
+    });
+
+    this.#indexes.remove(deleted);
+
+    return deleted.length;
+  }
 
-    for (const row of this.#parsedRows) {
-      yield row;
+  /**
+   * Check that every key of `values` is a column and convert strings
+   * according to the schema
+   */
+  #convert(values: RowObject) {
+    const converted: RowObject = {};
+
+    for (const [key, value] of Object.entries(values)) {
+      if (!this.#headers.includes(key)) {
+        throw Error(`Unknown Column: ${key}`);
+      }
+
+      converted[key] = this.#convertValue(key, value);
     }
 
-    for (let i = this.#parsedRows.length; i < this.rowCount; i++) {
-      const line = this.#rawLines[i];
-      const parsed = parseCSVLine(line);
-      const row = zip(this.#headers, parsed);
-      this.#parsedRows.push(row);
-      yield row;
+    return converted;
+  }
+
+  #convertValue(column: string, value: any) {
+    const index = this.#headers.indexOf(column);
+    return typeof value === "string" && index >= 0
+      ? this.#converters[index](value)
+      : value;
+  }
+
+  /**
+   * Index one or more columns so that
+   * {@link CSVDBQuery#whereEq|whereEq()},
+   * {@link CSVDBQuery#whereBetween|whereBetween()} and
+   * {@link CSVDBQuery#joinOn|joinOn()} with keys can find rows without
+   * scanning the whole db.
+   *
+   * Equality lookups use a hash table. Ranges use the rows sorted by value,
+   * which is built the first time it is needed, and need an index on the
+   * single column. Indexes are kept up to date as rows are inserted, updated
+   * and deleted. Creating an index on the same columns again replaces it.
+   * @param columns A column name or an array of column names
+   * @param options See {@link IndexOptions}
+   * @returns The db itself to allow chaining
+   * @throws If a column doesn't exist, or if the index is unique and there
+   * are duplicate keys
+   * @example
+   * ```js
+   * const db = new CSVDB("id,Amount\n1,10\n2,25\n3,40", {
+   *  schema: { id: "integer", Amount: "number" },
+   * });
+   * db.createIndex("id", { unique: true }).createIndex("Amount");
+   *
+   * console.log(db.query().whereEq("id", 2).toArray());
+   * console.log(db.query().whereBetween("Amount", 20, 50).toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { id: 2, Amount: 25 } ]
+   * [ { id: 2, Amount: 25 }, { id: 3, Amount: 40 } ]
+   * ```
+   */
+  createIndex(columns: string | string[], options: IndexOptions = {}) {
+    const names = Array.isArray(columns) ? columns : [columns];
+
+    for (const name of names) {
+      if (!this.#headers.includes(name)) {
+        throw Error(`Unknown Column: ${name}`);
+      }
     }
+
+    this.#indexes.create(names, !!options.unique, [...this.#iter()]);
+
+    return this;
+  }
+
+  /**
+   * Remove the index created on the same columns by
+   * {@link CSVDB#createIndex|createIndex()}
+   * @returns Whether there was an index to remove
+   */
+  dropIndex(columns: string | string[]) {
+    return this.#indexes.drop(Array.isArray(columns) ? columns : [columns]);
+  }
+
+  get [INDEXES]() {
+    return this.#indexes;
   }
 
   /**
@@ -116,31 +533,393 @@ export class CSVDB {
     return new CSVDBQuery(this);
   }
 
+  /**
+   * Serialise the db as csv text. The output can be read back by the
+   * constructor.
+   * @param options The format of the output. See {@link CSVWriteOptions}.
+   * The columns default to the db's `headers`.
+   * @example
+   * ```js
+   * const db = new CSVDB('a,b\n1,"x,y"\n2,"say ""hi"""');
+   * console.log(db.toCSV({ delimiter: ";", lineTerminator: "\n" }));
+   * ```
+   * Output:
+   * ```
+   * a;b
+   * 1;x,y
+   * 2;"say ""hi"""
+   * ```
+   */
+  toCSV(options: CSVWriteOptions = {}) {
+    return [...this.toCSVChunks(options)].join("");
+  }
+
+  /**
+   * Serialise the db as csv text one record at a time, e.g. to write a large
+   * file without building the whole string in memory.
+   * @param options See {@link CSVDB#toCSV|toCSV()}
+   * @example
+   * ```js
+   * const file = fs.createWriteStream("out.csv");
+   * for (const chunk of db.toCSVChunks()) {
+   *  file.write(chunk);
+   * }
+   * ```
+   */
+  toCSVChunks(options: CSVWriteOptions = {}) {
+    return writeCSV(this, options, options.columns ?? this.#headers);
+  }
+
+  /**
+   * Read a csv file incrementally from an async source, e.g. a large file
+   * which shouldn't be loaded into memory all at once.
+   *
+   * Takes the same options as the constructor. Type inference and sniffing
+   * only look at the beginning of the stream.
+   *
+   * The resulting {@link CSVDBStream} can be queried with
+   * {@link CSVDBStream#query|query()} like a normal db but must be iterated
+   * with `for await`, and only once. Filters, projections and
+   * {@link CSVDBQuery#fetchFirst|fetchFirst()} run in constant memory.
+   * @param source A Node `Readable`, a WHATWG `ReadableStream` or any
+   * `AsyncIterable` of strings or `Uint8Array`s
+   * @param options See {@link CSVOptions}
+   * @returns A promise which resolves once the header has been read
+   * @example
+   * ```js
+   * const stream = await CSVDB.fromStream(fs.createReadStream("big.csv"), {
+   *  schema: { Amount: "number" },
+   * });
+   * const query = stream.query().where((r) => r.Amount > 1000).fetchFirst(2);
+   * for await (const row of query) {
+   *  console.log(row);
+   * }
+   * ```
+   * Output:
+   * ```
+   * { Date: '15-Jun-2023 15:51:11', Type: 'Deposit', Amount: 1500 }
+   * { Date: '16-Jun-2023 12:01:43', Type: 'Deposit', Amount: 2500 }
+   * ```
+   */
+  static fromStream(source: CSVSource, options: CSVOptions = {}) {
+    return openCSVStream(source, options);
+  }
+
+  /**
+   * Create a db from a JSON array of objects.
+   *
+   * The columns are all the properties of the objects, in the order they're
+   * first seen, unless `columns` is given. Missing properties are `null`.
+   * Columns containing only numbers or only booleans are given those types in
+   * the `schema`, anything else is a string. A `schema` can be provided to
+   * convert string values, e.g. to dates.
+   * @param json JSON text or an array which has already been parsed
+   * @param options See {@link JSONOptions}
+   * @example
+   * ```js
+   * const db = CSVDB.fromJSON('[{"a":1,"b":"x"},{"a":2,"c":true}]');
+   * console.log(db.headers, db.schema);
+   * ```
+   * Output:
+   * ```
+   * [ 'a', 'b', 'c' ] { a: 'number', b: 'string', c: 'boolean' }
+   * ```
+   */
+  static fromJSON(json: string | RowObject[], options: JSONOptions = {}) {
+    return fromRows(parseJSONRows(json), options);
+  }
+
+  /**
+   * Create a db from JSON Lines (NDJSON) text, i.e. one JSON object per line.
+   * Otherwise the same as {@link CSVDB.fromJSON}.
+   * @param text JSON Lines text. Blank lines are ignored.
+   * @param options See {@link JSONOptions}
+   * @example
+   * ```js
+   * const db = CSVDB.fromJSONLines('{"level":"info"}\n{"level":"error"}\n');
+   * console.log(db.query().where((r) => r.level === "error").toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { level: 'error' } ]
+   * ```
+   */
+  static fromJSONLines(text: string, options: JSONOptions = {}) {
+    return fromRows(parseJSONLines(text), options);
+  }
+
+  /**
+   * Define an aggregate function which can be used by name in string column
+   * specs, expressions, SQL and `OVER` windows (including framed windows),
+   * just like the builtin aggregates.
+   *
+   * Functions are registered globally, for every db. Names are case
+   * insensitive and can't be those of builtin functions. Registering the same
+   * name again replaces the previous function.
+   * @param name Function name, e.g. `PRODUCT`
+   * @param definition See {@link AggregateFunction}. `init` creates the state
+   * for each group or frame, `step` is called with each value in turn and
+   * `finalize` produces the result. Windows keep a running state as the frame
+   * moves, so `finalize` may be called more than once with the same state.
+   * With `inverse` a sliding frame is updated instead of being started again,
+   * unless it returns `undefined`.
+   * @example
+   * ```js
+   * CSVDB.registerAggregate("PRODUCT", {
+   *  init: () => 1,
+   *  step: (product, value) => product * value,
+   *  // A 0 can't be divided out, so the frame is multiplied out again
+   *  inverse: (product, value) => (+value === 0 ? undefined : product / value),
+   * });
+   *
+   * const db = new CSVDB("a,b\n1,2\n1,3\n2,4");
+   * console.log(db.query().groupBy("a").select(["a", "PRODUCT(b)"]).toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { a: '1', 'PRODUCT(b)': 6 }, { a: '2', 'PRODUCT(b)': 4 } ]
+   * ```
+   */
+  static registerAggregate<S>(name: string, definition: AggregateFunction<S>) {
+    registerAggregate(name, definition);
+  }
+
+  /**
+   * Define a scalar function which can be used in expressions and SQL. It is
+   * called with the evaluated arguments for each row.
+   *
+   * Functions are registered globally, for every db. Names are case
+   * insensitive and can't be those of builtin functions.
+   * @example
+   * ```js
+   * CSVDB.registerScalar("INITIALS", (name) =>
+   *  name === null ? null : name.split(" ").map((part) => part[0]).join("")
+   * );
+   *
+   * const db = new CSVDB("name\nAda Lovelace");
+   * console.log(db.query().select({ initials: "INITIALS(name)" }).toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { initials: 'AL' } ]
+   * ```
+   */
+  static registerScalar(name: string, fn: (...args: any[]) => any) {
+    registerScalar(name, fn);
+  }
+
+  /**
+   * Define a window function which can be used with an `OVER` clause in
+   * string column specs and SQL.
+   *
+   * Functions are registered globally, for every db. Names are case
+   * insensitive and can't be those of builtin functions.
+   * @param fn See {@link WindowFunction}. Called for each row with the rows
+   * of its window frame.
+   * @example
+   * ```js
+   * CSVDB.registerWindowFunction("PREV_OR_SELF", (row, rows, [column]) => {
+   *  const i = rows.indexOf(row);
+   *  return i > 0 ? rows[i - 1][column] : row[column];
+   * });
+   *
+   * const db = new CSVDB("a\n1\n2\n3");
+   * const query = db.query()
+   *  .window("w", { orderBy: "a" })
+   *  .select({ a: "a", prev: "PREV_OR_SELF(a) OVER w" });
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { a: '1', prev: '1' }, { a: '2', prev: '1' }, { a: '3', prev: '2' } ]
+   * ```
+   */
+  static registerWindowFunction(name: string, fn: WindowFunction) {
+    registerWindowFunction(name, fn);
+  }
+
+  /**
+   * Make a table available to SQL queries run with {@link CSVDB#sql|sql()}.
+   *
+   * The database itself is registered automatically under the `name` given in
+   * the constructor options (`data` by default). Table names are case
+   * insensitive.
+   * @param name The name used to refer to the table in SQL
+   * @param table Another `CSVDB`, a `CSVDBQuery` or any iterable of
+   * {@link RowObject}s
+   * @returns Returns the db itself to allow chaining.
+   */
+  register(name: string, table: Iterable<RowObject>) {
+    this.#tables.set(name.toLowerCase(), table);
+    return this;
+  }
+
+  /**
+   * Query the db with SQL text. The statement is compiled to a
+   * {@link CSVDBQuery} so produces the same results as the equivalent fluent
+   * method calls.
+   *
+   * Supported syntax includes `SELECT [DISTINCT]` with expressions and
+   * aliases, `FROM` with `[INNER|LEFT|RIGHT|FULL|CROSS] JOIN ... ON`,
+   * `WHERE`, `GROUP BY` with `ROLLUP`, `CUBE` and `GROUPING SETS`, `HAVING`,
+   * `WINDOW`, `OVER`, `ORDER BY ... ASC|DESC`, `OFFSET ... ROWS`,
+   * `FETCH FIRST ... ROWS ONLY`, `LIMIT` and `UNION`, `INTERSECT` and
+   * `EXCEPT`, each optionally with `ALL`.
+   *
+   * `WITH [RECURSIVE] name [(columns)] AS [[NOT] MATERIALIZED] (...)` names
+   * subqueries for the statement. Subqueries can also be used in `FROM` with
+   * an alias, as values, and with `IN` and `EXISTS`. They can refer to the
+   * columns of the outer query.
+   *
+   * Keywords are case insensitive but column names are not. Column names
+   * which clash with keywords or contain spaces can be quoted with `"`.
+   * Values which look like numbers are compared numerically.
+   *
+   * @param sql A single SQL SELECT statement
+   * @returns A new CSVDBQuery object
+   * @throws {@link SQLSyntaxError} if the statement cannot be parsed
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b,c\n1,2,3\n4,5,6\n1,3,5");
+   * const query = db.sql(`
+   *  SELECT a, COUNT(*) AS count, SUM(c) AS total
+   *  FROM data
+   *  WHERE b > 2
+   *  GROUP BY a
+   *  ORDER BY total DESC
+   * `);
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { a: '4', count: 1, total: 6 }, { a: '1', count: 1, total: 5 } ]
+   * ```
+   * @example Joining registered tables
+   * ```js
+   * const owners = new CSVDB("owner,animal\ntom,cat\ndick,dog", { name: "owners" });
+   * owners.register("families", new CSVDB("animal,family\ncat,feline"));
+   * const query = owners.sql(`
+   *  SELECT o.owner, f.family
+   *  FROM owners AS o
+   *  LEFT JOIN families AS f ON f.animal = o.animal
+   * `);
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { owner: 'tom', family: 'feline' }, { owner: 'dick', family: null } ]
+   * ```
+   */
+  sql(sql: string) {
+    return compileSQL(sql, (name) => this.#getTable(name));
+  }
+
+  /**
+   * Name the results of a query for a SQL statement, like a `WITH` clause.
+   * Call {@link CommonTables#sql|sql()} on the returned object to run the
+   * statement, or {@link CommonTables#with|with()} to name more results.
+   *
+   * A result set which the statement refers to more than once is
+   * materialised: the query is run once each time the statement is, and its
+   * rows are kept until the statement finishes. Otherwise the query is run
+   * wherever it's referred to. `materialise` overrides this.
+   * @param name The name used to refer to the results in SQL. Unlike
+   * {@link CSVDB#register|register()} it's only available to statements
+   * run with the returned object.
+   * @param query A `CSVDBQuery` or any iterable of {@link RowObject}s
+   * @param options See {@link WithOptions}
+   * @example
+   * ```js
+   * const db = new CSVDB("Type,Amount\na,1\na,3\nb,5");
+   * const totals = db
+   *  .query()
+   *  .groupBy("Type")
+   *  .select({ Type: "Type", total: "SUM(Amount)" });
+   *
+   * const query = db
+   *  .with("totals", totals)
+   *  .sql("SELECT Type FROM totals WHERE total = (SELECT MAX(total) FROM totals)");
+   *
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { Type: 'b' } ]
+   * ```
+   */
+  with(name: string, query: Iterable<RowObject>, options: WithOptions = {}) {
+    return new CommonTables((table) => this.#getTable(table)).with(
+      name,
+      query,
+      options
+    );
+  }
+
+  #getTable(name: string) {
+    const table = this.#tables.get(name.toLowerCase());
+    if (!table) {
+      throw Error(`Unknown Table: ${name}`);
+    }
+    return table;
+  }
+
   /**
    * Takes two iterables of RowObjects and produces the mathematical set of the
    * first iterable subtract the second.
+   *
+   * Rows are equal if they have the same columns with the same values, see
+   * {@link CSVDBQuery#distinct|distinct()}. The second iterable is read into
+   * a hash set, then rows of the first stream through.
    * @param resultsA
    * @param resultsB
    * @returns A new CSVDBQuery object
    * @example
    * ```
-   * const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
-   * const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
-   * const results = CSVDB.except(db, db2);
+   * const db = new CSVDB("a,b,c\n1,2,3\n4,5,6");
+   * const db2 = new CSVDB("a,b,c\n1,2,3\n1,3,5");
+   * const results = CSVDB.except(db, db2);
+   * console.log(results.toArray());
+   * ```
+   * Output
+   * ```
+   * [ { a: '4', b: '5', c: '6' } ]
+   * ```
+   */
+  static except(resultsA: Iterable<RowObject>, resultsB: Iterable<RowObject>) {
+    return new CSVDBQuery(rerun(() => except(resultsA, resultsB)));
+  }
+
+  /**
+   * Like {@link CSVDB.except} but duplicates aren't removed. Each row of the
+   * second iterable cancels out one equal row of the first, so a row which
+   * appears `m` times in the first and `n` times in the second appears
+   * `m - n` times in the results.
+   * @returns A new CSVDBQuery object
+   * @example
+   * ```
+   * const db = new CSVDB("a\n1\n1\n1\n2");
+   * const db2 = new CSVDB("a\n1\n2\n2");
+   * const results = CSVDB.exceptAll(db, db2);
    * console.log(results.toArray());
    * ```
    * Output
    * ```
-   * [ { a: '4', b: '5', c: '6' } ]
+   * [ { a: '1' }, { a: '1' } ]
    * ```
    */
-  static except(resultsA: Iterable<RowObject>, resultsB: Iterable<RowObject>) {
-    return new CSVDBQuery(except(resultsA, resultsB));
+  static exceptAll(
+    resultsA: Iterable<RowObject>,
+    resultsB: Iterable<RowObject>
+  ) {
+    return new CSVDBQuery(rerun(() => exceptAll(resultsA, resultsB)));
   }
 
   /**
    * Takes two iterables of RowObjects and produces the mathematical set of the
    * intersection of both.
+   *
+   * The second iterable is read into a hash set, then rows of the first
+   * stream through.
    * @param resultsA
    * @param resultsB
    * @returns A new CSVDBQuery object
@@ -160,7 +939,32 @@ export class CSVDB {
     resultsA: Iterable<RowObject>,
     resultsB: Iterable<RowObject>
   ) {
-    return new CSVDBQuery(intersect(resultsA, resultsB));
+    return new CSVDBQuery(rerun(() => intersect(resultsA, resultsB)));
+  }
+
+  /**
+   * Like {@link CSVDB.intersect} but duplicates aren't removed. Each row of
+   * the first iterable is paired with one equal row of the second, so a row
+   * which appears `m` times in the first and `n` times in the second appears
+   * `min(m, n)` times in the results.
+   * @returns A new CSVDBQuery object
+   * @example
+   * ```
+   * const db = new CSVDB("a\n1\n1\n1\n2");
+   * const db2 = new CSVDB("a\n1\n1\n3");
+   * const results = CSVDB.intersectAll(db, db2);
+   * console.log(results.toArray());
+   * ```
+   * Output
+   * ```
+   * [ { a: '1' }, { a: '1' } ]
+   * ```
+   */
+  static intersectAll(
+    resultsA: Iterable<RowObject>,
+    resultsB: Iterable<RowObject>
+  ) {
+    return new CSVDBQuery(rerun(() => intersectAll(resultsA, resultsB)));
   }
 
   /**
@@ -216,28 +1020,58 @@ export class CSVDB {
     resultsA: Iterable<RowObject>,
     resultsB: Iterable<RowObject>
   ) {
-    return new CSVDBQuery(unionAll(resultsA, resultsB));
+    return new CSVDBQuery(rerun(() => unionAll(resultsA, resultsB)));
   }
 }
 
 export class CSVDBQuery {
-  #rows: Iterable<RowObject>;
+  #rows: Iterable<RowObject> | AsyncIterable<RowObject>;
 
-  #join: ((row: RowObject | null) => RowObject[] | null | undefined)[] = [];
+  /**
+   * Create the join functions for each run, so runs don't share state. `read`
+   * gives the rows of the other table, which are analyzed if the run is.
+   */
+  #join: ((
+    read: (other: Iterable<RowObject>) => Iterable<RowObject>
+  ) => (row: RowObject | null) => RowObject[] | null | undefined)[] = [];
   #where: ((row: RowObject, index: number) => boolean)[] = [];
-  #groupBy: ((row: RowObject) => any) | null = null;
+  /** Filters which an index of the source db may be able to answer */
+  #lookups: IndexLookup[] = [];
+  #whereCallback = false;
+  #groupBy: ((row: RowObject) => any)[] | null = null;
+  /** The discriminators which #groupBy was created from */
+  #groupByKeys: Discriminator[] = [];
+  #groupingSets: Discriminator[][] | null = null;
+  #having: ((
+    row: RowObject,
+    sourceRow: RowObject,
+    rowGroup: RowObject[]
+  ) => boolean)[] = [];
+  #havingAggregates = false;
   #selection: SelectObject | null = null;
   #sort: ((rowA: RowObject, rowB: RowObject) => number) | null = null;
+  #outputSort: ((rowA: RowObject, rowB: RowObject) => number) | null = null;
   #windowSpecs: Map<string, WindowSpec> = new Map();
 
   #offset = 0;
   #limit = Infinity;
 
   #distinct = false;
+  /** The columns compared by distinctOn(), or `null` to compare all */
+  #distinctColumns: string[] | null = null;
 
-  #internalIterator: Iterator<RowObject> | undefined;
+  /** Used by getNextRow() and getNextValue() */
+  #cursor: Cursor | undefined;
 
-  constructor(rows: Iterable<RowObject>) {
+  /** Descriptions of the stages for explain() */
+  #joinDetails: { describe: () => string; other?: Iterable<RowObject> }[] = [];
+  #whereDetails: string[] = [];
+  #groupByDetail = "";
+  #havingDetails: string[] = [];
+  #sortDetail = "";
+  #outputSortDetail = "";
+
+  constructor(rows: Iterable<RowObject> | AsyncIterable<RowObject>) {
     this.#rows = rows;
   }
 
@@ -272,6 +1106,64 @@ export class CSVDBQuery {
     return new CSVDBQuery(this);
   }
 
+  /**
+   * Copy the query, so that it can be changed without changing this one.
+   * Builder methods such as `where()` change the query they're called on, so
+   * clone a query before building on it in more than one way.
+   *
+   * Unlike {@link CSVDBQuery#query|query()} the copy isn't built on the
+   * results of this query, so e.g. `where()` on the copy still comes before
+   * this query's projection and sort.
+   * @returns A new query object with the same source and clauses
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b\n1,2\n3,4\n5,6");
+   * const base = db.query().where("b > 2");
+   * const small = base.clone().where("a < 4");
+   * const large = base.clone().where("a > 4");
+   *
+   * console.log(base.toArray());
+   * console.log(small.toArray());
+   * console.log(large.toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { a: '3', b: '4' }, { a: '5', b: '6' } ]
+   * [ { a: '3', b: '4' } ]
+   * [ { a: '5', b: '6' } ]
+   * ```
+   */
+  clone() {
+    const query = new CSVDBQuery(this.#rows);
+
+    query.#join = [...this.#join];
+    query.#where = [...this.#where];
+    query.#lookups = [...this.#lookups];
+    query.#whereCallback = this.#whereCallback;
+    query.#groupBy = this.#groupBy;
+    query.#groupByKeys = this.#groupByKeys;
+    query.#groupingSets = this.#groupingSets;
+    query.#having = [...this.#having];
+    query.#havingAggregates = this.#havingAggregates;
+    query.#selection = this.#selection;
+    query.#sort = this.#sort;
+    query.#outputSort = this.#outputSort;
+    query.#windowSpecs = new Map(this.#windowSpecs);
+    query.#offset = this.#offset;
+    query.#limit = this.#limit;
+    query.#distinct = this.#distinct;
+    query.#distinctColumns = this.#distinctColumns;
+
+    query.#joinDetails = [...this.#joinDetails];
+    query.#whereDetails = [...this.#whereDetails];
+    query.#groupByDetail = this.#groupByDetail;
+    query.#havingDetails = [...this.#havingDetails];
+    query.#sortDetail = this.#sortDetail;
+    query.#outputSortDetail = this.#outputSortDetail;
+
+    return query;
+  }
+
   /**
    * Used to implement joins with other CSVDB databases or any arbitrary
    * mechanism you choose.
@@ -320,7 +1212,8 @@ export class CSVDBQuery {
    * ```
    */
   join(joinSpec: (row: RowObject | null) => RowObject[] | null) {
-    this.#join.push(joinSpec);
+    this.#join.push(() => joinSpec);
+    this.#joinDetails.push({ describe: () => "callback" });
     return this;
   }
 
@@ -331,37 +1224,173 @@ export class CSVDBQuery {
    * @param other Another `CSVDB` object; Another `CSVDBQuery` object; or any
    * other iterable.
    *
-   * @param on A callback which is given two rows (one from each side of the
-   * join) and returns a boolean to indicate whether or not this match should
-   * be included in the result set.
+   * @param on Either a callback which is given two rows (one from each side of
+   * the join) and returns a boolean to indicate whether or not this match
+   * should be included in the result set; or a {@link JoinKeys} object
+   * naming the columns to match on.
+   *
+   * Joining on keys builds a hash table of `other` so is much faster than
+   * testing every pair of rows with a callback. `null` keys never match. If
+   * `other` is a CSVDB with an index on the `right` columns (see
+   * {@link CSVDB#createIndex|createIndex()}) and there's no `alias` the index
+   * is used instead.
    *
    * If `on` is not provided then the default behaviour is a cartesian join.
+   * @param options The join type and column prefixes. See
+   * {@link JoinOptions}.
    * @returns Returns the query object itself to allow chaining.
+   * @example
+   * ```js
+   * const accounts = new CSVDB("id,name\n1,Current\n2,Savings");
+   * const transactions = new CSVDB("accountId,amount\n1,10\n1,20\n3,30");
+   * const query = accounts
+   *  .query()
+   *  .joinOn(transactions, { left: "id", right: "accountId" }, { type: "left" });
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [
+   *   { id: '1', name: 'Current', accountId: '1', amount: '10' },
+   *   { id: '1', name: 'Current', accountId: '1', amount: '20' },
+   *   { id: '2', name: 'Savings', accountId: null, amount: null }
+   * ]
+   * ```
+   * @example Prefixing columns
+   * ```js
+   * const query = accounts
+   *  .query()
+   *  .joinOn(accounts, (a, b) => a.id < b.id, { leftAlias: "a", alias: "b" });
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { 'a.id': '1', 'a.name': 'Current', 'b.id': '2', 'b.name': 'Savings' } ]
+   * ```
    */
   joinOn(
     other: Iterable<CSVDB | CSVDBQuery | any>,
-    on: (rowA: RowObject, rowB: RowObject) => boolean = () => true
+    on: ((rowA: RowObject, rowB: RowObject) => boolean) | JoinKeys = () => true,
+    options: JoinOptions = {}
   ) {
-    let otherCache: RowObject[];
+    const { type = "inner", alias, leftAlias } = options;
 
-    this.#join.push((rowA) => {
-      // Materialise `other` just once
-      if (typeof otherCache === "undefined") {
-        // @ts-ignore
-        otherCache = [...other];
-      }
+    if (!JOIN_TYPES.includes(type)) {
+      throw Error(`Bad Join Type: ${type}`);
+    }
+
+    const prefixLeft = (row: RowObject) =>
+      leftAlias ? prefixKeys(row, leftAlias) : row;
+
+    this.#joinDetails.push({
+      describe: () => {
+        if (typeof on === "function") {
+          return `${type}, nested loop over other`;
+        }
+
+        const keys = `${describeJoinKey(on.left)} = ${describeJoinKey(
+          on.right
+        )}`;
+
+        return getJoinIndex(other, on.right, alias)
+          ? `${type}, ${keys}, index of other`
+          : `${type}, ${keys}, hash table of other`;
+      },
+      other,
+    });
 
-      const out = [];
+    this.#join.push((read) => {
+      let otherCache: RowObject[];
+      let findMatches: (rowA: RowObject) => RowObject[];
+      let leftKeys: string[] | undefined;
+      const matched = new Set<RowObject>();
+
+      // The columns of a left side with no rows, when they're known
+      const getSourceKeys = () =>
+        this.#rows instanceof CSVDB
+          ? this.#rows.headers.map((header) =>
+              leftAlias ? `${leftAlias}.${header}` : header
+            )
+          : [];
+
+      const getRightKeys = () =>
+        other instanceof CSVDB
+          ? other.headers.map((header) =>
+              alias ? `${alias}.${header}` : header
+            )
+          : otherCache.length
+          ? Object.keys(otherCache[0])
+          : [];
+
+      return (rowA) => {
+        // Materialise `other` just once per run
+        if (typeof otherCache === "undefined") {
+          otherCache = [...read(other)].map((row) =>
+            alias ? prefixKeys(row, alias) : row
+          );
 
-      if (rowA) {
-        for (const rowB of otherCache) {
-          if (on(rowA, rowB)) {
-            out.push({ ...rowA, ...rowB });
+          if (typeof on === "function") {
+            findMatches = (rowA) => otherCache.filter((rowB) => on(rowA, rowB));
+          } else {
+            const leftKey = getJoinKey(on.left, leftAlias);
+            const index = getJoinIndex(other, on.right, alias);
+
+            if (index) {
+              findMatches = (rowA) => index.get(leftKey(rowA));
+            } else {
+              const table = hashRows(otherCache, getJoinKey(on.right, alias));
+
+              findMatches = (rowA) => {
+                const key = leftKey(rowA);
+                return (key !== null && table.get(key)) || [];
+              };
+            }
           }
         }
-      }
 
-      return out;
+        // Called once more at the end to allow unmatched right rows to be added
+        if (!rowA) {
+          let out: RowObject[] = [];
+
+          if (type === "right" || type === "full") {
+            const nullLeft = nullRow(leftKeys ?? getSourceKeys());
+            out = otherCache
+              .filter((rowB) => !matched.has(rowB))
+              .map((rowB) => ({ ...nullLeft, ...rowB }));
+          }
+
+          return out;
+        }
+
+        rowA = prefixLeft(rowA);
+
+        if (!leftKeys) {
+          leftKeys = Object.keys(rowA);
+        }
+
+        const matches = findMatches(rowA);
+
+        if (type === "semi") {
+          return matches.length > 0 ? [rowA] : [];
+        }
+
+        if (type === "anti") {
+          return matches.length > 0 ? [] : [rowA];
+        }
+
+        if (type === "right" || type === "full") {
+          for (const rowB of matches) {
+            matched.add(rowB);
+          }
+        }
+
+        if (matches.length === 0 && (type === "left" || type === "full")) {
+          const rightKeys = getRightKeys().filter((key) => !(key in rowA!));
+          return [{ ...rowA, ...nullRow(rightKeys) }];
+        }
+
+        return matches.map((rowB) => ({ ...rowA, ...rowB }));
+      };
     });
 
     return this;
@@ -372,7 +1401,8 @@ export class CSVDBQuery {
    *
    * @param predicate A callback which is provided with a `row` and an `index`
    * and returns a `boolean` indicating whether or not this row should be in the
-   * result set.
+   * result set. Alternatively a SQL expression string, see
+   * {@link CSVDBQuery#select|select()}.
    * @returns Returns the query object itself to allow chaining.
    *
    * @example
@@ -387,17 +1417,157 @@ export class CSVDBQuery {
    * ```
    * {a: "1", b: "2", c: "3"}
    * ```
+   * @example Using an expression
+   * ```js
+   * query.where("Amount > 10 AND Type = 'Credit'")
+   * ```
+   * @throws {@link SQLSyntaxError} if the expression can't be parsed
+   */
+  where(predicate: ((row: RowObject, index: number) => boolean) | string) {
+    if (typeof predicate === "string") {
+      const expression = parseExpression(predicate);
+      this.#where.push((row) => isTrue(evaluate(expression, { row })));
+      this.#whereDetails.push(predicate);
+    } else {
+      this.#where.push(predicate);
+      this.#whereDetails.push("callback");
+      this.#whereCallback = true;
+    }
+    return this;
+  }
+
+  /**
+   * Keep the rows whose column equals a value. Multiple calls, and calls to
+   * {@link CSVDBQuery#where|where()}, will be AND'd together.
+   *
+   * Values are matched as they're stored, so `"1"` doesn't match `1`, except
+   * that string values are first converted according to the schema of the db
+   * being queried. Dates match if they're the same time. `null` never
+   * matches.
+   *
+   * If the query is on a db with an index on the columns (see
+   * {@link CSVDB#createIndex|createIndex()}) the index is used to find the
+   * rows instead of scanning the whole db. Indexes aren't used if the query
+   * has joins, or if a `where()` callback comes first since it is given the
+   * index of every row.
+   * @param columns A column name or an array of column names
+   * @param values The value, or an array of values if there are several
+   * columns
+   * @returns Returns the query object itself to allow chaining.
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b\n1,x\n2,y\n1,z").createIndex(["a", "b"]);
+   * console.log(db.query().whereEq(["a", "b"], ["1", "z"]).toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { a: '1', b: 'z' } ]
+   * ```
+   */
+  whereEq(columns: string | string[], values: any) {
+    if (!Array.isArray(columns)) {
+      return this.#whereLookup({
+        type: "equal",
+        columns: [columns],
+        values: [values],
+      });
+    }
+
+    if (!Array.isArray(values) || values.length !== columns.length) {
+      throw Error(`Bad Key: expected ${columns.length} values`);
+    }
+
+    return this.#whereLookup({ type: "equal", columns, values });
+  }
+
+  /**
+   * Keep the rows whose column is between `low` and `high`, inclusive, like
+   * SQL's `BETWEEN`. Values are compared as in expressions, so numbers and
+   * strings which look like numbers are compared numerically, and dates by
+   * time. Rows where the column is `null` never match, and nothing matches if
+   * either bound is `null`.
+   *
+   * Uses an index on the column if there is one, see
+   * {@link CSVDBQuery#whereEq|whereEq()}.
+   * @returns Returns the query object itself to allow chaining.
+   * @example
+   * ```js
+   * const db = new CSVDB("Date,Amount\n2023-06-01,10\n2023-06-15,20\n2023-07-01,30", {
+   *  schema: { Date: "date", Amount: "number" },
+   * }).createIndex("Date");
+   * const query = db
+   *  .query()
+   *  .whereBetween("Date", "2023-06-01", "2023-06-30")
+   *  .select(["Amount"]);
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { Amount: 10 }, { Amount: 20 } ]
+   * ```
    */
-  where(predicate: (row: RowObject, index: number) => boolean) {
-    this.#where.push(predicate);
+  whereBetween(column: string, low: any, high: any) {
+    return this.#whereLookup({
+      type: "between",
+      columns: [column],
+      values: [low, high],
+    });
+  }
+
+  #whereLookup(lookup: IndexLookup) {
+    const source = this.#rows;
+
+    this.#where.push(
+      source instanceof CSVDB
+        ? source[INDEXES].getPredicate(lookup)
+        : getLookupPredicate(lookup)
+    );
+    this.#whereDetails.push(describeLookup(lookup));
+
+    if (!this.#whereCallback) {
+      this.#lookups.push(lookup);
+    }
+
     return this;
   }
 
+  /**
+   * The first filter which an index of the source db can answer
+   */
+  #getIndexLookup() {
+    const source = this.#rows;
+
+    // A join might overwrite the indexed columns
+    if (!(source instanceof CSVDB) || this.#join.length > 0) {
+      return null;
+    }
+
+    return (
+      this.#lookups.find((lookup) => source[INDEXES].find(lookup.columns)) ??
+      null
+    );
+  }
+
+  /**
+   * Use an index of the source db, if there is a suitable one, to find the
+   * rows which can pass the filters. The filters are still applied to them
+   * afterwards.
+   * @returns The rows or `null` if there's no index to use
+   */
+  #scanIndexes() {
+    const lookup = this.#getIndexLookup();
+    return lookup && (this.#rows as CSVDB)[INDEXES].scan(lookup);
+  }
+
   /**
    * Group results into sets.
    * @param discriminator If discriminator is a function it is a selector which
    * extracts a value from a row which will then be used to group similar rows.
-   * It can also be a string, in which case it is interpreted as a field name.
+   * It can also be a string, in which case it is interpreted as a field name,
+   * or as an expression if it isn't the name of a field, e.g.
+   * `"YEAR(Date)"`. Grouping sets from {@link rollup}, {@link cube} or
+   * {@link groupingSets} group the rows once for each set, combined with any
+   * other discriminators in the array.
    *
    * Rows will be grouped by comparing the outputs from the discriminator with
    * `Object.is()`.
@@ -438,13 +1608,163 @@ export class CSVDBQuery {
    * ```
    * [ { a: '1', count: 2 }, { a: '2', count: 2 }, { a: '3', count: 1 } ]
    * ```
+   *
+   * @example Grouping by multiple columns
+   * An array of discriminators groups rows which match on every one of them.
+   * An empty array puts all rows into a single group, which will produce one
+   * row of output even if there are no input rows.
+   * ```js
+   * const query = new CSVDB("a,b\n1,x\n1,y\n1,x").query()
+   *
+   * query
+   *  .groupBy(["a", "b"])
+   *  .select({
+   *    a: "a",
+   *    b: "b",
+   *    count: "COUNT(*)"
+   *  });
+   *
+   * console.log(query.toArray())
+   * ```
+   * Output:
+   * ```
+   * [ { a: '1', b: 'x', count: 2 }, { a: '1', b: 'y', count: 1 } ]
+   * ```
+   *
+   * @example Subtotals with grouping sets
+   * {@link rollup}, {@link cube} and {@link groupingSets} group the rows
+   * several times over. Columns which a group isn't grouped by are `null`
+   * and `GROUPING()` tells them apart from `null` values in the data: it
+   * has a bit for each argument, set if the group isn't grouped by it.
+   * ```js
+   * const query = new CSVDB("a,b,c\n1,x,1\n1,y,2\n2,x,4").query()
+   *
+   * query
+   *  .groupBy(rollup(["a", "b"]))
+   *  .select({
+   *    a: "a",
+   *    b: "b",
+   *    total: "SUM(c)",
+   *    grouping: "GROUPING(a, b)"
+   *  });
+   *
+   * console.log(query.toArray())
+   * ```
+   * Output:
+   * ```
+   * [
+   *   { a: '1', b: 'x', total: 1, grouping: 0 },
+   *   { a: '1', b: 'y', total: 2, grouping: 0 },
+   *   { a: '2', b: 'x', total: 4, grouping: 0 },
+   *   { a: '1', b: null, total: 3, grouping: 1 },
+   *   { a: '2', b: null, total: 4, grouping: 1 },
+   *   { a: null, b: null, total: 7, grouping: 3 }
+   * ]
+   * ```
+   */
+  groupBy(
+    discriminator:
+      | Discriminator
+      | GroupingSets
+      | (Discriminator | GroupingSets)[]
+  ) {
+    const items = Array.isArray(discriminator)
+      ? discriminator
+      : [discriminator];
+
+    // Plain discriminators are in every grouping set
+    let sets: Discriminator[][] = [[]];
+    for (const item of items) {
+      sets = crossSets(
+        sets,
+        item instanceof GroupingSets ? item.sets : [[item]]
+      );
+    }
+
+    const discriminators = [...new Set(sets.flat())];
+    const describe = (set: Discriminator[]) =>
+      set.map((d) => (typeof d === "string" ? d : "callback")).join(", ");
+
+    this.#groupBy = discriminators.map((d) =>
+      typeof d === "string" ? getColumnSpec(d) : d
+    );
+    this.#groupByKeys = discriminators;
+
+    if (items.some((item) => item instanceof GroupingSets)) {
+      this.#groupingSets = sets;
+      this.#groupByDetail = `GROUPING SETS (${sets
+        .map((set) => `(${describe(set)})`)
+        .join(", ")})`;
+    } else {
+      this.#groupingSets = null;
+      this.#groupByDetail = describe(discriminators);
+    }
+
+    return this;
+  }
+
+  /**
+   * Filter the groups produced by {@link CSVDBQuery#groupBy|groupBy()}.
+   * Unlike {@link CSVDBQuery#where|where()} the predicate is applied after
+   * aggregation, so can test aggregate values. Multiple calls will be AND'd
+   * together.
+   *
+   * Groups are filtered before `distinct()`, `offset()` and `fetchFirst()`
+   * are applied.
+   *
+   * @param predicate Either a callback which is provided with the output row
+   * and all the rows in the group; or an expression string such as
+   * `"COUNT(*) > 5"`. Expressions may use aggregates which have not been
+   * selected and refer to output columns by name.
+   *
+   * If there is no `groupBy()` an aggregate expression puts all rows into a
+   * single group.
+   * @returns Returns the query object itself to allow chaining.
+   * @example
+   * ```js
+   * const query = new CSVDB("a,b\n1,2\n1,3\n2,4").query()
+   *
+   * query
+   *  .groupBy("a")
+   *  .select({ a: "a", total: "SUM(b)" })
+   *  .having("COUNT(*) > 1");
+   *
+   * console.log(query.toArray())
+   * ```
+   * Output:
+   * ```
+   * [ { a: '1', total: 5 } ]
+   * ```
+   * @example Using a callback
+   * ```js
+   * query.having((row, group) => row.total > 4);
+   * ```
    */
-  groupBy(discriminator: ((row: RowObject) => any) | string) {
-    if (typeof discriminator === "string") {
-      const d = discriminator;
-      discriminator = (row) => row[d];
+  having(
+    predicate: ((row: RowObject, rowGroup: RowObject[]) => boolean) | string
+  ) {
+    if (typeof predicate === "string") {
+      const expression = parseExpression(predicate);
+
+      if (containsAggregate(expression)) {
+        this.#havingAggregates = true;
+      }
+
+      this.#having.push((row, sourceRow, rowGroup) =>
+        isTrue(
+          evaluate(expression, {
+            row: { ...sourceRow, ...row },
+            group: rowGroup,
+            rolledUp: getRolledUpExpressions(rowGroup),
+          })
+        )
+      );
+      this.#havingDetails.push(predicate);
+    } else {
+      this.#having.push((row, sourceRow, rowGroup) => predicate(row, rowGroup));
+      this.#havingDetails.push("callback");
     }
-    this.#groupBy = discriminator;
+
     return this;
   }
 
@@ -465,6 +1785,13 @@ export class CSVDBQuery {
    * functions and examples of their use, see
    * {@link https://ijmacd.github.io/csvdb.js/}.
    *
+   * Any other string is evaluated as a SQL expression, with arithmetic,
+   * comparison and boolean operators, string literals in single quotes,
+   * `CASE WHEN`, `CAST`, `COALESCE`, `NULLIF` and nested function calls. For
+   * example `"SUM(Amount * 20)"` or
+   * `"CASE WHEN Amount > 10 THEN 'big' ELSE 'small' END"`. Field names which
+   * contain spaces or clash with keywords can be quoted with `"`.
+   *
    * An `OVER` clause can be specified by providing an array instead of just a
    * {@link ColumnSpec}:
    * ```
@@ -472,7 +1799,8 @@ export class CSVDBQuery {
    * ```
    *
    * A named {@link WindowSpec} can be created with the
-   * {@link CSVDBQuery#window|window()} method.
+   * {@link CSVDBQuery#window|window()} method. A string can also give the
+   * window inline, as in SQL, e.g. `"SUM(b) OVER (PARTITION BY a ORDER BY c)"`.
    *
    * @param selection The specification for the output object.
    * @returns Returns the query object itself to allow chaining.
@@ -538,6 +1866,24 @@ export class CSVDBQuery {
    *  { info: '[Row: 2, Rows in group: 1] a=4' }
    * ]
    * ```
+   * @example Expressions
+   * ```
+   * const db = new CSVDB("a,b,c\n1,2,3\n4,5,6\n1,8,9");
+   * const query = db.query().groupBy("a").select({
+   *  a: "a",
+   *  total: "SUM(b * c)",
+   *  size: "CASE WHEN COUNT(*) > 1 THEN 'many' ELSE 'one' END",
+   * });
+   *
+   * console.log(query.toArray())
+   * ```
+   * Output:
+   * ```
+   * [
+   *  { a: '1', total: 78, size: 'many' },
+   *  { a: '4', total: 30, size: 'one' }
+   * ]
+   * ```
    * @example With an OVER clause
    * ```
    * const db = new CSVDB("a,b,c\n1,2,3\n4,5,6\n7,8,9");
@@ -563,23 +1909,31 @@ export class CSVDBQuery {
       | { [alias: string]: ColumnSpec | [ColumnSpec, string | WindowSpec] }
       | string[]
   ) {
-    if (Array.isArray(selection)) {
-      this.#selection = {};
-      for (const col of selection) {
-        this.#selection[col] = col;
-      }
-    } else {
-      this.#selection = selection;
-    }
+    const entries = Array.isArray(selection)
+      ? selection.map((col) => [col, col] as const)
+      : Object.entries(selection);
+
+    this.#selection = Object.fromEntries(
+      entries.map(([alias, col]) => [alias, compileInlineWindow(col)])
+    );
 
     return this;
   }
 
   /**
-   * Sorts based on input rows.
+   * Sorts the results.
+   *
+   * Sorting happens after `groupBy()`, `select()` and `having()` so can use
+   * aliases and aggregate values from the selection. Columns of the source
+   * row which weren't selected can also be used (for grouped queries this is
+   * the first row of the group). `distinct()`, `offset()` and `fetchFirst()`
+   * are applied after sorting.
    *
-   * To sort based on output from `select()` either chain queries together or
-   * use `.toArray().sort()`.
+   * Pass `{ input: true }` to sort the input rows before grouping and
+   * selection instead. This determines the order rows are seen by aggregates
+   * such as `LISTAGG()`, by window functions without their own `orderBy`, and
+   * the index given to select functions. Input and output sorts can be
+   * combined by calling `orderBy()` twice.
    *
    * @param comparator A callback function which will be called with two rows
    * and should return a negative number, a positive number, or zero to indicate
@@ -590,6 +1944,16 @@ export class CSVDBQuery {
    * the string is prefixed with `-` the rows will be compared numerically in
    * descending order. Otherwise the fields will be compared as strings.
    *
+   * Other strings are parsed as a SQL `ORDER BY` list, e.g.
+   * `"Type, Amount * 2 DESC"`. These compare numbers, dates and strings which
+   * look like numbers numerically.
+   *
+   * An {@link OrderKey} object gives control over the direction, comparison
+   * type, collation and position of nulls.
+   *
+   * An array of any of the above sorts by each key in turn. The sort is
+   * stable so rows which compare equal on every key keep their input order.
+   *
    * @returns Returns the query object itself to allow chaining.
    *
    * @example Using a sort function
@@ -605,34 +1969,77 @@ export class CSVDBQuery {
    * [ { n: '2' }, { n: '10' }, { n: '1' } ]
    * ```
    *
-   * @example Using a field name to sort alphabetically
+   * @example Using a field name to sort alphabetically
+   * ```js
+   * const query = new CSVDB("n\n1\n2\n10").query()
+   *
+   * query.orderBy("n")
+   *
+   * console.log(query.toArray())
+   * ```
+   * Output:
+   * ```
+   * [ { n: '1' }, { n: '10' }, { n: '2' } ]
+   * ```
+   *
+   * @example Using a field name to sort numerically
+   * ```js
+   * const query = new CSVDB("n\n1\n2\n10").query()
+   *
+   * query.orderBy("-n")
+   *
+   * console.log(query.toArray())
+   * ```
+   * Output:
+   * ```
+   * [ { n: '10' }, { n: '2' }, { n: '1' } ]
+   * ```
+   *
+   * @example Using multiple keys
    * ```js
-   * const query = new CSVDB("n\n1\n2\n10").query()
+   * const query = new CSVDB("Type,Amount\nb,1\na,\na,10\na,2").query()
    *
-   * query.orderBy("n")
+   * query.orderBy([
+   *  "Type",
+   *  { key: "Amount", direction: "desc", compare: "numeric", nulls: "last" },
+   * ])
    *
    * console.log(query.toArray())
    * ```
    * Output:
    * ```
-   * [ { n: '1' }, { n: '10' }, { n: '2' } ]
+   * [
+   *   { Type: 'a', Amount: '10' },
+   *   { Type: 'a', Amount: '2' },
+   *   { Type: 'a', Amount: '' },
+   *   { Type: 'b', Amount: '1' }
+   * ]
    * ```
    *
-   * @example Using a field name to sort numerically
+   * @example Sorting by an aggregate
    * ```js
-   * const query = new CSVDB("n\n1\n2\n10").query()
+   * const query = new CSVDB("a,b\n1,2\n2,5\n1,4").query()
    *
-   * query.orderBy("-n")
+   * query
+   *  .groupBy("a")
+   *  .select({ a: "a", total: "SUM(b)" })
+   *  .orderBy("-total")
    *
    * console.log(query.toArray())
    * ```
    * Output:
    * ```
-   * [ { n: '10' }, { n: '2' }, { n: '1' } ]
+   * [ { a: '1', total: 6 }, { a: '2', total: 5 } ]
    * ```
    */
-  orderBy(comparator: ((rowA: RowObject, rowB: RowObject) => number) | string) {
-    this.#sort = getOrderBy(comparator);
+  orderBy(comparator: OrderBy, options: { input?: boolean } = {}) {
+    if (options.input) {
+      this.#sort = getOrderBy(comparator);
+      this.#sortDetail = describeOrderBy(comparator);
+    } else {
+      this.#outputSort = getOrderBy(comparator);
+      this.#outputSortDetail = describeOrderBy(comparator);
+    }
 
     return this;
   }
@@ -730,6 +2137,12 @@ export class CSVDBQuery {
   /**
    * Use `distinct()` to ensure results are a true set.
    *
+   * Rows are the same if they have the same columns, in any order, with the
+   * same values. Values are compared as they're stored, so `"1"` isn't the
+   * same as `1`, except that dates are the same if they're the same time and
+   * `null`s are the same as each other. Rows are kept in a hash set of the
+   * rows output so far so the results still stream.
+   *
    * @param distinct A boolean to force distinct on or off. Defaults to `true`
    * (on).
    *
@@ -747,9 +2160,352 @@ export class CSVDBQuery {
    */
   distinct(distinct = true) {
     this.#distinct = distinct;
+    this.#distinctColumns = null;
     return this;
   }
 
+  /**
+   * Keep only the first row of each set of rows which have the same values
+   * in some columns, like PostgreSQL's `DISTINCT ON`. Values are compared as
+   * in {@link CSVDBQuery#distinct|distinct()}.
+   *
+   * It applies to the output rows, after `orderBy()`, which decides which
+   * row is first.
+   * @param columns An output column name or an array of names
+   * @returns Returns the query object itself to allow chaining.
+   * @example
+   * ```
+   * const db = new CSVDB("name,score\nann,3\nbob,5\nann,7\nbob,4");
+   * const query = db.query().orderBy("-score").distinctOn("name");
+   *
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [ { name: 'ann', score: '7' }, { name: 'bob', score: '5' } ]
+   * ```
+   */
+  distinctOn(columns: string | string[]) {
+    this.#distinct = true;
+    this.#distinctColumns = Array.isArray(columns) ? columns : [columns];
+    return this;
+  }
+
+  /**
+   * Turn the distinct values of one column into columns of their own, like a
+   * spreadsheet's pivot table. Each cell is the aggregate of the `values` of
+   * the rows which have that value.
+   *
+   * The output columns are only known once all the rows have been read, so
+   * this query is run in full when the pivoted query is. The new columns are
+   * in the order their values first appear, so sort this query to order
+   * them. A cell with no rows gets the aggregate of no values, e.g. `null`
+   * for `SUM` or `0` for `COUNT`.
+   * @param options See {@link PivotOptions}
+   * @returns A new query object of the pivoted rows
+   * @example
+   * ```js
+   * const db = new CSVDB(
+   *  "Year,Type,Amount\n2022,Deposit,5\n2022,Withdrawal,2\n2023,Deposit,3\n2022,Deposit,1"
+   * );
+   * const query = db.query().pivot({
+   *  rows: "Year",
+   *  columns: "Type",
+   *  values: "Amount",
+   *  aggregate: "SUM",
+   * });
+   *
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [
+   *   { Year: '2022', Deposit: 6, Withdrawal: 2 },
+   *   { Year: '2023', Deposit: 3, Withdrawal: null }
+   * ]
+   * ```
+   */
+  pivot(options: PivotOptions) {
+    const aggregate = (
+      options.aggregate ?? (options.values === undefined ? "COUNT" : "SUM")
+    ).toUpperCase();
+    const fn = AGGREGATE_FUNCTIONS[aggregate] ?? STAT_FUNCTIONS[aggregate];
+
+    if (!fn) {
+      throw Error(`Bad Func: ${aggregate}`);
+    }
+
+    if (options.values === undefined && aggregate !== "COUNT") {
+      throw Error(`Bad Pivot: ${aggregate} needs values`);
+    }
+
+    const source = this;
+
+    return new CSVDBQuery({
+      *[Symbol.iterator]() {
+        yield* pivotRows(source, options, fn);
+      },
+    });
+  }
+
+  /**
+   * The inverse of {@link CSVDBQuery#pivot|pivot()}: turn some columns into
+   * rows, one for each column of each input row, holding the column's name
+   * and its value. The other columns are copied to each of the new rows.
+   * @param options See {@link UnpivotOptions}
+   * @returns A new query object of the unpivoted rows
+   * @example
+   * ```js
+   * const db = new CSVDB("Year,Deposit,Withdrawal\n2022,6,2\n2023,3,", {
+   *  nullValues: [""],
+   * });
+   * const query = db.query().unpivot({
+   *  columns: ["Deposit", "Withdrawal"],
+   *  nameColumn: "Type",
+   *  valueColumn: "Amount",
+   * });
+   *
+   * console.log(query.toArray());
+   * ```
+   * Output:
+   * ```
+   * [
+   *   { Year: '2022', Type: 'Deposit', Amount: '6' },
+   *   { Year: '2022', Type: 'Withdrawal', Amount: '2' },
+   *   { Year: '2023', Type: 'Deposit', Amount: '3' }
+   * ]
+   * ```
+   */
+  unpivot(options: UnpivotOptions) {
+    const {
+      columns,
+      nameColumn = "name",
+      valueColumn = "value",
+      includeNulls = false,
+    } = options;
+
+    if (columns.length === 0) {
+      throw Error("Bad Unpivot: no columns");
+    }
+
+    // Rows are unpivoted as they arrive, like a join
+    return new CSVDBQuery(this).join((row) => {
+      if (!row) return null;
+
+      const rest = { ...row };
+      for (const column of columns) {
+        delete rest[column];
+      }
+
+      return columns
+        .map((column) => ({
+          ...rest,
+          [nameColumn]: column,
+          [valueColumn]: row[column] ?? null,
+        }))
+        .filter((out) => includeNulls || out[valueColumn] !== null);
+    });
+  }
+
+  /**
+   * Describe how the query will be run: the stages rows pass through and
+   * whether each one streams rows or has to materialise all of its input
+   * first. Stages which a query doesn't use are left out.
+   *
+   * With `analyze` the query is run, and the number of rows output by each
+   * stage and the time spent in it are recorded. Stages after a
+   * `fetchFirst()` limit stop early, so the stages before them may output
+   * fewer rows than they would otherwise. A query with an async source can't
+   * be analyzed.
+   * @param options See {@link ExplainOptions}
+   * @returns A {@link QueryPlan}. Its `toString()` method draws the plan as a
+   * tree.
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b\n1,2\n1,4\n2,3");
+   * const query = db
+   *  .query()
+   *  .where("b > 2")
+   *  .groupBy("a")
+   *  .select({ a: "a", total: "SUM(b)" })
+   *  .orderBy("-total");
+   * console.log(String(query.explain()));
+   * ```
+   * Output:
+   * ```
+   * Sort: -total (materialises)
+   * └─ Projection: a, total (streams)
+   *    └─ Group: a (materialises)
+   *       └─ Filter: b > 2 (streams)
+   *          └─ Source: CSVDB, 3 rows (streams)
+   * ```
+   */
+  explain(options: ExplainOptions = {}) {
+    if (!options.analyze) {
+      return this.#explain(null);
+    }
+
+    if (!(Symbol.iterator in this.#rows)) {
+      throw Error(
+        "Bad Explain: a query with an async source can't be analyzed"
+      );
+    }
+
+    const profile: Profile = {
+      profiler: new Profiler(),
+      stages: new Map(),
+      inputs: new Map(),
+    };
+    const plan = this.#explain(profile);
+
+    const iterator = this.#iter(profile);
+    while (!iterator.next().done);
+
+    return plan;
+  }
+
+  /**
+   * @param profile Passed when analyzing, and filled with the stages of this
+   * query and the queries it reads from, to record their rows and times
+   */
+  #explain(profile: Profile | null) {
+    const stages = profile?.stages ?? new Map<string, PlanStage>();
+
+    const addStage = (
+      key: string,
+      type: PlanStage["type"],
+      detail: string,
+      materialises = false,
+      input?: Iterable<RowObject> | AsyncIterable<RowObject>
+    ) => {
+      const stage: PlanStage = { type, detail, materialises };
+
+      if (input instanceof CSVDBQuery) {
+        const inputProfile = profile && {
+          profiler: profile.profiler,
+          stages: new Map(),
+          inputs: new Map(),
+        };
+
+        stage.input = input.#explain(inputProfile);
+
+        if (inputProfile) {
+          profile.inputs.set(input, inputProfile);
+        }
+      }
+
+      if (profile) {
+        stage.rows = 0;
+        stage.time = 0;
+      }
+
+      stages.set(key, stage);
+    };
+
+    addStage("source", "source", this.#describeSource(), false, this.#rows);
+
+    for (const [i, { describe, other }] of this.#joinDetails.entries()) {
+      addStage(`join ${i}`, "join", describe(), false, other);
+    }
+
+    for (const [i, detail] of this.#whereDetails.entries()) {
+      addStage(`filter ${i}`, "filter", detail);
+    }
+
+    if (this.#sort) {
+      addStage("sort", "sort", this.#sortDetail, true);
+    }
+
+    if (this.#groupBy) {
+      addStage("group", "group", this.#groupByDetail, true);
+    } else if (this.#hasAggregates()) {
+      addStage("group", "group", "all rows", true);
+    }
+
+    if (this.#hasWindowFunctions()) {
+      const columns = Object.entries(this.#selection ?? {})
+        .filter(([, spec]) => isWindowColumn(spec))
+        .map(([alias]) => alias);
+      addStage("window", "window", columns.join(", "), true);
+    }
+
+    addStage(
+      "projection",
+      "projection",
+      this.#selection ? Object.keys(this.#selection).join(", ") : "*"
+    );
+
+    if (this.#having.length > 0) {
+      addStage("having", "having", this.#havingDetails.join(" AND "));
+    }
+
+    if (this.#outputSort) {
+      addStage("output sort", "sort", this.#outputSortDetail, true);
+    }
+
+    if (this.#distinct) {
+      addStage("distinct", "distinct", this.#distinctColumns?.join(", ") ?? "");
+    }
+
+    if (this.#offset > 0) {
+      addStage("offset", "offset", String(this.#offset));
+    }
+
+    if (this.#limit < Infinity) {
+      addStage("limit", "limit", String(this.#limit));
+    }
+
+    return new QueryPlan([...stages.values()]);
+  }
+
+  #describeSource() {
+    const source = this.#rows;
+
+    if (source instanceof CSVDB) {
+      const lookup = this.#getIndexLookup();
+      return lookup
+        ? `CSVDB, index on ${lookup.columns.join(", ")}`
+        : `CSVDB, ${source.rowCount} rows`;
+    }
+
+    if (source instanceof CSVDBQuery) {
+      return "query";
+    }
+
+    if (Array.isArray(source)) {
+      return `array, ${source.length} rows`;
+    }
+
+    return Symbol.asyncIterator in source ? "async iterable" : "iterable";
+  }
+
+  /**
+   * Count the rows coming out of a stage which is being analyzed
+   */
+  #measure<T>(
+    profile: Profile | null,
+    key: string,
+    rows: Iterable<T>
+  ): Iterable<T> {
+    const stage = profile?.stages.get(key);
+    return stage ? profile!.profiler.measure(stage, rows) : rows;
+  }
+
+  /**
+   * Charge the time taken by `fn` to a stage which is being analyzed
+   */
+  #time<T>(profile: Profile | null, key: string, fn: () => T): T {
+    const stage = profile?.stages.get(key);
+    return stage ? profile!.profiler.time(stage, fn) : fn();
+  }
+
+  #count(profile: Profile | null, key: string, rows = 1) {
+    const stage = profile?.stages.get(key);
+    if (stage) {
+      stage.rows = (stage.rows ?? 0) + rows;
+    }
+  }
+
   /**
    * Materialise result rows into a JavaScript array.
    */
@@ -758,10 +2514,109 @@ export class CSVDBQuery {
   }
 
   /**
-   * CSVDBQuery maintains its own internal iterator in order to provide this
-   * convenience method.
+   * Serialise the results as csv text. The output can be read back by the
+   * CSVDB constructor.
+   * @param options The format of the output. See {@link CSVWriteOptions}.
+   * The columns default to the properties of the first result row.
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b\n1,2\n3,4");
+   * const query = db.query().select({ b: "b", total: "SUM(a)" }).groupBy("b");
+   * console.log(query.toCSV({ quoting: "nonnumeric", lineTerminator: "\n" }));
+   * ```
+   * Output:
+   * ```
+   * "b","total"
+   * "2",1
+   * "4",3
+   * ```
+   */
+  toCSV(options: CSVWriteOptions = {}) {
+    return [...this.toCSVChunks(options)].join("");
+  }
+
+  /**
+   * Serialise the results as csv text one record at a time. Rows are only
+   * read from the query as chunks are requested.
+   * @param options See {@link CSVDBQuery#toCSV|toCSV()}
+   */
+  toCSVChunks(options: CSVWriteOptions = {}) {
+    return writeCSV(this, options);
+  }
+
+  /**
+   * Format the results as JSON Lines, one JSON object per line.
+   * @param options Only `columns` is used. See {@link FormatOptions}.
+   */
+  toJSONLines(options: FormatOptions = {}) {
+    return formatJSONLines(this, options);
+  }
+
+  /**
+   * Format the results as tab separated values.
+   * @param options See {@link FormatOptions}
+   */
+  toTSV(options: FormatOptions = {}) {
+    return formatTSV(this, options);
+  }
+
+  /**
+   * Format the results as a Markdown table. Numeric columns are right
+   * aligned.
+   * @param options See {@link FormatOptions}
+   * @example
+   * ```js
+   * const db = new CSVDB("a,b\n1,x\n2,y", { schema: { a: "number" } });
+   * console.log(db.query().toMarkdown({ numberFormat: { minimumFractionDigits: 1 } }));
+   * ```
+   * Output:
+   * ```
+   * | a | b |
+   * | ---: | --- |
+   * | 1.0 | x |
+   * | 2.0 | y |
+   * ```
+   */
+  toMarkdown(options: FormatOptions = {}) {
+    return formatMarkdown(this, options);
+  }
+
+  /**
+   * Format the results as an HTML `<table>`. Values are escaped.
+   * @param options See {@link FormatOptions}
+   */
+  toHTML(options: FormatOptions = {}) {
+    return formatHTML(this, options);
+  }
+
+  /**
+   * Format the results as a plain text table with aligned columns.
+   * @param options See {@link FormatOptions}
+   * @example
+   * ```js
+   * const db = new CSVDB("name,count\ncat,1\nhorse,10", {
+   *  schema: { count: "number" },
+   * });
+   * console.log(db.query().toText());
+   * ```
+   * Output:
+   * ```
+   * name  | count
+   * ------+------
+   * cat   |     1
+   * horse |    10
+   * ```
+   */
+  toText(options: FormatOptions = {}) {
+    return formatText(this, options);
+  }
+
+  /**
+   * CSVDBQuery maintains its own internal cursor in order to provide this
+   * convenience method. Use {@link CSVDBQuery#cursor|cursor()} for one which
+   * can be reset or closed.
    *
-   * The iterator is started the first time either `getNextRow()` or
+   * The cursor is started the first time either `getNextRow()` or
    * {@link CSVDBQuery#getNextValue| getNextValue()} is called.
    * @returns A single {@link RowObject}
    * @example
@@ -777,22 +2632,19 @@ export class CSVDBQuery {
    * ```
    */
   getNextRow(): RowObject {
-    if (!this.#internalIterator) {
-      this.#internalIterator = this[Symbol.iterator]();
-    }
-
-    return this.#internalIterator.next().value;
+    this.#cursor ??= this.cursor();
+    return this.#cursor.getNextRow() as RowObject;
   }
 
   /**
-   * CSVDBQuery maintains its own internal iterator in order to provide this
+   * CSVDBQuery maintains its own internal cursor in order to provide this
    * convenience method.
    *
-   * The iterator is started the first time either
+   * The cursor is started the first time either
    * {@link CSVDBQuery#getNextRow | getNextRow()} or `getNextValue()` is called.
    * @param column The name of the column or the 0-indexed column number
    * (determined at the time the RowObject was created).
-   * @returns A single value from the next row of the internal iterator
+   * @returns A single value from the next row of the internal cursor
    * @example
    * ```
    * const query = new CSVDB("a,b,c\n1,2,3\n4,5,6\n7,8,9").query();
@@ -808,12 +2660,36 @@ export class CSVDBQuery {
    * ```
    */
   getNextValue(column: string | number = 0) {
-    const row = this.getNextRow();
-    return row
-      ? typeof column === "string"
-        ? row[column]
-        : Object.values(row)[column]
-      : undefined;
+    this.#cursor ??= this.cursor();
+    return this.#cursor.getNextValue(column);
+  }
+
+  /**
+   * Read the results one row at a time. Unlike
+   * {@link CSVDBQuery#getNextRow|getNextRow()}, each cursor runs the query
+   * separately and can be reset to the start or closed early.
+   * @returns A new {@link Cursor}
+   * @example
+   * ```
+   * const query = new CSVDB("a,b\n1,2\n3,4").query();
+   * const cursor = query.cursor();
+   * console.log(cursor.getNextRow());
+   * console.log(cursor.getNextValue("b"));
+   * console.log(cursor.getNextRow());
+   * cursor.reset();
+   * console.log(cursor.getNextValue());
+   * cursor.close();
+   * ```
+   * Output:
+   * ```
+   * { a: '1', b: '2' }
+   * 4
+   * undefined
+   * 1
+   * ```
+   */
+  cursor() {
+    return new Cursor(this);
   }
 
   /**
@@ -838,119 +2714,400 @@ export class CSVDBQuery {
     return this.#iter();
   }
 
-  *#iter(): Generator<RowObject> {
+  /**
+   * @param profile Passed by explain() to analyze this run
+   */
+  *#iter(profile: Profile | null = null): Generator<RowObject> {
+    if (this.#limit === 0) {
+      return;
+    }
+
+    if (!(Symbol.iterator in this.#rows)) {
+      throw Error("Query has an async source. Use for await...of instead.");
+    }
+
+    const indexed = this.#time(profile, "source", () => this.#scanIndexes());
+    let rows = this.#measure(
+      profile,
+      "source",
+      indexed ?? this.#read(this.#rows, profile)
+    );
+
+    const read = (other: Iterable<RowObject>) => this.#read(other, profile);
+
+    for (const [i, createJoin] of this.#join.entries()) {
+      rows = this.#measure(
+        profile,
+        `join ${i}`,
+        joinRows(rows, createJoin(read))
+      );
+    }
+
+    // WHERE
+    for (const [i, predicate] of this.#where.entries()) {
+      rows = this.#measure(profile, `filter ${i}`, filter(rows, predicate));
+    }
+
+    yield* this.#output(rows, profile);
+  }
+
+  /**
+   * Read a query which this one reads from, analyzing it too if this run is
+   * being analyzed
+   */
+  #read(rows: Iterable<RowObject>, profile: Profile | null) {
+    const input = profile?.inputs.get(rows);
+    return input && rows instanceof CSVDBQuery ? rows.#iter(input) : rows;
+  }
+
+  /**
+   * CSVDBQuery also implements `Symbol.asyncIterator` so that queries can be
+   * run over async sources such as those created by
+   * {@link CSVDB.fromStream}.
+   *
+   * Joins, filters, projection, `distinct()`, `offset()` and `fetchFirst()`
+   * are applied as rows arrive so run in constant memory (apart from the
+   * `distinct()` cache). Sorting, grouping, aggregates and window functions
+   * need to buffer all rows first.
+   *
+   * Queries over synchronous sources can be iterated this way too.
+   *
+   * @example
+   * ```
+   * const stream = await CSVDB.fromStream(fs.createReadStream("big.csv"));
+   * const query = stream.query().where(r => r.Type === "Deposit");
+   *
+   * for await (const row of query) {
+   *  console.log(row);
+   * }
+   * ```
+   */
+  [Symbol.asyncIterator](): AsyncIterator<RowObject> {
+    return this.#asyncIter();
+  }
+
+  async *#asyncIter(): AsyncGenerator<RowObject> {
     if (this.#limit === 0) {
       return;
     }
 
-    let rows: RowObject[] | Iterable<RowObject> = this.#rows;
+    let rows = toAsyncIterable(this.#scanIndexes() ?? this.#rows);
+
+    for (const createJoin of this.#join) {
+      rows = asyncJoinRows(
+        rows,
+        createJoin((other) => other)
+      );
+    }
 
-    for (const join of this.#join) {
-      const newRows = [];
+    // WHERE
+    for (const predicate of this.#where) {
+      rows = asyncFilter(rows, predicate);
+    }
 
-      for (const row of rows) {
-        const joinResult = join(row);
-        joinResult && newRows.push(...joinResult);
+    if (this.#needsMaterialisation()) {
+      const allRows = [];
+      for await (const row of rows) {
+        allRows.push(row);
       }
+      yield* this.#output(allRows);
+      return;
+    }
+
+    const project = this.#createProjection(null);
 
-      // Once more with null to support RIGHT JOINs
-      const joinResult = join(null);
-      joinResult && newRows.push(...joinResult);
+    for await (const row of rows) {
+      const { result, done } = project(row, [row]);
 
-      rows = newRows;
-    }
+      if (result) {
+        yield result;
+      }
 
-    // WHERE
-    for (const predicate of this.#where) {
-      rows = filter(rows, predicate);
+      if (done) {
+        return;
+      }
     }
+  }
 
-    // ORDER BY
+  /**
+   * ORDER BY, GROUP BY, SELECT, DISTINCT, OFFSET and FETCH FIRST
+   */
+  *#output(
+    rows: Iterable<RowObject>,
+    profile: Profile | null = null
+  ): Generator<RowObject> {
+    // ORDER BY (input)
     if (this.#sort) {
+      const sort = this.#sort;
+      const unsorted = rows;
       // Need to materialise the rows in order to sort
-      rows = [...rows].sort(this.#sort);
+      const sorted = this.#time(profile, "sort", () =>
+        [...unsorted].sort(sort)
+      );
+      this.#count(profile, "sort", sorted.length);
+      rows = sorted;
     }
 
     // GROUP BY
     let rowGroups: RowObject[][] | Iterable<RowObject> = rows;
     let allRowGroup: RowObject[] | undefined;
-
-    const haveWindowFunctions =
-      this.#windowSpecs.size > 0 ||
-      (this.#selection &&
-        Object.values(this.#selection).some(
-          (s) =>
-            (typeof s === "string" && s.endsWith(" OVER ()")) ||
-            Array.isArray(s)
-        ));
-
-    if (this.#groupBy) {
+    let sourceRowGroups: [RowObject, RowObject[]][] | undefined;
+    const input = rows;
+
+    if (this.#groupingSets) {
+      const sets = this.#groupingSets;
+      const keys = this.#groupByKeys;
+      const specs = new Map(keys.map((d, i) => [d, this.#groupBy![i]]));
+
+      // Each set groups the same rows
+      sourceRowGroups = this.#time(profile, "group", () =>
+        groupBySets([...input], sets, keys, (rows, set) =>
+          groupRows(
+            rows,
+            set.map((d) => specs.get(d)!)
+          )
+        )
+      );
+      this.#count(profile, "group", sourceRowGroups.length);
+    } else if (this.#groupBy) {
+      const groupBy = this.#groupBy;
       // groupRows() will materialise the rows
-      rowGroups = groupRows(rows, this.#groupBy);
+      const groups = this.#time(profile, "group", () =>
+        groupRows(input, groupBy)
+      );
+      this.#count(profile, "group", groups.length);
+      rowGroups = groups;
     } else if (this.#hasAggregates()) {
       // Produce a single row group with all rows
       // We're going to have to materialise the rows anyway so do it now
-      rowGroups = [[...rows]];
-    } else if (haveWindowFunctions) {
+      rowGroups = this.#time(profile, "group", () => [[...input]]);
+      this.#count(profile, "group");
+    } else if (this.#hasWindowFunctions()) {
       // Produce an array a single level deep
       // Unfortunately we need to materialise the rows once to pass as the
       // 4th argument to mapSelectionToRow()
-      allRowGroup = [...rows];
+      allRowGroup = this.#time(profile, "window", () => [...input]);
+      // The input may be a generator which can't be iterated again
+      rowGroups = allRowGroup;
     }
 
-    const distinctCache = [];
+    const groups = this.#measure(
+      profile,
+      "window",
+      sourceRowGroups ?? iterateGroups(rowGroups, allRowGroup)
+    );
 
-    // SELECT
+    if (this.#outputSort) {
+      yield* this.#sortOutput(groups, this.#outputSort, profile);
+      return;
+    }
 
-    // Output row number
-    let i = 0;
+    const project = this.#createProjection(profile);
 
-    for (const rowGroupOrRow of rowGroups) {
-      // rowGroups can either be:
-      // * An iterable of single rows
-      // * An array of arrays of rows
+    for (const [sourceRow, rowGroup] of groups) {
+      const { result, done } = project(sourceRow, rowGroup);
 
-      const isArrayOfArrays = Array.isArray(rowGroupOrRow);
+      if (result) {
+        yield result;
+      }
 
-      const sourceRow = isArrayOfArrays ? rowGroupOrRow[0] : rowGroupOrRow;
-      const rowGroup = isArrayOfArrays
-        ? rowGroupOrRow
-        : allRowGroup || [sourceRow];
+      if (done) {
+        return;
+      }
+    }
+  }
 
-      const result = this.#mapSelectionToRow(
+  /**
+   * The output is sorted after SELECT and HAVING but before DISTINCT, OFFSET
+   * and FETCH FIRST.
+   */
+  *#sortOutput(
+    groups: Iterable<[RowObject, RowObject[]]>,
+    sort: (rowA: RowObject, rowB: RowObject) => number,
+    profile: Profile | null
+  ): Generator<RowObject> {
+    const selected: { result: RowObject; sortRow: RowObject }[] = [];
+
+    for (const [sourceRow, rowGroup] of groups) {
+      const result = this.#select(
         sourceRow,
-        this.#selection,
-        i + 1,
-        rowGroup
+        rowGroup,
+        selected.length + 1,
+        profile
       );
 
+      if (result) {
+        // Sort keys can refer to output columns or to source columns which
+        // weren't selected
+        const sortRow = this.#selection ? { ...sourceRow, ...result } : result;
+        selected.push({ result, sortRow });
+      }
+    }
+
+    this.#time(profile, "output sort", () =>
+      selected.sort((a, b) => sort(a.sortRow, b.sortRow))
+    );
+    this.#count(profile, "output sort", selected.length);
+
+    const project = this.#createProjection(profile, (row) => row);
+
+    for (const { result: row } of selected) {
+      const { result, done } = project(row, [row]);
+
+      if (result) {
+        yield result;
+      }
+
+      if (done) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * SELECT and HAVING
+   * @returns The output row or `null` if it has been filtered out by HAVING
+   */
+  #select(
+    sourceRow: RowObject,
+    rowGroup: RowObject[],
+    index: number,
+    profile: Profile | null
+  ) {
+    // Only wrap each row's work in a closure when it's being timed
+    const result = profile
+      ? this.#time(profile, "projection", () =>
+          this.#mapSelectionToRow(
+            sourceRow,
+            this.#selection,
+            index,
+            rowGroup,
+            profile
+          )
+        )
+      : this.#mapSelectionToRow(
+          sourceRow,
+          this.#selection,
+          index,
+          rowGroup,
+          null
+        );
+    this.#count(profile, "projection");
+
+    // HAVING
+    const passes = profile
+      ? this.#time(profile, "having", () =>
+          this.#passesHaving(result, sourceRow, rowGroup)
+        )
+      : this.#passesHaving(result, sourceRow, rowGroup);
+
+    if (!passes) {
+      return null;
+    }
+
+    this.#count(profile, "having");
+
+    return result;
+  }
+
+  #passesHaving(
+    result: RowObject,
+    sourceRow: RowObject,
+    rowGroup: RowObject[]
+  ) {
+    for (const predicate of this.#having) {
+      if (!predicate(result, sourceRow, rowGroup)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * SELECT, DISTINCT, OFFSET and FETCH FIRST are applied one row at a time.
+   * The returned function keeps track of the state between rows.
+   */
+  #createProjection(
+    profile: Profile | null,
+    select: (
+      sourceRow: RowObject,
+      rowGroup: RowObject[],
+      index: number
+    ) => RowObject | null = (sourceRow, rowGroup, index) =>
+      this.#select(sourceRow, rowGroup, index, profile)
+  ) {
+    const distinctKeys = new Set<string>();
+    const columns = this.#distinctColumns ?? undefined;
+
+    // Output row number
+    let i = 0;
+
+    return (sourceRow: RowObject, rowGroup: RowObject[]) => {
+      const result = select(sourceRow, rowGroup, i + 1);
+
+      if (!result) {
+        return { result: null, done: false };
+      }
+
       if (this.#distinct) {
-        if (!isDistinct(distinctCache, result)) {
-          continue;
+        const key = profile
+          ? this.#time(profile, "distinct", () =>
+              getCanonicalKey(result, columns)
+            )
+          : getCanonicalKey(result, columns);
+
+        if (distinctKeys.has(key)) {
+          return { result: null, done: false };
         }
 
-        distinctCache.push(result);
+        distinctKeys.add(key);
+        this.#count(profile, "distinct");
       }
 
       // OFFSET
       // We've done all the work (we had to wait until after `distinct()`) but
       // we'll only actually yield the result if we've passed the offset
       // threshold.
-      if (i >= this.#offset) {
-        yield result;
-      }
+      const skip = i < this.#offset;
 
       i++;
 
+      if (!skip) {
+        this.#count(profile, "offset");
+        this.#count(profile, "limit");
+      }
+
       // FETCH FIRST
       // Decide whether or not to continue onto next iteration
-      if (i - this.#offset >= this.#limit) {
-        return;
-      }
-    }
+      const done = i - this.#offset >= this.#limit;
+
+      return { result: skip ? null : result, done };
+    };
+  }
+
+  #needsMaterialisation() {
+    return (
+      !!this.#sort ||
+      !!this.#outputSort ||
+      !!this.#groupBy ||
+      this.#hasAggregates() ||
+      this.#hasWindowFunctions()
+    );
+  }
+
+  #hasWindowFunctions() {
+    return (
+      this.#windowSpecs.size > 0 ||
+      (!!this.#selection &&
+        Object.values(this.#selection).some(
+          (s) =>
+            (typeof s === "string" && s.endsWith(" OVER ()")) ||
+            Array.isArray(s)
+        ))
+    );
   }
 
   #hasAggregates() {
+    if (this.#havingAggregates) return true;
+
     if (!this.#selection) return false;
 
     return Object.values(this.#selection).some(
@@ -962,7 +3119,8 @@ export class CSVDBQuery {
     sourceRow: RowObject,
     selection: SelectObject | null,
     index: number,
-    groupRows: RowObject[]
+    groupRows: RowObject[],
+    profile: Profile | null
   ) {
     const out: RowObject = {};
 
@@ -970,7 +3128,17 @@ export class CSVDBQuery {
       return sourceRow;
     }
 
+    const rolledUp = getRolledUp(groupRows);
+    const rolledUpExpressions = getRolledUpExpressions(groupRows);
+
     for (const [alias, col] of Object.entries(selection)) {
+      // Super-aggregate rows don't have a value for what they weren't
+      // grouped by
+      if (rolledUp.some((d) => d === col)) {
+        out[alias] = null;
+        continue;
+      }
+
       let fn: SelectFunction | undefined;
       let field: string | undefined;
       let fnName: string | undefined;
@@ -978,7 +3146,8 @@ export class CSVDBQuery {
       let windowName: string | undefined;
       let windowSpec: WindowSpec | undefined;
 
-      const re = /^([A-Z_]+)\(([^)]*)\)(?:\s+OVER\s+([\w\d_]+|\(\)))?$/;
+      const re =
+        /^([A-Z_][A-Z0-9_]*)\(([^)]*)\)(?:\s+OVER\s+([\w\d_]+|\(\)))?$/;
 
       // Easily dealt with
       if (col instanceof Function) {
@@ -996,7 +3165,7 @@ export class CSVDBQuery {
           const aggregateMatch = re.exec(fnString);
           if (aggregateMatch) {
             fnName = aggregateMatch[1];
-            args = aggregateMatch[2].split(",");
+            args = aggregateMatch[2].split(",").map((arg) => arg.trim());
 
             if (aggregateMatch[3]) {
               throw Error("Unexpected OVER");
@@ -1017,9 +3186,9 @@ export class CSVDBQuery {
       // It must be a string
       else {
         const aggregateMatch = re.exec(col);
-        if (aggregateMatch) {
+        if (aggregateMatch && isLegacyCall(aggregateMatch)) {
           fnName = aggregateMatch[1];
-          args = aggregateMatch[2].split(",");
+          args = aggregateMatch[2].split(",").map((arg) => arg.trim());
           windowName = aggregateMatch[3];
         } else {
           field = col;
@@ -1028,22 +3197,28 @@ export class CSVDBQuery {
 
       if (windowName) {
         windowSpec =
-          windowName === "()" ? {} : this.#windowSpecs.get(windowName);
+          windowName === "()"
+            ? EMPTY_WINDOW
+            : this.#windowSpecs.get(windowName);
 
         if (!windowSpec) {
           throw Error(`Bad Window: ${windowName}`);
         }
       }
 
-      let rows = groupRows;
-
-      if (windowSpec) {
-        rows = applyWindow(rows, windowSpec, sourceRow);
-      }
-
       // If we have a function we can apply it now and continue
       if (fn) {
-        out[alias] = fn(sourceRow, index, rows);
+        out[alias] = fn(
+          sourceRow,
+          index,
+          !windowSpec
+            ? groupRows
+            : profile
+            ? this.#time(profile, "window", () =>
+                applyWindow(groupRows, windowSpec, sourceRow)
+              )
+            : applyWindow(groupRows, windowSpec, sourceRow)
+        );
         continue;
       }
 
@@ -1051,23 +3226,35 @@ export class CSVDBQuery {
       if (fnName && args) {
         let value: number;
 
-        if (fnName === "ROW_NUMBER") {
-          value = rows.indexOf(sourceRow) + 1;
+        if (windowSpec) {
+          value = profile
+            ? this.#time(profile, "window", () =>
+                evaluateWindowFunction(
+                  fnName,
+                  args,
+                  groupRows,
+                  windowSpec,
+                  sourceRow
+                )
+              )
+            : evaluateWindowFunction(
+                fnName,
+                args,
+                groupRows,
+                windowSpec,
+                sourceRow
+              );
+        } else if (fnName === "ROW_NUMBER") {
+          value = groupRows.indexOf(sourceRow) + 1;
         } else if (fnName in AGGREGATE_FUNCTIONS) {
-          let values = rows.map((row) => row[args[0]]);
+          // COUNT(*) counts rows, whatever their values
+          let values =
+            args[0].trim() === "*"
+              ? groupRows
+              : groupRows.map((row) => row[args[0]]);
           value = AGGREGATE_FUNCTIONS[fnName](values);
-        } else if (fnName in WINDOW_FUNCTIONS && windowSpec) {
-          if (!windowSpec.orderBy)
-            throw Error("windowSpec.orderBy is required");
-          value = WINDOW_FUNCTIONS[fnName](sourceRow, rows, args, windowSpec);
-        } else if (fnName in POSITION_FUNCTIONS && windowSpec) {
-          if (!windowSpec.orderBy)
-            throw Error("windowSpec.orderBy is required");
-          let values = rows.map((row) => row[args[0]]);
-
-          value = POSITION_FUNCTIONS[fnName](sourceRow, rows, args, values);
         } else if (fnName in STAT_FUNCTIONS) {
-          let values = rows.map((row) => row[args[0]]);
+          let values = groupRows.map((row) => row[args[0]]);
           value = STAT_FUNCTIONS[fnName](values);
         } else {
           throw Error(`Bad Func: ${fnName}`);
@@ -1077,6 +3264,20 @@ export class CSVDBQuery {
         continue;
       }
 
+      // Expressions are evaluated even for an empty group so that aggregates
+      // still produce a value
+      if (field && field !== "*" && !(sourceRow && field in sourceRow)) {
+        const expression = parseSpec(field);
+        if (expression) {
+          out[alias] = evaluate(expression, {
+            row: sourceRow ?? {},
+            group: groupRows,
+            rolledUp: rolledUpExpressions,
+          });
+          continue;
+        }
+      }
+
       // As long as the source row isn't null we can just copy the properties
       if (sourceRow) {
         if (col === "*") {
@@ -1101,401 +3302,471 @@ export class CSVDBQuery {
   }
 }
 
-function applyWindow(
-  rows: RowObject[],
-  windowSpec: WindowSpec,
-  sourceRow: RowObject
-) {
-  if (windowSpec.partitionBy) {
-    const pb = windowSpec.partitionBy;
-    const fn = typeof pb === "string" ? (row: RowObject) => row[pb] : pb;
-    const sympatheticValue = fn(sourceRow);
-    rows = rows.filter((row) => fn(row) === sympatheticValue);
+function zip<T>(keys: string[], values: T[]) {
+  const out: { [key: string]: T } = {};
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    out[key] = values[i];
   }
+  return out;
+}
 
-  if (windowSpec.orderBy) {
-    const orderBy = getOrderBy(windowSpec.orderBy);
+function groupRows(
+  rows: Iterable<RowObject>,
+  discriminators: ((row: RowObject) => any)[]
+): RowObject[][] {
+  if (discriminators.length === 0) {
+    return [[...rows]];
+  }
 
-    rows = [...rows].sort(orderBy);
+  // A tree of Maps, one level per discriminator, with the groups at the leaves
+  const root: Map<any, any> = new Map();
+  const groups: RowObject[][] = [];
 
-    let framingStart = -Infinity;
-    let framingEnd = 0;
+  for (const row of rows) {
+    let node = root;
 
-    if (windowSpec.framing) {
-      const unit = windowSpec.framing[0];
-      if (unit !== "ROWS") {
-        throw Error(`Window unit ${unit}`);
-      }
+    for (let i = 0; i < discriminators.length; i++) {
+      let value = discriminators[i](row);
 
-      const CURRENT_ROW = "CURRENT ROW";
+      // Dates are objects so wouldn't otherwise match each other
+      if (value instanceof Date) value = +value;
 
-      if (typeof windowSpec.framing[1] === "number") {
-        framingStart = windowSpec.framing[1];
-      } else if (windowSpec.framing[1] === "UNBOUNDED PRECEDING") {
-        framingStart = -Infinity;
-      } else if (windowSpec.framing[1] === CURRENT_ROW) {
-        framingStart = 0;
-      }
+      let child = node.get(value);
+
+      if (!child) {
+        child = i === discriminators.length - 1 ? [] : new Map();
+        node.set(value, child);
 
-      if (typeof windowSpec.framing[2] === "number") {
-        framingEnd = windowSpec.framing[2];
-      } else if (windowSpec.framing[2] === "UNBOUNDED FOLLOWING") {
-        framingEnd = Infinity;
-      } else if (windowSpec.framing[2] === CURRENT_ROW) {
-        framingEnd = 0;
+        if (Array.isArray(child)) groups.push(child);
       }
+
+      node = child;
     }
 
-    const index = rows.indexOf(sourceRow);
+    (node as unknown as RowObject[]).push(row);
+  }
+
+  return groups;
+}
+
+/**
+ * The rows for {@link CSVDBQuery#pivot|pivot()}
+ * @param aggregate The aggregate function for the cells
+ */
+function* pivotRows(
+  rows: Iterable<RowObject>,
+  options: PivotOptions,
+  aggregate: (values: any[]) => any
+) {
+  const { columns, values } = options;
+  const keys =
+    options.rows === undefined
+      ? []
+      : Array.isArray(options.rows)
+      ? options.rows
+      : [options.rows];
+  const getKeys = keys.map(getColumnSpec);
+  const getColumn = getColumnSpec(columns);
+  const getName = (row: RowObject) => {
+    const value = getColumn(row);
+    return value instanceof Date ? value.toISOString() : String(value);
+  };
+  // COUNT counts the rows themselves
+  const getValue = values === undefined ? null : getColumnSpec(values);
+
+  const allRows = [...rows];
+  const names = [...new Set(allRows.map(getName))];
+
+  for (const group of groupRows(allRows, getKeys)) {
+    if (group.length === 0) continue;
+
+    const out: RowObject = {};
+    keys.forEach((key, i) => (out[key] = getKeys[i](group[0])));
+
+    const cells = new Map(names.map((name) => [name, [] as any[]]));
+    for (const row of group) {
+      cells.get(getName(row))!.push(getValue ? getValue(row) : row);
+    }
 
-    const startIndex = Math.max(index + framingStart, 0);
-    const endIndex = index + framingEnd + 1;
+    for (const [name, cellValues] of cells) {
+      out[name] = aggregate(cellValues);
+    }
 
-    rows = rows.slice(startIndex, endIndex);
+    yield out;
   }
+}
+
+const isAggregate = (col: string) => {
+  const expression = parseSpec(col);
+  return !!expression && containsAggregate(expression);
+};
+
+/**
+ * The string discriminators which a group wasn't grouped by, as expressions
+ * for evaluate()
+ * @returns `undefined` unless the group is a super-aggregate
+ */
+function getRolledUpExpressions(group: RowObject[]) {
+  const rolledUp = getRolledUp(group);
 
-  return rows;
+  if (rolledUp.length === 0) return undefined;
+
+  return rolledUp.flatMap((d): Expression[] =>
+    typeof d === "string" ? [parseSpec(d) ?? { type: "column", name: d }] : []
+  );
 }
 
-function getOrderBy(
-  comparator: ((rowA: RowObject, rowB: RowObject) => number) | string
-): (rowA: RowObject, rowB: RowObject) => number {
-  if (typeof comparator === "string") {
-    const c = comparator;
+/**
+ * A function which reads a field, or evaluates the string as an expression if
+ * it isn't a field name.
+ */
+function getColumnSpec(spec: string) {
+  return (row: RowObject) => {
+    const expression = spec in row ? null : parseSpec(spec);
+    return expression ? evaluate(expression, { row }) : row[spec];
+  };
+}
 
-    if (c[0] === "-") {
-      const f = comparator.substring(1);
-      return (rowA, rowB) => +rowB[f] - +rowA[f];
-    }
+/**
+ * The spec for `OVER ()`. The same object is used each time so that the window
+ * is only worked out once per query.
+ */
+const EMPTY_WINDOW: WindowSpec = {};
+
+const LEGACY_FUNCTIONS = [
+  AGGREGATE_FUNCTIONS,
+  WINDOW_FUNCTIONS,
+  POSITION_FUNCTIONS,
+  STAT_FUNCTIONS,
+  USER_WINDOW_FUNCTIONS,
+];
+
+/**
+ * Calls to built in functions with plain column name arguments, or with an
+ * OVER clause, are handled by `#mapSelectionToRow()` directly. Anything else
+ * is evaluated as an expression.
+ */
+function isLegacyCall(match: RegExpExecArray) {
+  const [, fnName, args, windowName] = match;
+
+  if (windowName) return true;
+
+  return (
+    (fnName === "ROW_NUMBER" ||
+      LEGACY_FUNCTIONS.some((functions) => fnName in functions)) &&
+    args.split(",").every((arg) => /^\s*(\*|[\w.]*)\s*$/.test(arg))
+  );
+}
 
-    if (c[0] === "+") {
-      const f = comparator.substring(1);
-      return (rowA, rowB) => +rowA[f] - +rowB[f];
+function* filter<T>(
+  iterable: Iterable<T>,
+  predicate: (item: T, index: number) => boolean
+): Iterable<T> {
+  let i = 0;
+  for (const item of iterable) {
+    if (predicate(item, i++)) {
+      yield item;
     }
+  }
+}
 
-    return (rowA, rowB) => String(rowA[c]).localeCompare(rowB[c]);
+function fromRows(rows: RowObject[], options: JSONOptions) {
+  const columns = options.columns ?? getColumns(rows);
+
+  const db = new CSVDB("", {
+    name: options.name,
+    columns,
+    schema: { ...getSchemaFromValues(columns, rows), ...options.schema },
+  });
+
+  if (options.columns) {
+    // Ignore properties which weren't asked for
+    rows = rows.map((row) =>
+      Object.fromEntries(columns.map((column) => [column, row[column]]))
+    );
   }
 
-  return comparator;
+  db.insert(rows);
+
+  return db;
 }
 
-function zip<T>(keys: string[], values: T[]) {
-  const out: { [key: string]: T } = {};
-  for (let i = 0; i < keys.length; i++) {
-    const key = keys[i];
-    out[key] = values[i];
+/**
+ * Pairs each source row with the group of rows it represents
+ */
+function* iterateGroups(
+  rowGroups: RowObject[][] | Iterable<RowObject>,
+  allRowGroup?: RowObject[]
+): Generator<[RowObject, RowObject[]]> {
+  for (const rowGroupOrRow of rowGroups) {
+    // rowGroups can either be:
+    // * An iterable of single rows
+    // * An array of arrays of rows
+
+    if (Array.isArray(rowGroupOrRow)) {
+      yield [rowGroupOrRow[0], rowGroupOrRow];
+    } else {
+      yield [rowGroupOrRow, allRowGroup || [rowGroupOrRow]];
+    }
+  }
+}
+
+const JOIN_TYPES: JoinType[] = [
+  "inner",
+  "left",
+  "right",
+  "full",
+  "semi",
+  "anti",
+];
+
+function prefixKeys(row: RowObject, prefix: string) {
+  const out: RowObject = {};
+  for (const [key, value] of Object.entries(row)) {
+    out[`${prefix}.${key}`] = value;
   }
   return out;
 }
 
-function groupRows<T>(
-  rows: Iterable<RowObject>,
-  discriminator: (row: RowObject) => T
-): RowObject[][] {
-  const resultSet: Map<T, RowObject[]> = new Map();
+function nullRow(keys: string[]) {
+  return Object.fromEntries(keys.map((key) => [key, null]));
+}
 
-  for (const row of rows) {
-    const value = discriminator(row);
+/**
+ * An index of `other` which can be used to look up the right side of a join
+ * instead of building a hash table. Prefixed columns aren't indexed.
+ */
+function getJoinIndex(other: any, right: JoinKey, alias?: string) {
+  if (!(other instanceof CSVDB) || alias || typeof right === "function") {
+    return undefined;
+  }
 
-    if (!resultSet.has(value)) {
-      resultSet.set(value, []);
-    }
+  return other[INDEXES].find(Array.isArray(right) ? right : [right]);
+}
+
+/**
+ * Creates a function returning a value suitable for use as a Map key, or
+ * `null` if any part of the key is null.
+ * @param prefix Alias which has been applied to the row's columns
+ */
+function getJoinKey(key: JoinKey, prefix?: string) {
+  if (typeof key === "function") {
+    return (row: RowObject) => {
+      const value = key(row);
+      return value === null || value === undefined ? null : normaliseKey(value);
+    };
+  }
+
+  const columns = (Array.isArray(key) ? key : [key]).map((column) =>
+    prefix ? `${prefix}.${column}` : column
+  );
 
-    resultSet.get(value)?.push(row);
+  return getRowKey(columns);
+}
+
+function describeJoinKey(key: JoinKey) {
+  if (typeof key === "function") return "callback";
+  return Array.isArray(key) ? `(${key.join(", ")})` : key;
+}
+
+/**
+ * Describe a lookup from whereEq() or whereBetween() for explain()
+ */
+function describeLookup({ type, columns, values }: IndexLookup) {
+  const literals = values.map((value) => JSON.stringify(value));
+
+  if (type === "between") {
+    return `${columns[0]} BETWEEN ${literals[0]} AND ${literals[1]}`;
   }
 
-  return [...resultSet.values()];
+  return columns.length === 1
+    ? `${columns[0]} = ${literals[0]}`
+    : `(${columns.join(", ")}) = (${literals.join(", ")})`;
 }
 
-const isAggregate = (col: string) =>
-  typeof col === "string" && /^[A-Z]+\([^)]*\)$/.test(col);
+/**
+ * A window function call in a string column spec with its window written
+ * inline, e.g. `SUM(b) OVER (PARTITION BY a)`, is compiled as it is in SQL.
+ * Named windows are left to `#mapSelectionToRow()`.
+ */
+function compileInlineWindow(spec: SelectObject[string]) {
+  const expression = typeof spec === "string" ? parseSpec(spec) : null;
 
-function parseCSVLine(line: string) {
-  line = line.trim();
-  const matches = line.matchAll(/([^",]*|"[^"]*")(,|$)/g);
+  if (!expression || !containsWindow(expression)) {
+    return spec;
+  }
 
-  const m = [...matches];
+  if (expression.type !== "function" || !expression.over) {
+    throw Error("Unsupported: window function inside an expression");
+  }
 
-  if (m[m.length - 1][0].length === 0) {
-    m.length--;
+  if (typeof expression.over === "string") {
+    return spec;
   }
 
-  return m.map((match) => match[1].trim().replace(/^"|"$/g, ""));
+  return compileWindowFunction(expression, {});
 }
 
-function* filter<T>(
-  iterable: Iterable<T>,
+function isWindowColumn(spec: SelectObject[string]) {
+  return (
+    Array.isArray(spec) || (typeof spec === "string" && / OVER /.test(spec))
+  );
+}
+
+function* joinRows(
+  rows: Iterable<RowObject>,
+  join: (row: RowObject | null) => RowObject[] | null | undefined
+) {
+  for (const row of rows) {
+    const joinResult = join(row);
+    joinResult && (yield* joinResult);
+  }
+
+  // Once more with null to support RIGHT JOINs
+  const joinResult = join(null);
+  joinResult && (yield* joinResult);
+}
+
+async function* asyncJoinRows(
+  rows: AsyncIterable<RowObject>,
+  join: (row: RowObject | null) => RowObject[] | null | undefined
+) {
+  for await (const row of rows) {
+    const joinResult = join(row);
+    joinResult && (yield* joinResult);
+  }
+
+  const joinResult = join(null);
+  joinResult && (yield* joinResult);
+}
+
+async function* asyncFilter<T>(
+  iterable: AsyncIterable<T>,
   predicate: (item: T, index: number) => boolean
-): Iterable<T> {
+): AsyncIterable<T> {
   let i = 0;
-  for (const item of iterable) {
+  for await (const item of iterable) {
     if (predicate(item, i++)) {
       yield item;
     }
   }
 }
 
-function isDistinct(rows: RowObject[], row: RowObject) {
-  return rows.every((rowB) => !isSame(row, rowB));
+function toAsyncIterable<T>(
+  iterable: Iterable<T> | AsyncIterable<T>
+): AsyncIterable<T> {
+  if (Symbol.asyncIterator in iterable) {
+    return iterable;
+  }
+
+  return (async function* () {
+    yield* iterable;
+  })();
+}
+
+/**
+ * An iterable which calls `generate` each time it's read, unlike a generator
+ * which can only be read once
+ */
+function rerun<T>(generate: () => Iterator<T>): Iterable<T> {
+  return { [Symbol.iterator]: generate };
 }
 
-function isSame(rowA: RowObject, rowB: RowObject) {
-  const keysA = Object.keys(rowA);
-  const keysB = Object.keys(rowB);
+/**
+ * Counts the rows of `rows` which have each canonical key
+ */
+function countKeys(rows: Iterable<RowObject>) {
+  const counts = new Map<string, number>();
 
-  if (keysA.length !== keysB.length) return false;
+  for (const row of rows) {
+    const key = getCanonicalKey(row);
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
 
-  return keysA.every((key) => rowA[key] === rowB[key]);
+  return counts;
 }
 
 function* except(resultsA: Iterable<RowObject>, resultsB: Iterable<RowObject>) {
-  const cache = [...resultsB];
+  const seen = new Set(Array.from(resultsB, (row) => getCanonicalKey(row)));
 
   for (const result of resultsA) {
-    if (!isDistinct(cache, result)) {
-      continue;
-    }
+    const key = getCanonicalKey(result);
 
-    cache.push(result);
-
-    yield result;
+    if (!seen.has(key)) {
+      seen.add(key);
+      yield result;
+    }
   }
 }
 
-function* intersect(
+/**
+ * Each row of `resultsA` is cancelled out by one equal row of `resultsB`
+ */
+function* exceptAll(
   resultsA: Iterable<RowObject>,
   resultsB: Iterable<RowObject>
 ) {
-  const cache = [...resultsB];
+  const counts = countKeys(resultsB);
 
   for (const result of resultsA) {
-    if (isDistinct(cache, result)) {
-      continue;
-    }
+    const key = getCanonicalKey(result);
+    const count = counts.get(key);
 
-    yield result;
+    if (count) {
+      counts.set(key, count - 1);
+    } else {
+      yield result;
+    }
   }
 }
 
-function* unionAll(
+function* intersect(
   resultsA: Iterable<RowObject>,
   resultsB: Iterable<RowObject>
 ) {
+  const counts = countKeys(resultsB);
+
   for (const result of resultsA) {
-    yield result;
-  }
+    const key = getCanonicalKey(result);
 
-  for (const result of resultsB) {
-    yield result;
+    if (counts.has(key)) {
+      // Only output the first of equal rows
+      counts.delete(key);
+      yield result;
+    }
   }
 }
 
-const SUM: (value: any[]) => number | null = (values) =>
-  values.length === 0
-    ? null
-    : values.reduce((total: number, v) => total + +v, 0);
-
-const AGGREGATE_FUNCTIONS: { [name: string]: (value: any[]) => any } = {
-  SUM,
-  AVG: (values) => {
-    const s = SUM(values);
-    return s === null ? null : s / values.length;
-  },
-  MAX: (values) => Math.max(...values),
-  MIN: (values) => Math.min(...values),
-  COUNT: (values) => values.length,
-  LISTAGG: (values) => (values.length === 0 ? null : values.join()),
-  ARRAY: (values) => values,
-  JSON: (values) => JSON.stringify(values),
-  ANY: (values) => values[0] || null,
-  RANDOM: (values) => values[Math.floor(Math.random() * values.length)] || null,
-};
-
-const WINDOW_FUNCTIONS: {
-  [name: string]: (
-    sourceRow: RowObject,
-    rows: RowObject[],
-    args: string[],
-    windowSpec: WindowSpec
-  ) => any;
-} = {
-  RANK: (sourceRow, rows, args, windowSpec) => {
-    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
-    const orderBy = getOrderBy(windowSpec.orderBy);
-
-    const index = rows.indexOf(sourceRow);
-    let i = index;
-    for (; i >= 0; i--) {
-      // @ts-ignore
-      const order = orderBy(rows[i], sourceRow);
-      if (order !== 0) break;
-    }
-    return i + 2;
-  },
-  DENSE_RANK: (sourceRow, rows, args, windowSpec) => {
-    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
-    const orderBy = getOrderBy(windowSpec.orderBy);
-
-    const index = rows.indexOf(sourceRow);
-    let count = 0;
-    for (let i = 1; i <= index; i++) {
-      // @ts-ignore
-      const order = orderBy(rows[i - 1], rows[i]);
-      if (order === 0) count++;
-    }
-    return index - count + 1;
-  },
-  NTILE: (sourceRow, rows, args, windowSpec) => {
-    const index = rows.indexOf(sourceRow);
-    return Math.floor((+args[0] * index) / rows.length) + 1;
-  },
-  PERCENT_RANK: (sourceRow, rows, args, windowSpec) => {
-    if (rows.length === 1) {
-      return 0;
-    }
-
-    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
-    const orderBy = getOrderBy(windowSpec.orderBy);
-
-    const index = rows.indexOf(sourceRow);
-    let i = index;
-    for (; i >= 0; i--) {
-      // @ts-ignore
-      const order = orderBy(rows[i], sourceRow);
-      if (order !== 0) break;
-    }
-
-    return (i + 1) / (rows.length - 1);
-  },
-  CUME_DIST: (sourceRow, rows, args, windowSpec) => {
-    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
-    const orderBy = getOrderBy(windowSpec.orderBy);
-
-    const index = rows.indexOf(sourceRow);
-    let i = index + 1;
-    for (; i < rows.length; i++) {
-      // @ts-ignore
-      const order = orderBy(rows[i], sourceRow);
-      if (order !== 0) break;
-    }
-    return i / rows.length;
-  },
-  PERCENTILE_DIST: (sourceRow, rows, args, windowSpec) => {
-    const result = findPercentile(rows, +args[0], windowSpec);
-    if (result) {
-      const [index, key] = result;
-
-      return rows[index][key];
-    }
-
-    return null;
-  },
-  PERCENTILE_CONT: (sourceRow, rows, args, windowSpec) => {
-    const result = findPercentile(rows, +args[0], windowSpec);
-    if (result) {
-      const [index, key, x] = result;
-
-      const a = +rows[index - 1][key];
-      const b = +rows[index][key];
-
-      return x * (b - a) + a;
-    }
-    return null;
-  },
-};
-
-function findPercentile(
-  rows: RowObject[],
-  percentile: number,
-  windowSpec: WindowSpec
-): [index: number, key: string, linear: number] | null {
-  if (typeof windowSpec?.orderBy !== "string") {
-    throw Error(`ORDER BY must be string`);
-  }
-
-  let k = windowSpec.orderBy;
-  if (k[0] === "+" || k[0] === "-") {
-    k = k.substring(1);
-  }
-
-  let prevP = 0;
-
-  for (let i = 0; i < rows.length; i++) {
-    let j = i + 1;
-    for (; j < rows.length; j++) {
-      if (rows[i][k] !== rows[j][k]) break;
-    }
-    const p = j / rows.length;
+/**
+ * Each row of `resultsA` is paired up with one equal row of `resultsB`
+ */
+function* intersectAll(
+  resultsA: Iterable<RowObject>,
+  resultsB: Iterable<RowObject>
+) {
+  const counts = countKeys(resultsB);
 
-    if (p >= percentile) {
-      const x = (percentile - prevP) / (p - prevP);
+  for (const result of resultsA) {
+    const key = getCanonicalKey(result);
+    const count = counts.get(key);
 
-      return [i, k, x];
+    if (count) {
+      counts.set(key, count - 1);
+      yield result;
     }
-
-    prevP = p;
   }
-
-  return null;
 }
 
-const POSITION_FUNCTIONS: {
-  [name: string]: (
-    sourceRow: RowObject,
-    rows: RowObject[],
-    args: string[],
-    values: any[]
-  ) => any;
-} = {
-  LEAD: (sourceRow, rows, args, values) => {
-    const index = rows.indexOf(sourceRow);
-    let delta = 1;
-    if (args.length > 1) delta = +args[1];
-    return values[index + delta] || null;
-  },
-  LAG: (sourceRow, rows, args, values) => {
-    let delta = 1;
-    if (args.length > 1) delta = +args[1];
-    const index = rows.indexOf(sourceRow);
-    return values[index - delta] || null;
-  },
-  FIRST_VALUE: (sourceRow, rows, args, values) => {
-    return values[0];
-  },
-  LAST_VALUE: (sourceRow, rows, args, values) => {
-    return values[values.length - 1];
-  },
-  NTH_VALUE: (sourceRow, rows, args, values) => {
-    return values[+args[1] - 1] || null;
-  },
-};
-
-const VARIANCE_SUM = (values: string[]) => {
-  const n = values.length;
-  const s = SUM(values);
-  if (n === 0 || s === null) {
-    return null;
+function* unionAll(
+  resultsA: Iterable<RowObject>,
+  resultsB: Iterable<RowObject>
+) {
+  for (const result of resultsA) {
+    yield result;
   }
-  const mean = s / n;
-  const sum = values.reduce((total, v) => total + Math.pow(+v - mean, 2), 0);
-  return Math.sqrt(sum / n);
-};
 
-const STAT_FUNCTIONS: { [name: string]: (value: any[]) => any } = {
-  STDDEV_POP: (values) => {
-    const s = VARIANCE_SUM(values);
-    return s === null ? null : Math.sqrt(s / values.length);
-  },
-  STDDEV_SAMP: (values) => {
-    const s = VARIANCE_SUM(values);
-    return s === null ? null : Math.sqrt(s / (values.length - 1));
-  },
-  VAR_POP: (values) => {
-    const s = VARIANCE_SUM(values);
-    return s === null ? null : s / values.length;
-  },
-  VAR_SAMP: (values) => {
-    const s = VARIANCE_SUM(values);
-    return s === null ? null : s / (values.length - 1);
-  },
-};
+  for (const result of resultsB) {
+    yield result;
+  }
+}
@@ -0,0 +1,71 @@
+import { RowObject } from "./types";
+
+/**
+ * Reads the rows of a query one at a time. Created by
+ * {@link CSVDBQuery#cursor|cursor()}.
+ *
+ * The query is run when the first row is read. Each cursor runs it
+ * separately, so cursors of the same query don't affect each other.
+ */
+export class Cursor {
+  #rows: Iterable<RowObject>;
+  #iterator: Iterator<RowObject> | null = null;
+  #closed = false;
+
+  constructor(rows: Iterable<RowObject>) {
+    this.#rows = rows;
+  }
+
+  /**
+   * @returns The next row, or `undefined` if there are no more rows or the
+   * cursor has been closed
+   */
+  getNextRow(): RowObject | undefined {
+    if (this.#closed) return undefined;
+
+    this.#iterator ??= this.#rows[Symbol.iterator]();
+
+    const result = this.#iterator.next();
+    return result.done ? undefined : result.value;
+  }
+
+  /**
+   * @param column The name of the column or the 0-indexed column number
+   * (determined at the time the RowObject was created).
+   * @returns A single value from the next row, or `undefined` if there are
+   * no more rows
+   */
+  getNextValue(column: string | number = 0) {
+    const row = this.getNextRow();
+    return row
+      ? typeof column === "string"
+        ? row[column]
+        : Object.values(row)[column]
+      : undefined;
+  }
+
+  /**
+   * Go back to the start. The query is run again when the next row is read,
+   * so it sees any changes to its source since it was last run.
+   * @returns Returns the cursor itself to allow chaining.
+   */
+  reset() {
+    this.#stop();
+    this.#closed = false;
+    return this;
+  }
+
+  /**
+   * Stop reading rows, which lets the query release what it holds, e.g. an
+   * open stream. The cursor gives no more rows until it's reset.
+   */
+  close() {
+    this.#stop();
+    this.#closed = true;
+  }
+
+  #stop() {
+    this.#iterator?.return?.();
+    this.#iterator = null;
+  }
+}
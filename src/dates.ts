@@ -0,0 +1,321 @@
+import { parseDate } from "./schema.js";
+
+/**
+ * Date parts understood by the date functions. Calendar arithmetic is done in
+ * local time, matching the way {@link parseDate} interprets dates without a
+ * time zone.
+ */
+const UNITS: { [unit: string]: string } = {
+  YEAR: "YEAR",
+  YEARS: "YEAR",
+  QUARTER: "QUARTER",
+  QUARTERS: "QUARTER",
+  MONTH: "MONTH",
+  MONTHS: "MONTH",
+  WEEK: "WEEK",
+  WEEKS: "WEEK",
+  DAY: "DAY",
+  DAYS: "DAY",
+  HOUR: "HOUR",
+  HOURS: "HOUR",
+  MINUTE: "MINUTE",
+  MINUTES: "MINUTE",
+  SECOND: "SECOND",
+  SECONDS: "SECOND",
+  MILLISECOND: "MILLISECOND",
+  MILLISECONDS: "MILLISECOND",
+};
+
+const UNIT_LENGTHS: { [unit: string]: number } = {
+  WEEK: 7 * 24 * 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  MINUTE: 60 * 1000,
+  SECOND: 1000,
+  MILLISECOND: 1,
+};
+
+export function getUnit(unit: string) {
+  const normalised = UNITS[String(unit).toUpperCase()];
+  if (!normalised) {
+    throw Error(`Bad Date Unit: ${unit}`);
+  }
+  return normalised;
+}
+
+/**
+ * Convert a value to a `Date`. Strings are parsed with {@link parseDate}, so
+ * the `15-Jun-2023 15:51:11` style found in csv exports is understood, and
+ * numbers are treated as milliseconds since the epoch.
+ * @returns A `Date` or `null` if the value is null or can't be parsed.
+ */
+export function toDate(value: any): Date | null {
+  if (value === null || value === undefined || value === "") return null;
+
+  let date: Date | null;
+
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === "number") {
+    date = new Date(value);
+  } else {
+    date = parseDate(String(value)) ?? new Date(String(value));
+  }
+
+  return isNaN(+date) ? null : date;
+}
+
+/**
+ * Round a date down to the start of the given unit. Weeks start on Monday.
+ */
+export function truncateDate(unit: string, date: Date) {
+  const u = getUnit(unit);
+
+  if (u === "MILLISECOND") return new Date(+date);
+
+  const d = new Date(+date);
+  d.setMilliseconds(0);
+  if (u === "SECOND") return d;
+  d.setSeconds(0);
+  if (u === "MINUTE") return d;
+  d.setMinutes(0);
+  if (u === "HOUR") return d;
+  d.setHours(0);
+  if (u === "DAY") return d;
+
+  if (u === "WEEK") {
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return d;
+  }
+
+  d.setDate(1);
+  if (u === "MONTH") return d;
+
+  if (u === "QUARTER") {
+    d.setMonth(d.getMonth() - (d.getMonth() % 3));
+    return d;
+  }
+
+  d.setMonth(0);
+  return d;
+}
+
+/**
+ * Add a (possibly negative) number of units to a date. Adding months keeps the
+ * day of the month where possible, otherwise it is the last day of the month,
+ * e.g. adding one month to 31 January gives 28 or 29 February.
+ */
+export function addToDate(unit: string, amount: number, date: Date) {
+  const u = getUnit(unit);
+  const d = new Date(+date);
+
+  if (u === "YEAR" || u === "QUARTER" || u === "MONTH") {
+    const months = amount * (u === "YEAR" ? 12 : u === "QUARTER" ? 3 : 1);
+    const day = d.getDate();
+    d.setDate(1);
+    d.setMonth(d.getMonth() + months);
+    d.setDate(Math.min(day, getDaysInMonth(d)));
+    return d;
+  }
+
+  if (u === "WEEK" || u === "DAY") {
+    // Calendar days, so that adding days across a daylight saving change
+    // keeps the time of day
+    d.setDate(d.getDate() + amount * (u === "WEEK" ? 7 : 1));
+    return d;
+  }
+
+  return new Date(+d + amount * UNIT_LENGTHS[u]);
+}
+
+/**
+ * The number of unit boundaries crossed between `start` and `end`. For
+ * example there is one day between 23:59 and 00:01 the following day.
+ */
+export function diffDates(unit: string, start: Date, end: Date) {
+  const u = getUnit(unit);
+
+  if (u === "YEAR" || u === "QUARTER" || u === "MONTH") {
+    const months =
+      (end.getFullYear() - start.getFullYear()) * 12 +
+      end.getMonth() -
+      start.getMonth();
+
+    if (u === "MONTH") return months;
+
+    const quarters =
+      (end.getFullYear() - start.getFullYear()) * 4 +
+      Math.floor(end.getMonth() / 3) -
+      Math.floor(start.getMonth() / 3);
+
+    return u === "QUARTER" ? quarters : end.getFullYear() - start.getFullYear();
+  }
+
+  const difference = +truncateDate(u, end) - +truncateDate(u, start);
+
+  // Round since days and weeks are not always the same length
+  return Math.round(difference / UNIT_LENGTHS[u]);
+}
+
+/**
+ * Get a single field from a date. As well as the units accepted by
+ * {@link truncateDate} this understands `DOW` (day of the week, Sunday is 0),
+ * `DOY` (day of the year) and `EPOCH` (seconds since 1970-01-01). `WEEK` is
+ * the ISO 8601 week number.
+ */
+export function extractFromDate(field: string, date: Date) {
+  const f = String(field).toUpperCase();
+
+  switch (f) {
+    case "DOW":
+      return date.getDay();
+    case "DOY":
+      return diffDates("DAY", new Date(date.getFullYear(), 0, 1), date) + 1;
+    case "EPOCH":
+      return +date / 1000;
+  }
+
+  switch (getUnit(f)) {
+    case "YEAR":
+      return date.getFullYear();
+    case "QUARTER":
+      return Math.floor(date.getMonth() / 3) + 1;
+    case "MONTH":
+      return date.getMonth() + 1;
+    case "WEEK":
+      return getISOWeek(date);
+    case "DAY":
+      return date.getDate();
+    case "HOUR":
+      return date.getHours();
+    case "MINUTE":
+      return date.getMinutes();
+    case "SECOND":
+      return date.getSeconds();
+    default:
+      return date.getMilliseconds();
+  }
+}
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const FORMAT_TOKENS =
+  /YYYY|YY|MMMM|MMM|MM|M|DDDD|DDD|DD|D|HH|H|hh|h|mm|m|ss|s|SSS|A|a|\[[^\]]*\]/g;
+
+/**
+ * Format a date using a pattern such as `YYYY-MM-DD HH:mm:ss`.
+ *
+ * | Token | Output |
+ * |-------|--------|
+ * | `YYYY`, `YY` | Year |
+ * | `MMMM`, `MMM`, `MM`, `M` | Month name, short name, padded and plain number |
+ * | `DDDD`, `DDD` | Day name and short day name |
+ * | `DD`, `D` | Day of the month |
+ * | `HH`, `H` | 24 hour clock |
+ * | `hh`, `h` | 12 hour clock |
+ * | `mm`, `m` | Minutes |
+ * | `ss`, `s` | Seconds |
+ * | `SSS` | Milliseconds |
+ * | `A`, `a` | AM/PM, am/pm |
+ *
+ * Text in square brackets is copied as is.
+ */
+export function formatDate(date: Date, pattern: string) {
+  const pad = (n: number, length = 2) => String(n).padStart(length, "0");
+  const hours12 = date.getHours() % 12 || 12;
+
+  return pattern.replace(FORMAT_TOKENS, (token) => {
+    switch (token) {
+      case "YYYY":
+        return pad(date.getFullYear(), 4);
+      case "YY":
+        return pad(date.getFullYear() % 100);
+      case "MMMM":
+        return MONTH_NAMES[date.getMonth()];
+      case "MMM":
+        return MONTH_NAMES[date.getMonth()].substring(0, 3);
+      case "MM":
+        return pad(date.getMonth() + 1);
+      case "M":
+        return String(date.getMonth() + 1);
+      case "DDDD":
+        return DAY_NAMES[date.getDay()];
+      case "DDD":
+        return DAY_NAMES[date.getDay()].substring(0, 3);
+      case "DD":
+        return pad(date.getDate());
+      case "D":
+        return String(date.getDate());
+      case "HH":
+        return pad(date.getHours());
+      case "H":
+        return String(date.getHours());
+      case "hh":
+        return pad(hours12);
+      case "h":
+        return String(hours12);
+      case "mm":
+        return pad(date.getMinutes());
+      case "m":
+        return String(date.getMinutes());
+      case "ss":
+        return pad(date.getSeconds());
+      case "s":
+        return String(date.getSeconds());
+      case "SSS":
+        return pad(date.getMilliseconds(), 3);
+      case "A":
+        return date.getHours() < 12 ? "AM" : "PM";
+      case "a":
+        return date.getHours() < 12 ? "am" : "pm";
+      default:
+        return token.substring(1, token.length - 1);
+    }
+  });
+}
+
+function getDaysInMonth(date: Date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+function getISOWeek(date: Date) {
+  // The ISO week belongs to the year containing its Thursday
+  const thursday = new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() + 3 - ((date.getDay() + 6) % 7)
+  );
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  return (
+    1 +
+    Math.round(
+      (diffDates("DAY", firstThursday, thursday) -
+        3 +
+        ((firstThursday.getDay() + 6) % 7)) /
+        7
+    )
+  );
+}
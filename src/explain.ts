@@ -0,0 +1,178 @@
+import { OrderBy } from "./types";
+
+/**
+ * One stage of a {@link QueryPlan}
+ */
+export interface PlanStage {
+  type:
+    | "source"
+    | "join"
+    | "filter"
+    | "sort"
+    | "group"
+    | "window"
+    | "projection"
+    | "having"
+    | "distinct"
+    | "offset"
+    | "limit";
+  /** What the stage does, e.g. the filter expression or the sort keys */
+  detail: string;
+  /**
+   * Whether the stage needs all of its input before it can output anything.
+   * Otherwise rows stream through it one at a time.
+   */
+  materialises: boolean;
+  /** The plan of a query which is the source of the stage */
+  input?: QueryPlan;
+  /** With `analyze`, the number of rows output by the stage */
+  rows?: number;
+  /**
+   * With `analyze`, the time spent in the stage, in milliseconds, not
+   * counting the stages before it
+   */
+  time?: number;
+}
+
+/**
+ * How a query is run, returned by
+ * {@link CSVDBQuery#explain|explain()}. `toString()` gives the plan as a
+ * tree, with the final stage at the top.
+ */
+export class QueryPlan {
+  /** The stages rows pass through, in order */
+  stages: PlanStage[];
+
+  constructor(stages: PlanStage[]) {
+    this.stages = stages;
+  }
+
+  toString() {
+    return formatStages(this.stages, 0).join("\n");
+  }
+}
+
+const STAGE_NAMES = {
+  source: "Source",
+  join: "Join",
+  filter: "Filter",
+  sort: "Sort",
+  group: "Group",
+  window: "Window",
+  projection: "Projection",
+  having: "Having",
+  distinct: "Distinct",
+  offset: "Offset",
+  limit: "Limit",
+};
+
+/**
+ * The last stage goes at the top, with the stages it reads from below it
+ */
+function formatStages(stages: PlanStage[], depth: number): string[] {
+  if (stages.length === 0) return [];
+
+  const stage = stages[stages.length - 1];
+  const indent = depth > 0 ? "   ".repeat(depth - 1) + "└─ " : "";
+  const detail = stage.detail ? `: ${stage.detail}` : "";
+  const info = [stage.materialises ? "materialises" : "streams"];
+
+  if (stage.rows !== undefined) {
+    info.push(`rows=${stage.rows}`);
+  }
+
+  if (stage.time !== undefined) {
+    info.push(`time=${stage.time.toFixed(3)}ms`);
+  }
+
+  return [
+    `${indent}${STAGE_NAMES[stage.type]}${detail} (${info.join(", ")})`,
+    ...formatStages(stages.slice(0, -1), depth + 1),
+    ...(stage.input ? formatStages(stage.input.stages, depth + 1) : []),
+  ];
+}
+
+/**
+ * Describe sort keys given to {@link CSVDBQuery#orderBy|orderBy()}
+ */
+export function describeOrderBy(orderBy: OrderBy): string {
+  if (Array.isArray(orderBy)) {
+    return orderBy.map(describeOrderBy).join(", ");
+  }
+
+  if (typeof orderBy === "string") {
+    return orderBy;
+  }
+
+  if (typeof orderBy === "function") {
+    return "callback";
+  }
+
+  const key = typeof orderBy.key === "string" ? orderBy.key : "callback";
+  return orderBy.direction === "desc" ? `${key} DESC` : key;
+}
+
+/**
+ * The stages of a query being analyzed, by name, and the profiles of the
+ * queries it reads from. Each analyzed run has its own.
+ */
+export interface Profile {
+  profiler: Profiler;
+  stages: Map<string, PlanStage>;
+  inputs: Map<unknown, Profile>;
+}
+
+/**
+ * Records rows and times for `explain({ analyze: true })`. Time is charged to
+ * the innermost stage which is running, so a stage which pulls rows from the
+ * one before it isn't charged for that stage's work.
+ */
+export class Profiler {
+  #running: PlanStage[] = [];
+  #last = 0;
+
+  /**
+   * Run `fn` as part of a stage
+   */
+  time<T>(stage: PlanStage, fn: () => T): T {
+    this.#charge();
+    this.#running.push(stage);
+
+    try {
+      return fn();
+    } finally {
+      this.#charge();
+      this.#running.pop();
+    }
+  }
+
+  /**
+   * Count the items coming out of a stage, and charge the time it takes to
+   * produce each one to the stage
+   */
+  *measure<T>(stage: PlanStage, iterable: Iterable<T>): Generator<T> {
+    const iterator = iterable[Symbol.iterator]();
+
+    try {
+      while (true) {
+        const result = this.time(stage, () => iterator.next());
+        if (result.done) return;
+        stage.rows = (stage.rows ?? 0) + 1;
+        yield result.value;
+      }
+    } finally {
+      iterator.return?.();
+    }
+  }
+
+  #charge() {
+    const now = performance.now();
+    const stage = this.#running[this.#running.length - 1];
+
+    if (stage) {
+      stage.time = (stage.time ?? 0) + now - this.#last;
+    }
+
+    this.#last = now;
+  }
+}
@@ -0,0 +1,1357 @@
+import { RowObject } from "./types";
+import {
+  AGGREGATE_FUNCTIONS,
+  SCALAR_FUNCTIONS,
+  STAT_FUNCTIONS,
+  isNotNull,
+} from "./functions.js";
+import { getCanonicalKey, getCanonicalValueKey } from "./indexes.js";
+import { parseDate } from "./schema.js";
+
+/**
+ * Thrown when SQL or expression text cannot be parsed. `position` is the
+ * 0-based offset of the offending token in the source text.
+ */
+export class SQLSyntaxError extends Error {
+  position: number;
+
+  constructor(message: string, position: number) {
+    super(`${message} at position ${position}`);
+    this.name = "SQLSyntaxError";
+    this.position = position;
+  }
+}
+
+/**
+ * Rows produced by SQL joins carry the source row of each table under this
+ * (non-enumerable) key so that qualified column references such as `t.col`
+ * can be resolved even when column names clash.
+ */
+export const TABLES = Symbol("tables");
+
+/**
+ * The rows of a correlated subquery carry the row of the outer query under
+ * this key of their tables, for columns which the subquery's own tables
+ * don't have.
+ */
+export const OUTER = Symbol("outer");
+
+export interface OuterRow {
+  row: RowObject;
+  /** Set when a column of the outer row is read */
+  used: boolean;
+}
+
+export interface Token {
+  type: "number" | "string" | "identifier" | "quoted" | "operator" | "eof";
+  value: string;
+  start: number;
+  end: number;
+}
+
+const OPERATORS = [
+  "<>",
+  "!=",
+  "<=",
+  ">=",
+  "||",
+  "=",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "(",
+  ")",
+  ",",
+  ".",
+  ";",
+];
+
+export function tokenize(text: string) {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const c = text[i];
+
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+
+    // Line comment
+    if (c === "-" && text[i + 1] === "-") {
+      while (i < text.length && text[i] !== "\n") i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (/[0-9]/.test(c) || (c === "." && /[0-9]/.test(text[i + 1]))) {
+      const match = /^\d*\.?\d*(?:[eE][+-]?\d+)?/.exec(text.substring(i));
+      i += match ? match[0].length : 1;
+      tokens.push({
+        type: "number",
+        value: text.substring(start, i),
+        start,
+        end: i,
+      });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(c)) {
+      while (i < text.length && /[\w$]/.test(text[i])) i++;
+      tokens.push({
+        type: "identifier",
+        value: text.substring(start, i),
+        start,
+        end: i,
+      });
+      continue;
+    }
+
+    if (c === "'" || c === '"' || c === "`" || c === "[") {
+      const close = c === "[" ? "]" : c;
+      let value = "";
+      i++;
+      for (;;) {
+        if (i >= text.length) {
+          throw new SQLSyntaxError("Unterminated string", start);
+        }
+        if (text[i] === close) {
+          // Doubled closing character is an escape
+          if (close !== "]" && text[i + 1] === close) {
+            value += close;
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += text[i++];
+      }
+      tokens.push({
+        type: c === "'" ? "string" : "quoted",
+        value,
+        start,
+        end: i,
+      });
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => text.startsWith(op, i));
+    if (operator) {
+      i += operator.length;
+      tokens.push({ type: "operator", value: operator, start, end: i });
+      continue;
+    }
+
+    throw new SQLSyntaxError(`Unexpected character '${c}'`, i);
+  }
+
+  tokens.push({ type: "eof", value: "", start: i, end: i });
+
+  return tokens;
+}
+
+export type Expression =
+  | { type: "literal"; value: any }
+  | { type: "column"; table?: string; name: string }
+  | { type: "star"; table?: string }
+  | { type: "unary"; operator: string; operand: Expression }
+  | { type: "binary"; operator: string; left: Expression; right: Expression }
+  | FunctionCall
+  | {
+      type: "case";
+      operand?: Expression;
+      whens: [Expression, Expression][];
+      else?: Expression;
+    }
+  | { type: "cast"; operand: Expression; to: string }
+  | { type: "in"; operand: Expression; list: Expression[]; not: boolean }
+  | {
+      type: "between";
+      operand: Expression;
+      low: Expression;
+      high: Expression;
+      not: boolean;
+    }
+  | { type: "isNull"; operand: Expression; not: boolean }
+  | { type: "like"; operand: Expression; pattern: Expression; not: boolean }
+  | SubqueryExpression;
+
+export interface FunctionCall {
+  type: "function";
+  name: string;
+  args: Expression[];
+  distinct: boolean;
+  over?: WindowDefinition | string;
+}
+
+/**
+ * A `(SELECT ...)` in an expression. It's a scalar subquery unless it's the
+ * list of an `IN` or the argument of `EXISTS`.
+ */
+export interface SubqueryExpression {
+  type: "subquery";
+  exists: boolean;
+  /** The parsed statement */
+  statement: unknown;
+  /**
+   * Set when the statement is compiled. Returns the rows of the subquery for
+   * a row of the outer query.
+   */
+  run?: (row: RowObject) => RowObject[];
+}
+
+export interface OrderItem {
+  expression: Expression;
+  descending: boolean;
+}
+
+/**
+ * Offsets are negative for PRECEDING. Intervals are strings such as
+ * `7 DAY PRECEDING`.
+ */
+export type FrameBound =
+  | "UNBOUNDED PRECEDING"
+  | "UNBOUNDED FOLLOWING"
+  | "CURRENT ROW"
+  | number
+  | string;
+
+export type FrameExclusion = "CURRENT ROW" | "GROUP" | "TIES" | "NO OTHERS";
+
+export interface WindowDefinition {
+  base?: string;
+  partitionBy: Expression[];
+  orderBy: OrderItem[];
+  framing?:
+    | [unit: "ROWS" | "RANGE" | "GROUPS", start: FrameBound, end: FrameBound]
+    | [
+        unit: "ROWS" | "RANGE" | "GROUPS",
+        start: FrameBound,
+        end: FrameBound,
+        exclude: FrameExclusion
+      ];
+}
+
+const RESERVED = [
+  "SELECT",
+  "FROM",
+  "WHERE",
+  "GROUP",
+  "HAVING",
+  "ORDER",
+  "WINDOW",
+  "UNION",
+  "INTERSECT",
+  "EXCEPT",
+  "OFFSET",
+  "FETCH",
+  "LIMIT",
+  "JOIN",
+  "INNER",
+  "LEFT",
+  "RIGHT",
+  "FULL",
+  "OUTER",
+  "CROSS",
+  "ON",
+  "AS",
+  "AND",
+  "OR",
+  "NOT",
+  "IS",
+  "IN",
+  "LIKE",
+  "BETWEEN",
+  "CASE",
+  "WHEN",
+  "THEN",
+  "ELSE",
+  "END",
+  "ASC",
+  "DESC",
+  "OVER",
+  "DISTINCT",
+  "ALL",
+];
+
+/**
+ * Recursive descent parser for SQL expressions. Statement level syntax is
+ * added by the SQL parser which extends this class.
+ */
+export class ExpressionParser {
+  protected tokens: Token[];
+  protected index = 0;
+  protected text: string;
+
+  constructor(text: string) {
+    this.text = text;
+    this.tokens = tokenize(text);
+  }
+
+  protected get current() {
+    return this.tokens[this.index];
+  }
+
+  protected next() {
+    return this.tokens[this.index++];
+  }
+
+  /** Is the current token the given keyword (case insensitive)? */
+  protected isKeyword(...keywords: string[]) {
+    const token = this.current;
+    return (
+      token.type === "identifier" &&
+      keywords.includes(token.value.toUpperCase())
+    );
+  }
+
+  protected isOperator(...operators: string[]) {
+    const token = this.current;
+    return token.type === "operator" && operators.includes(token.value);
+  }
+
+  protected acceptKeyword(...keywords: string[]) {
+    if (this.isKeyword(...keywords)) {
+      return this.next().value.toUpperCase();
+    }
+    return null;
+  }
+
+  protected acceptOperator(...operators: string[]) {
+    if (this.isOperator(...operators)) {
+      return this.next().value;
+    }
+    return null;
+  }
+
+  protected expectKeyword(...keywords: string[]) {
+    const keyword = this.acceptKeyword(...keywords);
+    if (!keyword) this.unexpected(keywords.join(" or "));
+    return keyword as string;
+  }
+
+  protected expectOperator(operator: string) {
+    if (!this.acceptOperator(operator)) this.unexpected(`'${operator}'`);
+  }
+
+  protected unexpected(expected?: string): never {
+    const token = this.current;
+    const found = token.type === "eof" ? "end of input" : `'${token.value}'`;
+    throw new SQLSyntaxError(
+      `Unexpected ${found}` + (expected ? `, expected ${expected}` : ""),
+      token.start
+    );
+  }
+
+  /** Parse an identifier which may be used as a name (column, alias etc.) */
+  protected parseName() {
+    const token = this.current;
+    if (
+      token.type === "quoted" ||
+      (token.type === "identifier" &&
+        !RESERVED.includes(token.value.toUpperCase()))
+    ) {
+      this.index++;
+      return token.value;
+    }
+    this.unexpected("a name");
+  }
+
+  protected isName() {
+    const token = this.current;
+    return (
+      token.type === "quoted" ||
+      (token.type === "identifier" &&
+        !RESERVED.includes(token.value.toUpperCase()))
+    );
+  }
+
+  /** The original source text between two token indices */
+  protected source(startIndex: number, endIndex = this.index) {
+    return this.text.substring(
+      this.tokens[startIndex].start,
+      this.tokens[endIndex - 1].end
+    );
+  }
+
+  /** Parse a complete string as a single expression */
+  parseStandalone() {
+    const expression = this.parseExpression();
+    if (this.current.type !== "eof") this.unexpected();
+    return expression;
+  }
+
+  parseExpression(): Expression {
+    return this.parseOr();
+  }
+
+  protected parseOr(): Expression {
+    let left = this.parseAnd();
+    while (this.acceptKeyword("OR")) {
+      left = { type: "binary", operator: "OR", left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  protected parseAnd(): Expression {
+    let left = this.parseNot();
+    while (this.acceptKeyword("AND")) {
+      left = { type: "binary", operator: "AND", left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  protected parseNot(): Expression {
+    if (this.acceptKeyword("NOT")) {
+      return { type: "unary", operator: "NOT", operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  protected parseComparison(): Expression {
+    const left = this.parseAdditive();
+
+    const operator = this.acceptOperator("=", "<>", "!=", "<", "<=", ">", ">=");
+    if (operator) {
+      return {
+        type: "binary",
+        operator: operator === "!=" ? "<>" : operator,
+        left,
+        right: this.parseAdditive(),
+      };
+    }
+
+    if (this.acceptKeyword("IS")) {
+      const not = !!this.acceptKeyword("NOT");
+      this.expectKeyword("NULL");
+      return { type: "isNull", operand: left, not };
+    }
+
+    const not = !!this.acceptKeyword("NOT");
+
+    if (this.acceptKeyword("BETWEEN")) {
+      const low = this.parseAdditive();
+      this.expectKeyword("AND");
+      const high = this.parseAdditive();
+      return { type: "between", operand: left, low, high, not };
+    }
+
+    if (this.acceptKeyword("IN")) {
+      this.expectOperator("(");
+      const list = this.parseInList();
+      this.expectOperator(")");
+      return { type: "in", operand: left, list, not };
+    }
+
+    if (this.acceptKeyword("LIKE")) {
+      return {
+        type: "like",
+        operand: left,
+        pattern: this.parseAdditive(),
+        not,
+      };
+    }
+
+    if (not) this.unexpected("BETWEEN, IN or LIKE");
+
+    return left;
+  }
+
+  protected parseAdditive(): Expression {
+    let left = this.parseMultiplicative();
+    let operator;
+    while ((operator = this.acceptOperator("+", "-", "||"))) {
+      left = {
+        type: "binary",
+        operator,
+        left,
+        right: this.parseMultiplicative(),
+      };
+    }
+    return left;
+  }
+
+  protected parseMultiplicative(): Expression {
+    let left = this.parseUnary();
+    let operator;
+    while ((operator = this.acceptOperator("*", "/", "%"))) {
+      left = { type: "binary", operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  protected parseUnary(): Expression {
+    const operator = this.acceptOperator("-", "+");
+    if (operator) {
+      return { type: "unary", operator, operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  /** The list of values after `IN (` */
+  protected parseInList(): Expression[] {
+    return this.parseExpressionList();
+  }
+
+  protected parseExpressionList() {
+    const list = [this.parseExpression()];
+    while (this.acceptOperator(",")) {
+      list.push(this.parseExpression());
+    }
+    return list;
+  }
+
+  protected parsePrimary(): Expression {
+    const token = this.current;
+
+    if (token.type === "number") {
+      this.index++;
+      return { type: "literal", value: +token.value };
+    }
+
+    if (token.type === "string") {
+      this.index++;
+      return { type: "literal", value: token.value };
+    }
+
+    if (this.acceptOperator("(")) {
+      const expression = this.parseExpression();
+      this.expectOperator(")");
+      return expression;
+    }
+
+    if (this.acceptOperator("*")) {
+      return { type: "star" };
+    }
+
+    if (this.acceptKeyword("NULL")) return { type: "literal", value: null };
+    if (this.acceptKeyword("TRUE")) return { type: "literal", value: true };
+    if (this.acceptKeyword("FALSE")) return { type: "literal", value: false };
+
+    if (this.acceptKeyword("CASE")) {
+      return this.parseCase();
+    }
+
+    if (this.isKeyword("CAST") && this.tokens[this.index + 1].value === "(") {
+      this.index += 2;
+      const operand = this.parseExpression();
+      this.expectKeyword("AS");
+      const to = this.parseName().toUpperCase();
+      this.expectOperator(")");
+      return { type: "cast", operand, to };
+    }
+
+    // EXTRACT(field FROM date)
+    if (
+      this.isKeyword("EXTRACT") &&
+      this.tokens[this.index + 1].value === "(" &&
+      this.tokens[this.index + 2].type === "identifier" &&
+      this.tokens[this.index + 3].value.toUpperCase() === "FROM"
+    ) {
+      this.index += 2;
+      const field = this.next().value.toUpperCase();
+      this.expectKeyword("FROM");
+      const operand = this.parseExpression();
+      this.expectOperator(")");
+      return {
+        type: "function",
+        name: "EXTRACT",
+        args: [{ type: "literal", value: field }, operand],
+        distinct: false,
+      };
+    }
+
+    if (!this.isName()) {
+      this.unexpected("an expression");
+    }
+
+    const name = this.parseName();
+
+    if (this.acceptOperator("(")) {
+      return this.parseFunctionCall(name.toUpperCase());
+    }
+
+    if (this.acceptOperator(".")) {
+      if (this.acceptOperator("*")) {
+        return { type: "star", table: name };
+      }
+      return { type: "column", table: name, name: this.parseName() };
+    }
+
+    return { type: "column", name };
+  }
+
+  protected parseCase(): Expression {
+    let operand: Expression | undefined;
+    if (!this.isKeyword("WHEN")) {
+      operand = this.parseExpression();
+    }
+
+    const whens: [Expression, Expression][] = [];
+    while (this.acceptKeyword("WHEN")) {
+      const when = this.parseExpression();
+      this.expectKeyword("THEN");
+      whens.push([when, this.parseExpression()]);
+    }
+
+    if (whens.length === 0) this.unexpected("WHEN");
+
+    let elseExpression: Expression | undefined;
+    if (this.acceptKeyword("ELSE")) {
+      elseExpression = this.parseExpression();
+    }
+
+    this.expectKeyword("END");
+
+    return { type: "case", operand, whens, else: elseExpression };
+  }
+
+  protected parseFunctionCall(name: string): FunctionCall {
+    let distinct = false;
+    let args: Expression[] = [];
+
+    if (!this.acceptOperator(")")) {
+      distinct = !!this.acceptKeyword("DISTINCT");
+      args = this.parseExpressionList();
+      this.expectOperator(")");
+    }
+
+    const call: FunctionCall = { type: "function", name, args, distinct };
+
+    if (this.acceptKeyword("OVER")) {
+      if (this.acceptOperator("(")) {
+        call.over = this.parseWindowDefinition();
+        this.expectOperator(")");
+      } else {
+        call.over = this.parseName();
+      }
+    }
+
+    return call;
+  }
+
+  protected parseWindowDefinition(): WindowDefinition {
+    const definition: WindowDefinition = { partitionBy: [], orderBy: [] };
+
+    if (
+      this.isName() &&
+      !this.isKeyword("PARTITION", "ROWS", "RANGE", "GROUPS")
+    ) {
+      definition.base = this.parseName();
+    }
+
+    if (this.acceptKeyword("PARTITION")) {
+      this.expectKeyword("BY");
+      definition.partitionBy = this.parseExpressionList();
+    }
+
+    if (this.acceptKeyword("ORDER")) {
+      this.expectKeyword("BY");
+      definition.orderBy = this.parseOrderItems();
+    }
+
+    const unit = this.acceptKeyword("ROWS", "RANGE", "GROUPS");
+    if (unit) {
+      let start: FrameBound;
+      let end: FrameBound = "CURRENT ROW";
+
+      if (this.acceptKeyword("BETWEEN")) {
+        start = this.parseFrameBound();
+        this.expectKeyword("AND");
+        end = this.parseFrameBound();
+      } else {
+        start = this.parseFrameBound();
+      }
+
+      definition.framing = [unit as "ROWS" | "RANGE" | "GROUPS", start, end];
+
+      if (this.acceptKeyword("EXCLUDE")) {
+        definition.framing = [...definition.framing, this.parseExclusion()];
+      }
+    }
+
+    return definition;
+  }
+
+  protected parseFrameBound(): FrameBound {
+    if (this.acceptKeyword("UNBOUNDED")) {
+      const direction = this.expectKeyword("PRECEDING", "FOLLOWING");
+      return direction === "PRECEDING"
+        ? "UNBOUNDED PRECEDING"
+        : "UNBOUNDED FOLLOWING";
+    }
+
+    if (this.acceptKeyword("CURRENT")) {
+      this.expectKeyword("ROW");
+      return "CURRENT ROW";
+    }
+
+    // INTERVAL '7' DAY, INTERVAL '7 days' or just 7 DAYS
+    const interval = !!this.acceptKeyword("INTERVAL");
+
+    const token = this.current;
+    if (token.type !== "number" && !(interval && token.type === "string")) {
+      this.unexpected("a frame bound");
+    }
+    this.index++;
+
+    let [amount, unit] = token.value.trim().split(/\s+/);
+    if (!unit && !this.isKeyword("PRECEDING", "FOLLOWING")) {
+      unit = this.parseName();
+    }
+
+    if (isNaN(+amount) || amount === "") {
+      throw new SQLSyntaxError(`Bad interval '${token.value}'`, token.start);
+    }
+
+    const direction = this.expectKeyword("PRECEDING", "FOLLOWING");
+
+    if (unit) {
+      return `${amount} ${unit.toUpperCase()} ${direction}`;
+    }
+
+    return direction === "PRECEDING" ? -amount : +amount;
+  }
+
+  protected parseExclusion(): FrameExclusion {
+    if (this.acceptKeyword("CURRENT")) {
+      this.expectKeyword("ROW");
+      return "CURRENT ROW";
+    }
+
+    if (this.acceptKeyword("NO")) {
+      this.expectKeyword("OTHERS");
+      return "NO OTHERS";
+    }
+
+    return this.expectKeyword("GROUP", "TIES") as FrameExclusion;
+  }
+
+  /**
+   * Parse a complete ORDER BY list, e.g. `Type, Amount DESC`
+   */
+  parseOrderBy() {
+    const items = this.parseOrderItems();
+    if (this.current.type !== "eof") this.unexpected();
+    return items;
+  }
+
+  protected parseOrderItems() {
+    const items: OrderItem[] = [];
+    do {
+      const expression = this.parseExpression();
+      const direction = this.acceptKeyword("ASC", "DESC");
+      items.push({ expression, descending: direction === "DESC" });
+    } while (this.acceptOperator(","));
+    return items;
+  }
+}
+
+/**
+ * Parse a string containing a single SQL expression.
+ */
+export function parseExpression(text: string) {
+  return new ExpressionParser(text).parseStandalone();
+}
+
+/**
+ * Parse a string containing an ORDER BY list.
+ */
+export function parseOrderBy(text: string) {
+  return new ExpressionParser(text).parseOrderBy();
+}
+
+/**
+ * Recently parsed specs, least recently used first. The size is capped since
+ * queries built on the fly could otherwise fill it without limit.
+ */
+const specCache = new Map<string, Expression | null>();
+const SPEC_CACHE_SIZE = 1000;
+
+/**
+ * Parse a string given to the fluent API where a column name or an expression
+ * is accepted.
+ * @returns The expression or `null` if the text is a plain column name (or
+ * isn't a valid expression) so should be used as a field name.
+ */
+export function parseSpec(text: string) {
+  let expression = specCache.get(text);
+
+  if (expression !== undefined) {
+    // Move it to the end, as the most recently used
+    specCache.delete(text);
+  } else {
+    try {
+      expression = parseExpression(text);
+      if (expression.type === "column" && !expression.table) {
+        expression = null;
+      }
+    } catch (e) {
+      if (!(e instanceof SQLSyntaxError)) throw e;
+      expression = null;
+    }
+
+    if (specCache.size >= SPEC_CACHE_SIZE) {
+      specCache.delete(specCache.keys().next().value!);
+    }
+  }
+
+  specCache.set(text, expression);
+
+  return expression;
+}
+
+export interface EvaluationContext {
+  /** The current row */
+  row: RowObject;
+  /** All rows in the current group when evaluating aggregates */
+  group?: RowObject[];
+  /**
+   * Grouping expressions which the group is a super-aggregate of, e.g. from
+   * `ROLLUP`. They evaluate to `null` and are reported by `GROUPING()`.
+   */
+  rolledUp?: Expression[];
+}
+
+export function isAggregateName(name: string) {
+  return name in AGGREGATE_FUNCTIONS || name in STAT_FUNCTIONS;
+}
+
+/**
+ * Does the expression contain an aggregate function call (outside of any
+ * window function)?
+ */
+export function containsAggregate(expression: Expression): boolean {
+  return someNode(
+    expression,
+    (node) =>
+      node.type === "function" && !node.over && isAggregateName(node.name)
+  );
+}
+
+/**
+ * Does the expression contain a window function call?
+ */
+export function containsWindow(expression: Expression): boolean {
+  return someNode(
+    expression,
+    (node) => node.type === "function" && !!node.over
+  );
+}
+
+/**
+ * Does the predicate hold for the expression or any expression inside it?
+ * The arguments of aggregates and subqueries aren't searched.
+ */
+export function someNode(
+  expression: Expression,
+  predicate: (node: Expression) => boolean
+): boolean {
+  if (predicate(expression)) return true;
+
+  const children: (Expression | undefined)[] = [];
+
+  switch (expression.type) {
+    case "unary":
+    case "cast":
+    case "isNull":
+      children.push(expression.operand);
+      break;
+    case "binary":
+      children.push(expression.left, expression.right);
+      break;
+    case "function":
+      // Arguments of an aggregate are evaluated per row, not per group
+      if (isAggregateName(expression.name) && !expression.over) return false;
+      children.push(...expression.args);
+      break;
+    case "case":
+      children.push(expression.operand, expression.else);
+      for (const [when, then] of expression.whens) children.push(when, then);
+      break;
+    case "in":
+      children.push(expression.operand, ...expression.list);
+      break;
+    case "between":
+      children.push(expression.operand, expression.low, expression.high);
+      break;
+    case "like":
+      children.push(expression.operand, expression.pattern);
+      break;
+  }
+
+  return children.some((child) => child && someNode(child, predicate));
+}
+
+export function getColumn(row: RowObject, name: string, table?: string): any {
+  const tables = row[TABLES as any];
+
+  if (table) {
+    if (tables && table in tables) {
+      return tables[table]?.[name] ?? null;
+    }
+
+    // Columns prefixed by an alias in joinOn()
+    const prefixed = `${table}.${name}`;
+    if (prefixed in row) {
+      return row[prefixed] ?? null;
+    }
+  }
+
+  const outer: OuterRow | undefined = tables?.[OUTER];
+  if (outer && (table || !(name in row))) {
+    outer.used = true;
+    return getColumn(outer.row, name, table);
+  }
+
+  return row[name] ?? null;
+}
+
+/**
+ * Evaluate an expression against a row (and optionally its group).
+ */
+export function evaluate(
+  expression: Expression,
+  context: EvaluationContext
+): any {
+  if (context.rolledUp && isRolledUp(expression, context.rolledUp)) {
+    return null;
+  }
+
+  switch (expression.type) {
+    case "literal":
+      return expression.value;
+
+    case "column":
+      return getColumn(context.row, expression.name, expression.table);
+
+    case "star":
+      throw Error("Unexpected *");
+
+    case "unary": {
+      const value = evaluate(expression.operand, context);
+      if (expression.operator === "NOT") {
+        return value === null ? null : !isTrue(value);
+      }
+      if (value === null) return null;
+      return expression.operator === "-" ? -value : +value;
+    }
+
+    case "binary":
+      return evaluateBinary(expression, context);
+
+    case "function":
+      return evaluateFunction(expression, context);
+
+    case "case": {
+      if (expression.operand) {
+        const value = evaluate(expression.operand, context);
+        for (const [when, then] of expression.whens) {
+          if (areEqual(value, evaluate(when, context))) {
+            return evaluate(then, context);
+          }
+        }
+      } else {
+        for (const [when, then] of expression.whens) {
+          if (isTrue(evaluate(when, context))) {
+            return evaluate(then, context);
+          }
+        }
+      }
+      return expression.else ? evaluate(expression.else, context) : null;
+    }
+
+    case "cast":
+      return cast(evaluate(expression.operand, context), expression.to);
+
+    case "in": {
+      const value = evaluate(expression.operand, context);
+      if (!isNotNull(value)) return null;
+      const [first] = expression.list;
+      const found =
+        expression.list.length === 1 && first.type === "subquery"
+          ? getColumnValues(runSubquery(first, context)).some((item) =>
+              areEqual(value, item)
+            )
+          : expression.list.some((item) =>
+              areEqual(value, evaluate(item, context))
+            );
+      return expression.not ? !found : found;
+    }
+
+    case "between": {
+      const value = evaluate(expression.operand, context);
+      const low = evaluate(expression.low, context);
+      const high = evaluate(expression.high, context);
+      if (!isNotNull(value) || !isNotNull(low) || !isNotNull(high)) {
+        return null;
+      }
+      const result =
+        compareValues(value, low) >= 0 && compareValues(value, high) <= 0;
+      return expression.not ? !result : result;
+    }
+
+    case "isNull": {
+      const value = evaluate(expression.operand, context);
+      return expression.not ? isNotNull(value) : !isNotNull(value);
+    }
+
+    case "like": {
+      const value = evaluate(expression.operand, context);
+      const pattern = evaluate(expression.pattern, context);
+      if (!isNotNull(value) || !isNotNull(pattern)) return null;
+      const result = likeToRegExp(String(pattern)).test(String(value));
+      return expression.not ? !result : result;
+    }
+
+    case "subquery": {
+      const rows = runSubquery(expression, context);
+      return expression.exists ? rows.length > 0 : getScalar(rows);
+    }
+  }
+}
+
+/**
+ * The value of a subquery which should have one column and at most one row
+ */
+export function getScalar(rows: Iterable<RowObject>) {
+  let value = null;
+  let count = 0;
+
+  for (const row of rows) {
+    if (++count > 1) {
+      throw Error("Bad Subquery: more than one row");
+    }
+    value = getSingleValue(row);
+  }
+
+  return value;
+}
+
+/**
+ * The values of a subquery which should have one column
+ */
+export function getColumnValues(rows: Iterable<RowObject>) {
+  return Array.from(rows, getSingleValue);
+}
+
+function getSingleValue(row: RowObject) {
+  const values = Object.values(row);
+  if (values.length !== 1) {
+    throw Error(`Bad Subquery: ${values.length} columns instead of 1`);
+  }
+  return values[0] ?? null;
+}
+
+function runSubquery(
+  expression: SubqueryExpression,
+  context: EvaluationContext
+) {
+  if (!expression.run) {
+    throw Error("Unsupported: subquery");
+  }
+  return expression.run(context.row);
+}
+
+const COMPARISONS = new Set(["=", "<>", "<", "<=", ">", ">="]);
+
+function evaluateBinary(
+  expression: Expression & { type: "binary" },
+  context: EvaluationContext
+) {
+  const { operator } = expression;
+
+  // Three valued logic
+  if (operator === "AND" || operator === "OR") {
+    const left = evaluate(expression.left, context);
+    if (operator === "AND" && left !== null && !isTrue(left)) return false;
+    if (operator === "OR" && isTrue(left)) return true;
+
+    const right = evaluate(expression.right, context);
+    if (operator === "AND" && right !== null && !isTrue(right)) return false;
+    if (operator === "OR" && isTrue(right)) return true;
+
+    return left === null || right === null ? null : operator === "AND";
+  }
+
+  const left = evaluate(expression.left, context);
+  const right = evaluate(expression.right, context);
+
+  if (left === null || right === null) return null;
+
+  // An empty field is null when compared, as it is in aggregates
+  if (COMPARISONS.has(operator) && (left === "" || right === "")) return null;
+
+  switch (operator) {
+    case "||":
+      return String(left) + String(right);
+    case "+":
+      return +left + +right;
+    case "-":
+      return +left - +right;
+    case "*":
+      return +left * +right;
+    case "/":
+      return +left / +right;
+    case "%":
+      return +left % +right;
+    case "=":
+      return areEqual(left, right);
+    case "<>":
+      return !areEqual(left, right);
+    case "<":
+      return compareValues(left, right) < 0;
+    case "<=":
+      return compareValues(left, right) <= 0;
+    case ">":
+      return compareValues(left, right) > 0;
+    case ">=":
+      return compareValues(left, right) >= 0;
+  }
+
+  throw Error(`Bad Operator: ${operator}`);
+}
+
+function evaluateFunction(call: FunctionCall, context: EvaluationContext) {
+  const { name } = call;
+
+  if (call.over) {
+    throw Error(`Window function ${name} is not allowed here`);
+  }
+
+  if (name === "GROUPING") {
+    return evaluateGrouping(call.args, context.rolledUp ?? []);
+  }
+
+  if (isAggregateName(name)) {
+    if (!context.group) {
+      throw Error(`Aggregate function ${name} is not allowed here`);
+    }
+    return evaluateAggregate(call, context.group);
+  }
+
+  if (name in SCALAR_FUNCTIONS) {
+    return SCALAR_FUNCTIONS[name](
+      ...call.args.map((arg) => evaluate(arg, context))
+    );
+  }
+
+  throw Error(`Bad Func: ${name}`);
+}
+
+const expressionKeys = new WeakMap<Expression, string>();
+
+/**
+ * Expressions are the same if they have the same structure, e.g. `UPPER(a)`
+ * in a select list and in GROUP BY
+ */
+export function getExpressionKey(expression: Expression) {
+  let key = expressionKeys.get(expression);
+  if (key === undefined) {
+    key = JSON.stringify(expression);
+    expressionKeys.set(expression, key);
+  }
+  return key;
+}
+
+function isRolledUp(expression: Expression, rolledUp: Expression[]) {
+  if (rolledUp.length === 0) return false;
+  const key = getExpressionKey(expression);
+  return rolledUp.some((other) => getExpressionKey(other) === key);
+}
+
+/**
+ * `GROUPING(a, b, ...)` has a bit for each argument, the last argument being
+ * the least significant, which is 1 if the current group is a
+ * super-aggregate of it.
+ */
+function evaluateGrouping(args: Expression[], rolledUp: Expression[]) {
+  if (args.length === 0) {
+    throw Error("Bad Func: GROUPING needs at least one argument");
+  }
+
+  return args.reduce(
+    (bits, arg) => (bits << 1) | (isRolledUp(arg, rolledUp) ? 1 : 0),
+    0
+  );
+}
+
+/**
+ * Evaluate an aggregate function call over a set of rows.
+ */
+export function evaluateAggregate(call: FunctionCall, rows: RowObject[]) {
+  const fn = AGGREGATE_FUNCTIONS[call.name] || STAT_FUNCTIONS[call.name];
+
+  if (!fn) {
+    throw Error(`Bad Func: ${call.name}`);
+  }
+
+  const [arg] = call.args;
+
+  let values: any[];
+
+  if (!arg || arg.type === "star") {
+    values = rows;
+  } else {
+    values = rows.map((row) => evaluate(arg, { row }));
+  }
+
+  if (call.distinct) {
+    const getKey =
+      !arg || arg.type === "star" ? getCanonicalKey : getCanonicalValueKey;
+    const seen = new Set<string>();
+
+    values = values.filter((value) => {
+      const key = getKey(value);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  return fn(values);
+}
+
+export function isTrue(value: any) {
+  return (
+    value !== null && value !== undefined && value !== false && value !== 0
+  );
+}
+
+function isNumeric(value: any) {
+  return typeof value === "string" && value.trim() !== "" && !isNaN(+value);
+}
+
+/**
+ * Compare two values for sorting. Numbers and dates are compared numerically
+ * as are strings which both look like numbers, since values in a csv file are
+ * usually strings. Other values are compared as strings.
+ */
+export function compareValues(a: any, b: any) {
+  if (a instanceof Date) a = +a;
+  if (b instanceof Date) b = +b;
+
+  if (
+    typeof a === "number" ||
+    typeof b === "number" ||
+    (isNumeric(a) && isNumeric(b))
+  ) {
+    const diff = +a - +b;
+    if (!isNaN(diff)) return diff;
+  }
+
+  return String(a).localeCompare(String(b));
+}
+
+export function areEqual(a: any, b: any) {
+  if (a === null || b === null) return false;
+  if (typeof a === "string" && typeof b === "string") {
+    return a === b || (isNumeric(a) && isNumeric(b) && +a === +b);
+  }
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * A hash key which is the same for values which {@link areEqual} finds
+ * equal, e.g. `1`, `"1"` and `"1.0"`, or `null` for a null value. Booleans
+ * have no key (`undefined`) since `true` equals both `1` and `"true"`.
+ */
+export function getEqualityKey(value: any) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "boolean") return undefined;
+
+  if (value instanceof Date || typeof value === "number" || isNumeric(value)) {
+    return +value;
+  }
+
+  return String(value).normalize();
+}
+
+/**
+ * Create a comparator which compares rows by each key in turn. Nulls sort
+ * last in ascending order.
+ */
+export function createComparator(
+  keys: ((row: RowObject) => any)[],
+  orderBy: OrderItem[]
+) {
+  const comparator = (rowA: RowObject, rowB: RowObject) => {
+    for (let i = 0; i < keys.length; i++) {
+      const a = keys[i](rowA);
+      const b = keys[i](rowB);
+
+      let result;
+      if (a === null || a === undefined) {
+        result = b === null || b === undefined ? 0 : 1;
+      } else if (b === null || b === undefined) {
+        result = -1;
+      } else {
+        result = compareValues(a, b);
+      }
+
+      if (result !== 0) {
+        return orderBy[i].descending ? -result : result;
+      }
+    }
+    return 0;
+  };
+
+  // The keys are needed to measure RANGE window frames
+  return Object.assign(comparator, {
+    keys,
+    descending: orderBy.map((item) => item.descending),
+  });
+}
+
+function likeToRegExp(pattern: string) {
+  const source = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".");
+  return new RegExp(`^${source}$`, "s");
+}
+
+function cast(value: any, type: string) {
+  if (value === null || value === undefined) return null;
+
+  switch (type) {
+    case "INT":
+    case "INTEGER":
+    case "BIGINT":
+      return Math.trunc(+value);
+    case "NUMBER":
+    case "NUMERIC":
+    case "DECIMAL":
+    case "FLOAT":
+    case "REAL":
+    case "DOUBLE":
+      return +value;
+    case "VARCHAR":
+    case "CHAR":
+    case "TEXT":
+    case "STRING":
+      return value instanceof Date ? value.toISOString() : String(value);
+    case "BOOLEAN":
+    case "BOOL":
+      return typeof value === "string"
+        ? /^(true|t|yes|y|1)$/i.test(value.trim())
+        : isTrue(value);
+    case "DATE":
+    case "DATETIME":
+    case "TIMESTAMP":
+      return value instanceof Date
+        ? value
+        : typeof value === "number"
+        ? new Date(value)
+        : parseDate(String(value));
+  }
+
+  throw Error(`Bad Type: ${type}`);
+}
@@ -0,0 +1,282 @@
+import { FormatOptions, RowObject, Schema } from "./types";
+import { writeCSV } from "./write.js";
+
+/**
+ * Parse a JSON array of objects. An array which has already been parsed is
+ * returned as is.
+ */
+export function parseJSONRows(json: string | RowObject[]): RowObject[] {
+  const rows = typeof json === "string" ? JSON.parse(json) : json;
+
+  if (!Array.isArray(rows) || !rows.every(isObject)) {
+    throw Error("Bad JSON: expected an array of objects");
+  }
+
+  return rows;
+}
+
+/**
+ * Parse JSON Lines (also known as NDJSON) where each line is a JSON object.
+ * Blank lines are ignored.
+ */
+export function parseJSONLines(text: string): RowObject[] {
+  const rows: RowObject[] = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === "") return;
+
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (e) {
+      throw Error(`Bad JSON at line ${i + 1}: ${(e as Error).message}`);
+    }
+
+    if (!isObject(row)) {
+      throw Error(`Bad JSON at line ${i + 1}: expected an object`);
+    }
+
+    rows.push(row);
+  });
+
+  return rows;
+}
+
+/**
+ * All the properties of the rows in the order they're first seen
+ */
+export function getColumns(rows: RowObject[]) {
+  const columns = new Set<string>();
+
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      columns.add(key);
+    }
+  }
+
+  return [...columns];
+}
+
+/**
+ * Work out the type of each column from the JavaScript types of its values.
+ * Columns with mixed or non-primitive values are strings, which leaves their
+ * values untouched.
+ */
+export function getSchemaFromValues(columns: string[], rows: RowObject[]) {
+  const schema: Schema = {};
+
+  for (const column of columns) {
+    const types = new Set<string>();
+
+    for (const row of rows) {
+      const value = row[column];
+      if (value === null || value === undefined) continue;
+      types.add(typeof value);
+    }
+
+    const [type] = types;
+
+    schema[column] =
+      types.size === 1 && (type === "number" || type === "boolean")
+        ? type
+        : "string";
+  }
+
+  return schema;
+}
+
+function isObject(value: any) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Creates a function which turns a value into display text according to the
+ * number and date formatting options.
+ */
+function createCellFormatter(options: FormatOptions) {
+  const { numberFormat, dateFormat, locale, nullValue = "" } = options;
+
+  const formatNumber =
+    typeof numberFormat === "function"
+      ? numberFormat
+      : numberFormat
+      ? new Intl.NumberFormat(locale, numberFormat).format
+      : String;
+
+  const formatDate =
+    typeof dateFormat === "function"
+      ? dateFormat
+      : dateFormat
+      ? new Intl.DateTimeFormat(locale, dateFormat).format
+      : (date: Date) => (isNaN(+date) ? "" : date.toISOString());
+
+  return (value: any): string => {
+    if (value === null || value === undefined) return nullValue;
+    if (typeof value === "number") return formatNumber(value);
+    if (value instanceof Date) return formatDate(value);
+    if (typeof value === "object") return JSON.stringify(value);
+    return String(value);
+  };
+}
+
+/**
+ * Materialise the rows and pick out the columns to display
+ */
+function getTable(rows: Iterable<RowObject>, options: FormatOptions) {
+  const allRows = [...rows];
+  const columns = options.columns ?? getColumns(allRows);
+  const format = createCellFormatter(options);
+
+  const cells = allRows.map((row) =>
+    columns.map((column) => format(row[column]))
+  );
+
+  // Numeric columns are right aligned
+  const numeric = columns.map(
+    (column) =>
+      allRows.some((row) => typeof row[column] === "number") &&
+      allRows.every(
+        (row) =>
+          typeof row[column] === "number" ||
+          row[column] === null ||
+          row[column] === undefined
+      )
+  );
+
+  return { columns, cells, numeric };
+}
+
+/**
+ * One JSON object per line. Number and date formatting options are not
+ * applied, dates are written as ISO 8601 strings.
+ */
+export function formatJSONLines(
+  rows: Iterable<RowObject>,
+  options: FormatOptions = {}
+) {
+  let out = "";
+
+  for (const row of rows) {
+    const picked = options.columns
+      ? Object.fromEntries(
+          options.columns.map((column) => [column, row[column] ?? null])
+        )
+      : row;
+    out += JSON.stringify(picked) + "\n";
+  }
+
+  return out;
+}
+
+/**
+ * Tab separated values which can be read back with
+ * `new CSVDB(tsv, { delimiter: "\t" })`
+ */
+export function formatTSV(
+  rows: Iterable<RowObject>,
+  options: FormatOptions = {}
+) {
+  const { columns, cells } = getTable(rows, options);
+
+  const formatted = cells.map((values) =>
+    Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+  );
+
+  return [
+    ...writeCSV(formatted, { delimiter: "\t", lineTerminator: "\n" }, columns),
+  ].join("");
+}
+
+/**
+ * A GitHub flavoured Markdown table
+ */
+export function formatMarkdown(
+  rows: Iterable<RowObject>,
+  options: FormatOptions = {}
+) {
+  const { columns, cells, numeric } = getTable(rows, options);
+
+  if (columns.length === 0) return "";
+
+  const escape = (text: string) =>
+    text.replace(/\|/g, "\\|").replace(/\r?\n|\r/g, "<br>");
+
+  const line = (values: string[]) => `| ${values.join(" | ")} |\n`;
+
+  return (
+    line(columns.map(escape)) +
+    line(numeric.map((isNumeric) => (isNumeric ? "---:" : "---"))) +
+    cells.map((values) => line(values.map(escape))).join("")
+  );
+}
+
+/**
+ * An HTML `<table>` with a `<thead>` and `<tbody>`. All text is escaped.
+ */
+export function formatHTML(
+  rows: Iterable<RowObject>,
+  options: FormatOptions = {}
+) {
+  const { columns, cells, numeric } = getTable(rows, options);
+
+  if (columns.length === 0) return "";
+
+  const cell = (tag: string, text: string, i: number) =>
+    numeric[i]
+      ? `<${tag} style="text-align: right">${escapeHTML(text)}</${tag}>`
+      : `<${tag}>${escapeHTML(text)}</${tag}>`;
+
+  const head = columns.map((column, i) => cell("th", column, i)).join("");
+  const body = cells
+    .map(
+      (values) => `<tr>${values.map((v, i) => cell("td", v, i)).join("")}</tr>`
+    )
+    .join("");
+
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * A plain text table with columns padded to line up in a fixed width font
+ */
+export function formatText(
+  rows: Iterable<RowObject>,
+  options: FormatOptions = {}
+) {
+  const { columns, cells, numeric } = getTable(rows, options);
+
+  if (columns.length === 0) return "";
+
+  const flatten = (text: string) => text.replace(/\r?\n|\r/g, " ");
+  const header = columns.map(flatten);
+  const body = cells.map((values) => values.map(flatten));
+
+  const widths = header.map((text, i) =>
+    body.reduce((max, values) => Math.max(max, values[i].length), text.length)
+  );
+
+  const line = (values: string[]) =>
+    values
+      .map((text, i) =>
+        numeric[i] ? text.padStart(widths[i]) : text.padEnd(widths[i])
+      )
+      .join(" | ")
+      .trimEnd() + "\n";
+
+  return (
+    line(header) +
+    widths.map((width) => "-".repeat(width)).join("-+-") +
+    "\n" +
+    body.map(line).join("")
+  );
+}
+
+function escapeHTML(text: string) {
+  return text.replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ] as string)
+  );
+}
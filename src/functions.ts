@@ -0,0 +1,814 @@
+import {
+  AggregateFunction,
+  Comparator,
+  OrderBy,
+  OrderKey,
+  RowObject,
+  WindowFunction,
+  WindowSpec,
+} from "./types";
+import { parseDate } from "./schema.js";
+import { Frame } from "./window.js";
+import {
+  addToDate,
+  diffDates,
+  extractFromDate,
+  formatDate,
+  toDate,
+  truncateDate,
+} from "./dates.js";
+import {
+  OrderItem,
+  SQLSyntaxError,
+  areEqual,
+  compareValues,
+  createComparator,
+  evaluate,
+  parseOrderBy,
+} from "./expression.js";
+
+/**
+ * Create a comparator from any of the forms accepted by
+ * {@link CSVDBQuery#orderBy}. Arrays are compared key by key, moving on to
+ * the next key only when the previous ones are equal.
+ */
+export function getOrderBy(orderBy: OrderBy): Comparator {
+  if (Array.isArray(orderBy)) {
+    const comparators = orderBy.map(getKeyComparator);
+
+    return (rowA, rowB) => {
+      for (const comparator of comparators) {
+        const order = comparator(rowA, rowB);
+        if (order) return order;
+      }
+      return 0;
+    };
+  }
+
+  return getKeyComparator(orderBy);
+}
+
+function getKeyComparator(key: string | Comparator | OrderKey): Comparator {
+  if (typeof key === "string") {
+    const c = key;
+
+    if (c[0] !== "-" && c[0] !== "+") {
+      const comparator = getExpressionComparator(c);
+      if (comparator) return comparator;
+    }
+
+    if (c[0] === "-") {
+      const f = key.substring(1);
+      return (rowA, rowB) => +rowB[f] - +rowA[f];
+    }
+
+    if (c[0] === "+") {
+      const f = key.substring(1);
+      return (rowA, rowB) => +rowA[f] - +rowB[f];
+    }
+
+    return (rowA, rowB) => String(rowA[c]).localeCompare(rowB[c]);
+  }
+
+  if (typeof key === "function") {
+    return key;
+  }
+
+  const getValue =
+    typeof key.key === "function"
+      ? key.key
+      : (row: RowObject) => row[key.key as string];
+  const normalise = getNormaliser(key);
+  const compare = getValueComparator(key);
+  const direction = key.direction === "desc" ? -1 : 1;
+  const nulls = key.nulls === "first" ? -1 : 1;
+
+  return (rowA, rowB) => {
+    const a = normalise(getValue(rowA));
+    const b = normalise(getValue(rowB));
+
+    if (a === null) return b === null ? 0 : nulls;
+    if (b === null) return -nulls;
+
+    return direction * compare(a, b);
+  };
+}
+
+/**
+ * Strings other than plain field names are parsed as an ORDER BY list
+ */
+function getExpressionComparator(text: string) {
+  let items: OrderItem[];
+  try {
+    items = parseOrderBy(text);
+  } catch (e) {
+    if (e instanceof SQLSyntaxError) return null;
+    throw e;
+  }
+
+  if (
+    items.length === 1 &&
+    items[0].expression.type === "column" &&
+    !/\s/.test(text.trim())
+  ) {
+    return null;
+  }
+
+  return createComparator(
+    items.map(
+      ({ expression }) =>
+        (row: RowObject) =>
+          evaluate(expression, { row })
+    ),
+    items
+  );
+}
+
+/**
+ * Converts a value to the type being compared or `null`
+ */
+function getNormaliser(key: OrderKey): (value: any) => any {
+  switch (key.compare) {
+    case "numeric":
+      return (value) => {
+        if (value === null || value === undefined || value === "") return null;
+        const n = +value;
+        return isNaN(n) ? null : n;
+      };
+    case "date":
+      return (value) => {
+        if (value === null || value === undefined || value === "") return null;
+        if (value instanceof Date) return isNaN(+value) ? null : +value;
+        if (typeof value === "number") return value;
+        const date = parseDate(String(value)) || new Date(value);
+        return isNaN(+date) ? null : +date;
+      };
+    case "string":
+    case "natural":
+      return (value) =>
+        value === null || value === undefined ? null : String(value);
+    case undefined:
+      return (value) =>
+        value === null || value === undefined
+          ? null
+          : value instanceof Date
+          ? +value
+          : value;
+    default:
+      throw Error(`Bad Compare: ${key.compare}`);
+  }
+}
+
+function getValueComparator(key: OrderKey): (a: any, b: any) => number {
+  if (key.compare === "numeric" || key.compare === "date") {
+    return (a, b) => a - b;
+  }
+
+  const collator = new Intl.Collator(key.locale, {
+    ...key.collation,
+    ...(key.compare === "natural" ? { numeric: true } : {}),
+  });
+
+  if (key.compare === "string" || key.compare === "natural") {
+    return collator.compare;
+  }
+
+  return (a, b) =>
+    typeof a === "number" && typeof b === "number"
+      ? a - b
+      : collator.compare(String(a), String(b));
+}
+
+/**
+ * Aggregate functions ignore nulls, as in SQL. Empty strings count as null
+ * too, since that's how a csv file writes a missing value.
+ */
+export function isNotNull(value: any) {
+  return value !== null && value !== undefined && value !== "";
+}
+
+const SUM: (value: any[]) => number | null = (values) =>
+  values.length === 0
+    ? null
+    : values.reduce((total: number, v) => total + +v, 0);
+
+/**
+ * Numbers (and strings which look like numbers) are compared numerically and
+ * the result is a number. Dates are compared by time and other values as
+ * strings, and the original value is returned.
+ */
+function extreme(values: any[], direction: 1 | -1) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  if (values.every(isNumeric)) {
+    return values.reduce(
+      (result, v) => (direction * (+v - result) > 0 ? +v : result),
+      +values[0]
+    );
+  }
+
+  return values.reduce((result, v) =>
+    direction * compareValues(v, result) > 0 ? v : result
+  );
+}
+
+function isNumeric(value: any) {
+  return (
+    typeof value === "number" ||
+    (typeof value === "string" && value.trim() !== "" && !isNaN(+value))
+  );
+}
+
+const AGGREGATES: { [name: string]: (value: any[]) => any } = {
+  SUM,
+  AVG: (values) => {
+    const s = SUM(values);
+    return s === null ? null : s / values.length;
+  },
+  MAX: (values) => extreme(values, 1),
+  MIN: (values) => extreme(values, -1),
+  COUNT: (values) => values.length,
+  LISTAGG: (values) => (values.length === 0 ? null : values.join()),
+  ANY: (values) => (values.length === 0 ? null : values[0]),
+  RANDOM: (values) =>
+    values.length === 0
+      ? null
+      : values[Math.floor(Math.random() * values.length)],
+};
+
+export const AGGREGATE_FUNCTIONS: { [name: string]: (value: any[]) => any } = {
+  ...Object.fromEntries(
+    Object.entries(AGGREGATES).map(([name, fn]) => [
+      name,
+      (values: any[]) => fn(values.filter(isNotNull)),
+    ])
+  ),
+  // Nulls are kept
+  ARRAY: (values) => values,
+  JSON: (values) => JSON.stringify(values),
+};
+
+/**
+ * Step by step versions of some of the builtin aggregates, giving the same
+ * results, so that window frames can be updated a row at a time
+ */
+const STEP_AGGREGATES: { [name: string]: AggregateFunction } = {
+  SUM: stepSum((total) => total),
+  AVG: stepSum((total, count) => total / count),
+  COUNT: {
+    init: () => 0,
+    step: (count) => count + 1,
+    inverse: (count) => count - 1,
+  },
+  MAX: stepExtreme(1),
+  MIN: stepExtreme(-1),
+};
+
+/**
+ * {@link SUM} a value at a time. Taking a value away from a float total
+ * wouldn't give the same result as adding up what's left, so values are only
+ * taken away while every sum of them is an exact integer, i.e. while they're
+ * integers whose magnitudes add up to a safe integer. Otherwise the frame is
+ * added up again.
+ */
+function stepSum(
+  result: (total: number, count: number) => number
+): AggregateFunction {
+  return {
+    init: () => ({ total: 0, count: 0, magnitude: 0 }),
+    step: ({ total, count, magnitude }, v) => ({
+      total: total + +v,
+      count: count + 1,
+      magnitude: Number.isInteger(+v) ? magnitude + Math.abs(+v) : Infinity,
+    }),
+    inverse: ({ total, count, magnitude }, v) =>
+      magnitude <= Number.MAX_SAFE_INTEGER
+        ? {
+            total: total - +v,
+            count: count - 1,
+            magnitude: magnitude - Math.abs(+v),
+          }
+        : undefined,
+    finalize: ({ total, count }) => (count === 0 ? null : result(total, count)),
+  };
+}
+
+/**
+ * {@link extreme} a value at a time. Both the numeric and the general
+ * extremes are kept since a later value may turn out not to be a number.
+ */
+function stepExtreme(direction: 1 | -1): AggregateFunction {
+  return {
+    init: () => ({ count: 0, numeric: true, number: NaN, value: null }),
+    step: (state, v) =>
+      state.count === 0
+        ? { count: 1, numeric: isNumeric(v), number: +v, value: v }
+        : {
+            count: state.count + 1,
+            numeric: state.numeric && isNumeric(v),
+            number: direction * (+v - state.number) > 0 ? +v : state.number,
+            value:
+              direction * compareValues(v, state.value) > 0 ? v : state.value,
+          },
+    finalize: (state) =>
+      state.count === 0 ? null : state.numeric ? state.number : state.value,
+  };
+}
+
+/**
+ * The step by step definition of an aggregate, if it has one. Nulls must be
+ * skipped before calling `step`.
+ */
+export function getStepAggregate(name: string): AggregateFunction | undefined {
+  return USER_AGGREGATES[name] ?? STEP_AGGREGATES[name];
+}
+
+/**
+ * Wraps a scalar function so that it returns `null` if any of its arguments
+ * are null, as most SQL functions do
+ */
+function strict(fn: (...args: any[]) => any) {
+  return (...args: any[]) =>
+    args.some((arg) => arg === null || arg === undefined) ? null : fn(...args);
+}
+
+/**
+ * Wraps a scalar function whose first argument is a date. Returns `null` if
+ * the date can't be parsed.
+ */
+function dateFunction(dateIndex: number, fn: (...args: any[]) => any) {
+  return strict((...args: any[]) => {
+    const date = toDate(args[dateIndex]);
+    if (!date) return null;
+    args[dateIndex] = date;
+    return fn(...args);
+  });
+}
+
+const regExpCache = new Map<string, RegExp>();
+
+function getRegExp(pattern: string, flags = "") {
+  const key = `${flags}/${pattern}`;
+  let re = regExpCache.get(key);
+  if (!re) {
+    re = new RegExp(pattern, flags);
+    regExpCache.set(key, re);
+  }
+  return re;
+}
+
+/**
+ * Functions of a single row, given their evaluated arguments
+ */
+export const SCALAR_FUNCTIONS: { [name: string]: (...args: any[]) => any } = {
+  COALESCE: (...values) =>
+    values.find((value) => value !== null && value !== undefined) ?? null,
+  NULLIF: (a, b) => (areEqual(a, b) ? null : a),
+
+  // String functions
+  UPPER: strict((s) => String(s).toUpperCase()),
+  LOWER: strict((s) => String(s).toLowerCase()),
+  TRIM: strict((s) => String(s).trim()),
+  LTRIM: strict((s) => String(s).trimStart()),
+  RTRIM: strict((s) => String(s).trimEnd()),
+  LENGTH: strict((s) => String(s).length),
+  // 1-based start position
+  SUBSTR: strict((s, start, length) => {
+    const from = Math.max(+start - 1, 0);
+    return length === undefined
+      ? String(s).substring(from)
+      : String(s).substring(from, Math.max(+start - 1 + +length, from));
+  }),
+  REPLACE: strict((s, search, replacement) =>
+    String(s).split(String(search)).join(String(replacement))
+  ),
+  // Null arguments are ignored
+  CONCAT: (...values) =>
+    values
+      .filter((value) => value !== null && value !== undefined)
+      .map(String)
+      .join(""),
+  // 1-based field number, negative numbers count from the end
+  SPLIT_PART: strict((s, delimiter, n) => {
+    const parts = String(s).split(String(delimiter));
+    return parts[n < 0 ? parts.length + +n : +n - 1] ?? "";
+  }),
+  REGEXP_LIKE: strict((s, pattern, flags) =>
+    getRegExp(pattern, flags).test(String(s))
+  ),
+  // Returns the whole match or the given capture group
+  REGEXP_EXTRACT: strict((s, pattern, group = 0) => {
+    const match = getRegExp(pattern).exec(String(s));
+    return match?.[group] ?? null;
+  }),
+
+  // Math functions
+  ROUND: strict((x, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(+x * factor) / factor;
+  }),
+  FLOOR: strict((x) => Math.floor(+x)),
+  CEIL: strict((x) => Math.ceil(+x)),
+  ABS: strict((x) => Math.abs(+x)),
+  MOD: strict((a, b) => +a % +b),
+  POWER: strict((a, b) => (+a) ** +b),
+
+  // Date functions
+  DATE_TRUNC: dateFunction(1, truncateDate),
+  EXTRACT: dateFunction(1, extractFromDate),
+  DATE_ADD: dateFunction(2, (unit, amount, date) =>
+    addToDate(unit, +amount, date)
+  ),
+  DATE_DIFF: strict((unit, start, end) => {
+    const startDate = toDate(start);
+    const endDate = toDate(end);
+    return startDate && endDate ? diffDates(unit, startDate, endDate) : null;
+  }),
+  // Dates with a pattern such as 'YYYY-MM-DD', numbers with a number of
+  // decimal places
+  FORMAT: strict((value, format) => {
+    if (typeof value === "number") {
+      return value.toFixed(+format);
+    }
+    const date = toDate(value);
+    return date ? formatDate(date, String(format)) : null;
+  }),
+};
+
+/**
+ * Functions of the current row's position in its window frame. The frame is
+ * `frame.rows[frame.start..frame.end]` and the peer groups let ties be found
+ * without comparing rows again.
+ */
+export const WINDOW_FUNCTIONS: {
+  [name: string]: (frame: Frame, args: string[], windowSpec: WindowSpec) => any;
+} = {
+  RANK: (frame, args, windowSpec) => {
+    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
+
+    if (getFramePosition(frame) < 0) return 1;
+
+    const { start, index, peers, groupStarts } = frame;
+    return Math.max(groupStarts[peers[index]], start) - start + 1;
+  },
+  DENSE_RANK: (frame, args, windowSpec) => {
+    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
+
+    if (getFramePosition(frame) < 0) return 0;
+
+    const { start, index, peers } = frame;
+    return peers[index] - peers[start] + 1;
+  },
+  NTILE: (frame, args, windowSpec) => {
+    const index = getFramePosition(frame);
+    return Math.floor((+args[0] * index) / getFrameLength(frame)) + 1;
+  },
+  PERCENT_RANK: (frame, args, windowSpec) => {
+    const length = getFrameLength(frame);
+
+    if (length === 1) {
+      return 0;
+    }
+
+    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
+
+    if (getFramePosition(frame) < 0) return 0;
+
+    const { start, index, peers, groupStarts } = frame;
+    return (Math.max(groupStarts[peers[index]], start) - start) / (length - 1);
+  },
+  CUME_DIST: (frame, args, windowSpec) => {
+    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
+
+    const { start, end, group, groupStarts, groupEnds } = frame;
+
+    // The current row and its peers, up to the end of the frame. If the
+    // current row isn't in the frame then only peers at its start count.
+    const counted =
+      getFramePosition(frame) >= 0 ||
+      (groupStarts[group] <= start && groupEnds[group] >= start);
+    const count = counted ? Math.min(groupEnds[group], end) - start + 1 : 0;
+
+    return count / getFrameLength(frame);
+  },
+  PERCENTILE_DIST: (frame, args, windowSpec) => {
+    const result = findFramePercentile(frame, +args[0], windowSpec);
+    if (result) {
+      const [rows, index, key] = result;
+
+      return rows[index][key];
+    }
+
+    return null;
+  },
+  PERCENTILE_CONT: (frame, args, windowSpec) => {
+    const result = findFramePercentile(frame, +args[0], windowSpec);
+    if (result) {
+      const [rows, index, key, x] = result;
+
+      const a = +rows[index - 1][key];
+      const b = +rows[index][key];
+
+      return x * (b - a) + a;
+    }
+    return null;
+  },
+};
+
+/**
+ * The index of the current row relative to the start of the frame, or -1 if
+ * the frame doesn't include it
+ */
+function getFramePosition({ start, end, index }: Frame) {
+  return index >= 0 && index >= start && index <= end ? index - start : -1;
+}
+
+function getFrameLength({ start, end }: Frame) {
+  return Math.max(end - start + 1, 0);
+}
+
+/**
+ * Every row of a partition usually shares the same frame, so the percentile
+ * is only found once for each frame
+ */
+const percentileCache = new WeakMap<
+  RowObject[],
+  Map<string, ReturnType<typeof findPercentile>>
+>();
+
+function findFramePercentile(
+  frame: Frame,
+  percentile: number,
+  windowSpec: WindowSpec
+): [rows: RowObject[], index: number, key: string, linear: number] | null {
+  const { rows, start, end } = frame;
+
+  let cache = percentileCache.get(rows);
+  if (!cache) {
+    cache = new Map();
+    percentileCache.set(rows, cache);
+  }
+
+  const cacheKey = `${start},${end},${percentile}`;
+  if (!cache.has(cacheKey)) {
+    cache.set(
+      cacheKey,
+      findPercentile(rows.slice(start, end + 1), percentile, windowSpec)
+    );
+  }
+
+  const result = cache.get(cacheKey);
+  if (!result) return null;
+
+  const [index, key, x] = result;
+  return [rows, start + index, key, x];
+}
+
+function findPercentile(
+  rows: RowObject[],
+  percentile: number,
+  windowSpec: WindowSpec
+): [index: number, key: string, linear: number] | null {
+  let orderBy = windowSpec?.orderBy;
+
+  if (Array.isArray(orderBy) && orderBy.length === 1) {
+    orderBy = orderBy[0];
+  }
+
+  if (
+    orderBy &&
+    typeof orderBy === "object" &&
+    !Array.isArray(orderBy) &&
+    typeof orderBy.key === "string"
+  ) {
+    orderBy = orderBy.key;
+  }
+
+  if (typeof orderBy !== "string") {
+    throw Error(`ORDER BY must be string`);
+  }
+
+  let k = orderBy;
+  if (k[0] === "+" || k[0] === "-") {
+    k = k.substring(1);
+  }
+
+  let prevP = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    let j = i + 1;
+    for (; j < rows.length; j++) {
+      if (rows[i][k] !== rows[j][k]) break;
+    }
+    const p = j / rows.length;
+
+    if (p >= percentile) {
+      const x = (percentile - prevP) / (p - prevP);
+
+      return [i, k, x];
+    }
+
+    prevP = p;
+    // The rest of the ties have the same p
+    i = j - 1;
+  }
+
+  return null;
+}
+
+/**
+ * Functions of the values of other rows in the frame. `value` reads the
+ * function's column from a row.
+ */
+export const POSITION_FUNCTIONS: {
+  [name: string]: (
+    frame: Frame,
+    args: string[],
+    value: (row: RowObject) => any
+  ) => any;
+} = {
+  LEAD: (frame, args, value) => {
+    const index = getFramePosition(frame);
+    let delta = 1;
+    if (args.length > 1) delta = +args[1];
+    return getOffsetValue(frame, index + delta, value, args[2]);
+  },
+  LAG: (frame, args, value) => {
+    let delta = 1;
+    if (args.length > 1) delta = +args[1];
+    const index = getFramePosition(frame);
+    return getOffsetValue(frame, index - delta, value, args[2]);
+  },
+  FIRST_VALUE: (frame, args, value) => {
+    return getFrameLength(frame) > 0
+      ? value(frame.rows[frame.start]) ?? null
+      : null;
+  },
+  LAST_VALUE: (frame, args, value) => {
+    return getFrameLength(frame) > 0
+      ? value(frame.rows[frame.end]) ?? null
+      : null;
+  },
+  NTH_VALUE: (frame, args, value) => {
+    const index = +args[1] - 1;
+    return Number.isInteger(index) &&
+      index >= 0 &&
+      index < getFrameLength(frame)
+      ? value(frame.rows[frame.start + index]) ?? null
+      : null;
+  },
+};
+
+/**
+ * The value at `index` in the frame or, if that is outside the frame, the
+ * default value argument of LEAD() and LAG()
+ */
+function getOffsetValue(
+  frame: Frame,
+  index: number,
+  value: (row: RowObject) => any,
+  defaultArg?: string
+) {
+  if (index >= 0 && index < getFrameLength(frame)) {
+    return value(frame.rows[frame.start + index]) ?? null;
+  }
+
+  return defaultArg === undefined ? null : parseLiteralArg(defaultArg);
+}
+
+/**
+ * Interpret a constant argument to a window function, e.g. the `0` in
+ * `LAG(a, 1, 0)`. Numbers become numbers, `'text'` is a string and `NULL` is
+ * `null`. Anything else is used as is.
+ */
+function parseLiteralArg(arg: string) {
+  const text = arg.trim();
+
+  if (/^'.*'$/s.test(text)) {
+    return text.substring(1, text.length - 1).replace(/''/g, "'");
+  }
+
+  if (/^null$/i.test(text)) {
+    return null;
+  }
+
+  if (text !== "" && !isNaN(+text)) {
+    return +text;
+  }
+
+  return text;
+}
+
+const VARIANCE_SUM = (values: string[]) => {
+  const n = values.length;
+  const s = SUM(values);
+  if (n === 0 || s === null) {
+    return null;
+  }
+  const mean = s / n;
+  const sum = values.reduce((total, v) => total + Math.pow(+v - mean, 2), 0);
+  return Math.sqrt(sum / n);
+};
+
+const STATS: { [name: string]: (value: any[]) => any } = {
+  STDDEV_POP: (values) => {
+    const s = VARIANCE_SUM(values);
+    return s === null ? null : Math.sqrt(s / values.length);
+  },
+  STDDEV_SAMP: (values) => {
+    const s = VARIANCE_SUM(values);
+    return s === null ? null : Math.sqrt(s / (values.length - 1));
+  },
+  VAR_POP: (values) => {
+    const s = VARIANCE_SUM(values);
+    return s === null ? null : s / values.length;
+  },
+  VAR_SAMP: (values) => {
+    const s = VARIANCE_SUM(values);
+    return s === null ? null : s / (values.length - 1);
+  },
+};
+
+export const STAT_FUNCTIONS: { [name: string]: (value: any[]) => any } =
+  Object.fromEntries(
+    Object.entries(STATS).map(([name, fn]) => [
+      name,
+      (values: any[]) => fn(values.filter(isNotNull)),
+    ])
+  );
+
+/**
+ * Window functions registered with {@link registerWindowFunction}
+ */
+export const USER_WINDOW_FUNCTIONS: { [name: string]: WindowFunction } = {};
+
+/**
+ * Definitions of the aggregates registered with {@link registerAggregate},
+ * kept so that window frames can make use of `inverse`
+ */
+export const USER_AGGREGATES: { [name: string]: AggregateFunction } = {};
+
+const FUNCTION_TABLES = [
+  AGGREGATE_FUNCTIONS,
+  SCALAR_FUNCTIONS,
+  WINDOW_FUNCTIONS,
+  POSITION_FUNCTIONS,
+  STAT_FUNCTIONS,
+  USER_WINDOW_FUNCTIONS,
+];
+
+const BUILTIN_FUNCTIONS = new Set([
+  "ROW_NUMBER",
+  "CAST",
+  ...FUNCTION_TABLES.flatMap((table) => Object.keys(table)),
+]);
+
+/**
+ * Check that a function can be registered under this name and remove any
+ * previously registered function with the same name.
+ * @returns The normalised (upper case) name
+ */
+function prepareRegistration(name: string) {
+  if (!/^[A-Z_][A-Z0-9_]*$/i.test(name)) {
+    throw Error(`Bad Func Name: ${name}`);
+  }
+
+  const upper = name.toUpperCase();
+
+  if (BUILTIN_FUNCTIONS.has(upper)) {
+    throw Error(`Builtin Func: ${upper}`);
+  }
+
+  for (const table of FUNCTION_TABLES) {
+    delete table[upper];
+  }
+  delete USER_AGGREGATES[upper];
+
+  return upper;
+}
+
+export function registerAggregate(name: string, definition: AggregateFunction) {
+  const upper = prepareRegistration(name);
+  const { init, step, finalize = (state) => state } = definition;
+
+  USER_AGGREGATES[upper] = definition;
+  AGGREGATE_FUNCTIONS[upper] = (values) => {
+    let state = init();
+    for (const value of values) {
+      if (isNotNull(value)) {
+        state = step(state, value);
+      }
+    }
+    return finalize(state);
+  };
+}
+
+export function registerScalar(name: string, fn: (...args: any[]) => any) {
+  SCALAR_FUNCTIONS[prepareRegistration(name)] = fn;
+}
+
+export function registerWindowFunction(name: string, fn: WindowFunction) {
+  USER_WINDOW_FUNCTIONS[prepareRegistration(name)] = fn;
+}
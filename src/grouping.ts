@@ -0,0 +1,134 @@
+import { Discriminator, RowObject } from "./types";
+
+/**
+ * Several sets of discriminators to group the same rows by, created by
+ * {@link rollup}, {@link cube} or {@link groupingSets} and passed to
+ * {@link CSVDBQuery#groupBy|groupBy()}.
+ */
+export class GroupingSets {
+  readonly sets: Discriminator[][];
+
+  constructor(sets: Discriminator[][]) {
+    this.sets = sets;
+  }
+}
+
+/**
+ * Group by each of the discriminators, then by all but the last one and so
+ * on down to a single group of all rows, like SQL's `ROLLUP`. This gives
+ * subtotals for each level and a grand total.
+ * @example
+ * ```js
+ * query.groupBy(rollup(["Year", "Type"]))
+ * // The same as
+ * query.groupBy(groupingSets([["Year", "Type"], ["Year"], []]))
+ * ```
+ */
+export function rollup(discriminators: Discriminator[]) {
+  return new GroupingSets(getRollupSets(discriminators));
+}
+
+/**
+ * Group by every combination of the discriminators, like SQL's `CUBE`.
+ * @example
+ * ```js
+ * query.groupBy(cube(["Year", "Type"]))
+ * // The same as
+ * query.groupBy(groupingSets([["Year", "Type"], ["Year"], ["Type"], []]))
+ * ```
+ */
+export function cube(discriminators: Discriminator[]) {
+  return new GroupingSets(getCubeSets(discriminators));
+}
+
+/**
+ * Group the rows by each set of discriminators in turn, like SQL's
+ * `GROUPING SETS`. An empty set puts all rows into a single group.
+ * @param sets Each set is an array of discriminators, or a single
+ * discriminator
+ */
+export function groupingSets(sets: (Discriminator | Discriminator[])[]) {
+  return new GroupingSets(
+    sets.map((set) => (Array.isArray(set) ? set : [set]))
+  );
+}
+
+export function getRollupSets<T>(items: T[]) {
+  return items.map((_, i) => items.slice(0, items.length - i)).concat([[]]);
+}
+
+/**
+ * Every subset of the items, largest first
+ */
+export function getCubeSets<T>(items: T[]) {
+  const sets: T[][] = [];
+
+  for (let mask = (1 << items.length) - 1; mask >= 0; mask--) {
+    sets.push(items.filter((_, i) => mask & (1 << (items.length - 1 - i))));
+  }
+
+  return sets;
+}
+
+/**
+ * Combine each set of `a` with each set of `b`, as `GROUP BY a, ROLLUP(b)`
+ * does
+ */
+export function crossSets<T>(a: T[][], b: T[][]) {
+  return a.flatMap((setA) => b.map((setB) => [...setA, ...setB]));
+}
+
+/**
+ * The discriminators which each super-aggregate group wasn't grouped by
+ */
+const rolledUpGroups = new WeakMap<RowObject[], Discriminator[]>();
+
+/**
+ * The discriminators which a group of rows wasn't grouped by. Output columns
+ * for them are `null` and they're reported by `GROUPING()`.
+ */
+export function getRolledUp(group: RowObject[]) {
+  return rolledUpGroups.get(group) ?? [];
+}
+
+/**
+ * Group rows by each set of discriminators
+ * @param discriminators All of the discriminators used by the sets
+ * @param group Groups rows by some discriminators, e.g.
+ * {@link CSVDBQuery#groupBy|groupBy()}'s `groupRows()`
+ * @returns Each group with its source row. Columns which are rolled up are
+ * `null` in the source row.
+ */
+export function groupBySets(
+  rows: RowObject[],
+  sets: Discriminator[][],
+  discriminators: Discriminator[],
+  group: (rows: RowObject[], set: Discriminator[]) => RowObject[][]
+) {
+  const groups: [RowObject, RowObject[]][] = [];
+
+  for (const set of sets) {
+    const rolledUp = discriminators.filter((d) => !set.includes(d));
+
+    for (const rowGroup of group(rows, set)) {
+      let sourceRow = rowGroup[0];
+
+      if (rolledUp.length > 0) {
+        rolledUpGroups.set(rowGroup, rolledUp);
+
+        if (sourceRow) {
+          sourceRow = { ...sourceRow };
+          for (const d of rolledUp) {
+            if (typeof d === "string" && d in sourceRow) {
+              sourceRow[d] = null;
+            }
+          }
+        }
+      }
+
+      groups.push([sourceRow, rowGroup]);
+    }
+  }
+
+  return groups;
+}
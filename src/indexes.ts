@@ -0,0 +1,452 @@
+import { RowObject } from "./types";
+import { compareValues } from "./expression.js";
+
+/**
+ * Gives access to a db's {@link TableIndexes}
+ */
+export const INDEXES = Symbol("indexes");
+
+/**
+ * A condition which an index may be able to answer, from
+ * {@link CSVDBQuery#whereEq|whereEq()} or
+ * {@link CSVDBQuery#whereBetween|whereBetween()}
+ */
+export type IndexLookup =
+  | { type: "equal"; columns: string[]; values: any[] }
+  | { type: "between"; columns: [string]; values: [any, any] };
+
+/**
+ * A string which is the same for rows which have the same values, so that
+ * rows can be compared in a hash set. Strings aren't the same as numbers,
+ * dates are the same if they're the same time and `null`s are the same as
+ * each other.
+ * @param columns The columns to compare. Defaults to all of them, in any
+ * order, in which case rows must also have the same columns.
+ */
+export function getCanonicalKey(row: RowObject, columns?: string[]) {
+  if (!columns) {
+    const keys = Object.keys(row).sort();
+    return JSON.stringify(
+      keys.map((key) => [key, getCanonicalValue(row[key])])
+    );
+  }
+
+  return JSON.stringify(
+    columns.map((column) => getCanonicalValue(row[column]))
+  );
+}
+
+/**
+ * Like {@link getCanonicalKey} but for a single value
+ */
+export function getCanonicalValueKey(value: any) {
+  return JSON.stringify(getCanonicalValue(value));
+}
+
+function getCanonicalValue(value: any) {
+  if (value instanceof Date) {
+    return { date: +value };
+  }
+
+  switch (typeof value) {
+    case "number":
+    case "bigint":
+      // JSON would turn NaN and Infinity into null
+      return { number: String(value) };
+    case "undefined":
+      return { undefined: true };
+    default:
+      return value;
+  }
+}
+
+/**
+ * Dates are objects so wouldn't otherwise match each other
+ */
+export function normaliseKey(value: any) {
+  return value instanceof Date ? +value : value;
+}
+
+/**
+ * Creates a function which gets the hash key of a row: the value of a single
+ * column or the JSON of the values of several. The key is `null` if any of
+ * the values are null, since null never equals anything.
+ */
+export function getRowKey(columns: string[]) {
+  return (row: RowObject) => {
+    const values = [];
+
+    for (const column of columns) {
+      const value = row[column];
+      if (value === null || value === undefined) {
+        return null;
+      }
+      values.push(normaliseKey(value));
+    }
+
+    return values.length === 1 ? values[0] : JSON.stringify(values);
+  };
+}
+
+/**
+ * Put rows into a hash table by key, for a hash join. Rows with a `null` key
+ * are left out since they can't match anything.
+ */
+export function hashRows(
+  rows: Iterable<RowObject>,
+  getKey: (row: RowObject) => any
+) {
+  const table = new Map<any, RowObject[]>();
+
+  for (const row of rows) {
+    const key = getKey(row);
+    if (key === null) continue;
+
+    const bucket = table.get(key);
+    if (bucket) {
+      bucket.push(row);
+    } else {
+      table.set(key, [row]);
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Creates a predicate which does the same as looking up rows in an index.
+ * @param convert Converts a value to the type of a column
+ */
+export function getLookupPredicate(
+  lookup: IndexLookup,
+  convert: (column: string, value: any) => any = (column, value) => value
+) {
+  const values = convertLookup(lookup, convert);
+
+  if (lookup.type === "between") {
+    const [column] = lookup.columns;
+    const [low, high] = values;
+    return (row: RowObject) => isBetween(row[column], low, high);
+  }
+
+  const getKey = getRowKey(lookup.columns);
+  const key = getKey(Object.fromEntries(zipColumns(lookup.columns, values)));
+
+  return (row: RowObject) => key !== null && getKey(row) === key;
+}
+
+/**
+ * The values of a lookup converted to the types of their columns. Both values
+ * of a range are for the same column.
+ */
+function convertLookup(
+  { columns, values }: IndexLookup,
+  convert: (column: string, value: any) => any
+) {
+  return values.map((value, i) => convert(columns[i % columns.length], value));
+}
+
+function isBetween(value: any, low: any, high: any) {
+  return (
+    value !== null &&
+    value !== undefined &&
+    low !== null &&
+    low !== undefined &&
+    high !== null &&
+    high !== undefined &&
+    compareValues(value, low) >= 0 &&
+    compareValues(value, high) <= 0
+  );
+}
+
+function zipColumns(columns: string[], values: any[]) {
+  return columns.map((column, i): [string, any] => [column, values[i]]);
+}
+
+/**
+ * An index of rows on one or more columns. Equality lookups use a hash table
+ * and range scans use the rows sorted by value, which is only built once it
+ * is needed. Rows with a null key aren't indexed since they never match.
+ */
+export class ColumnIndex {
+  readonly columns: string[];
+  readonly unique: boolean;
+  #getKey: (row: RowObject) => any;
+  #order: WeakMap<RowObject, number>;
+  #hash = new Map<any, RowObject[]>();
+  #sorted: RowObject[] | null = null;
+
+  constructor(
+    columns: string[],
+    unique: boolean,
+    order: WeakMap<RowObject, number>
+  ) {
+    this.columns = columns;
+    this.unique = unique;
+    this.#getKey = getRowKey(columns);
+    this.#order = order;
+  }
+
+  /**
+   * Check that changes wouldn't give two rows the same key
+   * @param changes The new values of rows, and the existing rows they
+   * replace if they're updates
+   * @throws If the index is unique and a key is duplicated
+   */
+  check(changes: { row?: RowObject; values: RowObject }[]) {
+    if (!this.unique) return;
+
+    const replaced = new Set(changes.map(({ row }) => row));
+    const keys = new Set();
+
+    for (const { values } of changes) {
+      const key = this.#getKey(values);
+      if (key === null) continue;
+
+      const existing = this.#hash.get(key) ?? [];
+
+      if (keys.has(key) || existing.some((row) => !replaced.has(row))) {
+        throw Error(`Duplicate Key: ${this.columns.join(",")} = ${key}`);
+      }
+
+      keys.add(key);
+    }
+  }
+
+  add(row: RowObject) {
+    const key = this.#getKey(row);
+    if (key === null) return;
+
+    const bucket = this.#hash.get(key);
+    if (bucket) {
+      // Keep the rows in the same order as the db
+      bucket.splice(this.#search(bucket, row), 0, row);
+    } else {
+      this.#hash.set(key, [row]);
+    }
+
+    if (this.#sorted) {
+      this.#sorted.splice(this.#searchSorted(row), 0, row);
+    }
+  }
+
+  remove(row: RowObject) {
+    const key = this.#getKey(row);
+    if (key === null) return;
+
+    const bucket = this.#hash.get(key);
+    if (!bucket) return;
+
+    const i = bucket.indexOf(row);
+    if (i < 0) return;
+
+    if (bucket.length === 1) {
+      this.#hash.delete(key);
+    } else {
+      bucket.splice(i, 1);
+    }
+
+    if (this.#sorted) {
+      this.#sorted.splice(this.#searchSorted(row), 1);
+    }
+  }
+
+  /**
+   * The hash key for values of the index's columns
+   */
+  getKey(values: any[]) {
+    return this.#getKey(Object.fromEntries(zipColumns(this.columns, values)));
+  }
+
+  /**
+   * Find rows by hash key, in the same order as the db
+   */
+  get(key: any) {
+    const bucket = key !== null && this.#hash.get(key);
+    return bucket ? [...bucket] : [];
+  }
+
+  /**
+   * Find the rows whose value is between `low` and `high` inclusive, in the
+   * same order as the db
+   */
+  getRange(low: any, high: any) {
+    if (low === null || low === undefined) return [];
+    if (high === null || high === undefined) return [];
+
+    if (!this.#sorted) {
+      this.#sorted = [...this.#hash.values()].flat();
+      this.#sorted.sort((a, b) => this.#compare(a, b));
+    }
+
+    const sorted = this.#sorted;
+    const [column] = this.columns;
+
+    const start = search(sorted, (row) => compareValues(row[column], low) >= 0);
+    const end = search(sorted, (row) => compareValues(row[column], high) > 0);
+
+    return sorted
+      .slice(start, end)
+      .sort((a, b) => this.#order.get(a)! - this.#order.get(b)!);
+  }
+
+  /**
+   * Rows are sorted by the value of the first column then db order
+   */
+  #compare(a: RowObject, b: RowObject) {
+    const [column] = this.columns;
+    return (
+      compareValues(a[column], b[column]) ||
+      this.#order.get(a)! - this.#order.get(b)!
+    );
+  }
+
+  #search(rows: RowObject[], row: RowObject) {
+    const order = this.#order.get(row)!;
+    return search(rows, (other) => this.#order.get(other)! >= order);
+  }
+
+  #searchSorted(row: RowObject) {
+    return search(this.#sorted!, (other) => this.#compare(other, row) >= 0);
+  }
+}
+
+/**
+ * The indexes of a db, which are kept up to date as rows are inserted,
+ * updated and deleted
+ */
+export class TableIndexes {
+  #indexes: ColumnIndex[] = [];
+  /** The position of each row in the db, which only ever increases */
+  #order = new WeakMap<RowObject, number>();
+  #next = 0;
+  #convert: (column: string, value: any) => any;
+
+  /**
+   * @param convert Converts a value to the type of a column, as
+   * {@link CSVDB#insert|insert()} does
+   */
+  constructor(convert: (column: string, value: any) => any) {
+    this.#convert = convert;
+  }
+
+  /**
+   * Create an index, replacing any existing index on the same columns
+   * @param rows All the rows of the db, in order
+   * @throws If the index is unique and there are duplicate keys
+   */
+  create(columns: string[], unique: boolean, rows: RowObject[]) {
+    // Positions only need to be in the right order so can be renumbered
+    this.#next = 0;
+    for (const row of rows) {
+      this.#order.set(row, this.#next++);
+    }
+
+    const index = new ColumnIndex(columns, unique, this.#order);
+
+    index.check(rows.map((values) => ({ values })));
+
+    for (const row of rows) {
+      index.add(row);
+    }
+
+    this.drop(columns);
+    this.#indexes.push(index);
+  }
+
+  /**
+   * @returns Whether there was an index on the columns
+   */
+  drop(columns: string[]) {
+    const before = this.#indexes.length;
+    this.#indexes = this.#indexes.filter(
+      (index) => !sameColumns(index.columns, columns)
+    );
+    return this.#indexes.length < before;
+  }
+
+  find(columns: string[]) {
+    return this.#indexes.find((index) => sameColumns(index.columns, columns));
+  }
+
+  /**
+   * @throws If the changes break a unique index
+   */
+  check(changes: { row?: RowObject; values: RowObject }[]) {
+    for (const index of this.#indexes) {
+      index.check(changes);
+    }
+  }
+
+  /**
+   * Index rows added to the end of the db
+   */
+  add(rows: RowObject[]) {
+    if (this.#indexes.length === 0) return;
+
+    for (const row of rows) {
+      if (!this.#order.has(row)) {
+        this.#order.set(row, this.#next++);
+      }
+
+      for (const index of this.#indexes) {
+        index.add(row);
+      }
+    }
+  }
+
+  remove(rows: RowObject[]) {
+    for (const row of rows) {
+      for (const index of this.#indexes) {
+        index.remove(row);
+      }
+    }
+  }
+
+  /**
+   * Converts the values of the lookup to the types of their columns
+   */
+  getPredicate(lookup: IndexLookup) {
+    return getLookupPredicate(lookup, this.#convert);
+  }
+
+  /**
+   * Find the rows matching a lookup using an index
+   * @returns The rows, in db order, or `null` if there isn't a suitable index
+   */
+  scan(lookup: IndexLookup) {
+    const index = this.find(lookup.columns);
+    if (!index) return null;
+
+    const values = convertLookup(lookup, this.#convert);
+
+    return lookup.type === "equal"
+      ? index.get(index.getKey(values))
+      : index.getRange(values[0], values[1]);
+  }
+}
+
+function sameColumns(a: string[], b: string[]) {
+  return a.length === b.length && a.every((column, i) => column === b[i]);
+}
+
+/**
+ * Binary search for the first item for which `predicate`, which must be false
+ * and then true, is true
+ * @returns The index of the item or `items.length` if there isn't one
+ */
+export function search<T>(items: T[], predicate: (item: T) => boolean) {
+  let low = 0;
+  let high = items.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (predicate(items[middle])) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+
+  return low;
+}
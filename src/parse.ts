@@ -0,0 +1,388 @@
+import { CSVOptions } from "./types";
+
+/**
+ * Thrown when CSV input cannot be tokenized. The `line` and `column` (both
+ * 1-based) point at the offending character in the source text.
+ */
+export class CSVParseError extends Error {
+  line: number;
+  column: number;
+
+  constructor(message: string, line: number, column: number) {
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = "CSVParseError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Describes the lexical format of a CSV file.
+ */
+export interface Dialect {
+  /** Field separator. A single character. Defaults to `,` */
+  delimiter: string;
+  /** Quote character. A single character. Defaults to `"` */
+  quote: string;
+  /**
+   * Escape character used inside quoted fields. Defaults to the quote
+   * character itself, i.e. quotes are escaped by doubling them.
+   */
+  escape: string;
+  /** Lines starting with this character are ignored. */
+  comment?: string;
+  /** Number of physical lines of preamble to skip before parsing. */
+  skipLines: number;
+}
+
+export const DEFAULT_DIALECT: Dialect = {
+  delimiter: ",",
+  quote: '"',
+  escape: '"',
+  skipLines: 0,
+};
+
+const enum State {
+  /** At the start of a field, nothing consumed yet */
+  FieldStart,
+  /** Inside a field which did not start with a quote */
+  Unquoted,
+  /** Inside a quoted field */
+  Quoted,
+  /** Just seen a quote inside a quoted field. Either an escape or the end. */
+  QuoteInQuoted,
+  /** Just seen an escape character inside a quoted field */
+  Escaped,
+  /** Inside a comment line */
+  Comment,
+  /** Inside the preamble */
+  Preamble,
+}
+
+/**
+ * A state machine tokenizer for RFC 4180 CSV.
+ *
+ * Text can be fed in arbitrary chunks with `write()`, which yields each
+ * complete record as soon as its terminator has been seen. `end()` must be
+ * called once all input has been written in order to flush the final record
+ * and to detect unterminated quotes.
+ *
+ * Records may be terminated by `\r\n`, `\n` or a lone `\r`. Fields may
+ * contain delimiters, quotes (escaped by doubling them) and line breaks as
+ * long as they are enclosed in quotes. Blank lines are skipped.
+ *
+ * The delimiter, quote and escape characters can be changed by providing a
+ * {@link Dialect}.
+ */
+export class CSVTokenizer {
+  #dialect: Dialect;
+
+  #state = State.FieldStart;
+  #field = "";
+  #record: string[] = [];
+  #fieldQuoted = false;
+
+  #line = 1;
+  #column = 0;
+  #quoteLine = 0;
+  #quoteColumn = 0;
+
+  #afterCR = false;
+  #started = false;
+  #preambleLines = 0;
+
+  constructor(dialect: Partial<Dialect> = {}) {
+    this.#dialect = { ...DEFAULT_DIALECT, ...dialect };
+
+    if (dialect.quote && !dialect.escape) {
+      this.#dialect.escape = dialect.quote;
+    }
+
+    const { delimiter, quote, escape, comment } = this.#dialect;
+    for (const [name, value] of Object.entries({ delimiter, quote, escape })) {
+      if (value.length !== 1) {
+        throw Error(`Dialect ${name} must be a single character`);
+      }
+    }
+    if (comment !== undefined && comment.length !== 1) {
+      throw Error(`Dialect comment must be a single character`);
+    }
+
+    if (this.#dialect.skipLines > 0) {
+      this.#state = State.Preamble;
+    }
+  }
+
+  *write(chunk: string): Generator<string[]> {
+    const { delimiter, quote, escape, comment } = this.#dialect;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+
+      if (!this.#started) {
+        this.#started = true;
+        // Byte order mark
+        if (c === "\uFEFF") continue;
+      }
+
+      // Second half of a \r\n pair. The line has already been counted.
+      if (this.#afterCR) {
+        this.#afterCR = false;
+        if (c === "\n") {
+          if (this.#state === State.Quoted) this.#field += c;
+          continue;
+        }
+      }
+
+      this.#column++;
+
+      switch (this.#state) {
+        case State.Preamble:
+        case State.Comment:
+          if (c === "\n" || c === "\r") {
+            this.#newLine(c);
+            if (
+              this.#state === State.Comment ||
+              ++this.#preambleLines >= this.#dialect.skipLines
+            ) {
+              this.#state = State.FieldStart;
+            }
+          }
+          break;
+        case State.FieldStart:
+          if (c === comment && this.#record.length === 0) {
+            this.#state = State.Comment;
+            break;
+          }
+          if (c === quote) {
+            this.#state = State.Quoted;
+            this.#fieldQuoted = true;
+            this.#quoteLine = this.#line;
+            this.#quoteColumn = this.#column;
+            break;
+          }
+          this.#state = State.Unquoted;
+        // Fall through
+        case State.Unquoted:
+          if (c === delimiter) {
+            this.#endField();
+          } else if (c === "\n" || c === "\r") {
+            const record = this.#endRecord(c);
+            if (record) yield record;
+          } else if (c === quote) {
+            throw new CSVParseError(
+              "Unexpected quote in unquoted field",
+              this.#line,
+              this.#column
+            );
+          } else {
+            this.#field += c;
+          }
+          break;
+        case State.Quoted:
+          if (c === quote) {
+            this.#state = State.QuoteInQuoted;
+          } else if (c === escape) {
+            this.#state = State.Escaped;
+          } else {
+            this.#field += c;
+            if (c === "\n" || c === "\r") {
+              this.#newLine(c);
+            }
+          }
+          break;
+        case State.Escaped:
+          this.#field += c;
+          this.#state = State.Quoted;
+          if (c === "\n" || c === "\r") {
+            this.#newLine(c);
+          }
+          break;
+        case State.QuoteInQuoted:
+          if (c === quote && escape === quote) {
+            this.#field += quote;
+            this.#state = State.Quoted;
+          } else if (c === delimiter) {
+            this.#endField();
+          } else if (c === "\n" || c === "\r") {
+            const record = this.#endRecord(c);
+            if (record) yield record;
+          } else {
+            throw new CSVParseError(
+              "Unexpected character after closing quote",
+              this.#line,
+              this.#column
+            );
+          }
+          break;
+      }
+    }
+  }
+
+  *end(): Generator<string[]> {
+    if (this.#state === State.Quoted || this.#state === State.Escaped) {
+      throw new CSVParseError(
+        "Unterminated quote",
+        this.#quoteLine,
+        this.#quoteColumn
+      );
+    }
+
+    if (this.#state === State.Preamble || this.#state === State.Comment) {
+      return;
+    }
+
+    const record = this.#endRecord();
+    if (record) yield record;
+  }
+
+  #endField() {
+    this.#record.push(this.#field);
+    this.#field = "";
+    this.#fieldQuoted = false;
+    this.#state = State.FieldStart;
+  }
+
+  #endRecord(terminator?: string) {
+    const isBlank =
+      this.#record.length === 0 &&
+      this.#field.length === 0 &&
+      !this.#fieldQuoted;
+
+    this.#endField();
+
+    const record = this.#record;
+    this.#record = [];
+
+    if (terminator) {
+      this.#newLine(terminator);
+    }
+
+    return isBlank ? null : record;
+  }
+
+  #newLine(terminator: string) {
+    this.#line++;
+    this.#column = 0;
+    this.#afterCR = terminator === "\r";
+  }
+}
+
+/**
+ * Tokenize a complete CSV string into an array of records, each of which is
+ * an array of field values.
+ */
+export function parseCSV(csv: string, dialect?: Partial<Dialect>) {
+  const tokenizer = new CSVTokenizer(dialect);
+  return [...tokenizer.write(csv), ...tokenizer.end()];
+}
+
+const SNIFF_DELIMITERS = [",", ";", "\t", "|"];
+const SNIFF_QUOTES = ['"', "'"];
+export const SNIFF_LENGTH = 4096;
+
+/**
+ * Guess the dialect of a CSV file by inspecting the first few KB.
+ *
+ * Each candidate delimiter and quote character is tried in turn. The winner is
+ * the combination which tokenizes without error into the most records sharing
+ * the same (greater than one) number of fields.
+ *
+ * A header row is assumed unless some field of the first row looks numeric.
+ * @param options Lines of preamble (`skipLines`) and comment lines are left
+ * out of the sample so they don't skew the guess
+ */
+export function sniffDialect(
+  csv: string,
+  options: Pick<CSVOptions, "skipLines" | "comment"> = {}
+): Dialect & { header: boolean } {
+  let sample = csv.substring(0, SNIFF_LENGTH);
+
+  // Drop the (probably) incomplete final line
+  const lastBreak = sample.lastIndexOf("\n");
+  if (csv.length > SNIFF_LENGTH && lastBreak > 0) {
+    sample = sample.substring(0, lastBreak);
+  }
+
+  const { skipLines = 0, comment } = options;
+  if (skipLines > 0 || comment) {
+    sample = sample
+      .split(/\r\n|\r|\n/)
+      .slice(skipLines)
+      .filter((line) => !comment || !line.startsWith(comment))
+      .join("\n");
+  }
+
+  let best: { dialect: Dialect; score: number; firstRow: string[] } | null =
+    null;
+
+  for (const quote of SNIFF_QUOTES) {
+    for (const delimiter of SNIFF_DELIMITERS) {
+      const dialect = { ...DEFAULT_DIALECT, delimiter, quote, escape: quote };
+
+      let records: string[][];
+      try {
+        records = parseCSV(sample, dialect);
+      } catch (e) {
+        continue;
+      }
+
+      if (records.length === 0) continue;
+
+      const frequencies = new Map<number, number>();
+      for (const record of records) {
+        frequencies.set(record.length, (frequencies.get(record.length) || 0) + 1);
+      }
+
+      let score = 0;
+      for (const [fieldCount, frequency] of frequencies) {
+        if (fieldCount > 1) {
+          score = Math.max(score, frequency * fieldCount);
+        }
+      }
+
+      if (!best || score > best.score) {
+        best = { dialect, score, firstRow: records[0] };
+      }
+    }
+  }
+
+  if (!best) {
+    return { ...DEFAULT_DIALECT, header: true };
+  }
+
+  const header = !best.firstRow.some((field) => isNumeric(field));
+
+  return { ...best.dialect, header };
+}
+
+function isNumeric(value: string) {
+  return value.trim() !== "" && !isNaN(+value);
+}
+
+/**
+ * Combine the dialect options given by the user with those sniffed from a
+ * sample of the csv text (when the `sniff` option is set). Explicit options
+ * always win.
+ * @returns The dialect and whether the first record is a header row
+ */
+export function resolveDialect(options: CSVOptions, sample: string) {
+  const sniffed = options.sniff ? sniffDialect(sample, options) : null;
+
+  const quote = options.quote ?? sniffed?.quote ?? '"';
+
+  const dialect: Dialect = {
+    delimiter: options.delimiter ?? sniffed?.delimiter ?? ",",
+    quote,
+    escape: options.escape ?? quote,
+    skipLines: options.skipLines ?? 0,
+  };
+
+  if (options.comment) {
+    dialect.comment = options.comment;
+  }
+
+  const header = options.header ?? sniffed?.header ?? true;
+
+  return { dialect, header };
+}
@@ -0,0 +1,235 @@
+import { ColumnType, CSVOptions, Schema } from "./types";
+
+const INFER_TYPES_SAMPLE_SIZE = 1000;
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const ISO_DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// e.g. 15-Jun-2023 15:51:11, 15 June 2023, 15/Jun/2023
+const DAY_MONTH_YEAR =
+  /^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ](\d{4})(?:[ T:](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Parse the date formats commonly found in CSV exports. ISO 8601 strings are
+ * parsed by the `Date` constructor, except for dates without a time, which
+ * it would take to be UTC. They're local midnight instead, like day-month
+ * name-year strings such as `15-Jun-2023 15:51:11` which are interpreted in
+ * local time.
+ * @returns A `Date` or `null` if the format was not recognised.
+ */
+export function parseDate(value: string) {
+  value = value.trim();
+
+  const dateOnly = ISO_DATE_ONLY.exec(value);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    const date = new Date(year, month - 1, day);
+    if (year < 100) date.setFullYear(year);
+    // Reject dates such as 2023-02-30 rather than rolling them over
+    return date.getMonth() === month - 1 && date.getDate() === day
+      ? date
+      : null;
+  }
+
+  if (ISO_DATE.test(value)) {
+    const date = new Date(value);
+    return isNaN(+date) ? null : date;
+  }
+
+  const match = DAY_MONTH_YEAR.exec(value);
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toLowerCase());
+    if (month < 0) return null;
+
+    const [, day, , year, hours = "0", minutes = "0", seconds = "0"] = match;
+
+    return new Date(+year, month, +day, +hours, +minutes, +seconds);
+  }
+
+  return null;
+}
+
+const TRUE_VALUES = ["true", "t", "yes", "y", "1"];
+const FALSE_VALUES = ["false", "f", "no", "n", "0"];
+
+const PARSERS: { [type: string]: (value: string) => any } = {
+  string: (value) => value,
+  number: (value) => {
+    const n = +value;
+    return value.trim() === "" || isNaN(n) ? undefined : n;
+  },
+  integer: (value) =>
+    /^\s*[+-]?\d+\s*$/.test(value) ? parseInt(value, 10) : undefined,
+  boolean: (value) => {
+    const v = value.trim().toLowerCase();
+    if (TRUE_VALUES.includes(v)) return true;
+    if (FALSE_VALUES.includes(v)) return false;
+    return undefined;
+  },
+  date: (value) => parseDate(value) ?? undefined,
+};
+
+/**
+ * Creates a function which converts a raw string from the csv file into a
+ * value of the given type. Empty strings become `null` for every type except
+ * `string`.
+ * @param nullValues Strings which become `null` for every type, including
+ * `string`. See {@link CSVOptions.nullValues}.
+ * @param strict Whether a value which isn't valid for the type throws.
+ * Otherwise it's kept as a string, as it is for inferred types since only a
+ * sample of the values was checked.
+ */
+export function getConverter(
+  column: string,
+  type: ColumnType,
+  nullValues: string[] = [],
+  strict = true
+) {
+  const converter = getTypeConverter(column, type, strict);
+
+  if (nullValues.length === 0) {
+    return converter;
+  }
+
+  const nulls = new Set(nullValues);
+
+  return (value: string) =>
+    value === undefined || nulls.has(value) ? null : converter(value);
+}
+
+function getTypeConverter(column: string, type: ColumnType, strict: boolean) {
+  if (type instanceof Function) {
+    return type;
+  }
+
+  const parser = PARSERS[type];
+
+  if (!parser) {
+    throw Error(`Bad Type: ${type}`);
+  }
+
+  if (type === "string") {
+    return parser;
+  }
+
+  return (value: string) => {
+    if (value === undefined || value === "") {
+      return null;
+    }
+
+    const parsed = parser(value);
+
+    if (parsed === undefined) {
+      if (!strict) return value;
+      throw Error(`Bad ${type} value "${value}" in column ${column}`);
+    }
+
+    return parsed;
+  };
+}
+
+const INFERENCE_ORDER: ColumnType[] = ["integer", "number", "boolean", "date"];
+
+const INFERENCE_TESTS: { [type: string]: (value: string) => boolean } = {
+  integer: (value) => PARSERS.integer(value) !== undefined,
+  number: (value) => PARSERS.number(value) !== undefined,
+  // Only accept the unambiguous words when guessing
+  boolean: (value) => /^(true|false)$/i.test(value.trim()),
+  date: (value) => parseDate(value) !== null,
+};
+
+/**
+ * Guess the type of each column by examining a sample of records. A column is
+ * given the first type in the order integer, number, boolean, date for which
+ * every non-empty sampled value is valid. Otherwise it remains a string.
+ * Values in `nullValues` are ignored.
+ */
+export function inferSchema(
+  headers: string[],
+  records: string[][],
+  nullValues: string[] = []
+) {
+  const schema: Schema = {};
+
+  headers.forEach((header, i) => {
+    const values = records
+      .map((record) => record[i])
+      .filter(
+        (value) =>
+          value !== undefined && value !== "" && !nullValues.includes(value)
+      );
+
+    schema[header] =
+      (values.length > 0 &&
+        INFERENCE_ORDER.find((type) =>
+          values.every(INFERENCE_TESTS[type as string])
+        )) ||
+      "string";
+  });
+
+  return schema;
+}
+
+/**
+ * Whether values of a column which aren't valid for its type throw, i.e. the
+ * type was given in the `schema` option rather than inferred
+ */
+export function isStrict(column: string, options: CSVOptions) {
+  return !!options.schema && column in options.schema;
+}
+
+/**
+ * Build the complete schema for a table from the `schema` and `inferTypes`
+ * options. Explicit types win over inferred ones. Anything else is a string.
+ * @param records Records to infer types from. Only the first `inferTypes`
+ * (default 1000) are examined.
+ */
+export function resolveSchema(
+  headers: string[],
+  options: CSVOptions,
+  records: string[][]
+) {
+  const inferred: Schema = options.inferTypes
+    ? inferSchema(
+        headers,
+        records.slice(0, getSampleSize(options)),
+        options.nullValues
+      )
+    : {};
+
+  const schema: Schema = {};
+  for (const header of headers) {
+    schema[header] = options.schema?.[header] ?? inferred[header] ?? "string";
+  }
+
+  return schema;
+}
+
+/**
+ * Number of records needed by {@link resolveSchema} for the given options
+ */
+export function getSampleSize(options: CSVOptions) {
+  if (!options.inferTypes) {
+    return 0;
+  }
+
+  return typeof options.inferTypes === "number"
+    ? options.inferTypes
+    : INFER_TYPES_SAMPLE_SIZE;
+}
@@ -0,0 +1,1475 @@
+import { CSVDB, CSVDBQuery } from "./csvdb.js";
+import {
+  EvaluationContext,
+  Expression,
+  ExpressionParser,
+  FunctionCall,
+  OUTER,
+  OrderItem,
+  OuterRow,
+  SubqueryExpression,
+  TABLES,
+  WindowDefinition,
+  createComparator,
+  containsAggregate,
+  containsWindow,
+  evaluate,
+  evaluateAggregate,
+  getEqualityKey,
+  getExpressionKey,
+  isAggregateName,
+  isTrue,
+  someNode,
+} from "./expression.js";
+import {
+  crossSets,
+  getCubeSets,
+  getRollupSets,
+  getRolledUp,
+  groupingSets,
+} from "./grouping.js";
+import { getCanonicalKey, hashRows } from "./indexes.js";
+import {
+  Discriminator,
+  RowObject,
+  SelectObject,
+  WindowSpec,
+  WithOptions,
+} from "./types";
+
+interface TableReference {
+  name: string;
+  alias: string;
+  /** A subquery in the FROM clause, e.g. `(SELECT ...) AS t` */
+  statement?: Statement;
+}
+
+interface Join {
+  type: "INNER" | "LEFT" | "RIGHT" | "FULL" | "CROSS";
+  table: TableReference;
+  on?: Expression;
+}
+
+interface SelectItem {
+  expression: Expression;
+  alias?: string;
+  /** Original source text of the expression */
+  source: string;
+}
+
+interface SelectStatement {
+  distinct: boolean;
+  items: SelectItem[];
+  from: TableReference | null;
+  joins: Join[];
+  where?: Expression;
+  /** Every expression which is grouped by */
+  groupBy: Expression[];
+  /**
+   * The sets of `groupBy` expressions from `ROLLUP`, `CUBE` or
+   * `GROUPING SETS`
+   */
+  groupingSets?: Expression[][];
+  having?: Expression;
+  windows: { [name: string]: WindowDefinition };
+}
+
+type SetOperator =
+  | "UNION"
+  | "UNION ALL"
+  | "INTERSECT"
+  | "INTERSECT ALL"
+  | "EXCEPT"
+  | "EXCEPT ALL";
+
+/**
+ * Two queries combined by a set operator
+ */
+interface SetOperation {
+  operator: SetOperator;
+  left: QueryTerm;
+  right: QueryTerm;
+}
+
+type QueryTerm = SelectStatement | SetOperation;
+
+/**
+ * A named result set defined by a `WITH` clause
+ */
+interface CommonTableExpression {
+  name: string;
+  /** Names for the columns, instead of those of the statement */
+  columns?: string[];
+  statement: Statement;
+  recursive: boolean;
+  /**
+   * `MATERIALIZED` or `NOT MATERIALIZED`. By default a table is
+   * materialised if it's referred to more than once.
+   */
+  materialized?: boolean;
+}
+
+/**
+ * A named result set given to {@link CommonTables#with}
+ */
+interface NamedRows {
+  name: string;
+  rows: Iterable<RowObject>;
+  materialized?: boolean;
+}
+
+interface Statement {
+  with: CommonTableExpression[];
+  body: QueryTerm;
+  orderBy: OrderItem[];
+  offset?: number;
+  limit?: number;
+}
+
+class SQLParser extends ExpressionParser {
+  parseStatement(): Statement {
+    const statement = this.parseQuery();
+
+    this.acceptOperator(";");
+
+    if (this.current.type !== "eof") this.unexpected();
+
+    return statement;
+  }
+
+  /**
+   * A statement, which may be part of another as a subquery
+   */
+  parseQuery(): Statement {
+    const statement: Statement = {
+      with: this.parseWith(),
+      body: this.parseSetOperations(),
+      orderBy: [],
+    };
+
+    if (this.acceptKeyword("ORDER")) {
+      this.expectKeyword("BY");
+      statement.orderBy = this.parseOrderItems();
+    }
+
+    if (this.acceptKeyword("LIMIT")) {
+      statement.limit = this.parseInteger();
+      if (this.acceptKeyword("OFFSET")) {
+        statement.offset = this.parseInteger();
+      }
+    } else {
+      if (this.acceptKeyword("OFFSET")) {
+        statement.offset = this.parseInteger();
+        this.acceptKeyword("ROW", "ROWS");
+      }
+
+      if (this.acceptKeyword("FETCH")) {
+        this.expectKeyword("FIRST", "NEXT");
+        statement.limit =
+          this.current.type === "number" ? this.parseInteger() : 1;
+        this.expectKeyword("ROW", "ROWS");
+        this.expectKeyword("ONLY");
+      }
+    }
+
+    return statement;
+  }
+
+  /**
+   * SELECTs combined by UNION and EXCEPT, from left to right
+   */
+  parseSetOperations(): QueryTerm {
+    let term = this.parseIntersections();
+
+    let operator;
+    while ((operator = this.acceptKeyword("UNION", "EXCEPT"))) {
+      term = {
+        operator: this.parseSetQuantifier(operator),
+        left: term,
+        right: this.parseIntersections(),
+      };
+    }
+
+    return term;
+  }
+
+  /**
+   * INTERSECT binds more tightly than UNION and EXCEPT, as in standard SQL
+   */
+  parseIntersections(): QueryTerm {
+    let term: QueryTerm = this.parseSelect();
+
+    while (this.acceptKeyword("INTERSECT")) {
+      term = {
+        operator: this.parseSetQuantifier("INTERSECT"),
+        left: term,
+        right: this.parseSelect(),
+      };
+    }
+
+    return term;
+  }
+
+  parseSetQuantifier(operator: string) {
+    if (this.acceptKeyword("ALL")) {
+      return `${operator} ALL` as SetOperator;
+    }
+    this.acceptKeyword("DISTINCT");
+    return operator as SetOperator;
+  }
+
+  parseWith(): CommonTableExpression[] {
+    const ctes: CommonTableExpression[] = [];
+
+    if (!this.acceptKeyword("WITH")) return ctes;
+
+    const recursive = !!this.acceptKeyword("RECURSIVE");
+
+    do {
+      const cte: Partial<CommonTableExpression> = {
+        name: this.parseName(),
+        recursive,
+      };
+
+      if (this.acceptOperator("(")) {
+        cte.columns = [];
+        do {
+          cte.columns.push(this.parseName());
+        } while (this.acceptOperator(","));
+        this.expectOperator(")");
+      }
+
+      this.expectKeyword("AS");
+
+      if (this.acceptKeyword("NOT")) {
+        this.expectKeyword("MATERIALIZED");
+        cte.materialized = false;
+      } else if (this.acceptKeyword("MATERIALIZED")) {
+        cte.materialized = true;
+      }
+
+      this.expectOperator("(");
+      cte.statement = this.parseQuery();
+      this.expectOperator(")");
+
+      ctes.push(cte as CommonTableExpression);
+    } while (this.acceptOperator(","));
+
+    return ctes;
+  }
+
+  /** Does a statement start `offset` tokens from the current one? */
+  isQuery(offset = 0) {
+    const token = this.tokens[this.index + offset];
+    return (
+      token.type === "identifier" &&
+      ["SELECT", "WITH"].includes(token.value.toUpperCase())
+    );
+  }
+
+  protected parsePrimary(): Expression {
+    if (this.isOperator("(") && this.isQuery(1)) {
+      this.index++;
+      return this.parseSubquery(false);
+    }
+
+    if (
+      this.isKeyword("EXISTS") &&
+      this.tokens[this.index + 1].value === "(" &&
+      this.isQuery(2)
+    ) {
+      this.index += 2;
+      return this.parseSubquery(true);
+    }
+
+    return super.parsePrimary();
+  }
+
+  /**
+   * The rest of a subquery after its opening parenthesis
+   */
+  parseSubquery(exists: boolean): Expression {
+    const statement = this.parseQuery();
+    this.expectOperator(")");
+    return { type: "subquery", exists, statement };
+  }
+
+  protected parseInList(): Expression[] {
+    if (this.isQuery()) {
+      return [
+        { type: "subquery", exists: false, statement: this.parseQuery() },
+      ];
+    }
+    return super.parseInList();
+  }
+
+  parseInteger() {
+    const token = this.current;
+    if (token.type !== "number" || !/^\d+$/.test(token.value)) {
+      this.unexpected("an integer");
+    }
+    this.index++;
+    return +token.value;
+  }
+
+  parseSelect(): SelectStatement {
+    this.expectKeyword("SELECT");
+
+    const select: SelectStatement = {
+      distinct: !!this.acceptKeyword("DISTINCT"),
+      items: [],
+      from: null,
+      joins: [],
+      groupBy: [],
+      windows: {},
+    };
+
+    if (!select.distinct) this.acceptKeyword("ALL");
+
+    do {
+      const start = this.index;
+      const expression = this.parseExpression();
+      const item: SelectItem = { expression, source: this.source(start) };
+
+      if (this.acceptKeyword("AS") || this.isName()) {
+        item.alias = this.parseName();
+      }
+
+      select.items.push(item);
+    } while (this.acceptOperator(","));
+
+    if (this.acceptKeyword("FROM")) {
+      select.from = this.parseTableReference();
+
+      for (;;) {
+        let type: Join["type"] | null = null;
+
+        if (this.acceptOperator(",")) {
+          type = "CROSS";
+        } else if (this.acceptKeyword("CROSS")) {
+          type = "CROSS";
+          this.expectKeyword("JOIN");
+        } else if (this.acceptKeyword("JOIN")) {
+          type = "INNER";
+        } else if (this.acceptKeyword("INNER")) {
+          type = "INNER";
+          this.expectKeyword("JOIN");
+        } else {
+          const side = this.acceptKeyword("LEFT", "RIGHT", "FULL");
+          if (side) {
+            type = side as Join["type"];
+            this.acceptKeyword("OUTER");
+            this.expectKeyword("JOIN");
+          }
+        }
+
+        if (!type) break;
+
+        const join: Join = { type, table: this.parseTableReference() };
+
+        if (type !== "CROSS") {
+          this.expectKeyword("ON");
+          join.on = this.parseExpression();
+        }
+
+        select.joins.push(join);
+      }
+    }
+
+    if (this.acceptKeyword("WHERE")) {
+      select.where = this.parseExpression();
+    }
+
+    if (this.acceptKeyword("GROUP")) {
+      this.expectKeyword("BY");
+      this.parseGroupBy(select);
+    }
+
+    if (this.acceptKeyword("HAVING")) {
+      select.having = this.parseExpression();
+    }
+
+    if (this.acceptKeyword("WINDOW")) {
+      do {
+        const name = this.parseName();
+        this.expectKeyword("AS");
+        this.expectOperator("(");
+        select.windows[name] = this.parseWindowDefinition();
+        this.expectOperator(")");
+      } while (this.acceptOperator(","));
+    }
+
+    return select;
+  }
+
+  parseGroupBy(select: SelectStatement) {
+    let sets: Expression[][] = [[]];
+    do {
+      sets = crossSets(sets, this.parseGroupingElement());
+    } while (this.acceptOperator(","));
+
+    // The same expression in different sets must group by the same function
+    const unique = new Map<string, Expression>();
+    sets = sets.map((set) =>
+      set.map((expression) => {
+        const key = getExpressionKey(expression);
+        if (!unique.has(key)) unique.set(key, expression);
+        return unique.get(key)!;
+      })
+    );
+
+    select.groupBy = [...unique.values()];
+
+    if (sets.length > 1) {
+      select.groupingSets = sets;
+    }
+  }
+
+  /**
+   * An expression, `()`, `(a, b)`, `ROLLUP(...)`, `CUBE(...)` or
+   * `GROUPING SETS (...)`
+   * @returns The grouping sets it stands for
+   */
+  parseGroupingElement(): Expression[][] {
+    const next = this.tokens[this.index + 1];
+
+    if (this.isKeyword("ROLLUP", "CUBE") && next.value === "(") {
+      const keyword = this.next().value.toUpperCase();
+      this.expectOperator("(");
+      const list = this.parseExpressionList();
+      this.expectOperator(")");
+      return keyword === "ROLLUP" ? getRollupSets(list) : getCubeSets(list);
+    }
+
+    if (
+      this.isKeyword("GROUPING") &&
+      next.type === "identifier" &&
+      next.value.toUpperCase() === "SETS"
+    ) {
+      this.index += 2;
+      this.expectOperator("(");
+      const sets: Expression[][] = [];
+      do {
+        sets.push(...this.parseGroupingElement());
+      } while (this.acceptOperator(","));
+      this.expectOperator(")");
+      return sets;
+    }
+
+    if (this.isOperator("(")) {
+      const start = this.index;
+      this.index++;
+
+      if (this.acceptOperator(")")) return [[]];
+
+      const list = this.parseExpressionList();
+      if (list.length > 1) {
+        this.expectOperator(")");
+        return [list];
+      }
+
+      // A single expression in parentheses
+      this.index = start;
+    }
+
+    return [[this.parseExpression()]];
+  }
+
+  parseTableReference(): TableReference {
+    if (this.acceptOperator("(")) {
+      const statement = this.parseQuery();
+      this.expectOperator(")");
+      this.acceptKeyword("AS");
+      const alias = this.parseName();
+      return { name: alias, alias, statement };
+    }
+
+    const name = this.parseName();
+    let alias = name;
+
+    if (this.acceptKeyword("AS") || this.isName()) {
+      alias = this.parseName();
+    }
+
+    return { name, alias };
+  }
+}
+
+/**
+ * Prefix for columns which are computed in an inner query but are not part of
+ * the final output.
+ */
+const HIDDEN = "\u0000";
+
+type TableResolver = (name: string) => Iterable<RowObject>;
+
+/**
+ * Named result sets for a SQL statement, like a `WITH` clause. Created by
+ * {@link CSVDB#with}.
+ */
+export class CommonTables {
+  #resolveTable: TableResolver;
+  #tables: NamedRows[] = [];
+
+  constructor(resolveTable: TableResolver) {
+    this.#resolveTable = resolveTable;
+  }
+
+  /**
+   * Name the results of another query. See {@link CSVDB#with}.
+   * @returns Returns the object itself to allow chaining.
+   */
+  with(name: string, query: Iterable<RowObject>, options: WithOptions = {}) {
+    this.#tables.push({
+      name,
+      rows: query,
+      materialized: options.materialise,
+    });
+    return this;
+  }
+
+  /**
+   * Query with SQL text which can refer to the named results as tables, as
+   * well as to the tables of the db. See {@link CSVDB#sql}.
+   * @returns A new CSVDBQuery object
+   */
+  sql(sql: string) {
+    return compileSQL(sql, this.#resolveTable, this.#tables);
+  }
+}
+
+/**
+ * What a statement is compiled in
+ */
+interface Scope {
+  resolveTable: TableResolver;
+  /** The row of the outer query when compiling a subquery */
+  outer?: OuterRow;
+  /**
+   * Called whenever a SELECT of the statement starts to read its rows, to
+   * forget the rows saved by a previous run
+   */
+  resets: (() => void)[];
+}
+
+/**
+ * Parse a SQL SELECT statement and compile it to a {@link CSVDBQuery}.
+ * @param resolveTable Called with each table name in the FROM clause and
+ * should return the rows of that table.
+ * @param tables Named result sets, as if they were in a `WITH` clause
+ */
+export function compileSQL(
+  text: string,
+  resolveTable: TableResolver,
+  tables: NamedRows[] = []
+) {
+  const statement = new SQLParser(text).parseStatement();
+  return compileStatement(statement, { resolveTable, resets: [] }, tables);
+}
+
+function compileStatement(
+  statement: Statement,
+  outerScope: Scope,
+  tables: NamedRows[] = []
+): CSVDBQuery {
+  const scope = compileWith(statement, [...tables, ...statement.with], {
+    ...outerScope,
+    resets: [],
+  });
+
+  const { body, orderBy, offset, limit } = statement;
+
+  for (const subquery of findSubqueries(orderBy)) {
+    scope.resets.push(compileSubquery(subquery, scope));
+  }
+
+  if (!("operator" in body)) {
+    return compileSelect(body, scope, orderBy, offset, limit);
+  }
+
+  let query = compileTerm(body, scope);
+
+  const names = getAliases(getFirstSelect(body));
+
+  if (orderBy.length || offset !== undefined || limit !== undefined) {
+    query = query.query();
+
+    if (orderBy.length) {
+      const keys = orderBy.map(({ expression }) => {
+        const ordinal = getOrdinal(expression);
+        if (ordinal !== null) {
+          const alias = names[ordinal - 1];
+          return (row: RowObject) =>
+            alias === "*" ? Object.values(row)[ordinal - 1] : row[alias];
+        }
+        return (row: RowObject) => evaluate(expression, { row });
+      });
+      query.orderBy(createComparator(keys, orderBy));
+    }
+
+    applyLimits(query, offset, limit);
+  }
+
+  return query;
+}
+
+/**
+ * Compile a SELECT or SELECTs combined by set operators. Columns of a
+ * compound statement are named by the first SELECT.
+ */
+function compileTerm(term: QueryTerm, scope: Scope): CSVDBQuery {
+  if (!("operator" in term)) {
+    return compileSelect(term, scope);
+  }
+
+  const left = compileTerm(term.left, scope);
+  let right = compileTerm(term.right, scope);
+
+  const names = getAliases(getFirstSelect(term.left));
+
+  if (!names.includes("*")) {
+    right = renameColumns(right, getAliases(getFirstSelect(term.right)), names);
+  }
+
+  switch (term.operator) {
+    case "UNION":
+      return CSVDB.union(left, right);
+    case "UNION ALL":
+      return CSVDB.unionAll(left, right);
+    case "INTERSECT":
+      return CSVDB.intersect(left, right);
+    case "INTERSECT ALL":
+      return CSVDB.intersectAll(left, right);
+    case "EXCEPT":
+      return CSVDB.except(left, right);
+    case "EXCEPT ALL":
+      return CSVDB.exceptAll(left, right);
+  }
+}
+
+function getFirstSelect(term: QueryTerm) {
+  while ("operator" in term) {
+    term = term.left;
+  }
+  return term;
+}
+
+/**
+ * Name the columns of a query by position
+ * @param from The query's column names, which are used rather than the order
+ * of the row's properties unless they include `*`
+ */
+function renameColumns(query: CSVDBQuery, from: string[], names: string[]) {
+  const rename: SelectObject = {};
+  names.forEach((name, j) => {
+    rename[name] = from.includes("*")
+      ? (row) => Object.values(row)[j]
+      : (row) => row[from[j]];
+  });
+  return query.query().select(rename);
+}
+
+/**
+ * Make the tables of a `WITH` clause available to a statement
+ * @param ctes The clause's tables, which can refer to the ones before them
+ */
+function compileWith(
+  statement: Statement,
+  ctes: (CommonTableExpression | NamedRows)[],
+  scope: Scope
+): Scope {
+  let { resolveTable } = scope;
+
+  for (const cte of ctes) {
+    const name = cte.name.toLowerCase();
+    const cteScope = { ...scope, resolveTable };
+    const getRows = (): Iterable<RowObject> => {
+      if ("rows" in cte) return cte.rows;
+
+      if (cte.recursive && countReferences(cte.statement, name) > 0) {
+        return recurse(cte, cteScope);
+      }
+
+      const query = compileStatement(cte.statement, cteScope);
+      return cte.columns
+        ? renameColumns(
+            query,
+            getAliases(getFirstSelect(cte.statement.body)),
+            cte.columns
+          )
+        : query;
+    };
+
+    let rows: Iterable<RowObject>;
+
+    if (cte.materialized ?? countReferences(statement, name) > 1) {
+      let saved: RowObject[] | null = null;
+      scope.resets.push(() => (saved = null));
+      rows = {
+        [Symbol.iterator]() {
+          saved ??= [...getRows()];
+          return saved[Symbol.iterator]();
+        },
+      };
+    } else {
+      // Inlined, i.e. run again each time it's read
+      rows = { [Symbol.iterator]: () => getRows()[Symbol.iterator]() };
+    }
+
+    const previous = resolveTable;
+    resolveTable = (table) =>
+      table.toLowerCase() === name ? rows : previous(table);
+  }
+
+  return { ...scope, resolveTable };
+}
+
+/**
+ * The rows of a `WITH RECURSIVE` table. The first SELECT gives the first
+ * rows, then the others are run on the rows from the previous step until
+ * they give no more.
+ */
+function* recurse(
+  cte: CommonTableExpression,
+  scope: Scope
+): Generator<RowObject> {
+  const { statement } = cte;
+  const name = cte.name.toLowerCase();
+
+  // The first term, then the steps which are UNIONed with it
+  const terms: QueryTerm[] = [];
+  let distinct = false;
+  let term = statement.body;
+
+  while ("operator" in term && term.operator.startsWith("UNION")) {
+    distinct ||= term.operator === "UNION";
+    terms.unshift(term.right);
+    term = term.left;
+  }
+
+  const [first, ...rest] = [term, ...terms];
+
+  if (rest.length === 0) {
+    throw Error(`Bad Recursive: ${cte.name} must be a UNION`);
+  }
+
+  const names = cte.columns ?? getAliases(getFirstSelect(first));
+  const seen = new Set<string>();
+
+  let previous: RowObject[] = [];
+
+  const stepScope = compileWith(statement, statement.with, {
+    ...scope,
+    resolveTable: (table) =>
+      table.toLowerCase() === name ? previous : scope.resolveTable(table),
+    resets: [],
+  });
+
+  // Compiled again for each step so that nothing is left over from the
+  // previous one
+  const getNewRows = (term: QueryTerm) => {
+    let rows = compileTerm(term, stepScope);
+    if (!names.includes("*")) {
+      rows = renameColumns(rows, getAliases(getFirstSelect(term)), names);
+    }
+
+    const out: RowObject[] = [];
+
+    for (const row of rows) {
+      if (distinct) {
+        const key = getCanonicalKey(row);
+        if (seen.has(key)) continue;
+        seen.add(key);
+      }
+
+      out.push(row);
+    }
+
+    return out;
+  };
+
+  previous = getNewRows(first);
+
+  while (previous.length > 0) {
+    yield* previous;
+
+    previous = rest.flatMap(getNewRows);
+  }
+}
+
+/**
+ * The number of times a table is referred to by a statement, including in
+ * its subqueries
+ */
+function countReferences(statement: Statement, name: string) {
+  let count = 0;
+
+  const visit = (value: any) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === "object") {
+      // A recursive table's references to itself don't count
+      if ("recursive" in value && value.name.toLowerCase() === name) {
+        return;
+      }
+
+      if (
+        typeof value.name === "string" &&
+        typeof value.alias === "string" &&
+        !value.statement &&
+        value.name.toLowerCase() === name
+      ) {
+        count++;
+      }
+      Object.values(value).forEach(visit);
+    }
+  };
+
+  visit(statement);
+
+  return count;
+}
+
+/**
+ * The subqueries in part of a statement, but not those inside them or in
+ * its FROM subqueries, which are compiled with their own statements
+ */
+function findSubqueries(value: any, found: SubqueryExpression[] = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => findSubqueries(item, found));
+  } else if (value && typeof value === "object") {
+    if (value.type === "subquery") {
+      found.push(value);
+    } else {
+      for (const [key, child] of Object.entries(value)) {
+        if (key !== "statement") findSubqueries(child, found);
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Set up a subquery to be run for rows of the outer query
+ * @returns A function which forgets the saved rows of an uncorrelated
+ * subquery
+ */
+function compileSubquery(subquery: SubqueryExpression, scope: Scope) {
+  let saved: RowObject[] | null = null;
+
+  subquery.run = (row) => {
+    if (saved) return saved;
+
+    const outer: OuterRow = { row, used: false };
+    const rows = [
+      ...compileStatement(subquery.statement as Statement, {
+        resolveTable: scope.resolveTable,
+        outer,
+        resets: [],
+      }),
+    ];
+
+    // If it doesn't read the outer row it gives the same rows for any row
+    if (!outer.used) saved = rows;
+
+    return rows;
+  };
+
+  return () => {
+    saved = null;
+  };
+}
+
+function compileSelect(
+  select: SelectStatement,
+  scope: Scope,
+  orderBy: OrderItem[] = [],
+  offset?: number,
+  limit?: number
+): CSVDBQuery {
+  const resets = [
+    ...scope.resets,
+    ...findSubqueries(select).map((subquery) =>
+      compileSubquery(subquery, scope)
+    ),
+  ];
+
+  let query = new CSVDBQuery(getSource(select, scope, resets));
+
+  const aliases = [select.from?.alias];
+  for (const join of select.joins) {
+    query.join(createJoin(join, scope, aliases, resets));
+    aliases.push(join.table.alias);
+  }
+
+  const { where, having, items } = select;
+
+  if (where) {
+    query.where((row) => isTrue(evaluate(where, { row })));
+  }
+
+  const grouped =
+    select.groupBy.length > 0 ||
+    !!having ||
+    items.some((item) => containsAggregate(item.expression)) ||
+    orderBy.some((item) => containsAggregate(item.expression));
+
+  const outputNames = getAliases(select);
+
+  const { discriminators, getRolledUpExpressions } = compileGroupBy(select);
+  const context = (row: RowObject, group: RowObject[]) => ({
+    row,
+    group,
+    rolledUp: getRolledUpExpressions(group),
+  });
+
+  const selection: SelectObject = {};
+
+  items.forEach((item, i) => {
+    if (item.expression.type === "star") {
+      if (grouped) {
+        throw Error("SELECT * cannot be used with aggregates");
+      }
+      if (item.expression.table && select.joins.length > 0) {
+        throw Error(`Unsupported: ${item.source}`);
+      }
+      selection["*"] = "*";
+      return;
+    }
+
+    selection[outputNames[i]] = compileColumn(
+      item.expression,
+      select,
+      grouped && context
+    );
+  });
+
+  if (!grouped) {
+    if (orderBy.length) {
+      const keys = orderBy.map((orderItem) => {
+        const expression = resolveAlias(orderItem.expression, select);
+        if (containsWindow(expression)) {
+          throw Error("Unsupported: ORDER BY window function");
+        }
+        return (row: RowObject) => evaluate(expression, { row });
+      });
+      // Sort the source rows so that qualified column names still resolve
+      query.orderBy(createComparator(keys, orderBy), { input: true });
+    }
+
+    query.select(selection);
+
+    if (select.distinct) query.distinct();
+
+    applyLimits(query, offset, limit);
+
+    return query;
+  }
+
+  query.groupBy(discriminators);
+
+  if (having) {
+    query.having((row, group) =>
+      isTrue(evaluate(having, context(group[0], group)))
+    );
+  }
+
+  // ORDER BY operates on groups so needs to be calculated alongside the
+  // output columns, then applied in an outer query.
+
+  const orderKeys = orderBy.map((orderItem, i) => {
+    const { expression } = orderItem;
+
+    const ordinal = getOrdinal(expression);
+    if (ordinal !== null) {
+      return outputNames[ordinal - 1];
+    }
+
+    if (
+      expression.type === "column" &&
+      !expression.table &&
+      outputNames.includes(expression.name)
+    ) {
+      return expression.name;
+    }
+
+    const key = HIDDEN + "order" + i;
+    selection[key] = (row, j, group) =>
+      evaluate(expression, context(row, group));
+    return key;
+  });
+
+  query.select(selection);
+
+  if (orderBy.length) {
+    query = query.query();
+
+    query.orderBy(
+      createComparator(
+        orderKeys.map((key) => (row: RowObject) => row[key]),
+        orderBy
+      )
+    );
+
+    const visible: SelectObject = {};
+    for (const name of outputNames) {
+      visible[name] = (row) => row[name];
+    }
+    query.select(visible);
+  }
+
+  if (select.distinct) query.distinct();
+
+  applyLimits(query, offset, limit);
+
+  return query;
+}
+
+function compileGroupBy(select: SelectStatement) {
+  const expressions = new Map<Discriminator, Expression>();
+  const functions = new Map<Expression, Discriminator>();
+
+  for (const expression of select.groupBy) {
+    const resolved = resolveAlias(expression, select);
+    const discriminator = (row: RowObject) => evaluate(resolved, { row });
+    expressions.set(discriminator, resolved);
+    functions.set(expression, discriminator);
+  }
+
+  const { groupingSets: sets } = select;
+  const toFunctions = (set: Expression[]) =>
+    set.map((expression) => functions.get(expression)!);
+
+  return {
+    discriminators: sets
+      ? groupingSets(sets.map(toFunctions))
+      : toFunctions(select.groupBy),
+    /** The GROUP BY expressions which a group is a super-aggregate of */
+    getRolledUpExpressions: (group: RowObject[]) =>
+      getRolledUp(group).map((d) => expressions.get(d)!),
+  };
+}
+
+/**
+ * @param resets Called before the rows are read
+ */
+function getSource(
+  select: SelectStatement,
+  scope: Scope,
+  resets: (() => void)[]
+): Iterable<RowObject> {
+  const { from, joins } = select;
+  const { outer } = scope;
+
+  // SELECT without FROM produces a single row
+  const rows = from ? getTableRows(from, scope) : [{}];
+
+  if (joins.length === 0 && !outer && resets.length === 0) {
+    return rows;
+  }
+
+  // Rows of a subquery carry the outer row, and joined rows their tables
+  const wrap = joins.length > 0 || !!outer;
+
+  return {
+    *[Symbol.iterator]() {
+      for (const reset of resets) reset();
+
+      for (const row of rows) {
+        yield wrap
+          ? withTables({ ...row }, from ? { [from.alias]: row } : {}, outer)
+          : row;
+      }
+    },
+  };
+}
+
+function getTableRows(
+  table: TableReference,
+  scope: Scope
+): Iterable<RowObject> {
+  if (table.statement) {
+    return compileStatement(table.statement, {
+      resolveTable: scope.resolveTable,
+      outer: scope.outer,
+      resets: [],
+    });
+  }
+  return scope.resolveTable(table.name);
+}
+
+function withTables(
+  row: RowObject,
+  tables: { [alias: string]: RowObject | null },
+  outer?: OuterRow
+) {
+  Object.defineProperty(row, TABLES, {
+    value: outer ? { ...tables, [OUTER]: outer } : tables,
+  });
+  return row;
+}
+
+function nullRow(keys: string[]) {
+  return Object.fromEntries(keys.map((key) => [key, null]));
+}
+
+/**
+ * @param resets The join's rows of the right table are forgotten by a reset
+ * which is added to these, so each run reads the table again
+ */
+function createJoin(
+  join: Join,
+  scope: Scope,
+  leftAliases: (string | undefined)[],
+  resets: (() => void)[]
+) {
+  const { type, on } = join;
+  const { alias } = join.table;
+  const right = getTableRows(join.table, scope);
+
+  const equality = on && getHashCondition(on, alias, leftAliases);
+
+  let rightRows: RowObject[] | undefined;
+  let table: Map<any, RowObject[]> | undefined;
+  let matched = new Set<RowObject>();
+  let leftKeys: string[] = [];
+
+  resets.push(() => {
+    rightRows = undefined;
+    table = undefined;
+    matched = new Set();
+    leftKeys = [];
+  });
+
+  const merge = (rowA: RowObject, rowB: RowObject | null) =>
+    withTables(
+      rowB
+        ? { ...rowA, ...rowB }
+        : {
+            ...rowA,
+            ...nullRow(getRightKeys().filter((key) => !(key in rowA))),
+          },
+      { ...(rowA as any)[TABLES], [alias]: rowB }
+    );
+
+  const getRightKeys = () =>
+    right instanceof CSVDB
+      ? right.headers
+      : rightRows && rightRows.length
+      ? Object.keys(rightRows[0])
+      : [];
+
+  return (rowA: RowObject | null) => {
+    if (!rightRows) {
+      rightRows = [...right];
+
+      if (equality) {
+        const key = equality.right;
+        table = hashRows(rightRows, (rowB) =>
+          getEqualityKey(
+            evaluate(key, { row: withTables({}, { [alias]: rowB }) })
+          )
+        );
+
+        // A boolean can't be hashed, so compare with every row
+        if (table.has(undefined)) table = undefined;
+      }
+    }
+
+    // Called once more at the end to allow unmatched right rows to be added
+    if (!rowA) {
+      let out: RowObject[] = [];
+
+      if (type === "RIGHT" || type === "FULL") {
+        const leftTables = Object.fromEntries(
+          leftAliases.map((a) => [a, null])
+        );
+        const nullLeft = withTables(nullRow(leftKeys), leftTables);
+
+        out = rightRows
+          .filter((rowB) => !matched.has(rowB))
+          .map((rowB) => merge(nullLeft, rowB));
+      }
+
+      matched = new Set();
+
+      return out;
+    }
+
+    if (leftKeys.length === 0) {
+      leftKeys = Object.keys(rowA);
+    }
+
+    let candidates = rightRows;
+
+    if (equality && table) {
+      const key = getEqualityKey(evaluate(equality.left, { row: rowA }));
+      if (key !== undefined) {
+        candidates = (key !== null && table.get(key)) || [];
+      }
+    }
+
+    const out = [];
+
+    for (const rowB of candidates) {
+      const merged = merge(rowA, rowB);
+      if (!on || isTrue(evaluate(on, { row: merged }))) {
+        out.push(merged);
+        matched.add(rowB);
+      }
+    }
+
+    if (out.length === 0 && (type === "LEFT" || type === "FULL")) {
+      out.push(merge(rowA, null));
+    }
+
+    return out;
+  };
+}
+
+/**
+ * Find an equality in the ON clause of a join which compares an expression
+ * of the joined table with one of the tables before it, e.g. `a.id = b.aid`,
+ * so that the join can look up matching rows in a hash table. The whole ON
+ * clause is still checked for each match.
+ */
+function getHashCondition(
+  on: Expression,
+  alias: string,
+  leftAliases: (string | undefined)[]
+): { left: Expression; right: Expression } | null {
+  if (on.type !== "binary") return null;
+
+  if (on.operator === "AND") {
+    return (
+      getHashCondition(on.left, alias, leftAliases) ??
+      getHashCondition(on.right, alias, leftAliases)
+    );
+  }
+
+  if (on.operator !== "=") return null;
+
+  const left = leftAliases.filter((a) => a !== alias);
+
+  if (usesOnlyTables(on.left, left) && usesOnlyTables(on.right, [alias])) {
+    return { left: on.left, right: on.right };
+  }
+  if (usesOnlyTables(on.right, left) && usesOnlyTables(on.left, [alias])) {
+    return { left: on.right, right: on.left };
+  }
+  return null;
+}
+
+/**
+ * Does the expression only use columns qualified by these tables? It must use
+ * at least one, and no subqueries or aggregates.
+ */
+function usesOnlyTables(
+  expression: Expression,
+  aliases: (string | undefined)[]
+) {
+  let columns = 0;
+
+  const other = someNode(expression, (node) => {
+    if (node.type === "column") {
+      columns++;
+      return !node.table || !aliases.includes(node.table);
+    }
+    return (
+      node.type === "star" ||
+      node.type === "subquery" ||
+      (node.type === "function" && (!!node.over || isAggregateName(node.name)))
+    );
+  });
+
+  return columns > 0 && !other;
+}
+
+/**
+ * @param context Creates the evaluation context for each group if the query
+ * is grouped
+ */
+function compileColumn(
+  expression: Expression,
+  select: SelectStatement,
+  context: false | ((row: RowObject, group: RowObject[]) => EvaluationContext)
+): SelectObject[string] {
+  if (expression.type === "function" && expression.over) {
+    if (context) {
+      throw Error("Unsupported: window functions with GROUP BY");
+    }
+    return compileWindowFunction(expression, select.windows);
+  }
+
+  if (containsWindow(expression)) {
+    throw Error("Unsupported: window function inside an expression");
+  }
+
+  if (
+    expression.type === "column" &&
+    !expression.table &&
+    !/[()*]/.test(expression.name) &&
+    // Columns which are rolled up have to be evaluated to be null
+    !select.groupingSets
+  ) {
+    return expression.name;
+  }
+
+  if (context) {
+    return (row, i, group) => evaluate(expression, context(row, group));
+  }
+
+  return (row) => evaluate(expression, { row });
+}
+
+/**
+ * @param windows The named windows of the WINDOW clause
+ */
+export function compileWindowFunction(
+  call: FunctionCall,
+  windows: SelectStatement["windows"]
+): [
+  string | ((row: RowObject, i: number, rows: RowObject[]) => any),
+  WindowSpec
+] {
+  const spec = compileWindow(call.over as WindowDefinition | string, windows);
+
+  if (isAggregateName(call.name)) {
+    const [arg] = call.args;
+
+    // Aggregates of a column can use the incremental window frames, except
+    // for ARRAY and JSON which would see undefined rather than null
+    if (
+      !call.distinct &&
+      call.args.length === 1 &&
+      (arg.type === "star" ||
+        (arg.type === "column" && !arg.table && !/[,()]/.test(arg.name))) &&
+      call.name !== "ARRAY" &&
+      call.name !== "JSON"
+    ) {
+      return [`${call.name}(${arg.type === "star" ? "*" : arg.name})`, spec];
+    }
+
+    const { over, ...aggregate } = call;
+    return [(row, i, rows) => evaluateAggregate(aggregate, rows), spec];
+  }
+
+  // Builtin window functions only accept column names and constants
+  const args = call.args.map((arg) => {
+    if (arg.type === "column" && !arg.table) return arg.name;
+    if (arg.type === "literal") {
+      if (arg.value === null) return "NULL";
+      if (typeof arg.value === "string") {
+        return `'${arg.value.replace(/'/g, "''")}'`;
+      }
+      return String(arg.value);
+    }
+    if (arg.type === "unary" && arg.operand.type === "literal") {
+      return arg.operator + arg.operand.value;
+    }
+    throw Error(`Unsupported: expression argument to ${call.name}`);
+  });
+
+  return [`${call.name}(${args.join(",")})`, spec];
+}
+
+function compileWindow(
+  over: WindowDefinition | string,
+  windows: SelectStatement["windows"]
+): WindowSpec {
+  let definition = typeof over === "string" ? windows[over] : over;
+
+  if (!definition) {
+    throw Error(`Bad Window: ${over}`);
+  }
+
+  if (definition.base) {
+    const base = windows[definition.base];
+    if (!base) {
+      throw Error(`Bad Window: ${definition.base}`);
+    }
+    definition = {
+      partitionBy: definition.partitionBy.length
+        ? definition.partitionBy
+        : base.partitionBy,
+      orderBy: definition.orderBy.length ? definition.orderBy : base.orderBy,
+      framing: definition.framing || base.framing,
+    };
+  }
+
+  const spec: WindowSpec = {};
+
+  const { partitionBy, orderBy, framing } = definition;
+
+  if (partitionBy.length === 1) {
+    const [expression] = partitionBy;
+    spec.partitionBy = (row) => evaluate(expression, { row });
+  } else if (partitionBy.length > 1) {
+    spec.partitionBy = (row) =>
+      JSON.stringify(
+        partitionBy.map((expression) => evaluate(expression, { row }))
+      );
+  }
+
+  if (orderBy.length) {
+    spec.orderBy = createComparator(
+      orderBy.map(
+        ({ expression }) =>
+          (row: RowObject) =>
+            evaluate(expression, { row })
+      ),
+      orderBy
+    );
+  }
+
+  if (framing) {
+    spec.framing = framing;
+  }
+
+  return spec;
+}
+
+/**
+ * If the expression is a reference to a select alias or a column ordinal,
+ * return the aliased expression.
+ */
+function resolveAlias(expression: Expression, select: SelectStatement) {
+  const ordinal = getOrdinal(expression);
+  if (ordinal !== null) {
+    const item = select.items[ordinal - 1];
+    if (!item || item.expression.type === "star") {
+      throw Error(`Bad Ordinal: ${ordinal}`);
+    }
+    return item.expression;
+  }
+
+  if (expression.type === "column" && !expression.table) {
+    const item = select.items.find((item) => item.alias === expression.name);
+    if (item) {
+      return item.expression;
+    }
+  }
+
+  return expression;
+}
+
+function getOrdinal(expression: Expression) {
+  return expression.type === "literal" && typeof expression.value === "number"
+    ? expression.value
+    : null;
+}
+
+function getAliases(select: SelectStatement) {
+  return select.items.map((item) => {
+    if (item.alias) return item.alias;
+    if (item.expression.type === "star") return "*";
+    if (item.expression.type === "column") return item.expression.name;
+    return item.source;
+  });
+}
+
+function applyLimits(query: CSVDBQuery, offset?: number, limit?: number) {
+  if (offset !== undefined) query.offset(offset);
+  if (limit !== undefined) query.fetchFirst(limit);
+}
@@ -0,0 +1,260 @@
+import { CSVDBQuery } from "./csvdb.js";
+import {
+  CSVTokenizer,
+  Dialect,
+  SNIFF_LENGTH,
+  resolveDialect,
+} from "./parse.js";
+import {
+  getConverter,
+  getSampleSize,
+  isStrict,
+  resolveSchema,
+} from "./schema.js";
+import { CSVOptions, RowObject, Schema } from "./types";
+
+/**
+ * Anything which produces chunks of csv text (or UTF-8 bytes)
+ * asynchronously. Node `Readable` streams and async generators are
+ * `AsyncIterable`s. Chunks do not need to be aligned with records.
+ */
+export type CSVSource =
+  | AsyncIterable<string | Uint8Array>
+  | ReadableStream<string | Uint8Array>;
+
+/**
+ * A table read incrementally from an async source. Created by
+ * {@link CSVDB.fromStream}.
+ *
+ * Unlike a `CSVDB` the rows are not kept in memory so a `CSVDBStream` can only
+ * be iterated (or queried) once.
+ */
+export class CSVDBStream implements AsyncIterable<RowObject> {
+  #headers: string[];
+  #dialect: Dialect;
+  #schema: Schema;
+  #converters: ((value: string) => any)[];
+  #buffered: string[][];
+  #records: AsyncIterator<string[]>;
+  #consumed = false;
+
+  /**
+   * Use {@link CSVDB.fromStream} (or {@link openCSVStream}) rather than
+   * calling the constructor directly.
+   * @param buffered Records which have already been read from `records`, e.g.
+   * for type inference.
+   * @param options Used for its `schema` and `nullValues`
+   */
+  constructor(
+    headers: string[],
+    dialect: Dialect,
+    schema: Schema,
+    buffered: string[][],
+    records: AsyncIterator<string[]>,
+    options: CSVOptions = {}
+  ) {
+    this.#headers = headers;
+    this.#dialect = dialect;
+    this.#schema = schema;
+    this.#buffered = buffered;
+    this.#records = records;
+    this.#converters = headers.map((header) =>
+      getConverter(
+        header,
+        schema[header],
+        options.nullValues,
+        isStrict(header, options)
+      )
+    );
+  }
+
+  /**
+   * Returns an array of the csv column headers
+   */
+  get headers() {
+    return this.#headers;
+  }
+
+  /**
+   * Returns the type of each column. When `inferTypes` is set the types are
+   * inferred from the first `inferTypes` records, which are buffered.
+   */
+  get schema() {
+    return this.#schema;
+  }
+
+  /**
+   * Returns the dialect used to parse the csv stream
+   */
+  get dialect() {
+    return this.#dialect;
+  }
+
+  /**
+   * Iterate the rows with `for await`. Can only be done once.
+   * @example
+   * ```js
+   * for await (const row of stream) {
+   *  console.log(row)
+   * }
+   * ```
+   */
+  async *[Symbol.asyncIterator](): AsyncGenerator<RowObject> {
+    if (this.#consumed) {
+      throw Error("CSVDBStream has already been consumed");
+    }
+    this.#consumed = true;
+
+    try {
+      while (this.#buffered.length) {
+        // Don't hold on to rows once they've been seen
+        yield this.#toRow(this.#buffered.shift() as string[]);
+      }
+
+      while (true) {
+        const { done, value } = await this.#records.next();
+        if (done) {
+          return;
+        }
+        yield this.#toRow(value);
+      }
+    } finally {
+      // Release the underlying source if we stopped early
+      await this.#records.return?.();
+    }
+  }
+
+  /**
+   * Query the stream. The query must be iterated with `for await`.
+   * @example
+   * ```js
+   * const stream = await CSVDB.fromStream(fs.createReadStream("big.csv"));
+   * const query = stream.query().where(r => r.Type === "Deposit").fetchFirst(10);
+   * for await (const row of query) {
+   *  console.log(row)
+   * }
+   * ```
+   */
+  query() {
+    return new CSVDBQuery(this);
+  }
+
+  #toRow(record: string[]) {
+    const row: RowObject = {};
+    this.#headers.forEach((header, i) => {
+      row[header] = this.#converters[i](record[i]);
+    });
+    return row;
+  }
+}
+
+/**
+ * Start reading a csv stream. Resolves once the header (plus the samples
+ * needed for the `sniff` and `inferTypes` options) has been read.
+ */
+export async function openCSVStream(
+  source: CSVSource,
+  options: CSVOptions = {}
+) {
+  const chunks = readText(source)[Symbol.asyncIterator]();
+
+  let sample = "";
+  if (options.sniff) {
+    // sniffDialect() expects a little more than it uses so that it can drop
+    // the incomplete final line
+    while (sample.length <= SNIFF_LENGTH) {
+      const { done, value } = await chunks.next();
+      if (done) break;
+      sample += value;
+    }
+  }
+
+  const { dialect, header: hasHeader } = resolveDialect(options, sample);
+
+  const records = tokenize(
+    (async function* () {
+      if (sample) yield sample;
+      try {
+        while (true) {
+          const { done, value } = await chunks.next();
+          if (done) return;
+          yield value;
+        }
+      } finally {
+        await chunks.return?.();
+      }
+    })(),
+    dialect
+  )[Symbol.asyncIterator]();
+
+  const buffered: string[][] = [];
+  const readRecords = async (count: number) => {
+    while (buffered.length < count) {
+      const { done, value } = await records.next();
+      if (done) break;
+      buffered.push(value);
+    }
+  };
+
+  let headers: string[];
+  if (hasHeader) {
+    await readRecords(1);
+    const headerRecord = buffered.shift() || [];
+    headers = options.columns ?? headerRecord;
+  } else if (options.columns) {
+    headers = options.columns;
+  } else {
+    // We can't see the whole file so go by the width of the first record
+    await readRecords(1);
+    const width = buffered[0]?.length ?? 0;
+    headers = Array.from({ length: width }, (_, i) => `column${i + 1}`);
+  }
+
+  await readRecords(getSampleSize(options));
+
+  const schema = resolveSchema(headers, options, buffered);
+
+  return new CSVDBStream(headers, dialect, schema, buffered, records, options);
+}
+
+async function* readText(source: CSVSource) {
+  const decoder = new TextDecoder();
+  const decode = (chunk: string | Uint8Array) =>
+    typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+
+  if ("getReader" in source) {
+    const reader = source.getReader();
+    let finished = false;
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        yield decode(value);
+      }
+      finished = true;
+    } finally {
+      // Stopped early
+      if (!finished) await reader.cancel();
+      reader.releaseLock();
+    }
+  } else {
+    for await (const chunk of source) {
+      yield decode(chunk);
+    }
+  }
+
+  const tail = decoder.decode();
+  if (tail) {
+    yield tail;
+  }
+}
+
+async function* tokenize(chunks: AsyncIterable<string>, dialect: Dialect) {
+  const tokenizer = new CSVTokenizer(dialect);
+
+  for await (const chunk of chunks) {
+    yield* tokenizer.write(chunk);
+  }
+
+  yield* tokenizer.end();
+}
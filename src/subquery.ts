@@ -0,0 +1,112 @@
+import { areEqual, getColumnValues, getScalar } from "./expression.js";
+import { RowObject } from "./types";
+
+/**
+ * The rows of a subquery given to {@link scalar}, {@link exists} or
+ * {@link isIn}: a query or any other iterable of rows, or a function which is
+ * called with each row of the outer query and returns them. A function can
+ * refer to the outer row, i.e. it's a correlated subquery.
+ */
+export type Subquery =
+  | Iterable<RowObject>
+  | ((row: RowObject) => Iterable<RowObject>);
+
+function getRows(subquery: Subquery, row: RowObject) {
+  return typeof subquery === "function" ? subquery(row) : subquery;
+}
+
+/**
+ * A callback for {@link CSVDBQuery#where|where()} or
+ * {@link CSVDBQuery#select|select()} which gives the value of a subquery with
+ * one column and at most one row, or `null` if it has no rows.
+ * @example The average amount for the type of each row
+ * ```js
+ * const db = new CSVDB("Type,Amount\na,1\na,3\nb,5", {
+ *  schema: { Amount: "number" },
+ * });
+ * const query = db.query().select({
+ *  Amount: "Amount",
+ *  average: scalar((outer) =>
+ *    db.query().where((r) => r.Type === outer.Type).select(["AVG(Amount)"])
+ *  ),
+ * });
+ *
+ * console.log(query.toArray());
+ * ```
+ * Output:
+ * ```
+ * [
+ *   { Amount: 1, average: 2 },
+ *   { Amount: 3, average: 2 },
+ *   { Amount: 5, average: 5 }
+ * ]
+ * ```
+ */
+export function scalar(subquery: Subquery) {
+  return (row: RowObject) => getScalar(getRows(subquery, row));
+}
+
+/**
+ * A callback for {@link CSVDBQuery#where|where()} or
+ * {@link CSVDBQuery#select|select()} which is `true` if a subquery has any
+ * rows, like SQL's `EXISTS`. Only the first row is read.
+ * @example Owners who have a pet
+ * ```js
+ * const owners = new CSVDB("id,name\n1,ann\n2,bob");
+ * const pets = new CSVDB("owner,pet\n1,cat");
+ * const query = owners
+ *  .query()
+ *  .where(exists((owner) => pets.query().where((p) => p.owner === owner.id)));
+ *
+ * console.log(query.toArray());
+ * ```
+ * Output:
+ * ```
+ * [ { id: '1', name: 'ann' } ]
+ * ```
+ */
+export function exists(subquery: Subquery) {
+  return (row: RowObject) => {
+    for (const _ of getRows(subquery, row)) {
+      return true;
+    }
+    return false;
+  };
+}
+
+/**
+ * A callback for {@link CSVDBQuery#where|where()} or
+ * {@link CSVDBQuery#select|select()} which is `true` if a value of the row
+ * is one of the values of a subquery with one column, like SQL's `IN`.
+ * Values are compared as in `WHERE` expressions, so `"1"` equals `1`.
+ *
+ * A subquery which isn't a function is read for every row, so pass an array
+ * (e.g. from `toArray()`) to read a query only once.
+ * @param value A column name or a function which gets the value from a row
+ * @example
+ * ```js
+ * const db = new CSVDB("id,name\n1,ann\n2,bob\n3,cy");
+ * const banned = new CSVDB("id\n2\n3").query().toArray();
+ * const query = db.query().where(isIn("id", banned));
+ *
+ * console.log(query.toArray());
+ * ```
+ * Output:
+ * ```
+ * [ { id: '2', name: 'bob' }, { id: '3', name: 'cy' } ]
+ * ```
+ */
+export function isIn(
+  value: string | ((row: RowObject) => any),
+  subquery: Subquery
+) {
+  return (row: RowObject) => {
+    const v = typeof value === "function" ? value(row) : row[value];
+
+    if (v === null || v === undefined) return false;
+
+    return getColumnValues(getRows(subquery, row)).some((other) =>
+      areEqual(v, other)
+    );
+  };
+}
@@ -12,6 +12,12 @@ export type SelectFunction = (
   rows: RowObject[]
 ) => any;
 
+/**
+ * Extracts the value which rows are grouped by. A string is a column name, or
+ * an expression if it isn't the name of a column.
+ */
+export type Discriminator = string | ((row: RowObject) => any);
+
 export interface SelectObject {
   [alias: string]:
     | string
@@ -19,16 +25,330 @@ export interface SelectObject {
     | [string | SelectFunction, string | WindowSpec];
 }
 
+export type Comparator = (rowA: RowObject, rowB: RowObject) => number;
+
+/**
+ * One key of a multi-key sort.
+ */
+export interface OrderKey {
+  /** Column name or a function which extracts the value to sort by */
+  key: string | ((row: RowObject) => any);
+  /** Defaults to `asc` */
+  direction?: "asc" | "desc";
+  /**
+   * How to compare values.
+   * * `numeric` converts values to numbers
+   * * `string` compares with `Intl.Collator`
+   * * `date` converts values to dates
+   * * `natural` is a string comparison which orders runs of digits
+   *   numerically, i.e. `a2` before `a10`
+   *
+   * By default numbers and dates are compared by value and anything else as
+   * a string.
+   */
+  compare?: "numeric" | "string" | "date" | "natural";
+  /**
+   * Whether `null` values (including values which can't be converted by
+   * `compare`) go first or last, regardless of direction. Defaults to
+   * `last`.
+   */
+  nulls?: "first" | "last";
+  /** Locale(s) for `string` and `natural` comparisons */
+  locale?: string | string[];
+  /** Extra collator options, e.g. `{ sensitivity: "base" }` */
+  collation?: Intl.CollatorOptions;
+}
+
+export type OrderBy =
+  | string
+  | Comparator
+  | OrderKey
+  | (string | Comparator | OrderKey)[];
+
+/**
+ * One end of a window frame. Numbers are offsets, negative for preceding and
+ * positive for following. Strings such as `"3 PRECEDING"` or, for `RANGE`
+ * frames over dates, `"7 DAYS PRECEDING"` are also accepted.
+ */
+export type FrameBound =
+  | "UNBOUNDED PRECEDING"
+  | "UNBOUNDED FOLLOWING"
+  | "CURRENT ROW"
+  | number
+  | string;
+
 export interface WindowSpec {
   partitionBy?: string | ((row: RowObject) => any);
-  orderBy?: string | ((rowA: RowObject, rowB: RowObject) => number);
-  framing?: [
-    unit: "ROWS" | "RANGE",
-    start: "UNBOUNDED PRECEDING" | "CURRENT ROW" | number,
-    end: "UNBOUNDED FOLLOWING" | "CURRENT ROW" | number
-  ];
+  orderBy?: OrderBy;
+  /**
+   * The rows of the partition which are in the frame of each row. Defaults to
+   * `["ROWS", "UNBOUNDED PRECEDING", "CURRENT ROW"]`.
+   * * `ROWS` offsets count rows
+   * * `RANGE` offsets are measured on the value of the (single) `orderBy`
+   *   key, and `CURRENT ROW` includes all the rows which sort equally
+   * * `GROUPS` offsets count groups of rows which sort equally
+   *
+   * The optional fourth element removes rows from the frame: the current
+   * row, its `GROUP` of peers or just its `TIES`, i.e. its peers other than
+   * itself.
+   */
+  framing?:
+    | [unit: "ROWS" | "RANGE" | "GROUPS", start: FrameBound, end: FrameBound]
+    | [
+        unit: "ROWS" | "RANGE" | "GROUPS",
+        start: FrameBound,
+        end: FrameBound,
+        exclude: "CURRENT ROW" | "GROUP" | "TIES" | "NO OTHERS"
+      ];
 }
 
+/**
+ * A user defined aggregate function. See {@link CSVDB.registerAggregate}.
+ */
+export interface AggregateFunction<S = any> {
+  /** Creates the state for a new group or window frame */
+  init: () => S;
+  /**
+   * Adds a value to the state, returning the new state. Not called for null
+   * values.
+   */
+  step: (state: S, value: any) => S;
+  /**
+   * Turns the state into the result. Defaults to the state itself. It must
+   * not change the state, which windows go on to update.
+   */
+  finalize?: (state: S) => any;
+  /**
+   * Removes a value which was previously added with `step`, returning the
+   * new state. Lets a sliding window frame be updated rather than
+   * recalculated from scratch. Returning `undefined` means the value can't be
+   * removed exactly, and the frame is recalculated.
+   */
+  inverse?: (state: S, value: any) => S | undefined;
+}
+
+/**
+ * A user defined window function. See {@link CSVDB.registerWindowFunction}.
+ * @param row The current row
+ * @param rows The rows of the window frame, in window order
+ * @param args The arguments as written in the column spec, e.g. column names
+ */
+export type WindowFunction = (
+  row: RowObject,
+  rows: RowObject[],
+  args: string[]
+) => any;
+
 export type ColumnSpec =
   | string
   | ((row: RowObject, i: number, rowGroup: RowObject[]) => any);
+
+export type ColumnType =
+  | "string"
+  | "number"
+  | "integer"
+  | "boolean"
+  | "date"
+  | ((value: string) => any);
+
+export interface Schema {
+  [column: string]: ColumnType;
+}
+
+export interface CSVOptions {
+  /** Field separator. Defaults to `,` */
+  delimiter?: string;
+  /** Quote character. Defaults to `"` */
+  quote?: string;
+  /**
+   * Escape character used inside quoted fields. Defaults to the quote
+   * character, i.e. quotes are escaped by doubling them.
+   */
+  escape?: string;
+  /**
+   * Whether the first row contains column names. Defaults to `true`.
+   *
+   * When `false` the column names are taken from `columns` or, failing that,
+   * generated as `column1`, `column2` etc.
+   */
+  header?: boolean;
+  /**
+   * Explicit column names. If `header` is also `true` the header row in the
+   * file is skipped.
+   */
+  columns?: string[];
+  /** Lines starting with this character are ignored. */
+  comment?: string;
+  /** Number of physical lines of preamble to skip before parsing. */
+  skipLines?: number;
+  /**
+   * Guess the delimiter, quote and header options from the first few KB of
+   * the file. Options which are specified explicitly take precedence.
+   */
+  sniff?: boolean;
+  /**
+   * Convert the values in each column to the given types. Columns which are
+   * not mentioned remain as strings (or are inferred if `inferTypes` is set).
+   */
+  schema?: Schema;
+  /**
+   * Guess column types by sampling rows. `true` samples the first 1000 rows,
+   * or a number of rows to sample can be given. Later values which aren't
+   * valid for the guessed type are kept as strings.
+   */
+  inferTypes?: boolean | number;
+  /**
+   * Values which represent `null`, e.g. `["", "NULL", "N/A"]`. These become
+   * `null` whatever the type of the column, so are ignored by aggregate
+   * functions. Without this option only empty values in columns which have a
+   * type other than `string` are `null`, though aggregate functions,
+   * comparisons and `IS NULL` treat empty strings as `null` whatever the type.
+   */
+  nullValues?: string[];
+  /**
+   * The name of the table used to refer to this database in SQL queries.
+   * Defaults to `data`.
+   */
+  name?: string;
+}
+
+export type JoinType = "inner" | "left" | "right" | "full" | "semi" | "anti";
+
+export type JoinKey = string | string[] | ((row: RowObject) => any);
+
+/**
+ * Equi-join keys. Rows match when the values of the `left` key(s) equal the
+ * values of the `right` key(s). Keys are column names, arrays of column names
+ * or functions which compute a key from a row.
+ */
+export interface JoinKeys {
+  left: JoinKey;
+  right: JoinKey;
+}
+
+export interface JoinOptions {
+  /**
+   * Defaults to `inner`.
+   *
+   * `left`, `right` and `full` fill the missing side's columns with `null`.
+   * `semi` returns each row of this query which has at least one match and
+   * `anti` those which have none. Neither includes columns from the other
+   * table.
+   */
+  type?: JoinType;
+  /**
+   * Prefix the columns of the other table with `alias.`, e.g. `b.id`, so
+   * they don't overwrite columns of the same name in this table.
+   */
+  alias?: string;
+  /** Prefix the columns of this query's rows with `leftAlias.` */
+  leftAlias?: string;
+}
+
+export interface IndexOptions {
+  /**
+   * Don't allow two rows to have the same key. Rows with a null in any of the
+   * key columns aren't checked.
+   */
+  unique?: boolean;
+}
+
+export interface PivotOptions {
+  /**
+   * The column or columns which identify each output row. Rows with the same
+   * values are combined. Defaults to none, i.e. a single output row.
+   */
+  rows?: string | string[];
+  /** The column whose distinct values become the output columns */
+  columns: string;
+  /** The column which is aggregated into each cell */
+  values?: string;
+  /**
+   * The name of an aggregate function, e.g. `SUM`, `AVG` or one registered
+   * with {@link CSVDB.registerAggregate}. Defaults to `SUM`, or `COUNT` of
+   * the rows if there are no `values`.
+   */
+  aggregate?: string;
+}
+
+export interface UnpivotOptions {
+  /** The columns which are turned into rows */
+  columns: string[];
+  /** The output column for the name of each column. Defaults to `name`. */
+  nameColumn?: string;
+  /** The output column for the value of each column. Defaults to `value`. */
+  valueColumn?: string;
+  /**
+   * Whether to output rows for `null` values, which are skipped by default
+   * as SQL's `UNPIVOT` does
+   */
+  includeNulls?: boolean;
+}
+
+export interface WithOptions {
+  /**
+   * Whether to run the query once and keep its rows for the rest of the
+   * statement, rather than run it wherever it's referred to. Defaults to
+   * `true` if the statement refers to it more than once.
+   */
+  materialise?: boolean;
+}
+
+export interface ExplainOptions {
+  /**
+   * Run the query and record the number of rows output by each stage and the
+   * time spent in it. Defaults to `false`.
+   */
+  analyze?: boolean;
+}
+
+export interface CSVWriteOptions {
+  /** Field separator. Defaults to `,` */
+  delimiter?: string;
+  /** Quote character. Defaults to `"` */
+  quote?: string;
+  /**
+   * Which fields to quote. Defaults to `minimal`.
+   * * `minimal` quotes fields containing the delimiter, the quote character
+   *   or a line break
+   * * `all` quotes every field
+   * * `nonnumeric` quotes every field which isn't a number
+   */
+  quoting?: "minimal" | "all" | "nonnumeric";
+  /** Defaults to `\r\n` */
+  lineTerminator?: string;
+  /** Whether to write a header row. Defaults to `true` */
+  header?: boolean;
+  /**
+   * The columns to write, in order. Defaults to the db's `headers` or the
+   * properties of the first row of a query.
+   */
+  columns?: string[];
+}
+
+export interface FormatOptions {
+  /**
+   * The columns to include, in order. Defaults to every property of the
+   * result rows in the order they're first seen.
+   */
+  columns?: string[];
+  /**
+   * How to display numbers. Either options for `Intl.NumberFormat` or a
+   * function. By default numbers are displayed with `String()`.
+   */
+  numberFormat?: Intl.NumberFormatOptions | ((value: number) => string);
+  /**
+   * How to display dates. Either options for `Intl.DateTimeFormat` or a
+   * function. By default dates are displayed in ISO 8601 format.
+   */
+  dateFormat?: Intl.DateTimeFormatOptions | ((value: Date) => string);
+  /** Locale(s) used for `numberFormat` and `dateFormat` options */
+  locale?: string | string[];
+  /** Text displayed for `null` values. Defaults to an empty string. */
+  nullValue?: string;
+}
+
+/**
+ * Options for creating a db from JSON
+ */
+export type JSONOptions = Pick<CSVOptions, "columns" | "schema" | "name">;
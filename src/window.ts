@@ -0,0 +1,710 @@
+import {
+  AggregateFunction,
+  Comparator,
+  OrderBy,
+  RowObject,
+  WindowSpec,
+} from "./types";
+import {
+  AGGREGATE_FUNCTIONS,
+  POSITION_FUNCTIONS,
+  STAT_FUNCTIONS,
+  USER_WINDOW_FUNCTIONS,
+  WINDOW_FUNCTIONS,
+  getOrderBy,
+  getStepAggregate,
+  isNotNull,
+} from "./functions.js";
+import { evaluate, parseOrderBy } from "./expression.js";
+import { addToDate, getUnit, toDate } from "./dates.js";
+import { search } from "./indexes.js";
+
+/**
+ * A frame bound with offsets normalised so that negative amounts are
+ * preceding and positive amounts are following
+ */
+type Bound =
+  | { type: "unbounded"; amount: number }
+  | { type: "current" }
+  | { type: "offset"; amount: number; unit?: string };
+
+/**
+ * The window frame of a row: `rows[start..end]`, which is empty if `end` is
+ * before `start`. `rows` is the whole partition in window order, or with
+ * EXCLUDE just the rows left in the frame.
+ */
+export interface Frame {
+  rows: RowObject[];
+  start: number;
+  end: number;
+  /** The index of the current row in `rows`, or -1 if it was excluded */
+  index: number;
+  /** The peer group of each row, numbered in order. Peers sort equally. */
+  peers: number[];
+  /** The peer group of the current row */
+  group: number;
+  /** The first and last index in `rows` of each peer group */
+  groupStarts: number[];
+  groupEnds: number[];
+}
+
+/**
+ * A partition sorted in window order, with the frame bounds of each row
+ */
+interface Partition {
+  rows: RowObject[];
+  peers: number[];
+  groupStarts: number[];
+  groupEnds: number[];
+  starts: number[];
+  ends: number[];
+}
+
+const EXCLUSIONS = ["CURRENT ROW", "GROUP", "TIES", "NO OTHERS"];
+
+/**
+ * The rows of some windowed query split into partitions, each of which is
+ * sorted once, along with the frame of every row. Results which are worked
+ * out for a whole partition at a time are kept until the query has finished.
+ */
+class WindowFrames {
+  #partitions: Partition[] = [];
+  #positions = new Map<RowObject, [partition: Partition, index: number]>();
+  #exclude?: string;
+  #results = new Map<string, Map<RowObject, any>>();
+
+  constructor(rows: RowObject[], windowSpec: WindowSpec) {
+    const exclude = windowSpec.framing?.[3];
+
+    if (exclude !== undefined && !EXCLUSIONS.includes(exclude)) {
+      throw Error(`Bad Exclude: ${exclude}`);
+    }
+
+    if (exclude !== "NO OTHERS") {
+      this.#exclude = exclude;
+    }
+
+    const orderBy = windowSpec.orderBy
+      ? getOrderBy(windowSpec.orderBy)
+      : undefined;
+    const bounds = orderBy && getBounds(windowSpec);
+
+    for (let partitionRows of getPartitions(rows, windowSpec)) {
+      if (orderBy) {
+        partitionRows = partitionRows.sort(orderBy);
+      }
+
+      const partition = {
+        rows: partitionRows,
+        ...getPeerGroups(partitionRows, orderBy),
+        starts: [] as number[],
+        ends: [] as number[],
+      };
+
+      if (bounds) {
+        getFrameBounds(partition, bounds);
+      } else {
+        // Every row's frame is the whole partition
+        partition.starts = partitionRows.map(() => 0);
+        partition.ends = partitionRows.map(() => partitionRows.length - 1);
+      }
+
+      this.#partitions.push(partition);
+      partitionRows.forEach((row, i) =>
+        this.#positions.set(row, [partition, i])
+      );
+    }
+  }
+
+  get(row: RowObject): Frame {
+    const position = this.#positions.get(row);
+
+    if (!position) {
+      return {
+        rows: [],
+        start: 0,
+        end: -1,
+        index: -1,
+        peers: [],
+        group: -1,
+        groupStarts: [],
+        groupEnds: [],
+      };
+    }
+
+    const [{ rows, peers, groupStarts, groupEnds, starts, ends }, index] =
+      position;
+
+    const frame = {
+      rows,
+      start: starts[index],
+      end: ends[index],
+      index,
+      peers,
+      group: peers[index],
+      groupStarts,
+      groupEnds,
+    };
+
+    return this.#exclude ? excludeRows(frame, this.#exclude) : frame;
+  }
+
+  /**
+   * The value of an aggregate over the frame of `row`. The aggregate is
+   * worked out for every row at once, updating the result as the frame moves
+   * if it can be done a step at a time.
+   */
+  aggregate(name: string, args: string[], row: RowObject) {
+    const key = `${name}(${args})`;
+    let results = this.#results.get(key);
+
+    if (!results) {
+      results = this.#aggregateAll(name, args);
+      this.#results.set(key, results);
+    }
+
+    return results.has(row) ? results.get(row) : this.#aggregateFn(name)([]);
+  }
+
+  #aggregateFn(name: string) {
+    return AGGREGATE_FUNCTIONS[name] ?? STAT_FUNCTIONS[name];
+  }
+
+  #aggregateAll(name: string, args: string[]) {
+    const fn = this.#aggregateFn(name);
+    const definition = getStepAggregate(name);
+
+    // COUNT(*) counts rows, whatever their values
+    const value =
+      args[0].trim() === "*"
+        ? (row: RowObject) => row
+        : (row: RowObject) => row[args[0]];
+
+    const results = new Map<RowObject, any>();
+
+    for (const partition of this.#partitions) {
+      const { rows, starts, ends } = partition;
+
+      if (this.#exclude) {
+        for (const row of rows) {
+          results.set(row, fn(this.get(row).rows.map(value)));
+        }
+        continue;
+      }
+
+      const values = rows.map(value);
+
+      let partitionResults: any[];
+
+      if (definition) {
+        partitionResults = stepAggregate(definition, values, starts, ends);
+      } else {
+        partitionResults = [];
+        for (let i = 0; i < rows.length; i++) {
+          // Neighbouring rows often share a frame
+          partitionResults.push(
+            i > 0 && starts[i] === starts[i - 1] && ends[i] === ends[i - 1]
+              ? partitionResults[i - 1]
+              : fn(values.slice(starts[i], ends[i] + 1))
+          );
+        }
+      }
+
+      rows.forEach((row, i) => results.set(row, partitionResults[i]));
+    }
+
+    return results;
+  }
+}
+
+const windowFramesCache = new WeakMap<
+  RowObject[],
+  Map<WindowSpec, WindowFrames>
+>();
+
+/**
+ * The frames of a window over `rows`, which are only worked out once for each
+ * window spec
+ */
+function getWindowFrames(rows: RowObject[], windowSpec: WindowSpec) {
+  let cache = windowFramesCache.get(rows);
+  if (!cache) {
+    cache = new Map();
+    windowFramesCache.set(rows, cache);
+  }
+
+  let frames = cache.get(windowSpec);
+  if (!frames) {
+    frames = new WindowFrames(rows, windowSpec);
+    cache.set(windowSpec, frames);
+  }
+
+  return frames;
+}
+
+export function getFrameRows({ rows, start, end }: Frame) {
+  return rows.slice(start, end + 1);
+}
+
+/**
+ * Find the rows of the window for `sourceRow`: the rows in the same partition,
+ * sorted by `orderBy` and restricted to the frame given by `framing`.
+ *
+ * Without `framing` the frame runs from the start of the partition to the
+ * current row. Without `orderBy` the frame is the whole partition.
+ */
+export function applyWindow(
+  rows: RowObject[],
+  windowSpec: WindowSpec,
+  sourceRow: RowObject
+) {
+  return getFrameRows(getWindowFrames(rows, windowSpec).get(sourceRow));
+}
+
+/**
+ * Evaluate a call to a builtin or registered function, e.g.
+ * `LAG(price, 1, 0)`, over the window frame of `sourceRow`
+ */
+export function evaluateWindowFunction(
+  fnName: string,
+  args: string[],
+  rows: RowObject[],
+  windowSpec: WindowSpec,
+  sourceRow: RowObject
+) {
+  const frames = getWindowFrames(rows, windowSpec);
+
+  if (fnName in AGGREGATE_FUNCTIONS || fnName in STAT_FUNCTIONS) {
+    return frames.aggregate(fnName, args, sourceRow);
+  }
+
+  const frame = frames.get(sourceRow);
+
+  if (fnName === "ROW_NUMBER") {
+    const { start, end, index } = frame;
+    return index >= start && index <= end ? index - start + 1 : 0;
+  }
+
+  if (fnName in WINDOW_FUNCTIONS) {
+    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
+    return WINDOW_FUNCTIONS[fnName](frame, args, windowSpec);
+  }
+
+  if (fnName in POSITION_FUNCTIONS) {
+    if (!windowSpec.orderBy) throw Error("windowSpec.orderBy is required");
+    return POSITION_FUNCTIONS[fnName](frame, args, (row) => row[args[0]]);
+  }
+
+  if (fnName in USER_WINDOW_FUNCTIONS) {
+    return USER_WINDOW_FUNCTIONS[fnName](sourceRow, getFrameRows(frame), args);
+  }
+
+  throw Error(`Bad Func: ${fnName}`);
+}
+
+/**
+ * Split rows by the value of `partitionBy`, keeping their order
+ */
+function getPartitions(rows: RowObject[], { partitionBy }: WindowSpec) {
+  if (!partitionBy) {
+    return [[...rows]];
+  }
+
+  const fn =
+    typeof partitionBy === "string"
+      ? (row: RowObject) => row[partitionBy]
+      : partitionBy;
+
+  const partitions = new Map<any, RowObject[]>();
+
+  for (const row of rows) {
+    const value = fn(row);
+    let partition = partitions.get(value);
+    if (!partition) {
+      partition = [];
+      partitions.set(value, partition);
+    }
+    partition.push(row);
+  }
+
+  return [...partitions.values()];
+}
+
+/**
+ * Split sorted rows into runs of peers, i.e. rows which sort equally. Without
+ * a comparator every row is a peer of every other row.
+ */
+function getPeerGroups(rows: RowObject[], orderBy?: Comparator) {
+  const peers: number[] = [];
+  const groupStarts: number[] = [];
+  const groupEnds: number[] = [];
+
+  rows.forEach((row, i) => {
+    if (i === 0 || (orderBy && orderBy(rows[i - 1], row) !== 0)) {
+      groupStarts.push(i);
+      groupEnds.push(i);
+    } else {
+      groupEnds[groupEnds.length - 1] = i;
+    }
+    peers.push(groupStarts.length - 1);
+  });
+
+  return { peers, groupStarts, groupEnds };
+}
+
+function getBounds(windowSpec: WindowSpec) {
+  const [unit, start, end]: NonNullable<WindowSpec["framing"]> =
+    windowSpec.framing ?? ["ROWS", "UNBOUNDED PRECEDING", "CURRENT ROW"];
+
+  const startBound = parseBound(start, unit);
+  const endBound = parseBound(end, unit);
+
+  if (unit !== "ROWS" && unit !== "RANGE" && unit !== "GROUPS") {
+    throw Error(`Window unit ${unit}`);
+  }
+
+  const key =
+    unit === "RANGE" &&
+    (startBound.type === "offset" || endBound.type === "offset")
+      ? getRangeKey(windowSpec.orderBy!)
+      : null;
+
+  return { unit, startBound, endBound, key };
+}
+
+/**
+ * Work out the start and end of the frame of each row in a partition
+ */
+function getFrameBounds(
+  partition: Partition,
+  { unit, startBound, endBound, key }: ReturnType<typeof getBounds>
+) {
+  const { rows, peers } = partition;
+
+  const startKeys =
+    key && startBound.type === "offset"
+      ? getRangeKeys(rows, startBound, key)
+      : null;
+  const endKeys =
+    key && endBound.type === "offset"
+      ? getRangeKeys(rows, endBound, key)
+      : null;
+
+  for (let index = 0; index < rows.length; index++) {
+    let start: number;
+    let end: number;
+
+    if (unit === "ROWS") {
+      start = getRowsIndex(startBound, index, rows.length);
+      end = getRowsIndex(endBound, index, rows.length);
+    } else if (unit === "GROUPS") {
+      start = getGroupsIndex(startBound, partition, peers[index], "start");
+      end = getGroupsIndex(endBound, partition, peers[index], "end");
+    } else {
+      start = getRangeIndex(startBound, partition, index, "start", startKeys);
+      end = getRangeIndex(endBound, partition, index, "end", endKeys);
+    }
+
+    partition.starts.push(Math.max(start, 0));
+    partition.ends.push(Math.min(end, rows.length - 1));
+  }
+}
+
+function parseBound(
+  bound: NonNullable<WindowSpec["framing"]>[1 | 2],
+  unit: string
+): Bound {
+  if (bound === "UNBOUNDED PRECEDING") {
+    return { type: "unbounded", amount: -Infinity };
+  }
+
+  if (bound === "UNBOUNDED FOLLOWING") {
+    return { type: "unbounded", amount: Infinity };
+  }
+
+  if (bound === "CURRENT ROW") {
+    return { type: "current" };
+  }
+
+  if (typeof bound === "number") {
+    return { type: "offset", amount: bound };
+  }
+
+  // e.g. "7 DAYS PRECEDING"
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]+)?\s+(PRECEDING|FOLLOWING)$/i.exec(
+    String(bound).trim()
+  );
+
+  if (!match || (match[2] && unit !== "RANGE")) {
+    throw Error(`Bad Frame Bound: ${bound}`);
+  }
+
+  const amount = match[3].toUpperCase() === "PRECEDING" ? -match[1] : +match[1];
+
+  return {
+    type: "offset",
+    amount,
+    unit: match[2] ? getUnit(match[2]) : undefined,
+  };
+}
+
+function getRowsIndex(bound: Bound, index: number, length: number) {
+  if (bound.type === "current") return index;
+  if (bound.type === "unbounded") return bound.amount < 0 ? 0 : length - 1;
+  return index + bound.amount;
+}
+
+function getGroupsIndex(
+  bound: Bound,
+  { rows, groupStarts, groupEnds }: Partition,
+  group: number,
+  side: "start" | "end"
+) {
+  if (bound.type === "unbounded") {
+    return bound.amount < 0 ? 0 : rows.length - 1;
+  }
+
+  const target = group + (bound.type === "offset" ? bound.amount : 0);
+
+  // Beyond the ends of the partition. The frame is empty if the start is
+  // after the end or the end is before the start.
+  if (target >= groupStarts.length) {
+    return side === "start" ? rows.length : rows.length - 1;
+  }
+  if (target < 0) return side === "start" ? 0 : -1;
+
+  return side === "start" ? groupStarts[target] : groupEnds[target];
+}
+
+/**
+ * The values which a RANGE offset is measured on, numbers or times, for each
+ * row. The rows which have values are listed separately, in order, so that
+ * they can be searched.
+ */
+function getRangeKeys(
+  rows: RowObject[],
+  bound: Bound & { type: "offset" },
+  { value, descending }: ReturnType<typeof getRangeKey>
+) {
+  const normalised = rows.map((row) => {
+    const v = value(row);
+    if (v === null || v === undefined || v === "") return null;
+    if (bound.unit) {
+      const date = toDate(v);
+      return date && +date;
+    }
+    const n = +v;
+    return isNaN(n) ? null : n;
+  });
+
+  const indexes: number[] = [];
+  const values: number[] = [];
+
+  normalised.forEach((v, i) => {
+    if (v !== null) {
+      indexes.push(i);
+      values.push(v);
+    }
+  });
+
+  return { normalised, indexes, values, descending };
+}
+
+function getRangeIndex(
+  bound: Bound,
+  { rows, peers, groupStarts, groupEnds }: Partition,
+  index: number,
+  side: "start" | "end",
+  keys: ReturnType<typeof getRangeKeys> | null
+) {
+  if (bound.type === "unbounded") {
+    return bound.amount < 0 ? 0 : rows.length - 1;
+  }
+
+  const peersStart = groupStarts[peers[index]];
+  const peersEnd = groupEnds[peers[index]];
+
+  if (bound.type === "current") {
+    return side === "start" ? peersStart : peersEnd;
+  }
+
+  const { normalised, indexes, values, descending } = keys!;
+  const current = normalised[index];
+
+  // Offsets from a null are its peers, i.e. the other nulls
+  if (current === null) {
+    return side === "start" ? peersStart : peersEnd;
+  }
+
+  const direction = descending ? -1 : 1;
+  const amount = direction * bound.amount;
+  const target = bound.unit
+    ? +addToDate(bound.unit, amount, new Date(current))
+    : current + amount;
+
+  if (side === "start") {
+    // The first row at or after the target
+    const i = search(values, (v) => direction * (v - target) >= 0);
+    return i < values.length ? indexes[i] : rows.length;
+  }
+
+  // The last row at or before the target
+  const i = search(values, (v) => direction * (v - target) > 0) - 1;
+  return i >= 0 ? indexes[i] : -1;
+}
+
+/**
+ * Work out how to get the value which RANGE offsets are measured from. There
+ * must be a single sort key.
+ */
+function getRangeKey(orderBy: OrderBy): {
+  value: (row: RowObject) => any;
+  descending: boolean;
+} {
+  if (Array.isArray(orderBy)) {
+    if (orderBy.length !== 1) {
+      throw Error("RANGE offsets need a single orderBy key");
+    }
+    return getRangeKey(orderBy[0]);
+  }
+
+  if (typeof orderBy === "string") {
+    if (/^[+-]/.test(orderBy)) {
+      const column = orderBy.substring(1);
+      return { value: (row) => row[column], descending: orderBy[0] === "-" };
+    }
+
+    // An expression, e.g. "Amount * 2 DESC"
+    if (/\s/.test(orderBy.trim())) {
+      const items = parseOrderBy(orderBy);
+      if (items.length !== 1) {
+        throw Error("RANGE offsets need a single orderBy key");
+      }
+      const [{ expression, descending }] = items;
+      return { value: (row) => evaluate(expression, { row }), descending };
+    }
+
+    return { value: (row) => row[orderBy], descending: false };
+  }
+
+  if (typeof orderBy === "function") {
+    // Comparators created from SQL expressions know their keys
+    const { keys, descending } = orderBy as Comparator & {
+      keys?: ((row: RowObject) => any)[];
+      descending?: boolean[];
+    };
+    if (keys && descending && keys.length === 1) {
+      return { value: keys[0], descending: descending[0] };
+    }
+    throw Error("RANGE offsets need a single orderBy key");
+  }
+
+  const { key } = orderBy;
+  return {
+    value: typeof key === "string" ? (row) => row[key] : key,
+    descending: orderBy.direction === "desc",
+  };
+}
+
+/**
+ * Take the rows given by EXCLUDE out of a frame
+ */
+function excludeRows(frame: Frame, exclude: string): Frame {
+  const { rows, start, end, index, peers, group } = frame;
+
+  const kept: number[] = [];
+
+  for (let i = start; i <= end; i++) {
+    const excluded =
+      exclude === "CURRENT ROW"
+        ? i === index
+        : exclude === "GROUP"
+        ? peers[i] === group
+        : i !== index && peers[i] === group;
+
+    if (!excluded) kept.push(i);
+  }
+
+  const groupStarts: number[] = [];
+  const groupEnds: number[] = [];
+
+  kept.forEach((i, j) => {
+    groupStarts[peers[i]] ??= j;
+    groupEnds[peers[i]] = j;
+  });
+
+  return {
+    rows: kept.map((i) => rows[i]),
+    start: 0,
+    end: kept.length - 1,
+    index: kept.indexOf(index),
+    peers: kept.map((i) => peers[i]),
+    group,
+    groupStarts,
+    groupEnds,
+  };
+}
+
+/**
+ * Work out an aggregate over each row's frame in turn. Values are added to
+ * the state as the end of the frame moves forward and, if the aggregate has
+ * an inverse, removed as the start moves forward. Otherwise, or if the
+ * inverse can't remove a value, the state is built again when the start
+ * moves.
+ */
+function stepAggregate(
+  { init, step, inverse, finalize = (state) => state }: AggregateFunction,
+  values: any[],
+  starts: number[],
+  ends: number[]
+) {
+  const results: any[] = [];
+
+  let state = init();
+  // The values from `from` to `to` have been added to the state
+  let from = 0;
+  let to = -1;
+
+  for (let i = 0; i < values.length; i++) {
+    const start = starts[i];
+    const end = ends[i];
+
+    if (end < start) {
+      results.push(finalize(init()));
+      continue;
+    }
+
+    if (start < from || end < to || start > to || (start > from && !inverse)) {
+      state = init();
+      from = start;
+      to = start - 1;
+    }
+
+    while (to < end) {
+      to++;
+      if (isNotNull(values[to])) state = step(state, values[to]);
+    }
+
+    while (from < start) {
+      const next = isNotNull(values[from])
+        ? inverse!(state, values[from])
+        : state;
+
+      if (next === undefined) {
+        state = init();
+        for (let j = start; j <= end; j++) {
+          if (isNotNull(values[j])) state = step(state, values[j]);
+        }
+        from = start;
+        break;
+      }
+
+      state = next;
+      from++;
+    }
+
+    results.push(finalize(state));
+  }
+
+  return results;
+}
@@ -0,0 +1,85 @@
+import { CSVWriteOptions, RowObject } from "./types";
+
+/**
+ * Serialise rows as csv text, yielding one chunk per record (the first chunk
+ * is the header). Nulls are written as empty fields and dates in ISO 8601
+ * format.
+ * @param columns Columns to use if `options.columns` isn't given. Otherwise
+ * the properties of the first row are used.
+ */
+export function* writeCSV(
+  rows: Iterable<RowObject>,
+  options: CSVWriteOptions = {},
+  columns = options.columns
+): Generator<string> {
+  const {
+    delimiter = ",",
+    quote = '"',
+    quoting = "minimal",
+    lineTerminator = "\r\n",
+    header = true,
+  } = options;
+
+  if (delimiter.length !== 1 || quote.length !== 1) {
+    throw Error("Delimiter and quote must be single characters");
+  }
+
+  if (!["minimal", "all", "nonnumeric"].includes(quoting)) {
+    throw Error(`Bad Quoting: ${quoting}`);
+  }
+
+  const special = [delimiter, quote, "\r", "\n"];
+
+  const formatField = (value: any) => {
+    const text = formatValue(value);
+
+    const needsQuotes =
+      quoting === "all" ||
+      (quoting === "nonnumeric" && text !== "" && typeof value !== "number") ||
+      special.some((c) => text.includes(c));
+
+    return needsQuotes
+      ? quote + text.replaceAll(quote, quote + quote) + quote
+      : text;
+  };
+
+  const formatRecord = (values: any[]) => {
+    // A lone empty field would be read back as a blank line and skipped
+    if (values.length === 1 && formatValue(values[0]) === "") {
+      return quote + quote + lineTerminator;
+    }
+
+    return values.map(formatField).join(delimiter) + lineTerminator;
+  };
+
+  let headerWritten = false;
+
+  for (const row of rows) {
+    if (!columns) {
+      columns = Object.keys(row);
+    }
+
+    if (header && !headerWritten) {
+      yield formatRecord(columns);
+      headerWritten = true;
+    }
+
+    yield formatRecord(columns.map((column) => row[column]));
+  }
+
+  if (header && !headerWritten && columns) {
+    yield formatRecord(columns);
+  }
+}
+
+function formatValue(value: any) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (value instanceof Date) {
+    return isNaN(+value) ? "" : value.toISOString();
+  }
+
+  return String(value);
+}